@@ -0,0 +1,51 @@
+import type { CSSProperties } from 'react'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { MAX_BALLS } from '../../../utils/visualEffects'
+import type { RendererType } from '../../../types/visuals'
+
+const RENDERER_HINTS: Record<RendererType, string> = {
+  dom:    'One element per ball, animated with GSAP.',
+  canvas: 'Everything drawn on one canvas; lighter, for big crowds.',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  opacity: 0.8,
+}
+
+/**
+ * Pick how balls are drawn (switching to a lower cap evicts the oldest
+ * balls), the colour theme, where ball colours come from, and what the
+ * background shows.
+ */
+export default function DisplayControls() {
+  const { visuals } = useAudio()
+
+  return (
+    <ControlPanel title="Display">
+      <ParamControl path={['visuals', 'renderer']} label={null} />
+      <div style={{ ...noteStyle, marginBottom: '16px' }}>
+        {RENDERER_HINTS[visuals.renderer]} Up to {MAX_BALLS[visuals.renderer]} balls.
+      </div>
+
+      <ParamControl path={['visuals', 'theme']} heading style={{ marginBottom: '16px' }} />
+
+      <div style={{ marginBottom: '16px' }}>
+        <ParamControl path={['visuals', 'colorMode']} heading columns={3} />
+        <ParamControl path={['visuals', 'velocityBrightness']} />
+        {visuals.colorMode !== 'random' && (
+          <div style={noteStyle}>
+            Balls take the colour of the note they play, around the circle of fifths
+            {visuals.colorMode === 'note' ? '; higher octaves are lighter.' : '.'}
+          </div>
+        )}
+      </div>
+
+      <ParamControl path={['visuals', 'background']} heading columns={3} style={{ marginBottom: 0 }} />
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,78 @@
+import type { CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Checkbox from '../../shared/Checkbox'
+import Slider from '../../shared/Slider'
+import ControlPanel from '../../shared/ControlPanel'
+import { useAudio } from '../../../context/AudioContext'
+import { PARAMS, PARAM_SECTIONS } from '../../../utils/params'
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+const twoColumns: CSSProperties = { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }
+
+// Only sections with something Randomize may touch get a lock
+const RANDOM_SECTIONS = PARAM_SECTIONS.filter(section =>
+  PARAMS.some(param => param.section === section.id && param.random !== false))
+
+/**
+ * Sound design by exploring: step back and forth through changes, roll
+ * random settings with some sections held, or morph between two states.
+ */
+export default function ExploreControls() {
+  const {
+    canUndo, canRedo, undo, redo,
+    lockedSections, setSectionLocked, randomize,
+    morphA, morphB, storeMorph, morphPosition, setMorphPosition,
+  } = useAudio()
+
+  return (
+    <ControlPanel title="Explore">
+      <div style={{ ...twoColumns, marginBottom: '16px' }}>
+        <Button onClick={undo} disabled={!canUndo} title="Ctrl+Z">Undo</Button>
+        <Button onClick={redo} disabled={!canRedo} title="Ctrl+Shift+Z">Redo</Button>
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Randomize</label>
+        {RANDOM_SECTIONS.map(section => (
+          <Checkbox key={section.id} label={`Lock ${section.name}`}
+            checked={lockedSections.includes(section.id)}
+            onChange={(locked) => setSectionLocked(section.id, locked)}
+            labelStyle={{ marginBottom: '6px' }} />
+        ))}
+        <Button onClick={randomize} style={{ width: '100%', marginTop: '4px' }}
+          disabled={RANDOM_SECTIONS.every(section => lockedSections.includes(section.id))}>
+          Randomize
+        </Button>
+      </div>
+
+      <label style={sectionLabel}>Morph</label>
+      <div style={{ ...twoColumns, marginBottom: '8px' }}>
+        <Button onClick={() => storeMorph('a')} isActive={morphA !== null}>Store A</Button>
+        <Button onClick={() => storeMorph('b')} isActive={morphB !== null}>Store B</Button>
+      </div>
+      {morphA && morphB ? (
+        <Slider label="A → B" value={morphPosition} onChange={setMorphPosition}
+          min={0} max={1} step={0.01}
+          formatValue={(v) => `${Math.round(v * 100)}%`} />
+      ) : (
+        <div style={noteStyle}>Store two states, then slide between them.</div>
+      )}
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,113 @@
+import { useEffect, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import { useAudio } from '../../../context/AudioContext'
+import { getAudioTime } from '../../../utils/sound'
+import {
+  startNoteRecording, stopNoteRecording, isNoteRecording, getRecordedNotes, MAX_RECORDED_NOTES,
+} from '../../../utils/noteRecorder'
+import { renderNoteEvents } from '../../../utils/offlineRender'
+import { encodeWav, type WavBitDepth } from '../../../utils/wav'
+import { downloadBlob, fileTimestamp } from '../../../utils/download'
+import { formatClock } from '../../../utils/format'
+
+const BIT_DEPTHS: WavBitDepth[] = [16, 24]
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/**
+ * Record note events while playing, then render them offline to a WAV file.
+ * The render replays the notes through the same effect and master chain, so
+ * the file has no dropouts even if the live tab stuttered. It has no voice
+ * limit either, so notes stolen live ring out in full; the panel says so.
+ */
+export default function ExportControls() {
+  const { globalVolume, master, sends } = useAudio()
+  const [recording, setRecording] = useState(isNoteRecording)
+  const [noteCount, setNoteCount] = useState(() => getRecordedNotes().length)
+  const [elapsed, setElapsed] = useState(0)
+  const [bitDepth, setBitDepth] = useState<WavBitDepth>(16)
+  const [rendering, setRendering] = useState(false)
+  const [status, setStatus] = useState<string | null>(null)
+
+  // Poll the module-level recorder while recording; it isn't React state
+  useEffect(() => {
+    if (!recording) return
+    const started = Date.now()
+    const id = setInterval(() => {
+      setNoteCount(getRecordedNotes().length)
+      setElapsed((Date.now() - started) / 1000)
+    }, 250)
+    return () => clearInterval(id)
+  }, [recording])
+
+  const toggleRecording = () => {
+    if (recording) {
+      setNoteCount(stopNoteRecording().length)
+      setRecording(false)
+    } else {
+      startNoteRecording(getAudioTime())
+      setNoteCount(0)
+      setElapsed(0)
+      setStatus(null)
+      setRecording(true)
+    }
+  }
+
+  const handleExport = async () => {
+    setRendering(true)
+    setStatus('Rendering…')
+    try {
+      const buffer = await renderNoteEvents(getRecordedNotes(), { masterVolume: globalVolume, master, sends })
+      downloadBlob(
+        new Blob([encodeWav(buffer, bitDepth)], { type: 'audio/wav' }),
+        `oscillaphone-${fileTimestamp()}.wav`,
+      )
+      setStatus(`Exported ${formatClock(buffer.duration)} of audio`)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Export failed')
+    } finally {
+      setRendering(false)
+    }
+  }
+
+  return (
+    <ControlPanel title="Export">
+      <Button onClick={toggleRecording} isActive={recording} style={{ width: '100%', marginBottom: '8px' }}>
+        {recording ? 'Stop recording' : 'Record notes'}
+      </Button>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px', marginBottom: '8px' }}>
+        {BIT_DEPTHS.map(depth => (
+          <Button key={depth} onClick={() => setBitDepth(depth)} isActive={bitDepth === depth}>
+            {depth}-bit
+          </Button>
+        ))}
+      </div>
+
+      <Button
+        onClick={handleExport}
+        disabled={recording || rendering || noteCount === 0}
+        style={{ width: '100%' }}
+      >
+        Export WAV
+      </Button>
+
+      <div style={statusStyle}>
+        Every recorded note plays in full: voice stealing only applies live.
+      </div>
+
+      <div role="status" style={statusStyle}>
+        {recording
+          ? `● ${formatClock(elapsed)} · ${noteCount} notes${noteCount >= MAX_RECORDED_NOTES ? ' (full)' : ''}`
+          : status ?? `${noteCount} notes recorded`}
+      </div>
+    </ControlPanel>
+  )
+}
@@ -1,36 +1,39 @@
 import Slider from '../../shared/Slider'
+import Button from '../../shared/Button'
 import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
 import { useAudio } from '../../../context/AudioContext'
+import { TIME_SCALES } from '../../../utils/gestures'
 
-interface GlobalControlsProps {
-  speed: number
-  setSpeed: (speed: number) => void
-}
+const TIME_SCALE_NAMES: Record<number, string> = { 1: '1×', 0.5: '½×', 0.25: '¼×' }
 
-export default function GlobalControls({ speed, setSpeed }: GlobalControlsProps) {
-  const { globalVolume, setGlobalVolume } = useAudio()
+export default function GlobalControls() {
+  const {
+    ballSpeed, setBallSpeed, paused, setPaused, timeScale, setTimeScale,
+  } = useAudio()
 
   return (
     <ControlPanel>
-      <Slider
-        label="Master Volume"
-        value={globalVolume}
-        onChange={setGlobalVolume}
-        min={0}
-        max={1.0}
-        step={0.05}
-        formatValue={(v) => `${(v * 100).toFixed(0)}%`}
-        style={{ marginBottom: '12px' }}
-      />
+      <ParamControl path={['globalVolume']} style={{ marginBottom: '12px' }} />
       <Slider
         label="Ball Speed"
-        value={speed}
-        onChange={setSpeed}
+        value={ballSpeed}
+        onChange={setBallSpeed}
         min={5}
         max={30}
         step={1}
         formatValue={(v) => `${v}`}
+        style={{ marginBottom: '12px' }}
       />
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr', gap: '6px' }}>
+        <Button onClick={() => setPaused(!paused)} isActive={paused}>{paused ? 'Resume' : 'Pause'}</Button>
+        {TIME_SCALES.map(scale => (
+          <Button key={scale} onClick={() => setTimeScale(scale)} isActive={timeScale === scale}
+            aria-label={`Time ${scale}×`}>
+            {TIME_SCALE_NAMES[scale]}
+          </Button>
+        ))}
+      </div>
     </ControlPanel>
   )
 }
@@ -0,0 +1,102 @@
+import type { CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Slider from '../../shared/Slider'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+  opacity: 0.8,
+}
+
+/**
+ * Ball lifecycle: lifetime and hit budgets that fade balls out, splitting on
+ * hard impacts, merging after slow contacts, and emitters placed by clicking
+ * the canvas.
+ */
+export default function LifecycleControls() {
+  const {
+    lifecycle, updateEmitter, removeEmitter, clearEmitters, placingEmitter, setPlacingEmitter,
+  } = useAudio()
+  const { split, merge, emitters } = lifecycle
+
+  return (
+    <ControlPanel title="Lifecycle">
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Ageing</label>
+        <ParamControl path={['lifecycle', 'lifetime']} />
+        <ParamControl path={['lifecycle', 'maxHits']} />
+        <ParamControl path={['lifecycle', 'fadeTime']} style={{ marginBottom: 0 }} />
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Split</label>
+        <ParamControl path={['lifecycle', 'split', 'enabled']} />
+        {split.enabled && (
+          <>
+            <ParamControl path={['lifecycle', 'split', 'minSpeed']} />
+            <ParamControl path={['lifecycle', 'split', 'minRadius']} />
+            <ParamControl path={['lifecycle', 'split', 'transpose']} style={{ marginBottom: 0 }} />
+          </>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Merge</label>
+        <ParamControl path={['lifecycle', 'merge', 'enabled']} />
+        {merge.enabled && (
+          <>
+            <ParamControl path={['lifecycle', 'merge', 'maxSpeed']} />
+            <ParamControl path={['lifecycle', 'merge', 'contacts']} style={{ marginBottom: 0 }} />
+          </>
+        )}
+      </div>
+
+      <div>
+        <label style={sectionLabel}>Emitters</label>
+        <Button onClick={() => setPlacingEmitter(!placingEmitter)} isActive={placingEmitter}
+          style={{ width: '100%', marginBottom: '8px' }}>
+          {placingEmitter ? 'Click canvas…' : 'Add emitter'}
+        </Button>
+        {emitters.length === 0 && <div style={noteStyle}>None placed.</div>}
+        {emitters.map((emitter, i) => (
+          <div key={emitter.id} style={{ marginBottom: '12px' }}>
+            <Slider label={`Emitter ${i + 1} Rate`} value={emitter.rate}
+              onChange={(v) => updateEmitter(emitter.id, { rate: v })}
+              min={0.1} max={10} step={0.1} formatValue={(v) => `${v.toFixed(1)}/s`}
+              style={{ marginBottom: '6px' }} />
+            <Slider label="Direction" value={emitter.angle}
+              onChange={(v) => updateEmitter(emitter.id, { angle: v })}
+              min={0} max={355} step={5} formatValue={(v) => `${v}°`}
+              style={{ marginBottom: '6px' }} />
+            <Slider label="Spread" value={emitter.spread}
+              onChange={(v) => updateEmitter(emitter.id, { spread: v })}
+              min={0} max={180} step={5} formatValue={(v) => `±${v}°`}
+              style={{ marginBottom: '6px' }} />
+            <Slider label="Speed" value={emitter.speed}
+              onChange={(v) => updateEmitter(emitter.id, { speed: v })}
+              min={1} max={30} step={1} formatValue={(v) => `${v}`}
+              style={{ marginBottom: '6px' }} />
+            <Button onClick={() => removeEmitter(emitter.id)} style={{ width: '100%' }}>Remove</Button>
+          </div>
+        ))}
+        {emitters.length > 0 && (
+          <Button onClick={clearEmitters} style={{ width: '100%' }}>Clear all</Button>
+        )}
+      </div>
+    </ControlPanel>
+  )
+}
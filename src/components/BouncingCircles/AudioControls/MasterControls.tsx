@@ -0,0 +1,194 @@
+import { useEffect, useRef, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { getMasterAnalyser, getMasterMeter, type MasterMeter } from '../../../utils/sound'
+import { METER_FLOOR, meterFill, spectrumBands, toDb } from '../../../utils/masterBus'
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const meterLabel: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  width: '48px',
+  flexShrink: 0,
+}
+
+const meterTrack: CSSProperties = {
+  position: 'relative',
+  flex: 1,
+  height: '8px',
+  backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  borderRadius: '2px',
+  overflow: 'hidden',
+}
+
+const SCOPE_WIDTH = 240
+const SCOPE_HEIGHT = 80
+const SPECTRUM_BANDS = 48
+/** A clip stays lit this long after the last sample at full scale */
+const CLIP_HOLD_MS = 1000
+/** dB of gain reduction that fills a reduction meter */
+const REDUCTION_RANGE = 30
+
+type ScopeMode = 'spectrum' | 'scope'
+
+/** A horizontal bar from `fill` (0..1), drawn from the right when `fromRight`. */
+function Meter({ label, fill, color, fromRight = false }: {
+  label: string; fill: number; color: string; fromRight?: boolean
+}) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+      <span style={meterLabel}>{label}</span>
+      <div style={meterTrack}>
+        <div style={{
+          position: 'absolute', top: 0, bottom: 0, [fromRight ? 'right' : 'left']: 0,
+          width: `${fill * 100}%`, backgroundColor: color,
+        }} />
+      </div>
+    </div>
+  )
+}
+
+/** Draw the analyser onto the canvas: log-spaced spectrum bars or the output waveform. */
+const drawAnalyser = (canvas: HTMLCanvasElement, analyser: AnalyserNode, mode: ScopeMode, buffer: Float32Array<ArrayBuffer>) => {
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return
+  ctx.clearRect(0, 0, canvas.width, canvas.height)
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.05)'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  if (mode === 'spectrum') {
+    analyser.getFloatFrequencyData(buffer.subarray(0, analyser.frequencyBinCount))
+    const bands = spectrumBands(
+      buffer.subarray(0, analyser.frequencyBinCount), analyser.context.sampleRate,
+      SPECTRUM_BANDS, analyser.minDecibels, analyser.maxDecibels,
+    )
+    const width = canvas.width / bands.length
+    ctx.fillStyle = '#a855f7'
+    bands.forEach((level, i) => {
+      const height = level * canvas.height
+      ctx.fillRect(i * width + 1, canvas.height - height, width - 2, height)
+    })
+    return
+  }
+
+  analyser.getFloatTimeDomainData(buffer)
+  ctx.strokeStyle = '#a855f7'
+  ctx.lineWidth = 1.5
+  ctx.beginPath()
+  for (let x = 0; x < canvas.width; x++) {
+    const sample = buffer[Math.floor((x / canvas.width) * buffer.length)]
+    const y = (1 - (sample + 1) / 2) * canvas.height
+    if (x === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  }
+  ctx.stroke()
+}
+
+/**
+ * The master bus: 3-band EQ, compressor and limiter with bypass, output
+ * meters with gain reduction, and a spectrum / oscilloscope of what the
+ * speakers get.
+ */
+export default function MasterControls() {
+  const { master: { compressor, limiter } } = useAudio()
+  const [meter, setMeter] = useState<MasterMeter | null>(null)
+  const [clipping, setClipping] = useState(false)
+  const clippedAt = useRef(-Infinity)
+  const [mode, setMode] = useState<ScopeMode>('spectrum')
+  const canvasRef = useRef<HTMLCanvasElement>(null)
+
+  // Meters read the live graph; poll them rather than put them in React state per sample block
+  useEffect(() => {
+    const id = setInterval(() => {
+      const reading = getMasterMeter()
+      setMeter(reading)
+      if (reading && reading.peak >= 1) clippedAt.current = Date.now()
+      setClipping(Date.now() - clippedAt.current < CLIP_HOLD_MS)
+    }, 100)
+    return () => clearInterval(id)
+  }, [])
+
+  useEffect(() => {
+    let frame = 0
+    let buffer: Float32Array<ArrayBuffer> | null = null
+    const draw = () => {
+      const analyser = getMasterAnalyser()
+      const canvas = canvasRef.current
+      if (analyser && canvas) {
+        if (!buffer || buffer.length !== analyser.fftSize) buffer = new Float32Array(analyser.fftSize)
+        drawAnalyser(canvas, analyser, mode, buffer)
+      }
+      frame = requestAnimationFrame(draw)
+    }
+    frame = requestAnimationFrame(draw)
+    return () => cancelAnimationFrame(frame)
+  }, [mode])
+
+  const peakDb = meter ? toDb(meter.peak) : -Infinity
+  const reduction = (db: number) => Math.min(1, Math.max(0, -db / REDUCTION_RANGE))
+
+  return (
+    <ControlPanel title="Master">
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>EQ</label>
+        <ParamControl path={['master', 'eq', 'low']} />
+        <ParamControl path={['master', 'eq', 'mid']} />
+        <ParamControl path={['master', 'eq', 'high']} style={{ marginBottom: 0 }} />
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Compressor</label>
+        <ParamControl path={['master', 'compressor', 'bypass']} />
+        {!compressor.bypass && (
+          <>
+            <ParamControl path={['master', 'compressor', 'threshold']} />
+            <ParamControl path={['master', 'compressor', 'ratio']} />
+            <ParamControl path={['master', 'compressor', 'knee']} />
+            <ParamControl path={['master', 'compressor', 'attack']} />
+            <ParamControl path={['master', 'compressor', 'release']} style={{ marginBottom: 0 }} />
+          </>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Limiter</label>
+        <ParamControl path={['master', 'limiter', 'bypass']} />
+        {!limiter.bypass && (
+          <>
+            <ParamControl path={['master', 'limiter', 'threshold']} />
+            <ParamControl path={['master', 'limiter', 'release']} style={{ marginBottom: 0 }} />
+          </>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '12px' }}>
+        <label style={sectionLabel}>
+          Output {meter ? `${peakDb <= METER_FLOOR ? '-∞' : peakDb.toFixed(1)} dB` : ''}
+          {clipping && <span style={{ color: '#ef4444', marginLeft: '8px' }}>CLIP</span>}
+        </label>
+        <Meter label="Peak" fill={meter ? meterFill(toDb(meter.peak)) : 0} color={clipping ? '#ef4444' : '#22c55e'} />
+        <Meter label="RMS" fill={meter ? meterFill(toDb(meter.rms)) : 0} color="#16a34a" />
+        <Meter label="Comp GR" fill={meter ? reduction(meter.compressorReduction) : 0} color="#f59e0b" fromRight />
+        <Meter label="Limit GR" fill={meter ? reduction(meter.limiterReduction) : 0} color="#ef4444" fromRight />
+      </div>
+
+      <canvas ref={canvasRef} width={SCOPE_WIDTH} height={SCOPE_HEIGHT}
+        style={{ width: '100%', height: `${SCOPE_HEIGHT}px`, borderRadius: '4px', marginBottom: '8px' }} />
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+        <Button onClick={() => setMode('spectrum')} isActive={mode === 'spectrum'}>Spectrum</Button>
+        <Button onClick={() => setMode('scope')} isActive={mode === 'scope'}>Scope</Button>
+      </div>
+    </ControlPanel>
+  )
+}
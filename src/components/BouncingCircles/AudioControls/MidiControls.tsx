@@ -0,0 +1,78 @@
+import { useEffect, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Select from '../../shared/Select'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import {
+  isMidiSupported, hasMidiAccess, requestMidiAccess, getMidiOutputs, onMidiPortsChange, type MidiPortInfo,
+} from '../../../utils/midi'
+import type { OutputMode } from '../../../types/audio'
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Output mode, MIDI device picker and per-type channels. */
+export default function MidiControls() {
+  const { midi, setParam, setMidiOutput } = useAudio()
+  const [outputs, setOutputs] = useState<MidiPortInfo[]>(getMidiOutputs)
+  const [connected, setConnected] = useState(hasMidiAccess)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => onMidiPortsChange(() => {
+    setOutputs(getMidiOutputs())
+    setConnected(hasMidiAccess())
+  }), [])
+
+  const connect = () => {
+    requestMidiAccess()
+      .then(() => setError(null))
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : 'MIDI access was denied'))
+  }
+
+  const handleMode = (mode: OutputMode) => {
+    setParam(['midi', 'mode'], mode)
+    if (mode !== 'audio' && !connected) connect()
+  }
+
+  if (!isMidiSupported()) {
+    return (
+      <ControlPanel title="MIDI Out">
+        <div style={noteStyle}>Web MIDI is not supported in this browser.</div>
+      </ControlPanel>
+    )
+  }
+
+  const selectedMissing = midi.outputId !== '' && !outputs.some(o => o.id === midi.outputId)
+
+  return (
+    <ControlPanel title="MIDI Out">
+      <ParamControl path={['midi', 'mode']} label={null} columns={3}
+        onChange={(mode) => handleMode(mode as OutputMode)} />
+
+      {connected ? (
+        <Select
+          label="MIDI output"
+          value={selectedMissing ? '' : midi.outputId}
+          onChange={setMidiOutput}
+          placeholder={outputs.length ? 'Choose a device…' : 'No MIDI outputs found'}
+          options={outputs}
+          style={{ marginBottom: '12px' }}
+        />
+      ) : (
+        <Button onClick={connect} style={{ width: '100%', marginBottom: '12px' }}>Connect MIDI</Button>
+      )}
+
+      <ParamControl path={['midi', 'wallChannel']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['midi', 'circleChannel']} style={{ marginBottom: 0 }} />
+
+      {selectedMissing && <div style={noteStyle}>Saved device is disconnected.</div>}
+      {error && <div role="alert" style={noteStyle}>{error}</div>}
+    </ControlPanel>
+  )
+}
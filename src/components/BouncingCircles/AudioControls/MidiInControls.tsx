@@ -0,0 +1,96 @@
+import { useEffect, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Select from '../../shared/Select'
+import ControlPanel from '../../shared/ControlPanel'
+import { useAudio } from '../../../context/AudioContext'
+import { isMidiSupported, hasMidiAccess, requestMidiAccess, getMidiInputs, onMidiPortsChange } from '../../../utils/midi'
+import { pathKey } from '../../../utils/midiInput'
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+const rowStyle: CSSProperties = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: '8px',
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '6px',
+}
+
+/** Notes from any MIDI input spawn balls; CCs can be learned onto parameters. */
+export default function MidiInControls() {
+  const { LEARN_TARGETS, ccMappings, learnTarget, startMidiLearn, removeCcMapping } = useAudio()
+  const [targetKey, setTargetKey] = useState(pathKey(LEARN_TARGETS[0].path))
+  const [inputCount, setInputCount] = useState(() => getMidiInputs().length)
+  const [connected, setConnected] = useState(hasMidiAccess)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => onMidiPortsChange(() => {
+    setInputCount(getMidiInputs().length)
+    setConnected(hasMidiAccess())
+  }), [])
+
+  if (!isMidiSupported()) return null
+
+  const connect = () => {
+    requestMidiAccess()
+      .then(() => setError(null))
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : 'MIDI access was denied'))
+  }
+
+  const labelFor = (path: string[]) =>
+    LEARN_TARGETS.find(t => pathKey(t.path) === pathKey(path))?.label ?? pathKey(path)
+
+  const toggleLearn = () => {
+    if (learnTarget) {
+      startMidiLearn(null)
+      return
+    }
+    const target = LEARN_TARGETS.find(t => pathKey(t.path) === targetKey)
+    if (target) startMidiLearn(target)
+  }
+
+  return (
+    <ControlPanel title="MIDI In">
+      {!connected && (
+        <Button onClick={connect} style={{ width: '100%', marginBottom: '8px' }}>Connect MIDI</Button>
+      )}
+
+      <Select
+        label="Learn target"
+        value={targetKey}
+        onChange={setTargetKey}
+        options={LEARN_TARGETS.map(t => ({ id: pathKey(t.path), name: t.label }))}
+        style={{ marginBottom: '8px' }}
+      />
+      <Button onClick={toggleLearn} isActive={learnTarget !== null} style={{ width: '100%' }}>
+        {learnTarget ? `Move a knob for ${learnTarget.label}… (cancel)` : 'Learn CC'}
+      </Button>
+
+      {ccMappings.map(m => (
+        <div key={pathKey(m.path)} style={rowStyle}>
+          <span>Ch {m.channel} CC {m.controller} → {labelFor(m.path)}</span>
+          <Button onClick={() => removeCcMapping(m.path)} aria-label={`Remove mapping for ${labelFor(m.path)}`}
+            style={{ padding: '2px 8px', fontSize: '12px' }}>
+            ✕
+          </Button>
+        </div>
+      ))}
+
+      <div style={noteStyle}>
+        {connected
+          ? `${inputCount} input${inputCount === 1 ? '' : 's'} · notes spawn balls (pitch → position, velocity → size)`
+          : 'Connect to play balls from a keyboard'}
+      </div>
+      {error && <div role="alert" style={noteStyle}>{error}</div>}
+    </ControlPanel>
+  )
+}
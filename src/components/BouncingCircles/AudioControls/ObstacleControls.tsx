@@ -0,0 +1,78 @@
+import type { CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Slider from '../../shared/Slider'
+import ControlPanel from '../../shared/ControlPanel'
+import { VoiceEditor } from './VoiceControls'
+import { useAudio } from '../../../context/AudioContext'
+import { PEG_RADIUS_RANGE } from '../../../utils/obstacles'
+import type { ObstacleTool } from '../../../types/physics'
+
+const TOOLS: Array<{ id: ObstacleTool; name: string }> = [
+  { id: 'line', name: 'Draw line' },
+  { id: 'peg',  name: 'Place peg' },
+  { id: 'edit', name: 'Edit' },
+]
+
+const TOOL_HINTS: Record<ObstacleTool, string> = {
+  line: 'Click to add points; double-click or Enter to finish, Escape to cancel.',
+  peg:  'Click the canvas to place a peg.',
+  edit: 'Click an obstacle to select it, drag to move, Delete to remove.',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+  opacity: 0.8,
+}
+
+/**
+ * Draw, move and delete static obstacles. The selected obstacle's voice sets
+ * what it plays when hit, layered over the wall sound.
+ */
+export default function ObstacleControls() {
+  const {
+    obstacles, obstacleTool, setObstacleTool, selectedObstacleId, updateObstacle, removeObstacle, clearObstacles,
+  } = useAudio()
+  const selected = obstacles.find(o => o.id === selectedObstacleId) ?? null
+
+  return (
+    <ControlPanel title="Obstacles">
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px', marginBottom: '8px' }}>
+        {TOOLS.map(tool => (
+          <Button key={tool.id} onClick={() => setObstacleTool(obstacleTool === tool.id ? null : tool.id)}
+            isActive={obstacleTool === tool.id}>
+            {tool.name}
+          </Button>
+        ))}
+      </div>
+      <div style={noteStyle}>
+        {obstacleTool ? TOOL_HINTS[obstacleTool] : `${obstacles.length} obstacle${obstacles.length === 1 ? '' : 's'}.`}
+      </div>
+
+      {selected && (
+        <div style={{ marginBottom: '12px' }}>
+          <Slider label="Bounce" value={selected.bounce}
+            onChange={(v) => updateObstacle({ ...selected, bounce: v })}
+            min={0} max={1.2} step={0.01} formatValue={(v) => `${(v * 100).toFixed(0)}%`}
+            style={{ marginBottom: '8px' }} />
+          {selected.kind === 'peg' && (
+            <Slider label="Peg Size" value={selected.radius}
+              onChange={(v) => updateObstacle({ ...selected, radius: v })}
+              min={PEG_RADIUS_RANGE.MIN} max={PEG_RADIUS_RANGE.MAX} step={1} formatValue={(v) => `${v}px`}
+              style={{ marginBottom: '8px' }} />
+          )}
+          <VoiceEditor voice={selected.voice} onChange={(voice) => updateObstacle({ ...selected, voice })} />
+          <Button onClick={() => removeObstacle(selected.id)} style={{ width: '100%', marginTop: '12px' }}>
+            Delete obstacle
+          </Button>
+        </div>
+      )}
+
+      {obstacles.length > 0 && (
+        <Button onClick={clearObstacles} style={{ width: '100%' }}>Clear all</Button>
+      )}
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,81 @@
+import type { CSSProperties } from 'react'
+import Slider from '../../shared/Slider'
+import Checkbox from '../../shared/Checkbox'
+import Button from '../../shared/Button'
+import { useAudio } from '../../../context/AudioContext'
+import { formatParam, fromSliderPosition, getParam, sliderRange, toSliderPosition } from '../../../utils/params'
+
+interface ParamControlProps {
+  path: string[]
+  /** Overrides the registry label; null hides a choice's label */
+  label?: string | null
+  /** Show a choice's label as a section heading */
+  heading?: boolean
+  /** Buttons per row for a choice */
+  columns?: number
+  style?: CSSProperties
+  /** Replaces the plain param set, for settings that need a side step first */
+  onChange?: (value: number | boolean | string) => void
+}
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const smallLabel: CSSProperties = {
+  color: 'white',
+  display: 'block',
+  marginBottom: '6px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '13px',
+}
+
+/**
+ * The control for one registry parameter: a slider for a number (in log2
+ * space on a log curve), a checkbox for a switch, a row of buttons for a
+ * choice. Range, step and formatting all come from the registry.
+ */
+export default function ParamControl({ path, label, heading = false, columns = 2, style = {}, onChange }: ParamControlProps) {
+  const { paramValue, setParam } = useAudio()
+  const param = getParam(path)
+  const value = paramValue(path)
+  const text = label === undefined ? param.label : label
+  const change = onChange ?? ((v: number | boolean | string) => setParam(path, v))
+
+  if (param.kind === 'boolean') {
+    return (
+      <div style={{ marginBottom: '8px', ...style }}>
+        <Checkbox label={text ?? param.label} checked={value as boolean} onChange={change} />
+      </div>
+    )
+  }
+
+  if (param.kind === 'choice') {
+    return (
+      <div style={{ marginBottom: '8px', ...style }}>
+        {text !== null && <label style={heading ? sectionLabel : smallLabel}>{text}</label>}
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${columns}, 1fr)`, gap: '6px' }}>
+          {param.options.map(opt => (
+            <Button key={opt.id} onClick={() => change(opt.id)} isActive={value === opt.id}>
+              {opt.name}
+            </Button>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  const range = sliderRange(param)
+  return (
+    <Slider label={text ?? param.label} value={toSliderPosition(param, value as number)}
+      onChange={(position) => change(fromSliderPosition(param, position))}
+      min={range.min} max={range.max} step={range.step}
+      formatValue={(position) => formatParam(param, fromSliderPosition(param, position))}
+      style={{ marginBottom: '8px', ...style }} />
+  )
+}
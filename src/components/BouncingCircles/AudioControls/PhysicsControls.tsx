@@ -0,0 +1,99 @@
+import { useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Slider from '../../shared/Slider'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { requestTiltPermission } from '../../../utils/fields'
+import type { WallSide } from '../../../types/physics'
+
+const WALLS: WallSide[] = ['top', 'bottom', 'left', 'right']
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+  opacity: 0.8,
+}
+
+const formatAccel = (v: number) => v.toFixed(2)
+
+/**
+ * World forces: gravity (or device tilt), drag, per-wall bounce and
+ * attractor/repeller points placed by clicking the canvas.
+ */
+export default function PhysicsControls() {
+  const {
+    physics, setParam, updateField, removeField, clearFields, placingField, setPlacingField,
+  } = useAudio()
+  const [tiltError, setTiltError] = useState<string | null>(null)
+
+  const handleTilt = async (enabled: boolean) => {
+    if (enabled && !(await requestTiltPermission())) {
+      setTiltError('Motion sensors are unavailable or access was denied')
+      return
+    }
+    setTiltError(null)
+    setParam(['physics', 'tilt', 'enabled'], enabled)
+  }
+
+  return (
+    <ControlPanel title="Physics">
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Gravity</label>
+        <ParamControl path={['physics', 'gravity', 'x']} />
+        <ParamControl path={['physics', 'gravity', 'y']} />
+        <ParamControl path={['physics', 'tilt', 'enabled']} onChange={(v) => handleTilt(v as boolean)} />
+        {tiltError && <div style={noteStyle}>{tiltError}</div>}
+        {physics.tilt.enabled && <ParamControl path={['physics', 'tilt', 'strength']} />}
+        <ParamControl path={['physics', 'drag']} />
+        <ParamControl path={['physics', 'substeps']} style={{ marginBottom: 0 }} />
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Walls</label>
+        {WALLS.map(side => <ParamControl key={side} path={['physics', 'restitution', side]} />)}
+      </div>
+
+      <div>
+        <label style={sectionLabel}>Attractors</label>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+          <Button onClick={() => setPlacingField(placingField === 1 ? null : 1)} isActive={placingField === 1}>
+            {placingField === 1 ? 'Click canvas…' : 'Add attractor'}
+          </Button>
+          <Button onClick={() => setPlacingField(placingField === -1 ? null : -1)} isActive={placingField === -1}>
+            {placingField === -1 ? 'Click canvas…' : 'Add repeller'}
+          </Button>
+        </div>
+        {physics.fields.length === 0 && <div style={noteStyle}>None placed.</div>}
+        {physics.fields.map((field, i) => (
+          <div key={field.id} style={{ marginBottom: '12px' }}>
+            <Slider label={`${field.strength >= 0 ? 'Attractor' : 'Repeller'} ${i + 1}`} value={field.strength}
+              onChange={(v) => updateField(field.id, { strength: v })}
+              min={-1} max={1} step={0.05} formatValue={formatAccel}
+              style={{ marginBottom: '6px' }} />
+            <Slider label="Falloff" value={field.falloff}
+              onChange={(v) => updateField(field.id, { falloff: v })}
+              min={0} max={2} step={0.1}
+              formatValue={(v) => (v === 0 ? 'None' : v === 2 ? 'Inverse square' : v.toFixed(1))}
+              style={{ marginBottom: '6px' }} />
+            <Button onClick={() => removeField(field.id)} style={{ width: '100%' }}>Remove</Button>
+          </div>
+        ))}
+        {physics.fields.length > 0 && (
+          <Button onClick={clearFields} style={{ width: '100%' }}>Clear all</Button>
+        )}
+      </div>
+    </ControlPanel>
+  )
+}
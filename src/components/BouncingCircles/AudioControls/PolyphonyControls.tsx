@@ -0,0 +1,38 @@
+import { useEffect, useState, type CSSProperties } from 'react'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { getVoiceStats } from '../../../utils/sound'
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Voice budgets for wall and ball notes, and which note gives way when one is full. */
+export default function PolyphonyControls() {
+  const [counts, setCounts] = useState(getVoiceStats)
+
+  // The counters live in the audio engine; poll them for display
+  useEffect(() => {
+    const id = setInterval(() => setCounts(getVoiceStats()), 500)
+    return () => clearInterval(id)
+  }, [])
+
+  return (
+    <ControlPanel title="Polyphony">
+      <ParamControl path={['polyphony', 'maxVoices']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['polyphony', 'wallVoices']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['polyphony', 'ballVoices']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['polyphony', 'steal']} label={null} style={{ marginBottom: 0 }} />
+
+      {counts && (
+        <div style={noteStyle}>
+          {counts.active} sounding · {counts.stolen} stolen · {counts.dropped} dropped
+        </div>
+      )}
+    </ControlPanel>
+  )
+}
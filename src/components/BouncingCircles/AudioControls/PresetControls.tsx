@@ -0,0 +1,110 @@
+import { useRef, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import Select from '../../shared/Select'
+import { useAudio } from '../../../context/AudioContext'
+
+const fieldStyle: CSSProperties = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  marginBottom: '8px',
+  borderRadius: '4px',
+  border: '1px solid #6b21a8',
+  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Preset picker plus save/delete/import/export for the user preset library. */
+export default function PresetControls() {
+  const {
+    presets,
+    activePresetId,
+    loadPreset,
+    savePreset,
+    deletePreset,
+    exportPresets,
+    importPresets,
+  } = useAudio()
+  const [name, setName] = useState('')
+  const [status, setStatus] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  const user   = presets.filter(p => !p.factory)
+  const active = presets.find(p => p.id === activePresetId)
+
+  const handleSave = () => {
+    if (!name.trim()) return
+    savePreset(name)
+    setStatus(`Saved "${name.trim()}"`)
+    setName('')
+  }
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return
+    try {
+      const count = await importPresets(file)
+      setStatus(`Imported ${count} preset${count === 1 ? '' : 's'}`)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Import failed')
+    }
+  }
+
+  return (
+    <ControlPanel title="Presets">
+      <Select
+        label="Preset"
+        value={activePresetId ?? ''}
+        onChange={v => { if (v) loadPreset(v) }}
+        placeholder="Choose a preset…"
+        options={presets.map(p => ({ id: p.id, name: p.name, group: p.factory ? 'Factory' : 'My presets' }))}
+        style={{ marginBottom: '8px' }}
+      />
+
+      <input
+        type="text"
+        aria-label="Preset name"
+        placeholder="Preset name"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Enter') handleSave() }}
+        style={fieldStyle}
+      />
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+        <Button onClick={handleSave} disabled={!name.trim()}>Save</Button>
+        <Button
+          onClick={() => active && deletePreset(active.id)}
+          disabled={!active || active.factory}
+        >
+          Delete
+        </Button>
+        <Button onClick={exportPresets} disabled={user.length === 0}>Export</Button>
+        <Button onClick={() => fileInputRef.current?.click()}>Import</Button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: 'none' }}
+        onChange={e => {
+          handleImport(e.target.files?.[0])
+          e.target.value = ''
+        }}
+      />
+
+      {status && <div role="status" style={statusStyle}>{status}</div>}
+    </ControlPanel>
+  )
+}
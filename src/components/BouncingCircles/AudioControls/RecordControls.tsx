@@ -0,0 +1,73 @@
+import { useEffect, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import { startMasterRecording } from '../../../utils/sound'
+import {
+  stopLiveRecording, isLiveRecording, getLiveRecordingElapsed, recordingExtension, MAX_LIVE_RECORDING_SECONDS,
+} from '../../../utils/liveRecorder'
+import { downloadBlob, fileTimestamp } from '../../../utils/download'
+import { formatClock } from '../../../utils/format'
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Record the master output in real time and download it as WebM/Ogg. */
+export default function RecordControls() {
+  const [recording, setRecording] = useState(isLiveRecording)
+  const [elapsed, setElapsed] = useState(0)
+  const [status, setStatus] = useState<string | null>(null)
+
+  // Poll the recorder clock; also notices when the length limit stopped it
+  useEffect(() => {
+    if (!recording) return
+    const id = setInterval(() => {
+      setElapsed(getLiveRecordingElapsed())
+      if (!isLiveRecording()) setRecording(false)
+    }, 250)
+    return () => clearInterval(id)
+  }, [recording])
+
+  const handleComplete = (blob: Blob, mimeType: string) => {
+    setRecording(false)
+    if (blob.size === 0) {
+      setStatus('Nothing was recorded')
+      return
+    }
+    downloadBlob(blob, `oscillaphone-${fileTimestamp()}.${recordingExtension(mimeType)}`)
+    setStatus(`Saved ${recordingExtension(mimeType).toUpperCase()} recording`)
+  }
+
+  const toggleRecording = () => {
+    if (recording) {
+      stopLiveRecording()
+      return
+    }
+    try {
+      startMasterRecording(handleComplete)
+      setElapsed(0)
+      setStatus(null)
+      setRecording(true)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Could not start recording')
+    }
+  }
+
+  return (
+    <ControlPanel title="Record">
+      <Button onClick={toggleRecording} isActive={recording} style={{ width: '100%' }}>
+        {recording ? 'Stop & save' : 'Record audio'}
+      </Button>
+
+      <div role="status" style={statusStyle}>
+        {recording
+          ? `● ${formatClock(elapsed)} / ${formatClock(MAX_LIVE_RECORDING_SECONDS)}`
+          : status ?? 'Captures exactly what you hear'}
+      </div>
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,113 @@
+import { useRef, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import { useAudio } from '../../../context/AudioContext'
+
+const slotStyle: CSSProperties = {
+  display: 'grid',
+  gridTemplateColumns: '1fr auto auto auto',
+  alignItems: 'center',
+  gap: '6px',
+  marginBottom: '6px',
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+}
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+const smallButton: CSSProperties = { padding: '4px 8px', fontSize: '12px' }
+
+const formatSavedAt = (savedAt: number): string =>
+  new Date(savedAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' })
+
+/** Whole-scene snapshots: storage slots, scene files and share links. */
+export default function SceneControls() {
+  const {
+    sceneSlots,
+    saveSceneSlot,
+    loadSceneSlot,
+    clearSceneSlot,
+    exportScene,
+    importScene,
+    shareSceneLink,
+    sceneLinkError,
+  } = useAudio()
+  const [status, setStatus] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  const handleLoad = (index: number) => {
+    try {
+      loadSceneSlot(index)
+      setStatus(`Loaded slot ${index + 1}`)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Load failed')
+    }
+  }
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return
+    try {
+      await importScene(file)
+      setStatus(`Loaded "${file.name}"`)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Load failed')
+    }
+  }
+
+  const handleShare = async () => {
+    try {
+      const link = await shareSceneLink()
+      await navigator.clipboard.writeText(link)
+      setStatus('Link copied to the clipboard')
+    } catch {
+      setStatus('Could not copy the link')
+    }
+  }
+
+  return (
+    <ControlPanel title="Scenes">
+      {sceneSlots.map((slot, i) => (
+        <div key={i} style={slotStyle}>
+          <span>
+            {i + 1}. {slot
+              ? `${slot.ballCount} ball${slot.ballCount === 1 ? '' : 's'} · ${formatSavedAt(slot.savedAt)}`
+              : 'Empty'}
+          </span>
+          <Button onClick={() => { saveSceneSlot(i); setStatus(`Saved slot ${i + 1}`) }} style={smallButton}>
+            Save
+          </Button>
+          <Button onClick={() => handleLoad(i)} disabled={!slot} style={smallButton}>Load</Button>
+          <Button onClick={() => clearSceneSlot(i)} disabled={!slot} style={smallButton} aria-label={`Clear slot ${i + 1}`}>
+            ×
+          </Button>
+        </div>
+      ))}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '8px' }}>
+        <Button onClick={exportScene}>Download</Button>
+        <Button onClick={() => fileInputRef.current?.click()}>Open file</Button>
+      </div>
+      <Button onClick={handleShare} style={{ width: '100%', marginTop: '8px' }}>Copy share link</Button>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: 'none' }}
+        onChange={e => {
+          handleImport(e.target.files?.[0])
+          e.target.value = ''
+        }}
+      />
+
+      {(status ?? sceneLinkError) && <div role="status" style={statusStyle}>{status ?? sceneLinkError}</div>}
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,55 @@
+import type { CSSProperties } from 'react'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Reverb and delay per note, or on one shared bus each that notes send to. */
+export default function SendControls() {
+  const { sends } = useAudio()
+  const shared = sends.routing === 'sends'
+
+  return (
+    <ControlPanel title="Effect Routing">
+      <ParamControl path={['sends', 'routing']} label={null} style={{ marginBottom: 0 }} />
+
+      {shared ? (
+        <>
+          <div style={{ marginTop: '16px', marginBottom: '16px' }}>
+            <label style={sectionLabel}>Reverb Bus</label>
+            <ParamControl path={['sends', 'reverb', 'roomSize']} />
+            <ParamControl path={['sends', 'reverb', 'damping']} />
+            <ParamControl path={['sends', 'reverb', 'level']} style={{ marginBottom: 0 }} />
+          </div>
+          <div>
+            <label style={sectionLabel}>Delay Bus</label>
+            <ParamControl path={['sends', 'delay', 'time']} />
+            <ParamControl path={['sends', 'delay', 'feedback']} />
+            <ParamControl path={['sends', 'delay', 'level']} style={{ marginBottom: 0 }} />
+          </div>
+          <div style={noteStyle}>
+            The wall and ball reverb and delay Send set how much each note feeds these buses.
+          </div>
+        </>
+      ) : (
+        <div style={noteStyle}>Every note runs its own reverb and delay.</div>
+      )}
+    </ControlPanel>
+  )
+}
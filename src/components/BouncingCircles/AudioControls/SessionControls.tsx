@@ -0,0 +1,130 @@
+import { useRef, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import { useAudio } from '../../../context/AudioContext'
+
+const labelStyle: CSSProperties = {
+  display: 'grid',
+  gridTemplateColumns: 'auto 1fr auto',
+  alignItems: 'center',
+  gap: '6px',
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+}
+
+const inputStyle: CSSProperties = {
+  minWidth: 0,
+  padding: '4px 6px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+}
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+const smallButton: CSSProperties = { padding: '4px 8px', fontSize: '12px' }
+
+const formatDuration = (ticks: number[]): string => {
+  const seconds = Math.round(ticks.reduce((sum, t) => sum + t, 0))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+/** Seeded sessions: record what's played and replay it exactly. */
+export default function SessionControls() {
+  const {
+    seed,
+    setSeed,
+    newSeed,
+    sessionRun,
+    lastSession,
+    startSessionRecording,
+    stopSessionRecording,
+    replaySession,
+    endReplay,
+    exportSession,
+    importSession,
+  } = useAudio()
+  const [status, setStatus] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+  const recording = sessionRun?.mode === 'recording'
+  const replaying = sessionRun?.mode === 'replaying'
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return
+    try {
+      await importSession(file)
+      setStatus(`Opened "${file.name}"`)
+    } catch (error) {
+      setStatus(error instanceof Error ? error.message : 'Open failed')
+    }
+  }
+
+  return (
+    <ControlPanel title="Session">
+      <label style={labelStyle}>
+        Seed
+        <input
+          type="number"
+          min={0}
+          max={4294967295}
+          value={seed}
+          disabled={sessionRun !== null}
+          onChange={e => setSeed(Number(e.target.value) || 0)}
+          style={inputStyle}
+        />
+        <Button onClick={newSeed} disabled={sessionRun !== null} style={smallButton}>New seed</Button>
+      </label>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+        <Button
+          onClick={() => {
+            if (recording) {
+              stopSessionRecording()
+              setStatus(null)
+            } else {
+              startSessionRecording()
+              setStatus('Recording from the current scene')
+            }
+          }}
+          disabled={replaying}
+        >
+          {recording ? 'Stop' : 'Record'}
+        </Button>
+        <Button
+          onClick={() => { if (replaying) endReplay(); else replaySession(); setStatus(null) }}
+          disabled={recording || (!replaying && !lastSession)}
+        >
+          {replaying ? 'Stop replay' : 'Replay'}
+        </Button>
+        <Button onClick={exportSession} disabled={!lastSession || sessionRun !== null}>Download</Button>
+        <Button onClick={() => fileInputRef.current?.click()} disabled={sessionRun !== null}>Open file</Button>
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        style={{ display: 'none' }}
+        onChange={e => {
+          handleImport(e.target.files?.[0])
+          e.target.value = ''
+        }}
+      />
+
+      <div role="status" style={statusStyle}>
+        {replaying
+          ? `Replaying ${formatDuration(sessionRun.log.ticks)} with seed ${sessionRun.log.seed}`
+          : status ?? (lastSession
+            ? `Last session: ${formatDuration(lastSession.ticks)}, ${lastSession.inputs.length} input${lastSession.inputs.length === 1 ? '' : 's'}`
+            : 'No session recorded')}
+      </div>
+    </ControlPanel>
+  )
+}
@@ -0,0 +1,122 @@
+import { useRef, useState, type CSSProperties } from 'react'
+import Slider from '../../shared/Slider'
+import Button from '../../shared/Button'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { MAX_PARTIALS } from '../../../utils/sources'
+import { loadSample } from '../../../utils/sound'
+import { hasSample } from '../../../utils/samples'
+
+const smallLabel: CSSProperties = {
+  color: 'white',
+  display: 'block',
+  marginBottom: '6px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '13px',
+}
+
+const statusStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+  opacity: 0.8,
+  wordBreak: 'break-word',
+}
+
+/**
+ * Parameters for the selected source type (the type picker lives in
+ * EffectControls). The harmonic list and the sample file aren't scalars, so
+ * they have their own controls rather than registry ones.
+ */
+export default function SourceControls({ settingsKey }: { settingsKey: 'wallSettings' | 'circleSettings' }) {
+  const audio = useAudio()
+  const { setParam, setSample } = audio
+  const source = audio[settingsKey].source
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const p = (...path: string[]) => [settingsKey, 'source', ...path]
+  const partials = source.partials
+  const setPartials = (v: number[]) => setParam(p('partials'), v)
+
+  const handleLoad = async (file: File | undefined) => {
+    if (!file) return
+    try {
+      setSample(settingsKey, await loadSample(file))
+      setError(null)
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Could not load sample')
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      {source.type === 'partials' && (
+        <div style={{ marginBottom: '8px' }}>
+          {partials.map((amp, i) => (
+            <Slider key={i} label={`Harmonic ${i + 1}`} value={amp}
+              onChange={(v) => setPartials(partials.map((a, j) => (j === i ? v : a)))}
+              min={0} max={1} step={0.01}
+              formatValue={(v) => `${(v * 100).toFixed(0)}%`}
+              style={{ marginBottom: '6px' }} />
+          ))}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+            <Button onClick={() => setPartials([...partials, 0])} disabled={partials.length >= MAX_PARTIALS}>
+              Add
+            </Button>
+            <Button onClick={() => setPartials(partials.slice(0, -1))} disabled={partials.length <= 1}>
+              Remove
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {source.type === 'fm' && (
+        <>
+          <ParamControl path={p('fm', 'ratio')} />
+          <ParamControl path={p('fm', 'index')} />
+        </>
+      )}
+
+      {source.type === 'noise' && (
+        <>
+          <ParamControl path={p('noise', 'color')} label={null} columns={3} />
+          <ParamControl path={p('noise', 'q')} />
+        </>
+      )}
+
+      {source.type === 'sample' && (
+        <div style={{ marginBottom: '8px' }}>
+          <label style={smallLabel}>Sample</label>
+          <div style={statusStyle}>
+            {/* The settings can name a sample that isn't in the library, e.g. after a reload */}
+            {error ?? (source.sample.name
+              ? `${source.sample.name}${hasSample(source.sample.id) ? '' : ' (not loaded — load it again)'}`
+              : 'No file loaded; playing the oscillator')}
+          </div>
+          <Button onClick={() => fileInputRef.current?.click()} style={{ width: '100%', marginBottom: '8px' }}>
+            Load sample…
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="audio/*"
+            style={{ display: 'none' }}
+            onChange={e => {
+              handleLoad(e.target.files?.[0])
+              e.target.value = ''
+            }}
+          />
+          <ParamControl path={p('sample', 'rootNote')} />
+        </div>
+      )}
+
+      {source.type !== 'noise' && (
+        <>
+          <ParamControl path={p('unison', 'voices')} />
+          {source.unison.voices > 1 && <ParamControl path={p('unison', 'spread')} />}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,51 @@
+import type { CSSProperties } from 'react'
+import Select from '../../shared/Select'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { TIME_SIGNATURES } from '../../../utils/transport'
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** Tempo, time signature and grid for quantized notes, plus the metronome. */
+export default function TransportControls() {
+  const { transport, setTimeSignature } = useAudio()
+  const signature = `${transport.beatsPerBar}/${transport.beatUnit}`
+
+  return (
+    <ControlPanel title="Transport">
+      <ParamControl path={['transport', 'quantize']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['transport', 'bpm']} style={{ marginBottom: '12px' }} />
+
+      <Select
+        label="Time signature"
+        value={signature}
+        onChange={(id) => {
+          const choice = TIME_SIGNATURES.find(s => s.id === id)
+          if (choice) setTimeSignature(choice.beatsPerBar, choice.beatUnit)
+        }}
+        options={TIME_SIGNATURES.map(s => ({ id: s.id, name: s.id }))}
+        style={{ marginBottom: '12px' }}
+      />
+      <ParamControl path={['transport', 'division']} columns={3} style={{ marginBottom: '12px' }} />
+
+      <ParamControl path={['transport', 'swing']} style={{ marginBottom: '12px' }} />
+      <ParamControl path={['transport', 'maxNotesPerStep']} style={{ marginBottom: '12px' }} />
+
+      <ParamControl path={['transport', 'metronome']} />
+      {transport.metronome && <ParamControl path={['transport', 'metronomeVolume']} style={{ marginBottom: 0 }} />}
+
+      {transport.quantize && (
+        <div style={noteStyle}>
+          Collision notes wait for the next {transport.division} step; a full step drops the extra notes.
+        </div>
+      )}
+    </ControlPanel>
+  )
+}
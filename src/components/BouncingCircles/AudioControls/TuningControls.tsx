@@ -0,0 +1,65 @@
+import { useRef, useState, type CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { parseScala } from '../../../utils/scales'
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '8px',
+  opacity: 0.8,
+}
+
+/** A4 reference, tuning system, and Scala `.scl` loading. */
+export default function TuningControls() {
+  const { tuning, setParam, setScalaTuning } = useAudio()
+  const [error, setError] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement | null>(null)
+
+  const handleScalaFile = async (file: File | undefined) => {
+    if (!file) return
+    try {
+      setScalaTuning(parseScala(await file.text()))
+      setParam(['tuning', 'system'], 'scala')
+      setError(null)
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Could not read Scala file')
+    }
+  }
+
+  return (
+    <ControlPanel title="Tuning">
+      <ParamControl path={['tuning', 'a4']} style={{ marginBottom: '12px' }} />
+
+      <ParamControl path={['tuning', 'system']} label={null} columns={3} style={{ marginBottom: 0 }}
+        onChange={(system) => system === 'scala' && !tuning.scala
+          ? fileInputRef.current?.click()
+          : setParam(['tuning', 'system'], system)} />
+
+      <Button onClick={() => fileInputRef.current?.click()} style={{ width: '100%', marginTop: '8px' }}>
+        Load .scl file
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".scl,text/plain"
+        style={{ display: 'none' }}
+        onChange={e => {
+          handleScalaFile(e.target.files?.[0])
+          e.target.value = ''
+        }}
+      />
+
+      {error && <div role="status" style={noteStyle}>{error}</div>}
+      {!error && tuning.scala && (
+        <div style={noteStyle}>
+          {tuning.scala.description || 'Scala tuning'} · {tuning.scala.ratios.length} notes
+          {tuning.scala.ratios.length !== 12 && ' (replaces the mode)'}
+        </div>
+      )}
+    </ControlPanel>
+  )
+}
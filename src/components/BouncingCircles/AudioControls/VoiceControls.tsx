@@ -0,0 +1,148 @@
+import type { CSSProperties } from 'react'
+import Button from '../../shared/Button'
+import Slider from '../../shared/Slider'
+import ControlPanel from '../../shared/ControlPanel'
+import ParamControl from './ParamControl'
+import { useAudio } from '../../../context/AudioContext'
+import { EFFECT_NAMES, VOICE_NOTE_RANGE, midiNoteName } from '../../../utils/voices'
+import type { BallVoice, EffectOverride, VoicePitchMode } from '../../../types/audio'
+
+const PITCH_MODES: Array<{ id: VoicePitchMode; name: string }> = [
+  { id: 'inherit', name: 'Inherit' },
+  { id: 'fixed',   name: 'Fixed' },
+  { id: 'range',   name: 'Range' },
+]
+
+const OVERRIDES: Array<{ id: EffectOverride; name: string }> = [
+  { id: 'inherit', name: '–' },
+  { id: 'on',      name: 'On' },
+  { id: 'off',     name: 'Off' },
+]
+
+const EFFECT_LABELS = { tremolo: 'Tremolo', distortion: 'Distortion', reverb: 'Reverb', delay: 'Delay' }
+
+const sectionLabel: CSSProperties = {
+  color: 'white',
+  fontWeight: 'bold',
+  display: 'block',
+  marginBottom: '8px',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+}
+
+const noteStyle: CSSProperties = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginBottom: '8px',
+  opacity: 0.8,
+}
+
+const smallButton: CSSProperties = { padding: '4px 6px', fontSize: '12px' }
+
+interface VoiceEditorProps {
+  voice: BallVoice
+  onChange: (voice: BallVoice) => void
+}
+
+/** Waveform, pitch and effect overrides for one voice. */
+export function VoiceEditor({ voice, onChange }: VoiceEditorProps) {
+  const { WAVEFORMS } = useAudio()
+  const setPitch = (pitch: Partial<BallVoice['pitch']>) => onChange({ ...voice, pitch: { ...voice.pitch, ...pitch } })
+
+  return (
+    <>
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Waveform</label>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+          {[{ id: 'inherit', name: 'Inherit' }, ...WAVEFORMS].map(wave => (
+            <Button key={wave.id}
+              onClick={() => onChange({ ...voice, waveform: wave.id as BallVoice['waveform'] })}
+              isActive={voice.waveform === wave.id}>
+              {wave.name}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={sectionLabel}>Pitch</label>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px', marginBottom: '8px' }}>
+          {PITCH_MODES.map(mode => (
+            <Button key={mode.id} onClick={() => setPitch({ mode: mode.id })} isActive={voice.pitch.mode === mode.id}>
+              {mode.name}
+            </Button>
+          ))}
+        </div>
+        {voice.pitch.mode !== 'inherit' && (
+          <Slider label={voice.pitch.mode === 'fixed' ? 'Note' : 'Lowest'} value={voice.pitch.low}
+            onChange={(v) => setPitch({ low: v, high: Math.max(v, voice.pitch.high) })}
+            min={VOICE_NOTE_RANGE.MIN} max={VOICE_NOTE_RANGE.MAX} step={1} formatValue={midiNoteName}
+            style={{ marginBottom: '8px' }} />
+        )}
+        {voice.pitch.mode === 'range' && (
+          <Slider label="Highest" value={voice.pitch.high}
+            onChange={(v) => setPitch({ high: v, low: Math.min(v, voice.pitch.low) })}
+            min={VOICE_NOTE_RANGE.MIN} max={VOICE_NOTE_RANGE.MAX} step={1} formatValue={midiNoteName}
+            style={{ marginBottom: '8px' }} />
+        )}
+        <Slider label="Transpose" value={voice.transpose ?? 0}
+          onChange={(v) => onChange({ ...voice, transpose: v })}
+          min={-24} max={24} step={1} formatValue={(v) => `${v > 0 ? '+' : ''}${v} st`} />
+      </div>
+
+      <div>
+        <label style={sectionLabel}>Effects</label>
+        {EFFECT_NAMES.map(name => (
+          <div key={name}
+            style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr', gap: '4px', alignItems: 'center', marginBottom: '4px' }}>
+            <span style={{ ...noteStyle, marginBottom: 0, opacity: 1 }}>{EFFECT_LABELS[name]}</span>
+            {OVERRIDES.map(opt => (
+              <Button key={opt.id} style={smallButton}
+                aria-label={`${EFFECT_LABELS[name]} ${opt.id}`}
+                onClick={() => onChange({ ...voice, effects: { ...voice.effects, [name]: opt.id } })}
+                isActive={voice.effects[name] === opt.id}>
+                {opt.name}
+              </Button>
+            ))}
+          </div>
+        ))}
+      </div>
+    </>
+  )
+}
+
+/**
+ * Per-ball voices: edit the spawn brush, or pick an existing ball (Shift-click
+ * or "Pick a ball") and edit its own voice.
+ */
+export default function VoiceControls() {
+  const {
+    voiceBrush, setVoiceBrushVoice,
+    selectedBall, selectBall, setSelectedBallVoice, pickingBall, setPickingBall,
+  } = useAudio()
+
+  return (
+    <ControlPanel title={selectedBall ? 'Voice — Selected Ball' : 'Voice Brush'}>
+      {selectedBall ? (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '12px' }}>
+            <Button onClick={() => setVoiceBrushVoice(selectedBall.voice)}>Copy to brush</Button>
+            <Button onClick={() => selectBall(null)}>Done</Button>
+          </div>
+          <VoiceEditor voice={selectedBall.voice} onChange={setSelectedBallVoice} />
+        </>
+      ) : (
+        <>
+          <ParamControl path={['voiceBrush', 'enabled']} />
+          <Button onClick={() => setPickingBall(!pickingBall)} isActive={pickingBall}
+            style={{ width: '100%', marginBottom: '8px' }}>
+            {pickingBall ? 'Click a ball…' : 'Pick a ball'}
+          </Button>
+          <div style={noteStyle}>Or Shift-click a ball to edit its voice.</div>
+          <VoiceEditor voice={voiceBrush.voice} onChange={setVoiceBrushVoice} />
+        </>
+      )}
+    </ControlPanel>
+  )
+}
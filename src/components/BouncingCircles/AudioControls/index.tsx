@@ -1,25 +1,59 @@
 import WallControls from './WallControls'
 import CircleControls from './CircleControls'
 import GlobalControls from './GlobalControls'
+import MasterControls from './MasterControls'
+import SendControls from './SendControls'
+import PresetControls from './PresetControls'
+import ExploreControls from './ExploreControls'
+import SceneControls from './SceneControls'
+import SessionControls from './SessionControls'
+import TuningControls from './TuningControls'
+import TransportControls from './TransportControls'
+import PolyphonyControls from './PolyphonyControls'
+import VoiceControls from './VoiceControls'
+import PhysicsControls from './PhysicsControls'
+import ObstacleControls from './ObstacleControls'
+import LifecycleControls from './LifecycleControls'
+import DisplayControls from './DisplayControls'
+import ExportControls from './ExportControls'
+import RecordControls from './RecordControls'
+import MidiControls from './MidiControls'
+import MidiInControls from './MidiInControls'
 import { useAudio } from '../../../context/AudioContext'
 import Button from '../../shared/Button'
 
 interface AudioControlsProps {
   visible: boolean
-  speed: number
-  setSpeed: (speed: number) => void
 }
 
-export default function AudioControls({ visible, speed, setSpeed }: AudioControlsProps) {
+export default function AudioControls({ visible }: AudioControlsProps) {
   const { resetAllControls } = useAudio()
 
   if (!visible) return null
 
   return (
     <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
-      <GlobalControls speed={speed} setSpeed={setSpeed} />
+      <GlobalControls />
+      <MasterControls />
+      <SendControls />
+      <PresetControls />
+      <ExploreControls />
+      <SceneControls />
+      <SessionControls />
+      <TuningControls />
+      <TransportControls />
+      <PolyphonyControls />
       <CircleControls />
       <WallControls />
+      <VoiceControls />
+      <PhysicsControls />
+      <ObstacleControls />
+      <LifecycleControls />
+      <DisplayControls />
+      <MidiControls />
+      <MidiInControls />
+      <RecordControls />
+      <ExportControls />
 
       <div style={{
         padding: '0px',
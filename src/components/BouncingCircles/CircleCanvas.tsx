@@ -1,4 +1,5 @@
 import { useRef, useEffect, useMemo, useCallback, useState, memo } from 'react'
+import { flushSync } from 'react-dom'
 import gsap from 'gsap'
 import { useAnimationState } from '../../hooks/useAnimationState'
 import { useCollisions } from '../../hooks/useCollisions'
@@ -10,79 +11,74 @@ import {
   resumeAudioContext
 } from '../../utils/sound'
 import { useAudio } from '../../context/AudioContext'
-import type { CircleState } from '../../types/physics'
-import type { SoundSettings } from '../../types/audio'
-
-// ── Squish animation constants ──────────────────────────────────────────────
-
-const SQUISH_LIMITS = {
-  MIN_VELOCITY: 5,
-  MAX_VELOCITY: 30,
-  MIN_COMPRESS: 0.90,
-  MAX_COMPRESS: 0.67,
-  MIN_STRETCH: 1.06,
-  MAX_STRETCH: 1.22,
-} as const
-
-const mapVelocityToSquish = (velocity: number, minVal: number, maxVal: number): number => {
-  const absVelocity = Math.abs(velocity)
-  const clampedVelocity = Math.min(Math.max(absVelocity, SQUISH_LIMITS.MIN_VELOCITY), SQUISH_LIMITS.MAX_VELOCITY)
-  const velocityProgress =
-    (clampedVelocity - SQUISH_LIMITS.MIN_VELOCITY) /
-    (SQUISH_LIMITS.MAX_VELOCITY - SQUISH_LIMITS.MIN_VELOCITY)
-  return minVal + (maxVal - minVal) * velocityProgress
-}
-
-const calculateSquishAmounts = (velocity: number): { compress: number; stretch: number } => ({
-  compress: mapVelocityToSquish(velocity, SQUISH_LIMITS.MIN_COMPRESS, SQUISH_LIMITS.MAX_COMPRESS),
-  stretch:  mapVelocityToSquish(velocity, SQUISH_LIMITS.MIN_STRETCH,  SQUISH_LIMITS.MAX_STRETCH),
-})
-
-// ── HSL → RGBA conversion (memoised, no DOM ops) ────────────────────────────
-
-const colorCache = new Map<string, string>()
-const COLOR_CACHE_MAX = 200
-
-const convertHSLToRGBA = (hslColor: string): string => {
-  const cached = colorCache.get(hslColor)
-  if (cached) return cached
-
-  const digits = hslColor.match(/[\d.]+/g) ?? ['0', '70', '50']
-  const [h, s, l] = digits.map(Number)
-  const sn = s / 100
-  const ln = l / 100
-  const c  = (1 - Math.abs(2 * ln - 1)) * sn
-  const x  = c * (1 - Math.abs(((h / 60) % 2) - 1))
-  const m  = ln - c / 2
-  let r = 0, g = 0, b = 0
-  if      (h < 60)  { r = c; g = x; b = 0 }
-  else if (h < 120) { r = x; g = c; b = 0 }
-  else if (h < 180) { r = 0; g = c; b = x }
-  else if (h < 240) { r = 0; g = x; b = c }
-  else if (h < 300) { r = x; g = 0; b = c }
-  else              { r = c; g = 0; b = x }
-  const ri = Math.round((r + m) * 255)
-  const gi = Math.round((g + m) * 255)
-  const bi = Math.round((b + m) * 255)
-  const result = `rgba(${ri}, ${gi}, ${bi}, 0.25)`
-
-  if (colorCache.size >= COLOR_CACHE_MAX) {
-    colorCache.delete(colorCache.keys().next().value!)
-  }
-  colorCache.set(hslColor, result)
-  return result
-}
+import { onMidiMessage } from '../../utils/midi'
+import { parseMidiMessage, noteToSpawn } from '../../utils/midiInput'
+import { midiNoteToFrequency } from '../../utils/midiMessages'
+import { THEMES, chordColors, hitColor, noteColor, restyleColor, scaleColors } from '../../utils/colorThemes'
+import { DEFAULT_VOICE, isInheritVoice } from '../../utils/voices'
+import { DEFAULT_FIELD_STRENGTH, RESTING_SPEED, newFieldPoint, tiltToGravity } from '../../utils/fields'
+import { hitTestObstacle, moveObstacle, newLine, newPeg } from '../../utils/obstacles'
+import { emitterLaunch, emitterLaunches, newEmitter } from '../../utils/lifecycle'
+import {
+  MAX_BALLS,
+  ballFill,
+  calculateSquishAmounts,
+  flashEffect,
+  glowEffect,
+  shockwaveEffect,
+  squishEffect,
+  squishKeyframes,
+  type BallEffects,
+} from '../../utils/visualEffects'
+import { CanvasRenderer } from '../../utils/canvasRenderer'
+import { nextRandom } from '../../utils/random'
+import {
+  DOUBLE_TAP_MS,
+  DRAG_THRESHOLD,
+  LONG_PRESS_MS,
+  NUDGE_SPEED,
+  TIME_SCALES,
+  dragPosition,
+  flingVelocity,
+  trimSamples,
+  type PointerSample,
+} from '../../utils/gestures'
+import { createSessionPlayer, recordSessionInput, recordSessionTick, type SessionPlayer } from '../../utils/session'
+import ObstacleLayer from './ObstacleLayer'
+import type {
+  Bounds, CircleState, Emitter, FieldPoint, LifecycleSettings, NormalizedPoint, Obstacle, WorldEvent,
+} from '../../types/physics'
+import type { SoundSettings, TuningSettings, VoiceBrush } from '../../types/audio'
+import type { VisualSettings } from '../../types/visuals'
+import type { SessionInput } from '../../types/session'
 
 // ── Circle sub-component ────────────────────────────────────────────────────
 
+/** What the DOM renderer needs of a ball; the rest changes every frame */
+type RenderedCircle = Pick<CircleState, 'color' | 'radius' | 'pinned'>
+
 interface CircleProps {
   id: string
-  state: Pick<CircleState, 'color' | 'radius'>
+  state: RenderedCircle
+  /** Highlighted while its voice is being edited */
+  selected?: boolean
   onRef: (el: HTMLDivElement | null) => void
 }
 
-const Circle = memo<CircleProps>(({ id, state, onRef }) => {
-  const backgroundColor = convertHSLToRGBA(state.color)
+/** The pin head marking a pinned (or held) ball */
+const pinStyle: React.CSSProperties = {
+  position: 'absolute',
+  left: '50%',
+  top: '50%',
+  width: '6px',
+  height: '6px',
+  margin: '-3px 0 0 -3px',
+  borderRadius: '50%',
+  backgroundColor: 'white',
+}
+
+const Circle = memo<CircleProps>(({ id, state, selected = false, onRef }) => {
+  const backgroundColor = ballFill(state.color)
   return (
     <div
       key={id}
@@ -99,15 +95,86 @@ const Circle = memo<CircleProps>(({ id, state, onRef }) => {
         animationFillMode: 'forwards',
         willChange: 'transform',
         pointerEvents: 'none',
+        outline: selected ? '2px dashed white' : 'none',
+        outlineOffset: '4px',
       }}
-    />
+    >
+      {state.pinned && <div style={pinStyle} />}
+    </div>
   )
 })
 Circle.displayName = 'Circle'
 
-// ── Max balls cap ────────────────────────────────────────────────────────────
+// ── Field point marker ──────────────────────────────────────────────────────
 
-const MAX_BALLS = 50
+const FieldMarker = memo<{ field: FieldPoint }>(({ field }) => {
+  const attract = field.strength >= 0
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        left: `${field.x * 100}%`,
+        top: `${field.y * 100}%`,
+        width: '18px',
+        height: '18px',
+        transform: 'translate(-50%, -50%)',
+        borderRadius: '50%',
+        border: `2px ${attract ? 'solid' : 'dashed'} rgba(255, 255, 255, 0.6)`,
+        color: 'rgba(255, 255, 255, 0.8)',
+        fontFamily: 'system-ui, sans-serif',
+        fontSize: '12px',
+        lineHeight: '14px',
+        textAlign: 'center',
+        pointerEvents: 'none',
+      }}
+    >
+      {attract ? '+' : '−'}
+    </div>
+  )
+})
+FieldMarker.displayName = 'FieldMarker'
+
+// ── Emitter marker ──────────────────────────────────────────────────────────
+
+const EmitterMarker = memo<{ emitter: Emitter }>(({ emitter }) => (
+  <div
+    style={{
+      position: 'absolute',
+      left: `${emitter.x * 100}%`,
+      top: `${emitter.y * 100}%`,
+      width: '18px',
+      height: '18px',
+      transform: `translate(-50%, -50%) rotate(${emitter.angle}deg)`,
+      borderRadius: '4px',
+      border: '2px solid rgba(255, 255, 255, 0.6)',
+      color: 'rgba(255, 255, 255, 0.8)',
+      fontFamily: 'system-ui, sans-serif',
+      fontSize: '12px',
+      lineHeight: '14px',
+      textAlign: 'center',
+      pointerEvents: 'none',
+    }}
+  >
+    →
+  </div>
+))
+EmitterMarker.displayName = 'EmitterMarker'
+
+/** Minimum ms between sounds from the same wall axis, ball pair or ball–obstacle pair */
+const SOUND_COOLDOWN = 300
+
+/** Notes this recent (World ms) make up the chord the 'chord' background shows */
+const CHORD_WINDOW = 1500
+
+/** Arrow keys as unit directions, for nudging the selected ball */
+const ARROW_KEYS: Record<string, [number, number]> = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+}
+/** px an arrow key moves a pinned ball */
+const PINNED_NUDGE = 10
 
 // ── Squish animation data ────────────────────────────────────────────────────
 
@@ -117,27 +184,80 @@ interface SquishData {
   expectedEndTime: number
 }
 
+// ── Ball gestures ─────────────────────────────────────────────────────────────
+
+/** A pointer holding a ball (see utils/gestures.ts) */
+interface BallGesture {
+  id: string
+  /** Whether the ball was pinned before the grab; it's pinned to the pointer while held */
+  wasPinned: boolean
+  startX: number
+  startY: number
+  /** Ball centre minus the pointer at grab time */
+  offsetX: number
+  offsetY: number
+  dragging: boolean
+  samples: PointerSample[]
+  longPress: ReturnType<typeof setTimeout> | null
+}
+
 // ── Main component ────────────────────────────────────────────────────────────
 
 interface CircleCanvasProps {
   onBackgroundChange?: (colors: string[]) => void
-  initialSpeed?: number
 }
 
-function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasProps) {
-  const { wallSettings, circleSettings } = useAudio()
+function CircleCanvas({ onBackgroundChange }: CircleCanvasProps) {
+  const {
+    wallSettings, circleSettings, voiceBrush, selectedBall, selectBall, pickingBall, setPickingBall,
+    physics, placingField, setPlacingField, addField, lifecycle, placingEmitter, setPlacingEmitter, addEmitter,
+    obstacles, obstacleTool, addObstacle, updateObstacle, removeObstacle, selectedObstacleId, selectObstacle,
+    visuals, ballSpeed, setBallSpeed, ballLoad, clearBallLoad, registerBallSnapshot,
+    sessionRun, endReplay, dispatch, paused, setPaused, timeScale, setTimeScale,
+    currentScale, tuning, customIntervals,
+  } = useAudio()
+  const renderer = visuals.renderer
+  const theme = THEMES[visuals.theme]
+  const maxBalls = MAX_BALLS[renderer]
 
   // Refs so long-lived closures always read fresh settings
   const wallSettingsRef  = useRef<SoundSettings>(wallSettings)
   const circleSettingsRef = useRef<SoundSettings>(circleSettings)
+  const voiceBrushRef    = useRef<VoiceBrush>(voiceBrush)
+  const pickingBallRef   = useRef(pickingBall)
+  const placingFieldRef  = useRef(placingField)
+  const obstacleToolRef  = useRef(obstacleTool)
+  const obstaclesRef     = useRef<Obstacle[]>(obstacles)
+  const placingEmitterRef = useRef(placingEmitter)
+  const lifecycleRef     = useRef<LifecycleSettings>(lifecycle)
+  const visualsRef       = useRef<VisualSettings>(visuals)
+  const tuningRef        = useRef<TuningSettings>(tuning)
   useEffect(() => { wallSettingsRef.current  = wallSettings  }, [wallSettings])
   useEffect(() => { circleSettingsRef.current = circleSettings }, [circleSettings])
+  useEffect(() => { voiceBrushRef.current    = voiceBrush    }, [voiceBrush])
+  useEffect(() => { pickingBallRef.current   = pickingBall   }, [pickingBall])
+  useEffect(() => { placingFieldRef.current  = placingField  }, [placingField])
+  useEffect(() => { obstacleToolRef.current  = obstacleTool  }, [obstacleTool])
+  useEffect(() => { obstaclesRef.current     = obstacles     }, [obstacles])
+  useEffect(() => { placingEmitterRef.current = placingEmitter }, [placingEmitter])
+  useEffect(() => { lifecycleRef.current     = lifecycle     }, [lifecycle])
+  useEffect(() => { visualsRef.current       = visuals       }, [visuals])
+  useEffect(() => { tuningRef.current        = tuning        }, [tuning])
+  const selectedBallIdRef = useRef<string | null>(null)
+  useEffect(() => { selectedBallIdRef.current = selectedBall?.id ?? null }, [selectedBall])
+  const pausedRef    = useRef(paused)
+  const timeScaleRef = useRef(timeScale)
+  useEffect(() => { pausedRef.current    = paused    }, [paused])
+  useEffect(() => { timeScaleRef.current = timeScale }, [timeScale])
 
   const containerRef    = useRef<HTMLDivElement | null>(null)
   /** Cached viewport-sized bounds; container is `position: fixed; inset: 0`,
    *  so width/height match the viewport and left/top are always 0. */
   const boundsRef       = useRef({ width: window.innerWidth, height: window.innerHeight })
   const circleRefs      = useRef(new Map<string, HTMLDivElement>())
+  const canvasRef       = useRef<HTMLCanvasElement | null>(null)
+  /** Set while the canvas renderer is active; null means balls are DOM elements */
+  const canvasRendererRef = useRef<CanvasRenderer | null>(null)
   const squishAnimations = useRef(new Map<HTMLDivElement, SquishData>())
   const glowAnimations  = useRef(new Map<HTMLDivElement, gsap.core.Tween>())
   /** Set of active shockwave ring divs; used for cleanup on unmount. */
@@ -146,8 +266,31 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
   const ballIdsRef      = useRef<string[]>([])
   /** Per-pair collision cooldown tracking */
   const lastCollisionTimes = useRef(new Map<string, number>())
-
-  const [renderCircles, setRenderCircles] = useState(new Map<string, Pick<CircleState, 'color' | 'radius'>>())
+  /** Per-ball wall sound cooldowns, one per axis */
+  const lastWallSoundTimes = useRef(new Map<string, { x: number; y: number }>())
+  /** Per ball–obstacle sound cooldowns, keyed `ballId|obstacleId` */
+  const lastObstacleSoundTimes = useRef(new Map<string, number>())
+  /** Ball ids are numbered, restarting with each session so replayed inputs find the same balls */
+  const nextBallNumberRef = useRef(0)
+  /** Set while a session replays; the ticker then runs on its ticks and inputs */
+  const replayRef = useRef<SessionPlayer | null>(null)
+  /** Fraction of its next ball each emitter has built up, by emitter id */
+  const emitterClocksRef = useRef(new Map<string, number>())
+  /** Recent notes with their World time, for the 'chord' background */
+  const recentNotesRef = useRef<Array<{ frequency: number; time: number }>>([])
+
+  /** Vertices of the line being drawn with the line tool */
+  const [draftLine, setDraftLine] = useState<NormalizedPoint[]>([])
+  /** Obstacle being dragged in edit mode: its state and the pointer at grab time */
+  const obstacleDragRef = useRef<{ obstacle: Obstacle; startX: number; startY: number } | null>(null)
+  /** Balls held by pointers, keyed by pointerId */
+  const ballGesturesRef = useRef(new Map<number, BallGesture>())
+  /** The last plain tap on a ball, for double-tap delete */
+  const lastTapRef = useRef<{ id: string; time: number } | null>(null)
+
+  const [renderCircles, setRenderCircles] = useState(new Map<string, RenderedCircle>())
+  /** Colours not yet in renderCircles; the DOM renderer takes them once per frame */
+  const pendingColorsRef = useRef(new Map<string, string>())
 
   const { createTimeline, addTicker, removeTicker } = useAnimationState()
 
@@ -156,12 +299,45 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     removeCircle,
     getCircleState,
     updateCircleState,
-    handleWallCollision,
-    handleCircleCollisions,
+    stepWorld,
+    resetWorldClock,
     updateSpatialGrid,
+    setPhysicsSettings,
+    setLifecycleSettings,
+    setTiltGravity,
+    setObstacles,
     circleStates,
   } = useCollisions()
 
+  useEffect(() => { setPhysicsSettings(physics) }, [physics, setPhysicsSettings])
+  useEffect(() => { setLifecycleSettings(lifecycle) }, [lifecycle, setLifecycleSettings])
+  useEffect(() => { setObstacles(obstacles) }, [obstacles, setObstacles])
+
+  // Leaving the line tool drops an unfinished line
+  useEffect(() => { if (obstacleTool !== 'line') setDraftLine([]) }, [obstacleTool])
+
+  // Device tilt drives gravity while enabled (permission is asked by the panel)
+  const tiltEnabled  = physics.tilt.enabled
+  const tiltStrength = physics.tilt.strength
+  useEffect(() => {
+    if (!tiltEnabled) return
+    const applyTilt = (gravity: { x: number; y: number } | null) => {
+      // A replay brings its own tilt
+      if (replayRef.current) return
+      recordSessionInput({ type: 'tilt', gravity })
+      setTiltGravity(gravity)
+    }
+    const handleOrientation = (e: DeviceOrientationEvent) => {
+      if (e.beta === null || e.gamma === null) return
+      applyTilt(tiltToGravity(e.beta, e.gamma, tiltStrength))
+    }
+    window.addEventListener('deviceorientation', handleOrientation)
+    return () => {
+      window.removeEventListener('deviceorientation', handleOrientation)
+      applyTilt(null)
+    }
+  }, [tiltEnabled, tiltStrength, setTiltGravity])
+
   const {
     colorPalette,
     backgroundColors,
@@ -169,7 +345,8 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     addToColorPalette,
     generateGradient,
     updateBackgroundColors,
-  } = useColorPalette()
+    setBackgroundColors,
+  } = useColorPalette(visuals.theme)
 
   const timelineRef = useRef<gsap.core.Timeline | null>(null)
   const latestBackgroundColorsRef = useRef<string[]>(backgroundColors)
@@ -188,7 +365,8 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
           const progress = timelineRef.current.progress()
           const gradient = generateGradient(latestBackgroundColorsRef.current, progress)
           if (containerRef.current) {
-            containerRef.current.style.background = gradient
+            // An image only, so the theme's backdrop colour shows underneath
+            containerRef.current.style.backgroundImage = gradient
           }
         },
       })
@@ -214,6 +392,21 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     }
   }, [colorPalette, backgroundColors.length, updateBackgroundColors])
 
+  // The 'scale' background follows the active scale; switching back to
+  // 'palette' brings the latest ball colours back. 'chord' is driven by the
+  // notes themselves (see handleWorldEvent).
+  const backgroundMode = visuals.background
+  const backgroundModeRef = useRef(backgroundMode)
+  useEffect(() => {
+    const previous = backgroundModeRef.current
+    backgroundModeRef.current = backgroundMode
+    if (backgroundMode === 'scale') {
+      setBackgroundColors(scaleColors(currentScale, tuning, customIntervals, theme))
+    } else if (backgroundMode === 'palette' && previous !== 'palette') {
+      updateBackgroundColors(3)
+    }
+  }, [backgroundMode, currentScale, tuning, customIntervals, theme, setBackgroundColors, updateBackgroundColors])
+
   // Cleanup stale squish/glow animations periodically
   useEffect(() => {
     const squishAnim = squishAnimations.current
@@ -245,19 +438,43 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     }
   }, [])
 
-  // Spatial grid + cached bounds on window resize
+  /** Size the World (and the cached bounds pan and pitch are measured against) */
+  const setWorldBounds = useCallback((bounds: Bounds) => {
+    boundsRef.current = bounds
+    updateSpatialGrid(bounds.width, bounds.height)
+  }, [updateSpatialGrid])
+
+  // Spatial grid + cached bounds on window resize; a replay keeps the size it was recorded at
   useEffect(() => {
     const handleResize = () => {
-      boundsRef.current = { width: window.innerWidth, height: window.innerHeight }
-      updateSpatialGrid(window.innerWidth, window.innerHeight)
+      if (replayRef.current) return
+      const bounds = { width: window.innerWidth, height: window.innerHeight }
+      recordSessionInput({ type: 'resize', bounds })
+      setWorldBounds(bounds)
     }
     window.addEventListener('resize', handleResize)
     return () => window.removeEventListener('resize', handleResize)
-  }, [updateSpatialGrid])
+  }, [setWorldBounds])
 
-  const generateRandomSize = useCallback((): number => 40 + Math.random() * 50, [])
+  // The canvas renderer lives while it's selected, sized to the viewport at device resolution
+  useEffect(() => {
+    if (renderer !== 'canvas') return
+    const ctx = canvasRef.current?.getContext('2d')
+    if (!ctx) return
+    const canvasRenderer = new CanvasRenderer(ctx)
+    const handleResize = () => canvasRenderer.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio || 1)
+    handleResize()
+    window.addEventListener('resize', handleResize)
+    canvasRendererRef.current = canvasRenderer
+    return () => {
+      window.removeEventListener('resize', handleResize)
+      canvasRendererRef.current = null
+    }
+  }, [renderer])
+
+  const generateRandomSize = useCallback((): number => 40 + nextRandom('spawn') * 50, [])
 
-  const addCircleToRender = useCallback((id: string, state: Pick<CircleState, 'color' | 'radius'>) => {
+  const addCircleToRender = useCallback((id: string, state: RenderedCircle) => {
     setRenderCircles(prev => new Map(prev).set(id, state))
   }, [])
 
@@ -270,13 +487,14 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
   }, [])
 
   /**
-   * Fully remove a ball: stop its GSAP ticker, clear physics + render state,
-   * kill any in-flight squish/glow animations, and drop its DOM ref.
+   * Fully remove a ball: clear physics + render state, kill any in-flight
+   * squish/glow animations, and drop its DOM ref.
    */
   const removeBall = useCallback((id: string) => {
-    removeTicker(id)
     removeCircle(id)
     removeCircleFromRender(id)
+    pendingColorsRef.current.delete(id)
+    canvasRendererRef.current?.removeBall(id)
 
     // Prune cooldown map entries involving this ball
     lastCollisionTimes.current.forEach((_, key) => {
@@ -284,6 +502,10 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
         lastCollisionTimes.current.delete(key)
       }
     })
+    lastWallSoundTimes.current.delete(id)
+    lastObstacleSoundTimes.current.forEach((_, key) => {
+      if (key.startsWith(id + '|')) lastObstacleSoundTimes.current.delete(key)
+    })
 
     const el = circleRefs.current.get(id)
     if (el) {
@@ -293,42 +515,48 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
       glowAnimations.current.delete(el)
       circleRefs.current.delete(id)
     }
-  }, [removeTicker, removeCircle, removeCircleFromRender])
+  }, [removeCircle, removeCircleFromRender])
+
+  // Switching to a renderer with a lower cap evicts the oldest balls
+  useEffect(() => {
+    while (ballIdsRef.current.length > maxBalls) {
+      const oldestId = ballIdsRef.current.shift()
+      if (oldestId !== undefined) removeBall(oldestId)
+    }
+  }, [maxBalls, removeBall])
 
   const handleCircleRef = useCallback(
     (id: string) => (el: HTMLDivElement | null) => {
-      if (el) circleRefs.current.set(id, el)
-      else    circleRefs.current.delete(id)
+      if (!el) {
+        circleRefs.current.delete(id)
+        return
+      }
+      circleRefs.current.set(id, el)
+      // Centre on the ball's position; also runs when switching back from the canvas
+      const state = circleStates.current.get(id)
+      gsap.set(el, { xPercent: -50, yPercent: -50, x: state?.x ?? 0, y: state?.y ?? 0, transformOrigin: 'center center' })
     },
-    []
+    [circleStates]
   )
 
   const circleComponents = useMemo(
     () =>
       Array.from(renderCircles.entries()).map(([id, state]) => (
-        <Circle key={id} id={id} state={state} onRef={handleCircleRef(id)} />
+        <Circle key={id} id={id} state={state} selected={selectedBall?.id === id} onRef={handleCircleRef(id)} />
       )),
-    [renderCircles, handleCircleRef]
+    [renderCircles, handleCircleRef, selectedBall?.id]
   )
 
   /**
    * Expanding ring at the collision point. Radiates outward from (x, y),
-   * fading as it grows. Velocity scales radius and opacity.
+   * fading as it grows; sizes and timing come from shockwaveEffect.
    */
   const playShockwave = useCallback(
     (x: number, y: number, color: string, velocity: number, startRadius: number) => {
       const container = containerRef.current
       if (!container) return
 
-      if (Math.abs(velocity) < 0) return
-      const t = Math.min(Math.max((Math.abs(velocity) - 3) / 17, 0), 1)
-      // Ring starts at the outer edge of both balls and expands from there
-      const startDiameter = startRadius * 2
-      const extraRadius   = 25 + t * 75        // 25→100px of travel beyond the balls
-      const maxDiameter   = startDiameter + extraRadius * 2
-      const duration      = 0.18 + t * 0.42    // 0.18→0.60s
-      const startOpacity  = 0.35 + t * 0.65    // 0.35→1.0
-      const borderWidth   = 1.0 + t * 3.0      // 1.0→4px
+      const { startDiameter, maxDiameter, duration, startOpacity, borderWidth } = shockwaveEffect(velocity, startRadius)
 
       const ring = document.createElement('div')
       ring.style.cssText = [
@@ -365,15 +593,12 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
   /**
    * Fill flash on collision. Uses CSS `filter: brightness()` so the flash
    * affects the entire ball (fill, border, inset glow) and can't be masked
-   * by the box-shadow from playGlow. Velocity scales peak brightness and
-   * fade duration; hard hits ramp toward near-white.
+   * by the box-shadow from playGlow.
    */
   const flashTweenRef = useRef(new WeakMap<HTMLDivElement, gsap.core.Tween>())
   const playFillFlash = useCallback(
-    (el: HTMLDivElement, _color: string, velocity: number) => {
-      const t = Math.min(Math.max((Math.abs(velocity) - 5) / 20, 0), 1)
-      const peakBrightness = 1.5 + t * 2.0    // 1.5× soft → 3.5× hard
-      const fadeDuration   = 0.25 + t * 0.45   // 0.25s soft → 0.70s hard
+    (el: HTMLDivElement, velocity: number) => {
+      const { peakBrightness, fade } = flashEffect(velocity)
 
       // Kill only the previous fill-flash tween, not squish/glow
       flashTweenRef.current.get(el)?.kill()
@@ -383,7 +608,7 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
         { filter: `brightness(${peakBrightness})` },
         {
           filter: 'brightness(1)',
-          duration: fadeDuration,
+          duration: fade,
           ease: 'power2.out',
           onComplete: () => { flashTweenRef.current.delete(el) },
         }
@@ -393,31 +618,18 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     []
   )
 
-  /**
-   * Trigger an inset glow on a single circle. Used by both wall and ball
-   * collisions. Velocity drives spread/blur, hold time, and decay duration
-   * via a single 0..1 factor (clamped to [0.4, 1.4] for visual breathing room).
-   */
+  /** Inset box-shadow glow on a single circle, held then faded (see glowEffect). */
   const playGlow = useCallback(
     (el: HTMLDivElement, color: string, radius: number, velocity: number) => {
-      const absV = Math.abs(velocity)
-      // Map velocity 5..25 → 0..1 (saturates earlier so avg hits feel punchy),
-      // then expand to 0.2..1.8 for a wider soft-to-hard range.
-      const t = Math.min(Math.max((absV - 5) / 20, 0), 1)
-      const vf = 0.2 + t * 1.6
-
-      const glowSpread = Math.max(6, radius * 1.0 * vf)
-      const glowBlur   = Math.max(2, radius * 0.3 * vf)
-      const holdDelay  = 0.25 * vf     // 0.05s soft → 0.45s hard
-      const fadeDur    = 1.6 * vf      // 0.32s soft → 2.88s hard
+      const { spread, blur, hold, fade } = glowEffect(radius, velocity)
 
       glowAnimations.current.get(el)?.kill()
-      el.style.boxShadow = `0 0 ${glowSpread}px ${glowBlur}px inset ${color}`
+      el.style.boxShadow = `0 0 ${spread}px ${blur}px inset ${color}`
       const glowTween = gsap.to(el, {
         boxShadow: `0 0 0px 0px inset ${color}`,
-        duration: fadeDur,
+        duration: fade,
         ease: 'power2.out',
-        delay: holdDelay,
+        delay: hold,
         onComplete: () => { glowAnimations.current.delete(el) },
       })
       glowAnimations.current.set(el, glowTween)
@@ -426,11 +638,10 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
   )
 
   /**
-   * Unified jello-squish builder. Oscillates `{scaleX, scaleY}` past the rest
-   * pose `N` times, with each wobble's amplitude damped by `WOBBLE_DAMPING`,
-   * then settles to (1, 1, 0). Wobble count scales 2 → 10 with velocity.
-   * Records timing in `squishAnimations` so the cleanup interval can reap
-   * stale entries.
+   * Jello squish as a GSAP timeline through squishKeyframes: the first
+   * wobble eases out (and turns to the impact angle), the rest ease in-out,
+   * then a shorter settle to rest. Records timing in `squishAnimations` so
+   * the cleanup interval can reap stale entries.
    */
   const runSquish = useCallback(
     (
@@ -440,20 +651,8 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
       squishAnimations.current.get(el)?.timeline.kill()
       gsap.set(el, { scaleX: 1, scaleY: 1, rotation: 0 })
 
-      const absV = Math.abs(opts.velocity)
-      const velocityFactor = Math.min(Math.max(absV / SQUISH_LIMITS.MAX_VELOCITY, 0.5), 1)
-      const segmentDuration = 0.06 * (1 / velocityFactor)
-
-      // Wobble count scales 2 → 10 with velocity
-      const MIN_WOBBLES = 2
-      const MAX_WOBBLES = 10
-      const wobbleProgress = Math.min(Math.max((absV - 5) / 25, 0), 1) // 5 → 30 → 0..1
-      const wobbles = Math.round(MIN_WOBBLES + (MAX_WOBBLES - MIN_WOBBLES) * wobbleProgress)
-      const WOBBLE_DAMPING = 0.80
-
-      // Deformation relative to rest
-      const dx = opts.scaleX - 1
-      const dy = opts.scaleY - 1
+      const squish = squishEffect(opts.velocity, opts.scaleX, opts.scaleY, opts.rotation)
+      const { segmentDuration, wobbles } = squish
 
       const timeline = gsap.timeline({
         onComplete: () => {
@@ -462,30 +661,23 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
         },
       })
 
-      for (let i = 0; i < wobbles; i++) {
-        const amp = Math.pow(-WOBBLE_DAMPING, i)
+      squishKeyframes(squish).forEach((pose, i) => {
+        const settle = i === wobbles
         const step: gsap.TweenVars = {
-          scaleX: 1 + dx * amp,
-          scaleY: 1 + dy * amp,
-          duration: segmentDuration,
-          ease: i === 0 ? 'power2.out' : 'sine.inOut',
+          scaleX: pose.scaleX,
+          scaleY: pose.scaleY,
+          duration: settle ? segmentDuration * 0.8 : segmentDuration,
+          ease: settle ? 'sine.out' : i === 0 ? 'power2.out' : 'sine.inOut',
         }
         if (i === 0 && opts.rotation !== undefined) {
           step.rotation = `${opts.rotation}rad`
           step.transformOrigin = 'center center'
         } else if (i === 1 && opts.rotation !== undefined) {
           step.rotation = 0
+        } else if (settle) {
+          step.rotation = 0
         }
         timeline.to(el, step)
-      }
-
-      // Final settle to exact rest
-      timeline.to(el, {
-        scaleX: 1,
-        scaleY: 1,
-        rotation: 0,
-        duration: segmentDuration * 0.8,
-        ease: 'sine.out',
       })
 
       const now = Date.now()
@@ -500,253 +692,723 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
     []
   )
 
-  /** Wall-collision squish animation */
-  const playSquishAnimation = useCallback(
-    (circleEl: HTMLDivElement, direction: 'horizontal' | 'vertical' = 'horizontal', velocity = 0) => {
-      const { compress, stretch } = calculateSquishAmounts(velocity)
-      if (direction === 'horizontal') {
-        runSquish(circleEl, { velocity, scaleX: compress, scaleY: stretch })
-      } else {
-        runSquish(circleEl, { velocity, scaleX: stretch, scaleY: compress })
-      }
-    },
-    [runSquish]
-  )
+  /** The DOM renderer's collision effects: GSAP tweens on each ball's element */
+  const domEffects = useMemo<BallEffects>(() => {
+    const withEl = (id: string, fn: (el: HTMLDivElement) => void) => {
+      const el = circleRefs.current.get(id)
+      if (el) fn(el)
+    }
+    return {
+      squish: (id, velocity, scaleX, scaleY, rotation) =>
+        withEl(id, el => runSquish(el, { velocity, scaleX, scaleY, rotation })),
+      glow: (id, color, radius, velocity) => withEl(id, el => playGlow(el, color, radius, velocity)),
+      flash: (id, velocity) => withEl(id, el => playFillFlash(el, velocity)),
+      shockwave: playShockwave,
+    }
+  }, [runSquish, playGlow, playFillFlash, playShockwave])
 
-  /** Ball-collision squish + glow animation for both circles */
-  const playCircleCollisionSquish = useCallback(
-    (
-      circleEl: HTMLDivElement,
-      otherCircleEl: HTMLDivElement,
-      angle: number,
-      state1: CircleState,
-      state2: CircleState
-    ) => {
-      const dvx = state2.vx - state1.vx
-      const dvy = state2.vy - state1.vy
-      const relativeVelocity = Math.sqrt(dvx * dvx + dvy * dvy)
-      const { compress, stretch } = calculateSquishAmounts(relativeVelocity)
-
-      const animateOne = (el: HTMLDivElement, color: string, radius: number) => {
-        runSquish(el, {
-          velocity: relativeVelocity,
-          scaleX: compress,
-          scaleY: stretch,
-          rotation: angle,
-        })
-        playGlow(el, color, radius, relativeVelocity)
-        playFillFlash(el, color, relativeVelocity)
+  /** Add a ball to the world and the renderer, evicting the oldest past the cap */
+  const addBall = useCallback(
+    (initialState: CircleState) => {
+      // FIFO eviction when at cap
+      while (ballIdsRef.current.length >= maxBalls) {
+        const oldestId = ballIdsRef.current.shift()
+        if (oldestId !== undefined) removeBall(oldestId)
       }
 
-      animateOne(circleEl,      state1.color, state1.radius)
-      animateOne(otherCircleEl, state2.color, state2.radius)
+      const id = `ball-${nextBallNumberRef.current++}`
+      addToColorPalette(initialState.color)
+      ballIdsRef.current.push(id)
+      initCircle(id, initialState)
+      addCircleToRender(id, { color: initialState.color, radius: initialState.radius, pinned: initialState.pinned })
     },
-    [runSquish, playGlow, playFillFlash]
+    [maxBalls, addToColorPalette, initCircle, addCircleToRender, removeBall]
   )
 
-  /** Spawn a ball at canvas-relative coordinates */
+  /**
+   * Spawn a ball at canvas-relative coordinates; `diameter` defaults to a
+   * random size and `color` to a random one in the theme
+   */
   const spawnBallAt = useCallback(
-    (x: number, y: number) => {
+    (x: number, y: number, diameter?: number, color?: string) => {
       if (!containerRef.current) return
 
-      // FIFO eviction when at cap
-      while (ballIdsRef.current.length >= MAX_BALLS) {
-        const oldestId = ballIdsRef.current.shift()
-        if (oldestId !== undefined) removeBall(oldestId)
-      }
-
-      const angle  = Math.random() * 360
-      const size   = generateRandomSize()
-      const color  = generateRandomColor()
-      addToColorPalette(color)
+      const angle  = nextRandom('spawn') * 360
+      const size   = diameter ?? generateRandomSize()
       const radians = (angle * Math.PI) / 180
-      const id = `${Date.now()}-${ballIdsRef.current.length}`
 
-      const initialState: CircleState = {
+      // The voice brush gives new balls their own copy of the selected voice
+      const brush = voiceBrushRef.current
+      addBall({
         x,
         y,
-        vx: Math.cos(radians) * initialSpeed,
-        vy: Math.sin(radians) * initialSpeed,
+        vx: Math.cos(radians) * ballSpeed,
+        vy: Math.sin(radians) * ballSpeed,
         radius: size / 2,
-        color,
-      }
-
-      ballIdsRef.current.push(id)
-      initCircle(id, initialState)
-      addCircleToRender(id, { color, radius: initialState.radius })
-
-      requestAnimationFrame(() => {
-        const circleEl = circleRefs.current.get(id)
-        if (!circleEl) return
-
-        gsap.set(circleEl, { xPercent: -50, yPercent: -50, x, y, transformOrigin: 'center center' })
+        color: color ?? generateRandomColor(),
+        ...(brush.enabled && !isInheritVoice(brush.voice) ? { voice: structuredClone(brush.voice) } : {}),
+      })
+    },
+    [ballSpeed, generateRandomSize, generateRandomColor, addBall]
+  )
 
-        const lastWallCollisionTime = { x: 0, y: 0 }
-        const WALL_COLLISION_COOLDOWN = 300
+  /**
+   * Take on a ball the World's lifecycle rules made (a split half), or
+   * redraw one they reshaped. The ball is already in the World and the
+   * mirror. Past the cap the oldest ball goes; a replay has that eviction in
+   * its log, since a worker's frames may arrive a tick apart from the
+   * recording.
+   */
+  const adoptBall = useCallback((id: string, state: CircleState) => {
+    const rendered = { color: state.color, radius: state.radius, pinned: state.pinned }
+    pendingColorsRef.current.delete(id)
+    if (ballIdsRef.current.includes(id)) {
+      addCircleToRender(id, rendered)
+      return
+    }
+    ballIdsRef.current.push(id)
+    addCircleToRender(id, rendered)
+    while (!replayRef.current && ballIdsRef.current.length > maxBalls) {
+      const oldestId = ballIdsRef.current.shift()
+      if (oldestId === undefined) break
+      recordSessionInput({ type: 'removeBall', id: oldestId })
+      removeBall(oldestId)
+    }
+  }, [maxBalls, addCircleToRender, removeBall])
+
+  /** Launch one ball from an emitter, with the spawn size, colour and voice brush */
+  const launchFromEmitter = useCallback((emitter: Emitter) => {
+    const { x, y, vx, vy } = emitterLaunch(emitter, boundsRef.current, () => nextRandom('spawn'))
+    const brush = voiceBrushRef.current
+    addBall({
+      x,
+      y,
+      vx,
+      vy,
+      radius: generateRandomSize() / 2,
+      color: generateRandomColor(),
+      ...(brush.enabled && !isInheritVoice(brush.voice) ? { voice: structuredClone(brush.voice) } : {}),
+    })
+  }, [generateRandomSize, generateRandomColor, addBall])
 
-        const tickerFunction = () => {
-          if (!containerRef.current) return
-          const bounds = boundsRef.current
-          const currentState = getCircleState(id)
-          if (!currentState) return
+  /** Spawn a ball somewhere random (the keyboard's spawn) */
+  const spawnRandomBall = useCallback(() => {
+    const { width, height } = boundsRef.current
+    spawnBallAt(nextRandom('spawn') * width, nextRandom('spawn') * height)
+  }, [spawnBallAt])
 
-          const updatedState: CircleState = {
-            ...currentState,
-            x: currentState.x + currentState.vx,
-            y: currentState.y + currentState.vy,
-          }
-          updateCircleState(id, updatedState)
-
-          const wallResult = handleWallCollision(id, bounds)
-          const hitLeftRight  = wallResult?.hitLeftRight  ?? false
-          const hitTopBottom  = wallResult?.hitTopBottom  ?? false
-          const currentTime   = Date.now()
-
-          if (hitLeftRight || hitTopBottom) {
-            const wallVelocity = hitLeftRight ? Math.abs(updatedState.vx) : Math.abs(updatedState.vy)
-            if (hitLeftRight) {
-              playSquishAnimation(circleEl, 'horizontal', wallVelocity)
-            } else {
-              playSquishAnimation(circleEl, 'vertical', wallVelocity)
-            }
+  /**
+   * Spawn a ball for a MIDI note: pitch picks the position, velocity the
+   * size, and in the pitch colour modes the note picks its colour
+   */
+  const spawnFromNote = useCallback((note: number, velocity: number) => {
+    const { x, y, size } = noteToSpawn(note, velocity, boundsRef.current)
+    const { colorMode, theme: themeId } = visualsRef.current
+    const a4 = tuningRef.current.a4
+    const color = colorMode === 'random'
+      ? undefined
+      : noteColor(midiNoteToFrequency(note, a4), THEMES[themeId], colorMode, a4)
+    spawnBallAt(x, y, size, color)
+  }, [spawnBallAt])
+
+  /** Change a ball, keeping the DOM renderer's pin marker in step */
+  const applyBallPatch = useCallback((id: string, changes: Partial<CircleState>) => {
+    updateCircleState(id, changes)
+    const { pinned } = changes
+    if (pinned === undefined) return
+    setRenderCircles(prev => {
+      const current = prev.get(id)
+      if (!current || !!current.pinned === pinned) return prev
+      return new Map(prev).set(id, { ...current, pinned })
+    })
+  }, [updateCircleState])
 
-            // Glow + fill flash on wall hit
-            playGlow(circleEl, updatedState.color, updatedState.radius, wallVelocity)
-            playFillFlash(circleEl, updatedState.color, wallVelocity)
+  /** A ball changed by hand (grab, drag, fling, pin, nudge), logged for replay */
+  const patchBall = useCallback((id: string, changes: Partial<CircleState>) => {
+    recordSessionInput({ type: 'ballPatch', id, changes })
+    applyBallPatch(id, changes)
+  }, [applyBallPatch])
 
-            // Sound cooldown
-            let shouldPlaySound = false
-            if (hitLeftRight && currentTime - lastWallCollisionTime.x > WALL_COLLISION_COOLDOWN) {
-              lastWallCollisionTime.x = currentTime
-              shouldPlaySound = true
-            }
-            if (hitTopBottom && currentTime - lastWallCollisionTime.y > WALL_COLLISION_COOLDOWN) {
-              lastWallCollisionTime.y = currentTime
-              shouldPlaySound = true
-            }
+  /**
+   * Give a ball a new colour in the mirror the ticker draws from. Hit colours
+   * stop there: the World keeps the colour the ball was spawned or restyled
+   * with, which only split and merged balls start from.
+   */
+  const recolorBall = useCallback((id: string, color: string) => {
+    const state = getCircleState(id)
+    if (!state || state.color === color) return
+    state.color = color
+    pendingColorsRef.current.set(id, color)
+  }, [getCircleState])
+
+  // A new theme redraws every ball's hue in its look
+  const themeRef = useRef(theme)
+  useEffect(() => {
+    if (themeRef.current === theme) return
+    themeRef.current = theme
+    for (const [id, state] of circleStates.current) {
+      const color = restyleColor(state.color, theme)
+      recolorBall(id, color)
+      updateCircleState(id, { color })
+    }
+  }, [theme, circleStates, recolorBall, updateCircleState])
+
+  /** Remove one ball outright, outside the spawn-order eviction */
+  const dropBall = useCallback((id: string) => {
+    const index = ballIdsRef.current.indexOf(id)
+    if (index === -1) return
+    ballIdsRef.current.splice(index, 1)
+    removeBall(id)
+  }, [removeBall])
+
+  const deleteBall = useCallback((id: string) => {
+    recordSessionInput({ type: 'removeBall', id })
+    dropBall(id)
+  }, [dropBall])
+
+  /** Let go of every held ball without flinging, e.g. when the balls are replaced */
+  const clearBallGestures = useCallback(() => {
+    ballGesturesRef.current.forEach(gesture => { if (gesture.longPress) clearTimeout(gesture.longPress) })
+    ballGesturesRef.current.clear()
+    lastTapRef.current = null
+  }, [])
+  useEffect(() => clearBallGestures, [clearBallGestures])
+
+  // Scene capture reads the mirrored balls in spawn order; a held ball is
+  // saved as it was before the grab
+  useEffect(() => registerBallSnapshot(() => {
+    const held = new Map([...ballGesturesRef.current.values()].map(g => [g.id, g.wasPinned]))
+    return ballIdsRef.current.flatMap(id => {
+      const state = circleStates.current.get(id)
+      if (!state) return []
+      return [held.has(id) ? { ...state, pinned: held.get(id) } : { ...state }]
+    })
+  }), [registerBallSnapshot, circleStates])
 
-            if (shouldPlaySound) {
-              const pan      = calculatePan(updatedState.x, bounds.width)
-              const velocity = hitLeftRight ? Math.abs(updatedState.vx) : Math.abs(updatedState.vy)
-              playWallCollisionBeep(pan, velocity, wallSettingsRef.current)
-            }
-          }
+  // A loaded scene replaces every ball. A session starting also restarts
+  // everything a replay has to match: ball ids, cooldowns and World time.
+  useEffect(() => {
+    if (!ballLoad) return
+    clearBallGestures()
+    ballIdsRef.current.splice(0).forEach(removeBall)
+    if (ballLoad.session) {
+      nextBallNumberRef.current = 0
+      emitterClocksRef.current.clear()
+      lastCollisionTimes.current.clear()
+      lastWallSoundTimes.current.clear()
+      lastObstacleSoundTimes.current.clear()
+      setWorldBounds(ballLoad.session.viewport)
+      resetWorldClock()
+    }
+    ballLoad.balls.forEach(addBall)
+    clearBallLoad()
+  }, [ballLoad, clearBallLoad, addBall, removeBall, setWorldBounds, resetWorldClock, clearBallGestures])
 
-          const finalState = getCircleState(id)
-          if (!finalState) return
-          gsap.set(circleEl, { x: finalState.x, y: finalState.y })
-        }
+  // Replays run on their log; afterwards the World fits the window again
+  useEffect(() => {
+    if (sessionRun?.mode === 'replaying') {
+      replayRef.current = createSessionPlayer(sessionRun.log)
+      return
+    }
+    const wasReplaying = replayRef.current !== null
+    replayRef.current = null
+    const { width, height } = boundsRef.current
+    if (wasReplaying && (width !== window.innerWidth || height !== window.innerHeight)) {
+      setWorldBounds({ width: window.innerWidth, height: window.innerHeight })
+    }
+  }, [sessionRun, setWorldBounds])
+
+  /** Topmost ball under a canvas point, or null */
+  const ballAt = useCallback((x: number, y: number): string | null => {
+    for (let i = ballIdsRef.current.length - 1; i >= 0; i--) {
+      const id = ballIdsRef.current[i]
+      const state = circleStates.current.get(id)
+      if (state && Math.hypot(state.x - x, state.y - y) <= state.radius) return id
+    }
+    return null
+  }, [circleStates])
 
-        addTicker(id, tickerFunction)
-      })
+  /**
+   * Take hold of a ball under a pointer. It stops and is pinned to the
+   * pointer until release; holding still for LONG_PRESS_MS toggles its pin
+   * instead. Alt-click or a double tap deletes it.
+   */
+  const grabBall = useCallback(
+    (e: React.PointerEvent<HTMLDivElement>, id: string) => {
+      const state = getCircleState(id)
+      if (!state) return
+      const lastTap = lastTapRef.current
+      if (e.altKey || (lastTap?.id === id && e.timeStamp - lastTap.time <= DOUBLE_TAP_MS)) {
+        lastTapRef.current = null
+        deleteBall(id)
+        return
+      }
+      // Another finger already has it
+      if ([...ballGesturesRef.current.values()].some(g => g.id === id)) return
+
+      const pointerId = e.pointerId
+      const gesture: BallGesture = {
+        id,
+        wasPinned: !!state.pinned,
+        startX: e.clientX,
+        startY: e.clientY,
+        offsetX: state.x - e.clientX,
+        offsetY: state.y - e.clientY,
+        dragging: false,
+        samples: [{ x: e.clientX, y: e.clientY, t: e.timeStamp }],
+        longPress: setTimeout(() => {
+          // Held still: toggle the pin, and the gesture is over
+          ballGesturesRef.current.delete(pointerId)
+          patchBall(id, { pinned: !gesture.wasPinned, vx: 0, vy: 0 })
+        }, LONG_PRESS_MS),
+      }
+      ballGesturesRef.current.set(pointerId, gesture)
+      e.currentTarget.setPointerCapture(pointerId)
+      patchBall(id, { pinned: true, vx: 0, vy: 0 })
     },
-    [
-      initialSpeed,
-      generateRandomSize,
-      generateRandomColor,
-      addToColorPalette,
-      initCircle,
-      getCircleState,
-      updateCircleState,
-      handleWallCollision,
-      addTicker,
-      playSquishAnimation,
-      playGlow,      playFillFlash,      addCircleToRender,
-      removeBall,
-    ]
+    [getCircleState, deleteBall, patchBall]
   )
 
   const handleMouseDown = useCallback(
     (e: React.PointerEvent<HTMLDivElement>) => {
       resumeAudioContext()
       if (!containerRef.current) return
+      // Shift-click (or an armed pick from the Voice panel) selects a ball
+      // for voice editing instead of spawning one.
+      if (e.shiftKey || pickingBallRef.current) {
+        const id = ballAt(e.clientX, e.clientY)
+        const state = id ? getCircleState(id) : null
+        selectBall(id && state ? { id, voice: state.voice ?? DEFAULT_VOICE } : null)
+        setPickingBall(false)
+        return
+      }
+      // An armed attractor/repeller is placed instead of a ball
+      const sign = placingFieldRef.current
+      if (sign !== null) {
+        const { width, height } = boundsRef.current
+        addField(newFieldPoint(e.clientX / width, e.clientY / height, sign * DEFAULT_FIELD_STRENGTH))
+        setPlacingField(null)
+        return
+      }
+      // So is an armed emitter
+      if (placingEmitterRef.current) {
+        const { width, height } = boundsRef.current
+        addEmitter(newEmitter(e.clientX / width, e.clientY / height))
+        setPlacingEmitter(false)
+        return
+      }
+      // Obstacle editing replaces spawning while a tool is active
+      const tool = obstacleToolRef.current
+      if (tool !== null) {
+        const bounds = boundsRef.current
+        const point = { x: e.clientX / bounds.width, y: e.clientY / bounds.height }
+        if (tool === 'peg') {
+          addObstacle(newPeg(point.x, point.y))
+        } else if (tool === 'line') {
+          setDraftLine(prev => [...prev, point])
+        } else {
+          const hit = [...obstaclesRef.current].reverse()
+            .find(o => hitTestObstacle(o, e.clientX, e.clientY, bounds))
+          selectObstacle(hit?.id ?? null)
+          if (hit) {
+            obstacleDragRef.current = { obstacle: hit, startX: point.x, startY: point.y }
+            e.currentTarget.setPointerCapture(e.pointerId)
+          }
+        }
+        return
+      }
       // Container is `position: fixed; inset: 0`, so client coords map directly.
+      const id = ballAt(e.clientX, e.clientY)
+      if (id) {
+        grabBall(e, id)
+        return
+      }
+      recordSessionInput({ type: 'spawn', x: e.clientX, y: e.clientY })
       spawnBallAt(e.clientX, e.clientY)
     },
-    [spawnBallAt]
+    [
+      spawnBallAt, ballAt, grabBall, getCircleState, selectBall, setPickingBall, addField, setPlacingField,
+      addEmitter, setPlacingEmitter, addObstacle, selectObstacle,
+    ]
   )
 
+  // Dragging in edit mode moves the grabbed obstacle; the offset is always
+  // applied to its state at grab time so dropped moves can't accumulate error.
+  // A held ball follows its pointer, carrying the pointer's velocity so it
+  // bats other balls along the way.
+  const handlePointerMove = useCallback(
+    (e: React.PointerEvent<HTMLDivElement>) => {
+      const drag = obstacleDragRef.current
+      if (drag) {
+        const { width, height } = boundsRef.current
+        updateObstacle(moveObstacle(drag.obstacle, e.clientX / width - drag.startX, e.clientY / height - drag.startY))
+        return
+      }
+
+      const gesture = ballGesturesRef.current.get(e.pointerId)
+      if (!gesture) return
+      if (!gesture.dragging) {
+        if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) < DRAG_THRESHOLD) return
+        gesture.dragging = true
+        if (gesture.longPress) clearTimeout(gesture.longPress)
+        gesture.longPress = null
+      }
+      const state = getCircleState(gesture.id)
+      if (!state) {
+        ballGesturesRef.current.delete(e.pointerId)
+        return
+      }
+      gesture.samples = trimSamples([...gesture.samples, { x: e.clientX, y: e.clientY, t: e.timeStamp }], e.timeStamp)
+      const { x, y } = dragPosition(e.clientX, e.clientY, gesture.offsetX, gesture.offsetY, state.radius, boundsRef.current)
+      patchBall(gesture.id, { x, y, ...flingVelocity(gesture.samples) })
+    },
+    [updateObstacle, getCircleState, patchBall]
+  )
+
+  // Releasing a held ball flings it with the pointer's velocity; a pinned
+  // ball stays pinned where it was dropped
+  const handlePointerUp = useCallback(
+    (e: React.PointerEvent<HTMLDivElement>) => {
+      obstacleDragRef.current = null
+      const gesture = ballGesturesRef.current.get(e.pointerId)
+      if (!gesture) return
+      ballGesturesRef.current.delete(e.pointerId)
+      if (gesture.longPress) clearTimeout(gesture.longPress)
+      if (!gesture.dragging) lastTapRef.current = { id: gesture.id, time: e.timeStamp }
+
+      const fling = gesture.dragging && e.type === 'pointerup'
+        ? flingVelocity(trimSamples(gesture.samples, e.timeStamp))
+        : { vx: 0, vy: 0 }
+      patchBall(gesture.id, gesture.wasPinned ? { vx: 0, vy: 0 } : { pinned: false, ...fling })
+    },
+    [patchBall]
+  )
+
+  /** Commit the line being drawn; a double-click's second click adds a duplicate vertex, dropped here. */
+  const finishDraftLine = useCallback(() => {
+    const points = draftLine.filter((p, i) => i === 0 || p.x !== draftLine[i - 1].x || p.y !== draftLine[i - 1].y)
+    if (points.length >= 2) addObstacle(newLine(points))
+    setDraftLine([])
+  }, [draftLine, addObstacle])
+
+  // Write voice edits back to the selected ball; an all-inherit voice removes it
+  useEffect(() => {
+    if (!selectedBall) return
+    const voice = isInheritVoice(selectedBall.voice) ? undefined : selectedBall.voice
+    recordSessionInput({ type: 'ballVoice', id: selectedBall.id, voice })
+    updateCircleState(selectedBall.id, { voice })
+  }, [selectedBall, updateCircleState])
+
+  // Drop the selection when its ball is evicted
+  useEffect(() => {
+    if (selectedBall && !renderCircles.has(selectedBall.id)) selectBall(null)
+  }, [renderCircles, selectedBall, selectBall])
+
   const handleKeyDown = useCallback(
     (e: React.KeyboardEvent<HTMLDivElement>) => {
+      if (obstacleTool === 'line' && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault()
+        if (e.key === 'Enter') finishDraftLine()
+        else setDraftLine([])
+        return
+      }
+      if (selectedObstacleId && (e.key === 'Delete' || e.key === 'Backspace')) {
+        e.preventDefault()
+        removeObstacle(selectedObstacleId)
+        return
+      }
       if (e.code === 'Space' || e.key === ' ') {
         resumeAudioContext()
         e.preventDefault()
         if (!containerRef.current) return
+        recordSessionInput({ type: 'spawn' })
+        spawnRandomBall()
+        return
+      }
+      if (e.key === 'p' || e.key === 'P') {
+        setPaused(!paused)
+        return
+      }
+      if (e.key === 's' || e.key === 'S') {
+        const index = TIME_SCALES.indexOf(timeScale as typeof TIME_SCALES[number])
+        setTimeScale(TIME_SCALES[(index + 1) % TIME_SCALES.length])
+        return
+      }
+
+      // Keyboard stand-ins for the ball gestures: [ and ] pick a ball, arrows
+      // fling it (or move it if pinned), Enter pins, Delete removes
+      const ids = ballIdsRef.current
+      if (e.key === '[' || e.key === ']') {
+        if (!ids.length) return
+        const index = selectedBall ? ids.indexOf(selectedBall.id) : -1
+        const step = e.key === ']' ? 1 : -1
+        const id = ids[index === -1 ? (step === 1 ? 0 : ids.length - 1) : (index + step + ids.length) % ids.length]
+        const state = getCircleState(id)
+        if (state) selectBall({ id, voice: state.voice ?? DEFAULT_VOICE })
+        return
+      }
+      const state = selectedBall && getCircleState(selectedBall.id)
+      if (!selectedBall || !state) return
+      const arrow = ARROW_KEYS[e.key]
+      if (arrow) {
+        e.preventDefault()
+        const [dx, dy] = arrow
         const { width, height } = boundsRef.current
-        spawnBallAt(Math.random() * width, Math.random() * height)
+        patchBall(selectedBall.id, state.pinned
+          ? {
+              x: Math.min(Math.max(state.x + dx * PINNED_NUDGE, state.radius), width - state.radius),
+              y: Math.min(Math.max(state.y + dy * PINNED_NUDGE, state.radius), height - state.radius),
+            }
+          : { vx: state.vx + dx * NUDGE_SPEED, vy: state.vy + dy * NUDGE_SPEED })
+      } else if (e.key === 'Enter') {
+        e.preventDefault()
+        patchBall(selectedBall.id, { pinned: !state.pinned, vx: 0, vy: 0 })
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault()
+        deleteBall(selectedBall.id)
+      } else if (e.key === 'Escape') {
+        selectBall(null)
       }
     },
-    [spawnBallAt]
+    [
+      spawnRandomBall, obstacleTool, finishDraftLine, selectedObstacleId, removeObstacle, paused, setPaused,
+      timeScale, setTimeScale, selectedBall, selectBall, getCircleState, patchBall, deleteBall,
+    ]
   )
 
-  const COLLISION_COOLDOWN = 300
+  // MIDI note-on spawns a ball
+  useEffect(() => onMidiMessage(data => {
+    const event = parseMidiMessage(data)
+    if (event?.type !== 'noteOn') return
+    resumeAudioContext()
+    recordSessionInput({ type: 'midiNote', note: event.note, velocity: event.velocity })
+    spawnFromNote(event.note, event.velocity)
+  }), [spawnFromNote])
 
-  // Ball-ball collision detection rAF loop
-  useEffect(() => {
-    let animationId: number | null = null
+  /**
+   * Re-run a replayed input the way it first ran. Settings changes are
+   * flushed so the refs and World commands they lead to are in place before
+   * the tick advances, as they were when the change came from a click.
+   */
+  const applySessionInput = useCallback((input: SessionInput) => {
+    switch (input.type) {
+      case 'spawn':
+        if (input.x === undefined || input.y === undefined) spawnRandomBall()
+        else spawnBallAt(input.x, input.y)
+        break
+      case 'midiNote':
+        spawnFromNote(input.note, input.velocity)
+        break
+      case 'action':
+        flushSync(() => dispatch(input.action))
+        break
+      case 'ballSpeed':
+        flushSync(() => setBallSpeed(input.value))
+        break
+      case 'ballVoice':
+        updateCircleState(input.id, { voice: input.voice })
+        break
+      case 'ballPatch':
+        applyBallPatch(input.id, input.changes)
+        break
+      case 'removeBall':
+        dropBall(input.id)
+        break
+      case 'tilt':
+        setTiltGravity(input.gravity)
+        break
+      case 'resize':
+        setWorldBounds(input.bounds)
+        break
+    }
+  }, [
+    spawnRandomBall, spawnBallAt, spawnFromNote, dispatch, setBallSpeed, updateCircleState, applyBallPatch, dropBall,
+    setTiltGravity, setWorldBounds,
+  ])
+  // Inputs applied in one tick each see the renders the ones before them caused
+  const applySessionInputRef = useRef(applySessionInput)
+  useEffect(() => { applySessionInputRef.current = applySessionInput }, [applySessionInput])
+  const launchFromEmitterRef = useRef(launchFromEmitter)
+  useEffect(() => { launchFromEmitterRef.current = launchFromEmitter }, [launchFromEmitter])
 
-    const handleCollisions = () => {
-      if (!containerRef.current) {
-        animationId = requestAnimationFrame(handleCollisions)
-        return
-      }
+  /**
+   * Colour the balls that just sounded `frequency` (see hitColor) and, on the
+   * 'chord' background, add the note to the chord on screen.
+   */
+  const showNote = useCallback((ids: string[], frequency: number, speed: number, now: number) => {
+    const settings = visualsRef.current
+    const a4 = tuningRef.current.a4
+    ids.forEach(id => {
+      const state = getCircleState(id)
+      if (state) recolorBall(id, hitColor(state.color, settings, frequency, speed, a4))
+    })
+    if (settings.background !== 'chord') return
+    const notes = [...recentNotesRef.current.filter(n => now - n.time < CHORD_WINDOW), { frequency, time: now }]
+    recentNotesRef.current = notes
+    const colors = chordColors(notes.map(n => n.frequency), THEMES[settings.theme], a4)
+    setBackgroundColors(prev => (prev.join() === colors.join() ? prev : colors))
+  }, [getCircleState, recolorBall, setBackgroundColors])
 
-      if (circleStates.current.size === 0) {
-        setTimeout(() => { animationId = requestAnimationFrame(handleCollisions) }, 100)
-        return
+  /**
+   * One ticker drives the whole world: advance it by the frame's elapsed time,
+   * turn the step's events into animation and sound, then move every ball.
+   * `now` is World time in ms, so cooldowns replay exactly.
+   */
+  const handleWorldEvent = useCallback((event: WorldEvent, now: number, wallSounded: Set<string>) => {
+    const bounds = boundsRef.current
+    const effects = canvasRendererRef.current ?? domEffects
+    const ring = THEMES[visualsRef.current.theme].ring
+
+    if (event.type === 'wall') {
+      const { id, side, speed, state } = event
+      const horizontal = side === 'left' || side === 'right'
+      const { compress, stretch } = calculateSquishAmounts(speed)
+      if (horizontal) effects.squish(id, speed, compress, stretch)
+      else            effects.squish(id, speed, stretch, compress)
+      effects.glow(id, state.color, state.radius, speed)
+      effects.flash(id, speed)
+
+      // Cooldown per axis; a corner hit still sounds only once
+      const last = lastWallSoundTimes.current.get(id) ?? { x: -Infinity, y: -Infinity }
+      const axis = horizontal ? 'x' : 'y'
+      if (now - last[axis] <= SOUND_COOLDOWN) return
+      lastWallSoundTimes.current.set(id, { ...last, [axis]: now })
+      if (wallSounded.has(id)) return
+      wallSounded.add(id)
+      const note = playWallCollisionBeep(calculatePan(state.x, bounds.width), speed, wallSettingsRef.current, {
+        radius: state.radius,
+        wall: side,
+        x: state.x / bounds.width,
+        y: state.y / bounds.height,
+      }, state.voice)
+      showNote([id], note, speed, now)
+      return
+    }
+
+    if (event.type === 'ball') {
+      const { id1, id2, state1, state2, x, y, angle, speed } = event
+      // Both balls squish along the line between their centres, glow and flash
+      const { compress, stretch } = calculateSquishAmounts(speed)
+      for (const [id, state] of [[id1, state1], [id2, state2]] as const) {
+        effects.squish(id, speed, compress, stretch, angle)
+        effects.glow(id, state.color, state.radius, speed)
+        effects.flash(id, speed)
+      }
+      effects.shockwave(x, y, ring ?? state1.color, speed, state1.radius + state2.radius)
+
+      // Balls resting against each other (e.g. a pile under gravity) stay quiet
+      const pairKey = [id1, id2].sort().join('-')
+      if (now - (lastCollisionTimes.current.get(pairKey) ?? -Infinity) <= SOUND_COOLDOWN || speed < RESTING_SPEED) return
+      lastCollisionTimes.current.set(pairKey, now)
+      const pan = calculatePan(x, bounds.width)
+      const source = {
+        radius: (state1.radius + state2.radius) / 2,
+        x: x / bounds.width,
+        y: y / bounds.height,
+      }
+      // Each voiced ball sounds its own voice; balls without one share
+      // a single note from circleSettings, as before voices existed.
+      const shared: string[] = []
+      for (const [id, state] of [[id1, state1], [id2, state2]] as const) {
+        if (state.voice) showNote([id], playCollisionBeep(pan, speed, circleSettingsRef.current, source, state.voice), speed, now)
+        else shared.push(id)
+      }
+      if (shared.length > 0) {
+        showNote(shared, playCollisionBeep(pan, speed, circleSettingsRef.current, source), speed, now)
       }
+      return
+    }
 
-      const bounds = boundsRef.current
-      const collisionEvents = handleCircleCollisions()
-      const currentTime = Date.now()
-
-      collisionEvents.forEach(event => {
-        const { id1, id2, collisionPoint, angle } = event
-        const pairKey   = [id1, id2].sort().join('-')
-        const circleEl1 = circleRefs.current.get(id1)
-        const circleEl2 = circleRefs.current.get(id2)
-
-        if (circleEl1 && circleEl2) {
-          const lastCollisionTime  = lastCollisionTimes.current.get(pairKey) ?? 0
-          const timeSinceLast      = currentTime - lastCollisionTime
-          const state1 = circleStates.current.get(id1)
-          const state2 = circleStates.current.get(id2)
-
-          if (state1 && state2) {
-            playCircleCollisionSquish(circleEl1, circleEl2, angle, state1, state2)
-            const dvx0 = (state2.vx) - (state1.vx)
-            const dvy0 = (state2.vy) - (state1.vy)
-            const rv = Math.sqrt(dvx0 * dvx0 + dvy0 * dvy0)
-            playShockwave(collisionPoint.x, collisionPoint.y, state1.color, rv, state1.radius + state2.radius)
-          }
+    // Obstacles sound with their own voice over wallSettings; the ball's
+    // voice doesn't apply since the obstacle is the instrument.
+    const { id, state, obstacle, speed } = event
+    effects.glow(id, state.color, state.radius, speed)
+    effects.flash(id, speed)
+    const key = `${id}|${obstacle.id}`
+    if (now - (lastObstacleSoundTimes.current.get(key) ?? -Infinity) <= SOUND_COOLDOWN) return
+    lastObstacleSoundTimes.current.set(key, now)
+    effects.shockwave(event.x, event.y, ring ?? state.color, speed, 0)
+    const note = playWallCollisionBeep(calculatePan(event.x, bounds.width), speed, wallSettingsRef.current, {
+      radius: state.radius,
+      x: event.x / bounds.width,
+      y: event.y / bounds.height,
+    }, obstacle.voice)
+    showNote([id], note, speed, now)
+  }, [domEffects, showNote])
 
-          if (timeSinceLast > COLLISION_COOLDOWN) {
-            const pan = calculatePan(collisionPoint.x, bounds.width)
-            const dvx = (state2?.vx ?? 0) - (state1?.vx ?? 0)
-            const dvy = (state2?.vy ?? 0) - (state1?.vy ?? 0)
-            const relativeVelocity = Math.sqrt(dvx * dvx + dvy * dvy)
-            playCollisionBeep(pan, relativeVelocity, circleSettingsRef.current)
-            lastCollisionTimes.current.set(pairKey, currentTime)
-          }
+  useEffect(() => {
+    addTicker('world', (_time, deltaTime) => {
+      if (!containerRef.current) return
+      // Paused, the world (and any replay or recording) holds still but
+      // still draws, so dragged balls follow the pointer
+      if (!pausedRef.current) {
+        // Slow motion scales World time; a replay's ticks were scaled when recorded
+        let elapsed = (deltaTime / 1000) * timeScaleRef.current
+        const replay = replayRef.current
+        const tick = replay?.next()
+        if (tick) {
+          tick.inputs.forEach(input => applySessionInputRef.current(input))
+          elapsed = tick.elapsed
+        } else if (replay) {
+          replayRef.current = null
+          endReplay()
+        } else {
+          recordSessionTick(elapsed)
         }
-      })
 
-      animationId = requestAnimationFrame(handleCollisions)
-    }
+        // Emitters run on World time, so a replay launches the same balls
+        const clocks = emitterClocksRef.current
+        lifecycleRef.current.emitters.forEach(emitter => {
+          const { launches, carried } = emitterLaunches(clocks.get(emitter.id) ?? 0, emitter.rate, elapsed)
+          clocks.set(emitter.id, carried)
+          for (let i = 0; i < launches; i++) launchFromEmitterRef.current(emitter)
+        })
 
-    animationId = requestAnimationFrame(handleCollisions)
-    return () => { if (animationId !== null) cancelAnimationFrame(animationId) }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [handleCircleCollisions, playCircleCollisionSquish, playShockwave])
+        stepWorld(elapsed).forEach(({ time, events, changed, removed }) => {
+          const wallSounded = new Set<string>()
+          events.forEach(event => handleWorldEvent(event, time * 1000, wallSounded))
+          changed.forEach(({ id, state }) => adoptBall(id, state))
+          removed.forEach(dropBall)
+        })
+      }
+
+      const canvasRenderer = canvasRendererRef.current
+      if (canvasRenderer) {
+        canvasRenderer.draw(circleStates.current, selectedBallIdRef.current)
+      } else {
+        circleStates.current.forEach((state, id) => {
+          const el = circleRefs.current.get(id)
+          if (el) gsap.set(el, { x: state.x, y: state.y, opacity: state.fade ?? 1 })
+        })
+        const colors = pendingColorsRef.current
+        if (colors.size > 0) {
+          pendingColorsRef.current = new Map()
+          setRenderCircles(prev => {
+            const next = new Map(prev)
+            colors.forEach((color, id) => {
+              const current = next.get(id)
+              if (current) next.set(id, { ...current, color })
+            })
+            return next
+          })
+        }
+      }
+    })
+    return () => removeTicker('world')
+  }, [addTicker, removeTicker, stepWorld, handleWorldEvent, adoptBall, dropBall, circleStates, endReplay])
 
   return (
     <>
       <div
         ref={containerRef}
         role="application"
-        aria-label="Oscillaphone canvas — click or press Space to spawn a ball"
+        aria-label="Oscillaphone canvas — click or press Space to spawn a ball; drag a ball to fling it, hold to pin it, double-tap or Alt-click to delete it"
         tabIndex={0}
         onPointerDown={handleMouseDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={obstacleTool === 'line' ? finishDraftLine : undefined}
         onKeyDown={handleKeyDown}
         style={{
           position: 'fixed',
@@ -754,8 +1416,8 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
           left: 0,
           right: 0,
           bottom: 0,
-          backgroundColor: '#05080f',
-          cursor: 'pointer',
+          backgroundColor: theme.backdrop,
+          cursor: placingField !== null || obstacleTool !== null ? 'crosshair' : 'pointer',
           zIndex: 9999,
           overflow: 'hidden',
           userSelect: 'none',
@@ -771,7 +1433,15 @@ function CircleCanvas({ onBackgroundChange, initialSpeed = 15 }: CircleCanvasPro
             }
           `}
         </style>
-        {circleComponents}
+        <ObstacleLayer obstacles={obstacles} selectedId={selectedObstacleId} draft={draftLine} />
+        {physics.fields.map(field => <FieldMarker key={field.id} field={field} />)}
+        {lifecycle.emitters.map(emitter => <EmitterMarker key={emitter.id} emitter={emitter} />)}
+        {renderer === 'canvas' ? (
+          <canvas
+            ref={canvasRef}
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+          />
+        ) : circleComponents}
       </div>
     </>
   )
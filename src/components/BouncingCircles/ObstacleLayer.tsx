@@ -0,0 +1,53 @@
+import { memo } from 'react'
+import type { NormalizedPoint, Obstacle } from '../../types/physics'
+
+interface ObstacleLayerProps {
+  obstacles: Obstacle[]
+  selectedId: string | null
+  /** Vertices of a line still being drawn */
+  draft: NormalizedPoint[]
+}
+
+const STROKE = 'rgba(255, 255, 255, 0.75)'
+const SELECTED = '#c084fc'
+
+const pct = (v: number) => `${v * 100}%`
+
+/** Segments between consecutive points; SVG lines take % coordinates, polylines don't. */
+const Segments = ({ points, stroke, dashed = false }: { points: NormalizedPoint[]; stroke: string; dashed?: boolean }) => (
+  <>
+    {points.slice(1).map((p, i) => (
+      <line key={i}
+        x1={pct(points[i].x)} y1={pct(points[i].y)} x2={pct(p.x)} y2={pct(p.y)}
+        stroke={stroke} strokeWidth={3} strokeLinecap="round"
+        strokeDasharray={dashed ? '6 6' : undefined} />
+    ))}
+  </>
+)
+
+/** Static obstacles drawn over the background, under the balls. */
+function ObstacleLayer({ obstacles, selectedId, draft }: ObstacleLayerProps) {
+  return (
+    <svg
+      width="100%"
+      height="100%"
+      style={{ position: 'absolute', inset: 0, pointerEvents: 'none', overflow: 'visible' }}
+    >
+      {obstacles.map(obstacle => {
+        const stroke = obstacle.id === selectedId ? SELECTED : STROKE
+        return obstacle.kind === 'peg' ? (
+          <circle key={obstacle.id} cx={pct(obstacle.x)} cy={pct(obstacle.y)} r={obstacle.radius}
+            fill="rgba(255, 255, 255, 0.15)" stroke={stroke} strokeWidth={2} />
+        ) : (
+          <g key={obstacle.id}><Segments points={obstacle.points} stroke={stroke} /></g>
+        )
+      })}
+      {draft.length > 0 && <Segments points={draft} stroke={SELECTED} dashed />}
+      {draft.map((p, i) => (
+        <circle key={i} cx={pct(p.x)} cy={pct(p.y)} r={3} fill={SELECTED} />
+      ))}
+    </svg>
+  )
+}
+
+export default memo(ObstacleLayer)
@@ -1,28 +1,86 @@
-import Button from '../shared/Button'
+import { useEffect, useState } from 'react'
+import Select from '../shared/Select'
 import { useAudio } from '../../context/AudioContext'
+import { parseScaleId, scaleId, parseIntervalList, type RootNote, type ModeId } from '../../utils/scales'
 
-/** Renders one button per musical scale; highlights the currently active scale. */
+const hintStyle = {
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '12px',
+  marginTop: '4px',
+  opacity: 0.8,
+}
+
+/** Root and mode pickers for the active scale, plus the interval list for the Custom mode. */
 export default function ScaleSelector() {
-  const { currentScale, setCurrentScale, AVAILABLE_SCALES } = useAudio()
+  const {
+    currentScale,
+    setCurrentScale,
+    customIntervals,
+    setCustomIntervals,
+    AVAILABLE_ROOTS,
+    AVAILABLE_MODES,
+  } = useAudio()
+  const { root, mode } = parseScaleId(currentScale) ?? { root: 'C' as RootNote, mode: 'MAJOR' as ModeId }
+  const [intervalText, setIntervalText] = useState(customIntervals.join(' '))
+  const [intervalError, setIntervalError] = useState(false)
+
+  // Follow external changes (preset load, reset) to the stored interval list
+  useEffect(() => {
+    setIntervalText(customIntervals.join(' '))
+    setIntervalError(false)
+  }, [customIntervals])
+
+  const commitIntervals = () => {
+    const steps = parseIntervalList(intervalText)
+    setIntervalError(steps === null)
+    if (steps) setCustomIntervals(steps)
+  }
 
   return (
     <div style={{ marginBottom: '6px' }}>
-      <div style={{
-        display: 'grid',
-        gridTemplateColumns: 'repeat(3, auto)',
-        justifyContent: 'start',
-        gap: '8px',
-      }}>
-        {AVAILABLE_SCALES.map(scale => (
-          <Button
-            key={scale.id}
-            onClick={() => setCurrentScale(scale.id)}
-            isActive={currentScale === scale.id}
-          >
-            {scale.name}
-          </Button>
-        ))}
+      <div style={{ display: 'grid', gridTemplateColumns: '70px 1fr', gap: '8px' }}>
+        <Select
+          label="Root note"
+          value={root}
+          onChange={v => setCurrentScale(scaleId(v as RootNote, mode))}
+          options={AVAILABLE_ROOTS}
+        />
+        <Select
+          label="Mode"
+          value={mode}
+          onChange={v => setCurrentScale(scaleId(root, v as ModeId))}
+          options={AVAILABLE_MODES}
+        />
       </div>
+
+      {mode === 'CUSTOM' && (
+        <div style={{ marginTop: '6px' }}>
+          <input
+            type="text"
+            aria-label="Custom intervals"
+            placeholder="2 2 1 2 2 2 1"
+            value={intervalText}
+            onChange={e => setIntervalText(e.target.value)}
+            onBlur={commitIntervals}
+            onKeyDown={e => { if (e.key === 'Enter') commitIntervals() }}
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '6px 8px',
+              borderRadius: '4px',
+              border: `1px solid ${intervalError ? '#dc2626' : '#6b21a8'}`,
+              backgroundColor: 'rgba(0, 0, 0, 0.5)',
+              color: 'white',
+              fontFamily: 'system-ui, sans-serif',
+              fontSize: '14px',
+            }}
+          />
+          <div style={hintStyle}>
+            {intervalError ? 'Use positive semitone steps, e.g. 2 1 2 2 1 3 1' : 'Semitone steps between degrees'}
+          </div>
+        </div>
+      )}
     </div>
   )
 }
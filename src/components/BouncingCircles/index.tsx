@@ -6,10 +6,10 @@ import CircleCanvas from './CircleCanvas'
 import Button from '../shared/Button'
 import gsap from 'gsap'
 import { useColorPalette } from '../../hooks/useColorPalette'
+import { nextRandom } from '../../utils/random'
 
 export default function BouncingCircles() {
   const [showControls, setShowControls] = useState(false)
-  const [ballSpeed, setBallSpeed] = useState(15)
   const buttonRef = useRef<HTMLButtonElement | null>(null)
   const buttonTimeline = useRef<gsap.core.Tween | gsap.core.Timeline | null>(null)
   const controlsRef = useRef<HTMLDivElement | null>(null)
@@ -57,7 +57,7 @@ export default function BouncingCircles() {
   }, [])
 
   const generateRandomColor = useCallback((): string => {
-    const hue = Math.random() * 360
+    const hue = nextRandom('background') * 360
     return `hsl(${hue}, 70%, 50%)`
   }, [])
 
@@ -119,12 +119,12 @@ export default function BouncingCircles() {
 
         {showControls && (
           <div ref={controlsRef}>
-            <AudioControls visible={true} speed={ballSpeed} setSpeed={setBallSpeed} />
+            <AudioControls visible={true} />
           </div>
         )}
       </div>
 
-      <CircleCanvas onBackgroundChange={() => {}} initialSpeed={ballSpeed} />
+      <CircleCanvas onBackgroundChange={() => {}} />
     </AudioProvider>
   )
 }
@@ -0,0 +1,53 @@
+import type { CSSProperties } from 'react'
+
+interface SelectOption {
+  id: string
+  name: string
+  /** Options sharing a group are rendered inside one <optgroup>. */
+  group?: string
+}
+
+interface SelectProps {
+  label: string
+  value: string
+  onChange: (value: string) => void
+  options: SelectOption[]
+  /** Disabled first entry shown when `value` matches no option. */
+  placeholder?: string
+  style?: CSSProperties
+}
+
+const selectStyles: CSSProperties = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  borderRadius: '4px',
+  border: '1px solid #6b21a8',
+  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  fontSize: '14px',
+  cursor: 'pointer',
+}
+
+export default function Select({ label, value, onChange, options, placeholder, style = {} }: SelectProps) {
+  const ungrouped = options.filter(o => !o.group)
+  const groups = Array.from(new Set(options.filter(o => o.group).map(o => o.group!)))
+
+  return (
+    <select
+      aria-label={label}
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      style={{ ...selectStyles, ...style }}
+    >
+      {placeholder && <option value="" disabled>{placeholder}</option>}
+      {ungrouped.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+      {groups.map(group => (
+        <optgroup key={group} label={group}>
+          {options.filter(o => o.group === group).map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+        </optgroup>
+      ))}
+    </select>
+  )
+}
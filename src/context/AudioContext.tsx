@@ -1,40 +1,90 @@
-import { createContext, useContext, useReducer, useEffect, useRef, type Dispatch } from 'react'
+import { createContext, useCallback, useContext, useReducer, useEffect, useRef, useState, type Dispatch } from 'react'
 import {
   initAudioContext,
   cleanupAudio,
   setScale,
+  setTuning,
   setGlobalVolume,
-  AVAILABLE_SCALES,
+  setMidiRouting,
+  setTransport,
+  setPolyphony,
+  setMasterBus,
+  setSendBus,
   WAVEFORMS
 } from '../utils/sound'
-import type { AudioState, AudioAction, SoundSettings, OversampleType } from '../types/audio'
-
-// ─── Initial state ─────────────────────────────────────────────────────────────
-
-const initialState: AudioState = {
-  currentScale: 'C_MAJOR',
-  globalVolume: 1.0,
-  wallSettings: {
-    duration: 0.25, detune: 0, waveform: 'sine', volume: 0.15,
-    delay:      { enabled: false, time: 0.3,  feedback: 0.3, mix: 0.3 },
-    reverb:     { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 },
-    distortion: { enabled: false, amount: 0.5, oversample: '2x', mix: 0.3 },
-    tremolo:    { enabled: false, rate: 4.0,  depth: 0.5,  mix: 0.5 },
-  },
-  circleSettings: {
-    duration: 0.25, detune: 0, waveform: 'sine', volume: 0.15,
-    delay:      { enabled: false, time: 0.3,  feedback: 0.3, mix: 0.3 },
-    reverb:     { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 },
-    distortion: { enabled: false, amount: 0.5, oversample: '2x', mix: 0.3 },
-    tremolo:    { enabled: false, rate: 4.0,  depth: 0.5,  mix: 0.5 },
-  },
-}
+import { AVAILABLE_SCALES, AVAILABLE_ROOTS, AVAILABLE_MODES } from '../utils/scales'
+import { PITCH_MAPPINGS } from '../utils/pitchMapping'
+import { initialState, mergeAudioState, normalizeScene } from '../utils/audioState'
+import type { SampleRef } from '../utils/samples'
+import { requestMidiAccess, selectMidiOutput, onMidiMessage } from '../utils/midi'
+import {
+  LEARN_TARGETS,
+  parseMidiMessage,
+  ccToValue,
+  mappingFromTarget,
+  upsertMapping,
+  pathKey,
+  loadCcMappings,
+  saveCcMappings,
+  type CcMapping,
+  type LearnTarget,
+} from '../utils/midiInput'
+import {
+  FACTORY_PRESETS,
+  pickPresetSettings,
+  userPresetId,
+  parsePresetFile,
+  loadUserPresets,
+  saveUserPresets,
+  downloadPresetFile,
+  type RawPreset,
+} from '../utils/presets'
+import {
+  decodeScene,
+  decodeSceneHash,
+  encodeSceneHash,
+  parseSceneFile,
+  scaleScene,
+  sceneSlot,
+  loadSceneSlots,
+  saveSceneSlots,
+  downloadSceneFile,
+  encodeScene,
+} from '../utils/scene'
+import {
+  startSessionRecording,
+  stopSessionRecording,
+  isSessionRecording,
+  recordSessionInput,
+  parseSessionFile,
+  downloadSessionFile,
+} from '../utils/session'
+import { getSeed, setSeed, newSeed, randomFrom } from '../utils/random'
+import {
+  getIn,
+  morphParams,
+  paramSnapshot,
+  randomizeParams,
+  type ParamChange,
+  type ParamSection,
+} from '../utils/params'
+import { EMPTY_HISTORY, pushHistory, redoHistory, undoHistory, type History as UndoHistory } from '../utils/history'
+import type { AudioState, AudioAction, SoundSettings, SoundPreset, PitchMappingMode,
+  TuningSettings, ScalaTuning, MidiSettings, BallVoice, VoiceBrush, SelectedBall,
+  TransportSettings, PolyphonySettings, MasterSettings, SendSettings, Scene, RawScene, SceneSlot, BallLoad } from '../types/audio'
+import type {
+  PhysicsSettings, FieldPoint, Obstacle, ObstacleTool, CircleState, LifecycleSettings, Emitter,
+} from '../types/physics'
+import type { VisualSettings } from '../types/visuals'
+import type { SessionLog, SessionRun } from '../types/session'
 
 // ─── Action types ──────────────────────────────────────────────────────────────
 
 const ActionTypes = {
   SET: 'SET',
   RESET_ALL_CONTROLS: 'RESET_ALL_CONTROLS',
+  LOAD_PRESET: 'LOAD_PRESET',
+  LOAD_SCENE: 'LOAD_SCENE',
 } as const
 
 // ─── Immutable deep-set helper ─────────────────────────────────────────────────
@@ -57,6 +107,10 @@ function audioReducer(state: AudioState, action: AudioAction): AudioState {
       return setIn(state, action.path, action.value)
     case 'RESET_ALL_CONTROLS':
       return { ...initialState }
+    case 'LOAD_PRESET':
+      return { ...state, ...pickPresetSettings(mergeAudioState(action.settings)) }
+    case 'LOAD_SCENE':
+      return action.state
     default:
       return state
   }
@@ -64,36 +118,33 @@ function audioReducer(state: AudioState, action: AudioAction): AudioState {
 
 const STORAGE_KEY = 'oscillaphone_audio_settings'
 
-/**
- * Load persisted state from localStorage, deep-merged with initialState so any
- * keys added in future code are always present even if the stored object is old.
- */
+/** Load persisted state from localStorage, deep-merged with initialState. */
 function loadPersistedState(): AudioState {
   try {
     const raw = localStorage.getItem(STORAGE_KEY)
     if (!raw) return initialState
-    const saved = JSON.parse(raw)
-    return {
-      ...initialState,
-      ...saved,
-      wallSettings: { ...initialState.wallSettings, ...saved.wallSettings,
-        delay:      { ...initialState.wallSettings.delay,      ...saved.wallSettings?.delay },
-        reverb:     { ...initialState.wallSettings.reverb,     ...saved.wallSettings?.reverb },
-        distortion: { ...initialState.wallSettings.distortion, ...saved.wallSettings?.distortion },
-        tremolo:    { ...initialState.wallSettings.tremolo,    ...saved.wallSettings?.tremolo },
-      },
-      circleSettings: { ...initialState.circleSettings, ...saved.circleSettings,
-        delay:      { ...initialState.circleSettings.delay,      ...saved.circleSettings?.delay },
-        reverb:     { ...initialState.circleSettings.reverb,     ...saved.circleSettings?.reverb },
-        distortion: { ...initialState.circleSettings.distortion, ...saved.circleSettings?.distortion },
-        tremolo:    { ...initialState.circleSettings.tremolo,    ...saved.circleSettings?.tremolo },
-      },
-    }
+    return mergeAudioState(JSON.parse(raw))
   } catch {
     return initialState
   }
 }
 
+/** Run a raw preset through the same merge as persisted state. */
+const normalizePreset = (raw: RawPreset, id: string, factory = false): SoundPreset => ({
+  id,
+  name: raw.name,
+  ...(factory ? { factory } : {}),
+  settings: pickPresetSettings(mergeAudioState(raw.settings)),
+})
+
+const factoryPresets: SoundPreset[] = FACTORY_PRESETS.map(p => normalizePreset(p, p.id, true))
+
+/** Typing in a field keeps its own Ctrl+Z */
+const isTextField = (target: EventTarget | null): boolean =>
+  target instanceof HTMLTextAreaElement
+  || (target instanceof HTMLElement && target.isContentEditable)
+  || (target instanceof HTMLInputElement && !['range', 'checkbox', 'radio', 'button', 'file'].includes(target.type))
+
 // Exported for unit testing
 export { audioReducer, initialState, ActionTypes }
 
@@ -102,61 +153,251 @@ export { audioReducer, initialState, ActionTypes }
 interface AudioContextValue {
   currentScale: string
   globalVolume: number
+  master: MasterSettings
+  sends: SendSettings
+  tuning: TuningSettings
+  customIntervals: number[]
   wallSettings: SoundSettings
   circleSettings: SoundSettings
+  midi: MidiSettings
+  transport: TransportSettings
+  polyphony: PolyphonySettings
+  voiceBrush: VoiceBrush
+  physics: PhysicsSettings
+  obstacles: Obstacle[]
+  lifecycle: LifecycleSettings
+  visuals: VisualSettings
   AVAILABLE_SCALES: Array<{ id: string; name: string }>
+  AVAILABLE_ROOTS: Array<{ id: string; name: string }>
+  AVAILABLE_MODES: Array<{ id: string; name: string }>
   WAVEFORMS: Array<{ id: string; name: string }>
+  PITCH_MAPPINGS: Array<{ id: PitchMappingMode; name: string }>
   setCurrentScale: (scale: string) => void
-  setGlobalVolume: (volume: number) => void
-  setWallDuration: (v: number) => void
-  setWallDetune: (v: number) => void
-  setWallWaveform: (v: OscillatorType) => void
-  setWallVolume: (v: number) => void
-  setWallDelayEnabled: (v: boolean) => void
-  setWallDelayTime: (v: number) => void
-  setWallDelayFeedback: (v: number) => void
-  setWallDelayMix: (v: number) => void
-  setWallReverbEnabled: (v: boolean) => void
-  setWallReverbRoomSize: (v: number) => void
-  setWallReverbDamping: (v: number) => void
-  setWallReverbMix: (v: number) => void
-  setWallDistortionEnabled: (v: boolean) => void
-  setWallDistortionAmount: (v: number) => void
-  setWallDistortionOversample: (v: OversampleType) => void
-  setWallDistortionMix: (v: number) => void
-  setWallTremoloEnabled: (v: boolean) => void
-  setWallTremoloRate: (v: number) => void
-  setWallTremoloDepth: (v: number) => void
-  setWallTremoloMix: (v: number) => void
-  setCircleDuration: (v: number) => void
-  setCircleDetune: (v: number) => void
-  setCircleWaveform: (v: OscillatorType) => void
-  setCircleVolume: (v: number) => void
-  setCircleDelayEnabled: (v: boolean) => void
-  setCircleDelayTime: (v: number) => void
-  setCircleDelayFeedback: (v: number) => void
-  setCircleDelayMix: (v: number) => void
-  setCircleReverbEnabled: (v: boolean) => void
-  setCircleReverbRoomSize: (v: number) => void
-  setCircleReverbDamping: (v: number) => void
-  setCircleReverbMix: (v: number) => void
-  setCircleDistortionEnabled: (v: boolean) => void
-  setCircleDistortionAmount: (v: number) => void
-  setCircleDistortionOversample: (v: OversampleType) => void
-  setCircleDistortionMix: (v: number) => void
-  setCircleTremoloEnabled: (v: boolean) => void
-  setCircleTremoloRate: (v: number) => void
-  setCircleTremoloDepth: (v: number) => void
-  setCircleTremoloMix: (v: number) => void
+  setScalaTuning: (scala: ScalaTuning | null) => void
+  setCustomIntervals: (steps: number[]) => void
+  /** The value at an AudioState path */
+  paramValue: (path: string[]) => unknown
+  /** Set any AudioState path (a registry parameter, or e.g. a partials list); undoable like every SET */
+  setParam: (path: string[], value: unknown) => void
+  /** Put a loaded sample into a sound's source, keeping its root note */
+  setSample: (key: 'wallSettings' | 'circleSettings', sample: SampleRef) => void
+  canUndo: boolean
+  canRedo: boolean
+  undo: () => void
+  redo: () => void
+  /** Sections Randomize leaves alone */
+  lockedSections: ParamSection[]
+  setSectionLocked: (section: ParamSection, locked: boolean) => void
+  /** Draw every unlocked parameter from its sane range (seeded, one undo step) */
+  randomize: () => void
+  /** The two stored states Morph moves between (not persisted) */
+  morphA: Record<string, unknown> | null
+  morphB: Record<string, unknown> | null
+  storeMorph: (slot: 'a' | 'b') => void
+  /** 0 = A, 1 = B */
+  morphPosition: number
+  setMorphPosition: (t: number) => void
+  setMidiOutput: (id: string) => void
+  setTimeSignature: (beatsPerBar: number, beatUnit: 4 | 8) => void
+  setVoiceBrushVoice: (v: BallVoice) => void
+  /** Ball whose voice is being edited (canvas selection, not persisted) */
+  selectedBall: SelectedBall | null
+  selectBall: (ball: SelectedBall | null) => void
+  setSelectedBallVoice: (voice: BallVoice) => void
+  /** When true the next canvas click picks a ball instead of spawning one */
+  pickingBall: boolean
+  setPickingBall: (v: boolean) => void
+  addField: (field: FieldPoint) => void
+  updateField: (id: string, changes: Partial<FieldPoint>) => void
+  removeField: (id: string) => void
+  clearFields: () => void
+  /** Sign of the field point the next canvas click places, or null when not placing */
+  placingField: 1 | -1 | null
+  setPlacingField: (v: 1 | -1 | null) => void
+  addObstacle: (obstacle: Obstacle) => void
+  /** Replace the obstacle with the same id */
+  updateObstacle: (obstacle: Obstacle) => void
+  removeObstacle: (id: string) => void
+  clearObstacles: () => void
+  /** What a canvas click does with obstacles, or null when not editing them */
+  obstacleTool: ObstacleTool | null
+  setObstacleTool: (v: ObstacleTool | null) => void
+  addEmitter: (emitter: Emitter) => void
+  updateEmitter: (id: string, changes: Partial<Emitter>) => void
+  removeEmitter: (id: string) => void
+  clearEmitters: () => void
+  /** True while the next canvas click places an emitter */
+  placingEmitter: boolean
+  setPlacingEmitter: (v: boolean) => void
+  /** Obstacle being edited (canvas selection, not persisted) */
+  selectedObstacleId: string | null
+  selectObstacle: (id: string | null) => void
+  LEARN_TARGETS: LearnTarget[]
+  ccMappings: CcMapping[]
+  /** Target waiting for the next CC to arrive, or null when not learning */
+  learnTarget: LearnTarget | null
+  startMidiLearn: (target: LearnTarget | null) => void
+  removeCcMapping: (path: string[]) => void
   resetAllControls: () => void
+  presets: SoundPreset[]
+  activePresetId: string | null
+  loadPreset: (id: string) => void
+  savePreset: (name: string) => void
+  deletePreset: (id: string) => void
+  exportPresets: () => void
+  /** Resolves with the number of presets imported; rejects with a user-facing Error. */
+  importPresets: (file: File) => Promise<number>
+  /** Launch speed of new balls in px/frame (not persisted; saved with scenes) */
+  ballSpeed: number
+  setBallSpeed: (v: number) => void
+  /** World clock controls (not persisted): a paused World still lets balls be dragged */
+  paused: boolean
+  setPaused: (v: boolean) => void
+  /** Slow motion: World seconds per real second, one of TIME_SCALES */
+  timeScale: number
+  setTimeScale: (v: number) => void
+  /** Balls a loaded scene or session start is waiting for the canvas to put in */
+  ballLoad: BallLoad | null
+  clearBallLoad: () => void
+  /** Let the canvas report its balls for scene capture; returns an unregister function */
+  registerBallSnapshot: (snapshot: () => CircleState[]) => () => void
+  captureScene: () => Scene
+  sceneSlots: Array<SceneSlot | null>
+  saveSceneSlot: (index: number) => void
+  /** Throws a user-facing Error if the slot holds an unusable scene. */
+  loadSceneSlot: (index: number) => void
+  clearSceneSlot: (index: number) => void
+  exportScene: () => void
+  /** Rejects with a user-facing Error if the file isn't a usable scene. */
+  importScene: (file: File) => Promise<void>
+  /** Resolves with a link that opens the current scene. */
+  shareSceneLink: () => Promise<string>
+  /** Problem with the scene in the page's link, if it couldn't be opened */
+  sceneLinkError: string | null
+  /** Seed the random streams restart from when a session is recorded */
+  seed: number
+  setSeed: (v: number) => void
+  newSeed: () => void
+  /** The session being recorded or replayed, or null */
+  sessionRun: SessionRun | null
+  /** The last session recorded or opened, ready to replay or download */
+  lastSession: SessionLog | null
+  startSessionRecording: () => void
+  stopSessionRecording: () => void
+  replaySession: () => void
+  /** Stop a replay early; the canvas also calls this when the log runs out */
+  endReplay: () => void
+  exportSession: () => void
+  /** Rejects with a user-facing Error if the file isn't a usable session. */
+  importSession: (file: File) => Promise<void>
   dispatch: Dispatch<AudioAction>
 }
 
 const AudioContext = createContext<AudioContextValue | undefined>(undefined)
 
 export function AudioProvider({ children }: { children: React.ReactNode }) {
-  const [state, dispatch] = useReducer(audioReducer, undefined, loadPersistedState)
+  const [state, baseDispatch] = useReducer(audioReducer, undefined, loadPersistedState)
   const persistTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+  const [userPresets, setUserPresets] = useState<SoundPreset[]>(() =>
+    loadUserPresets().map(p => normalizePreset(p, userPresetId(p.name))))
+  const [activePresetId, setActivePresetId] = useState<string | null>(null)
+  const [ccMappings, setCcMappings] = useState<CcMapping[]>(loadCcMappings)
+  const [learnTarget, setLearnTarget] = useState<LearnTarget | null>(null)
+  const [selectedBall, setSelectedBall] = useState<SelectedBall | null>(null)
+  const [pickingBall, setPickingBall] = useState(false)
+  const [placingField, setPlacingField] = useState<1 | -1 | null>(null)
+  const [placingEmitter, setPlacingEmitter] = useState(false)
+  const [obstacleTool, setObstacleTool] = useState<ObstacleTool | null>(null)
+  const [selectedObstacleId, setSelectedObstacleId] = useState<string | null>(null)
+  const [ballSpeed, setBallSpeed] = useState(15)
+  const [paused, setPaused] = useState(false)
+  const [timeScale, setTimeScale] = useState(1)
+  const [ballLoad, setBallLoad] = useState<BallLoad | null>(null)
+  const [sceneSlots, setSceneSlots] = useState<Array<SceneSlot | null>>(loadSceneSlots)
+  const [sceneLinkError, setSceneLinkError] = useState<string | null>(null)
+  const ballSnapshotRef = useRef<(() => CircleState[]) | null>(null)
+  const [seed, setSeedState] = useState(getSeed)
+  const [sessionRun, setSessionRun] = useState<SessionRun | null>(null)
+  const [lastSession, setLastSession] = useState<SessionLog | null>(null)
+
+  // Every settings change goes through here, so a session recording sees them all
+  const dispatch = useCallback((action: AudioAction) => {
+    if (isSessionRecording()) recordSessionInput({ type: 'action', action })
+    baseDispatch(action)
+  }, [])
+
+  // Undo history. The ref is the source of truth so that changes and undos
+  // landing before the next render (a MIDI knob, a held Ctrl+Z) stack
+  // correctly; the state copy re-renders the Undo / Redo buttons.
+  const stateRef = useRef(state)
+  useEffect(() => { stateRef.current = state }, [state])
+  const historyRef = useRef<UndoHistory>(EMPTY_HISTORY)
+  const [steps, setSteps] = useState<UndoHistory>(EMPTY_HISTORY)
+  const [lockedSections, setLockedSections] = useState<ParamSection[]>([])
+  const [morphA, setMorphA] = useState<Record<string, unknown> | null>(null)
+  const [morphB, setMorphB] = useState<Record<string, unknown> | null>(null)
+  const [morphPosition, setMorphPositionState] = useState(0)
+
+  const updateHistory = useCallback((next: UndoHistory) => {
+    historyRef.current = next
+    setSteps(next)
+  }, [])
+
+  // SET each change, recording them as one undo step under `key`
+  const applyChanges = useCallback((changes: ParamChange[], key: string | null) => {
+    const before = stateRef.current
+    updateHistory(pushHistory(historyRef.current,
+      changes.map(c => ({ path: c.path, before: getIn(before, c.path), after: c.value })), key, Date.now()))
+    for (const c of changes) dispatch({ type: ActionTypes.SET, path: c.path, value: c.value })
+  }, [dispatch, updateHistory])
+
+  // Undo and redo are plain SETs too, so a session recording replays them
+  const undo = useCallback(() => {
+    const step = undoHistory(historyRef.current)
+    if (!step) return
+    updateHistory(step.history)
+    for (const c of step.entry.changes) dispatch({ type: ActionTypes.SET, path: c.path, value: c.before })
+  }, [dispatch, updateHistory])
+
+  const redo = useCallback(() => {
+    const step = redoHistory(historyRef.current)
+    if (!step) return
+    updateHistory(step.history)
+    for (const c of step.entry.changes) dispatch({ type: ActionTypes.SET, path: c.path, value: c.after })
+  }, [dispatch, updateHistory])
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while typing
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z') {
+        e.preventDefault()
+        if (e.shiftKey) redo()
+        else undo()
+      } else if (key === 'y' && !e.shiftKey) {
+        e.preventDefault()
+        redo()
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [undo, redo])
+
+  const setRecordedBallSpeed = (value: number) => {
+    if (isSessionRecording()) recordSessionInput({ type: 'ballSpeed', value })
+    setBallSpeed(value)
+  }
+
+  // Stable, since the canvas runs effects on them
+  const clearBallLoad = useCallback(() => setBallLoad(null), [])
+  const endReplay = useCallback(() => setSessionRun(run => (run?.mode === 'replaying' ? null : run)), [])
+  const registerBallSnapshot = useCallback((snapshot: () => CircleState[]) => {
+    ballSnapshotRef.current = snapshot
+    return () => {
+      if (ballSnapshotRef.current === snapshot) ballSnapshotRef.current = null
+    }
+  }, [])
 
   // Persist state to localStorage, debounced at 250 ms so rapid slider drags
   // don't hammer storage on every tick.
@@ -173,6 +414,124 @@ export function AudioProvider({ children }: { children: React.ReactNode }) {
     }
   }, [state])
 
+  // The preset library is small and only changes on explicit user action, so
+  // it's written straight through rather than debounced.
+  useEffect(() => { saveUserPresets(userPresets) }, [userPresets])
+
+  // Learned CC mappings live under their own key next to the audio settings
+  useEffect(() => { saveCcMappings(ccMappings) }, [ccMappings])
+
+  // Scene slots likewise change only on explicit save or clear
+  useEffect(() => { saveSceneSlots(sceneSlots) }, [sceneSlots])
+
+  // MIDI input: a CC either completes a pending learn or drives its mapped
+  // paths through the same SET action the UI uses. Refs keep the listener
+  // stable while mappings and the learn target change.
+  const ccMappingsRef = useRef(ccMappings)
+  const learnTargetRef = useRef(learnTarget)
+  useEffect(() => { ccMappingsRef.current = ccMappings }, [ccMappings])
+  useEffect(() => { learnTargetRef.current = learnTarget }, [learnTarget])
+
+  useEffect(() => onMidiMessage(data => {
+    const event = parseMidiMessage(data)
+    if (event?.type !== 'cc') return
+    const target = learnTargetRef.current
+    if (target) {
+      learnTargetRef.current = null
+      setLearnTarget(null)
+      setCcMappings(prev => upsertMapping(prev, mappingFromTarget(target, event.channel, event.controller)))
+      return
+    }
+    for (const mapping of ccMappingsRef.current) {
+      if (mapping.channel === event.channel && mapping.controller === event.controller) {
+        applyChanges([{ path: mapping.path, value: ccToValue(mapping, event.value) }], pathKey(mapping.path))
+      }
+    }
+  }), [applyChanges])
+
+  // Re-open MIDI when there are learned mappings to drive
+  useEffect(() => {
+    if (ccMappings.length > 0) {
+      requestMidiAccess().catch(() => { /* denied or unsupported — the MIDI panel reports it */ })
+    }
+  }, [ccMappings.length])
+
+  // Insert or replace user presets by id, keeping the library sorted by name.
+  const upsertUserPresets = (incoming: SoundPreset[]) =>
+    setUserPresets(prev => {
+      const byId = new Map(prev.map(p => [p.id, p]))
+      incoming.forEach(p => byId.set(p.id, p))
+      return Array.from(byId.values()).sort((a, b) => a.name.localeCompare(b.name))
+    })
+
+  const presets = [...factoryPresets, ...userPresets]
+
+  const captureScene = (): Scene => ({
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    ballSpeed,
+    state,
+    balls: ballSnapshotRef.current?.() ?? [],
+  })
+
+  const stopRecording = () => {
+    const log = stopSessionRecording()
+    if (log) setLastSession(log)
+    setSessionRun(null)
+  }
+
+  // Replace settings and balls with a scene; a session in progress ends here
+  const applyScene = (scene: Scene, load: BallLoad) => {
+    stopRecording()
+    baseDispatch({ type: ActionTypes.LOAD_SCENE, state: scene.state })
+    updateHistory(EMPTY_HISTORY)
+    setBallSpeed(scene.ballSpeed)
+    setBallLoad(load)
+    setActivePresetId(null)
+    setSelectedBall(null)
+    setSelectedObstacleId(null)
+  }
+
+  // A scene from a slot, file or link, fitted to this window
+  const loadScene = (raw: RawScene) => {
+    const scene = scaleScene(normalizeScene(raw), { width: window.innerWidth, height: window.innerHeight })
+    applyScene(scene, { balls: scene.balls })
+  }
+
+  const startRecording = () => {
+    stopRecording()
+    // Start from the scene as its file form holds it (rounded), so live play
+    // and replay continue from identical balls
+    const start = normalizeScene(decodeScene(encodeScene(captureScene())))
+    setSeed(seed)
+    startSessionRecording(seed, start)
+    setBallLoad({ balls: start.balls, session: { viewport: start.viewport } })
+    setSessionRun({ mode: 'recording', start })
+    setSelectedBall(null)
+  }
+
+  const replay = (log: SessionLog) => {
+    applyScene(log.start, { balls: log.start.balls, session: { viewport: log.start.viewport } })
+    setSeed(log.seed)
+    setSeedState(log.seed)
+    setSessionRun({ mode: 'replaying', log })
+  }
+
+  // Open a scene shared in the page's link, then drop it from the address bar
+  // so a reload doesn't throw away whatever was played since.
+  useEffect(() => {
+    let cancelled = false
+    decodeSceneHash(window.location.hash)
+      .then(raw => {
+        if (cancelled || !raw) return
+        loadScene(raw)
+        history.replaceState(null, '', window.location.pathname + window.location.search)
+      })
+      .catch((e: Error) => { if (!cancelled) setSceneLinkError(e.message) })
+    return () => { cancelled = true }
+    // Only the link the page opened with
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
   // Initialize audio on mount; clean up on unmount.
   useEffect(() => {
     initAudioContext()
@@ -182,73 +541,207 @@ export function AudioProvider({ children }: { children: React.ReactNode }) {
   // Sync the two module-level audio values that require side-effect updates.
   useEffect(() => { setScale(state.currentScale) }, [state.currentScale])
   useEffect(() => { setGlobalVolume(state.globalVolume) }, [state.globalVolume])
+  useEffect(() => { setMasterBus(state.master) }, [state.master])
+  useEffect(() => { setSendBus(state.sends) }, [state.sends])
+  useEffect(() => { setTuning(state.tuning, state.customIntervals) }, [state.tuning, state.customIntervals])
+  useEffect(() => { setMidiRouting(state.midi) }, [state.midi])
+  useEffect(() => { setTransport(state.transport) }, [state.transport])
+  useEffect(() => { setPolyphony(state.polyphony) }, [state.polyphony])
+  useEffect(() => { selectMidiOutput(state.midi.outputId) }, [state.midi.outputId])
+
+  // Re-open MIDI for a saved session that was sending to a device
+  useEffect(() => {
+    if (state.midi.mode !== 'audio' && state.midi.outputId) {
+      requestMidiAccess().catch(() => { /* denied or unsupported — the MIDI panel reports it */ })
+    }
+  }, [state.midi.mode, state.midi.outputId])
 
-  // Shorthand: dispatch a SET action
-  const set = (path: string[], value: unknown) =>
-    dispatch({ type: ActionTypes.SET, path, value })
+  // Shorthand: dispatch a SET action, as one undo step per control
+  const set = (path: string[], value: unknown) => applyChanges([{ path, value }], pathKey(path))
 
   const value: AudioContextValue = {
     currentScale:   state.currentScale,
     globalVolume:   state.globalVolume,
+    master:         state.master,
+    sends:          state.sends,
+    tuning:         state.tuning,
+    customIntervals: state.customIntervals,
     wallSettings:   state.wallSettings,
     circleSettings: state.circleSettings,
+    midi:           state.midi,
+    transport:      state.transport,
+    polyphony:      state.polyphony,
+    voiceBrush:     state.voiceBrush,
+    physics:        state.physics,
+    obstacles:      state.obstacles,
+    lifecycle:      state.lifecycle,
+    visuals:        state.visuals,
     AVAILABLE_SCALES,
+    AVAILABLE_ROOTS,
+    AVAILABLE_MODES,
     WAVEFORMS,
+    PITCH_MAPPINGS,
 
     setCurrentScale: (v) => set(['currentScale'], v),
-    setGlobalVolume: (v) => set(['globalVolume'], v),
-
-    setWallDuration: (v) => set(['wallSettings', 'duration'], v),
-    setWallDetune:   (v) => set(['wallSettings', 'detune'], v),
-    setWallWaveform: (v) => set(['wallSettings', 'waveform'], v),
-    setWallVolume:   (v) => set(['wallSettings', 'volume'], v),
-
-    setWallDelayEnabled:  (v) => set(['wallSettings', 'delay', 'enabled'], v),
-    setWallDelayTime:     (v) => set(['wallSettings', 'delay', 'time'], v),
-    setWallDelayFeedback: (v) => set(['wallSettings', 'delay', 'feedback'], v),
-    setWallDelayMix:      (v) => set(['wallSettings', 'delay', 'mix'], v),
-
-    setWallReverbEnabled:  (v) => set(['wallSettings', 'reverb', 'enabled'], v),
-    setWallReverbRoomSize: (v) => set(['wallSettings', 'reverb', 'roomSize'], v),
-    setWallReverbDamping:  (v) => set(['wallSettings', 'reverb', 'damping'], v),
-    setWallReverbMix:      (v) => set(['wallSettings', 'reverb', 'mix'], v),
-
-    setWallDistortionEnabled:    (v) => set(['wallSettings', 'distortion', 'enabled'], v),
-    setWallDistortionAmount:     (v) => set(['wallSettings', 'distortion', 'amount'], v),
-    setWallDistortionOversample: (v) => set(['wallSettings', 'distortion', 'oversample'], v),
-    setWallDistortionMix:        (v) => set(['wallSettings', 'distortion', 'mix'], v),
-
-    setWallTremoloEnabled: (v) => set(['wallSettings', 'tremolo', 'enabled'], v),
-    setWallTremoloRate:    (v) => set(['wallSettings', 'tremolo', 'rate'], v),
-    setWallTremoloDepth:   (v) => set(['wallSettings', 'tremolo', 'depth'], v),
-    setWallTremoloMix:     (v) => set(['wallSettings', 'tremolo', 'mix'], v),
-
-    setCircleDuration: (v) => set(['circleSettings', 'duration'], v),
-    setCircleDetune:   (v) => set(['circleSettings', 'detune'], v),
-    setCircleWaveform: (v) => set(['circleSettings', 'waveform'], v),
-    setCircleVolume:   (v) => set(['circleSettings', 'volume'], v),
-
-    setCircleDelayEnabled:  (v) => set(['circleSettings', 'delay', 'enabled'], v),
-    setCircleDelayTime:     (v) => set(['circleSettings', 'delay', 'time'], v),
-    setCircleDelayFeedback: (v) => set(['circleSettings', 'delay', 'feedback'], v),
-    setCircleDelayMix:      (v) => set(['circleSettings', 'delay', 'mix'], v),
-
-    setCircleReverbEnabled:  (v) => set(['circleSettings', 'reverb', 'enabled'], v),
-    setCircleReverbRoomSize: (v) => set(['circleSettings', 'reverb', 'roomSize'], v),
-    setCircleReverbDamping:  (v) => set(['circleSettings', 'reverb', 'damping'], v),
-    setCircleReverbMix:      (v) => set(['circleSettings', 'reverb', 'mix'], v),
-
-    setCircleDistortionEnabled:    (v) => set(['circleSettings', 'distortion', 'enabled'], v),
-    setCircleDistortionAmount:     (v) => set(['circleSettings', 'distortion', 'amount'], v),
-    setCircleDistortionOversample: (v) => set(['circleSettings', 'distortion', 'oversample'], v),
-    setCircleDistortionMix:        (v) => set(['circleSettings', 'distortion', 'mix'], v),
-
-    setCircleTremoloEnabled: (v) => set(['circleSettings', 'tremolo', 'enabled'], v),
-    setCircleTremoloRate:    (v) => set(['circleSettings', 'tremolo', 'rate'], v),
-    setCircleTremoloDepth:   (v) => set(['circleSettings', 'tremolo', 'depth'], v),
-    setCircleTremoloMix:     (v) => set(['circleSettings', 'tremolo', 'mix'], v),
-
-    resetAllControls: () => dispatch({ type: ActionTypes.RESET_ALL_CONTROLS }),
+
+    setScalaTuning:     (v) => set(['tuning', 'scala'], v),
+    setCustomIntervals: (v) => set(['customIntervals'], v),
+
+    paramValue: (path) => getIn(state, path),
+    setParam: set,
+    setSample: (key, sample) => set([key, 'source', 'sample'], { ...state[key].source.sample, ...sample }),
+    canUndo: steps.past.length > 0,
+    canRedo: steps.future.length > 0,
+    undo,
+    redo,
+    lockedSections,
+    setSectionLocked: (section, locked) =>
+      setLockedSections(prev => (locked ? [...prev.filter(s => s !== section), section] : prev.filter(s => s !== section))),
+    randomize: () => applyChanges(randomizeParams(new Set(lockedSections), randomFrom('params')), null),
+    morphA,
+    morphB,
+    storeMorph: (slot) => (slot === 'a' ? setMorphA : setMorphB)(paramSnapshot(state)),
+    morphPosition,
+    setMorphPosition: (t) => {
+      setMorphPositionState(t)
+      // One drag of the slider is one undo step
+      if (morphA && morphB) applyChanges(morphParams(morphA, morphB, t), 'morph')
+    },
+
+    setMidiOutput:        (v) => set(['midi', 'outputId'], v),
+
+    setTimeSignature:   (beatsPerBar, beatUnit) => set(['transport'], { ...state.transport, beatsPerBar, beatUnit }),
+
+    setVoiceBrushVoice:   (v) => set(['voiceBrush', 'voice'], v),
+
+    selectedBall,
+    selectBall: setSelectedBall,
+    setSelectedBallVoice: (voice) => setSelectedBall(prev => prev && { ...prev, voice }),
+    pickingBall,
+    setPickingBall,
+
+    addField:    (field) => set(['physics', 'fields'], [...state.physics.fields, field]),
+    updateField: (id, changes) => set(['physics', 'fields'],
+      state.physics.fields.map(f => (f.id === id ? { ...f, ...changes } : f))),
+    removeField: (id) => set(['physics', 'fields'], state.physics.fields.filter(f => f.id !== id)),
+    clearFields: () => set(['physics', 'fields'], []),
+    placingField,
+    setPlacingField,
+
+    addObstacle:    (obstacle) => set(['obstacles'], [...state.obstacles, obstacle]),
+    updateObstacle: (obstacle) => set(['obstacles'], state.obstacles.map(o => (o.id === obstacle.id ? obstacle : o))),
+    removeObstacle: (id) => {
+      set(['obstacles'], state.obstacles.filter(o => o.id !== id))
+      if (selectedObstacleId === id) setSelectedObstacleId(null)
+    },
+    clearObstacles: () => {
+      set(['obstacles'], [])
+      setSelectedObstacleId(null)
+    },
+    obstacleTool,
+    setObstacleTool: (tool) => {
+      setObstacleTool(tool)
+      if (tool !== 'edit') setSelectedObstacleId(null)
+    },
+    selectedObstacleId,
+    selectObstacle: setSelectedObstacleId,
+
+    addEmitter:    (emitter) => set(['lifecycle', 'emitters'], [...state.lifecycle.emitters, emitter]),
+    updateEmitter: (id, changes) => set(['lifecycle', 'emitters'],
+      state.lifecycle.emitters.map(e => (e.id === id ? { ...e, ...changes } : e))),
+    removeEmitter: (id) => set(['lifecycle', 'emitters'], state.lifecycle.emitters.filter(e => e.id !== id)),
+    clearEmitters: () => set(['lifecycle', 'emitters'], []),
+    placingEmitter,
+    setPlacingEmitter,
+
+    LEARN_TARGETS,
+    ccMappings,
+    learnTarget,
+    startMidiLearn: (target) => {
+      if (target) requestMidiAccess().catch(() => { /* reported by the MIDI panel */ })
+      setLearnTarget(target)
+    },
+    removeCcMapping: (path) => setCcMappings(prev => prev.filter(m => pathKey(m.path) !== pathKey(path))),
+
+    resetAllControls: () => {
+      setActivePresetId(null)
+      updateHistory(EMPTY_HISTORY)
+      dispatch({ type: ActionTypes.RESET_ALL_CONTROLS })
+    },
+
+    presets,
+    activePresetId,
+    loadPreset: (id) => {
+      const preset = presets.find(p => p.id === id)
+      if (!preset) return
+      setActivePresetId(id)
+      updateHistory(EMPTY_HISTORY)
+      dispatch({ type: ActionTypes.LOAD_PRESET, settings: preset.settings })
+    },
+    savePreset: (name) => {
+      const trimmed = name.trim()
+      if (!trimmed) return
+      const id = userPresetId(trimmed)
+      upsertUserPresets([{ id, name: trimmed, settings: pickPresetSettings(state) }])
+      setActivePresetId(id)
+    },
+    deletePreset: (id) => {
+      setUserPresets(prev => prev.filter(p => p.id !== id))
+      if (activePresetId === id) setActivePresetId(null)
+    },
+    exportPresets: () => downloadPresetFile(userPresets),
+    importPresets: async (file) => {
+      const imported = parsePresetFile(await file.text())
+        .map(p => normalizePreset(p, userPresetId(p.name)))
+      if (imported.length === 0) throw new Error('Preset file contains no presets')
+      upsertUserPresets(imported)
+      return imported.length
+    },
+
+    ballSpeed,
+    setBallSpeed: setRecordedBallSpeed,
+    paused,
+    setPaused,
+    timeScale,
+    setTimeScale,
+    ballLoad,
+    clearBallLoad,
+    registerBallSnapshot,
+    captureScene,
+    sceneSlots,
+    saveSceneSlot: (index) => {
+      const slot = sceneSlot(captureScene())
+      setSceneSlots(prev => prev.map((s, i) => (i === index ? slot : s)))
+    },
+    loadSceneSlot: (index) => {
+      const slot = sceneSlots[index]
+      if (slot) loadScene(decodeScene(slot.scene))
+    },
+    clearSceneSlot: (index) => setSceneSlots(prev => prev.map((s, i) => (i === index ? null : s))),
+    exportScene: () => downloadSceneFile(captureScene()),
+    importScene: async (file) => {
+      loadScene(parseSceneFile(await file.text()))
+    },
+    shareSceneLink: async () => {
+      const hash = await encodeSceneHash(captureScene())
+      return `${window.location.origin}${window.location.pathname}#${hash}`
+    },
+    sceneLinkError,
+
+    seed,
+    setSeed: (v) => setSeedState(Math.floor(v) >>> 0),
+    newSeed: () => setSeedState(newSeed()),
+    sessionRun,
+    lastSession,
+    startSessionRecording: startRecording,
+    stopSessionRecording: stopRecording,
+    replaySession: () => { if (lastSession) replay(lastSession) },
+    endReplay,
+    exportSession: () => { if (lastSession) downloadSessionFile(lastSession) },
+    importSession: async (file) => {
+      const raw = parseSessionFile(await file.text())
+      setLastSession({ ...raw, start: normalizeScene(raw.start) })
+    },
     dispatch,
   }
 
@@ -6,8 +6,9 @@ import { describe, it, expect, vi } from 'vitest'
 vi.mock('../utils/sound', () => ({
   initAudioContext: vi.fn(),
   setScale: vi.fn(),
+  setTuning: vi.fn(),
   setGlobalVolume: vi.fn(),
-  AVAILABLE_SCALES: {},
+  setMidiRouting: vi.fn(),
   WAVEFORMS: [],
 }))
 
@@ -175,6 +176,43 @@ describe('audioReducer', () => {
     })
   })
 
+  describe('LOAD_PRESET', () => {
+    it('replaces scale, volume and both sound settings', () => {
+      const settings = {
+        ...initialState,
+        currentScale: 'D_DORIAN',
+        globalVolume: 0.4,
+        wallSettings: { ...initialState.wallSettings, waveform: 'square' },
+      }
+      const state = audioReducer(initialState, { type: ActionTypes.LOAD_PRESET, settings })
+      expect(state.currentScale).toBe('D_DORIAN')
+      expect(state.globalVolume).toBe(0.4)
+      expect(state.wallSettings.waveform).toBe('square')
+    })
+
+    it('fills fields missing from an old preset with defaults, not current values', () => {
+      const edited = audioReducer(initialState, set(['circleSettings', 'reverb', 'mix'], 0.9))
+      const settings = { currentScale: 'A_MINOR', circleSettings: { waveform: 'triangle' } }
+      const state = audioReducer(edited, { type: ActionTypes.LOAD_PRESET, settings })
+      expect(state.circleSettings.waveform).toBe('triangle')
+      expect(state.circleSettings.reverb).toEqual(initialState.circleSettings.reverb)
+    })
+
+    it('leaves MIDI routing alone', () => {
+      const routed = audioReducer(initialState, set(['midi', 'mode'], 'both'))
+      const state = audioReducer(routed, { type: ActionTypes.LOAD_PRESET, settings: initialState })
+      expect(state.midi.mode).toBe('both')
+    })
+  })
+
+  describe('LOAD_SCENE', () => {
+    it('replaces the whole state, MIDI routing included', () => {
+      const routed = audioReducer(initialState, set(['midi', 'mode'], 'both'))
+      const state = audioReducer(routed, { type: ActionTypes.LOAD_SCENE, state: initialState })
+      expect(state).toBe(initialState)
+    })
+  })
+
   describe('unknown action', () => {
     it('returns state unchanged for unknown action type', () => {
       const state = audioReducer(initialState, { type: 'UNKNOWN_ACTION' })
@@ -182,4 +220,3 @@ describe('audioReducer', () => {
     })
   })
 })
-
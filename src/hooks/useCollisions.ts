@@ -1,185 +1,149 @@
-import { useRef, useCallback, type MutableRefObject } from 'react'
-import { checkCircleCollision, resolveCollision } from '../utils/physics'
-import { SpatialGrid } from '../utils/spatialGrid'
+import { useRef, useCallback, useEffect, type MutableRefObject } from 'react'
+import { createWorldHost, type WorldHost } from '../utils/worldHost'
+import { applyFrameChanges, applyFrameStates, decodeEvents } from '../utils/worldProtocol'
 import type {
   CircleState,
-  WallCollisions,
-  Bounds,
-  WallHitResult,
-  WallCollisionResult,
-  CollisionEvent,
-  GridDebugInfo,
+  LifecycleSettings,
+  PhysicsSettings,
+  Obstacle,
+  WorldCommand,
+  WorldFrame,
+  WorldFrameEvents,
 } from '../types/physics'
 
+const GRID_CELL_SIZE = 100
+
 /**
- * Manages all physics state for bouncing circles: positions, velocities,
- * wall-collision tracking, and broad-phase collision detection via spatial grid.
+ * React handle on the physics World (see utils/world.ts), which runs in a
+ * worker where available. The main thread keeps a mirror of every ball
+ * (`circleStates`) updated from each frame, for rendering and hit-testing,
+ * including the balls the World's lifecycle rules add and remove.
  */
 export function useCollisions() {
+  const host = useRef<WorldHost | null>(null)
   const circleStates = useRef(new Map<string, CircleState>())
-  const collisionStates = useRef(new Map<string, Set<string>>())
-  const wallCollisionStates = useRef(new Map<string, WallCollisions>())
-  const spatialGrid = useRef(new SpatialGrid(window.innerWidth, window.innerHeight, 100))
+  const obstacles = useRef(new Map<string, Obstacle>())
+  /**
+   * Balls removed here but maybe still in frames from the worker. Events in
+   * those frames still sound, as they would have in-thread, where the frame
+   * is handled before the removal.
+   */
+  const retired = useRef(new Map<string, CircleState>())
+  /** Clock resets sent; frames from an earlier epoch carry stale times */
+  const epoch = useRef(0)
+  /** Frames' events decoded since the last stepWorld call */
+  const pendingFrames = useRef<WorldFrameEvents[]>([])
+
+  const handleFrame = useCallback((frame: WorldFrame): void => {
+    applyFrameStates(frame, circleStates.current)
+    applyFrameChanges(frame, circleStates.current, (id, state) => retired.current.set(id, state))
+    const { changed, removed } = frame
+    // Lifecycle changes count even from a stale frame: the World made them either way
+    if (frame.epoch !== epoch.current) {
+      if (changed.length || removed.length) pendingFrames.current.push({ time: frame.time, events: [], changed, removed })
+      return
+    }
+    const balls = retired.current.size > 0 ? new Map([...retired.current, ...circleStates.current]) : circleStates.current
+    pendingFrames.current.push({ time: frame.time, events: decodeEvents(frame, balls, obstacles.current), changed, removed })
+    const present = new Set(frame.ids)
+    retired.current.forEach((_, id) => { if (!present.has(id)) retired.current.delete(id) })
+  }, [])
 
-  const initCircle = useCallback((id: string, initialState: CircleState): void => {
-    circleStates.current.set(id, initialState)
-    collisionStates.current.set(id, new Set())
-    wallCollisionStates.current.set(id, { x: false, y: false })
+  useEffect(() => {
+    const worldHost = createWorldHost({ width: window.innerWidth, height: window.innerHeight }, GRID_CELL_SIZE, handleFrame)
+    // A remount (StrictMode, hot reload) starts a fresh World; hand it the mirrored balls
+    epoch.current = 0
+    retired.current.clear()
+    circleStates.current.forEach((state, id) => worldHost.send({ type: 'addBall', id, state }))
+    host.current = worldHost
+    return () => {
+      worldHost.dispose()
+      host.current = null
+    }
+  }, [handleFrame])
+
+  const send = useCallback((command: WorldCommand): void => {
+    host.current?.send(command)
   }, [])
 
+  const initCircle = useCallback((id: string, initialState: CircleState): void => {
+    retired.current.delete(id)
+    circleStates.current.set(id, { ...initialState })
+    send({ type: 'addBall', id, state: initialState })
+  }, [send])
+
   const removeCircle = useCallback((id: string): void => {
+    const state = circleStates.current.get(id)
+    if (state) retired.current.set(id, state)
     circleStates.current.delete(id)
-    collisionStates.current.delete(id)
-    wallCollisionStates.current.delete(id)
-  }, [])
+    send({ type: 'removeBall', id })
+  }, [send])
 
   const getCircleState = useCallback((id: string): CircleState | null => {
     return circleStates.current.get(id) ?? null
   }, [])
 
-  const updateCircleState = useCallback((id: string, state: CircleState): void => {
-    circleStates.current.set(id, state)
-  }, [])
-
-  const checkWallCollision = useCallback((id: string, bounds: Bounds): WallHitResult => {
+  /** Merge `changes` into a ball, both in the mirror and in the World. */
+  const updateCircleState = useCallback((id: string, changes: Partial<CircleState>): void => {
     const state = circleStates.current.get(id)
-    if (!state) return { hitLeftRight: false, hitTopBottom: false }
-    return {
-      hitLeftRight: state.x <= state.radius || state.x >= bounds.width - state.radius,
-      hitTopBottom: state.y <= state.radius || state.y >= bounds.height - state.radius,
-    }
-  }, [])
-
-  const handleWallCollision = useCallback((id: string, bounds: Bounds): WallCollisionResult | null => {
-    const state = circleStates.current.get(id)
-    if (!state) return null
-
-    const wallCollisions = wallCollisionStates.current.get(id) ?? { x: false, y: false }
-    const { hitLeftRight, hitTopBottom } = checkWallCollision(id, bounds)
-
-    const updatedState: CircleState = { ...state }
-    const updatedWallCollisions: WallCollisions = { ...wallCollisions }
-
-    if (hitLeftRight) {
-      updatedWallCollisions.x = true
-      updatedState.vx *= -0.98
-    } else {
-      updatedWallCollisions.x = false
-    }
-
-    if (hitTopBottom) {
-      updatedWallCollisions.y = true
-      updatedState.vy *= -0.98
-    } else {
-      updatedWallCollisions.y = false
-    }
-
-    // Clamp within bounds
-    updatedState.x = Math.max(updatedState.radius, Math.min(updatedState.x, bounds.width - updatedState.radius))
-    updatedState.y = Math.max(updatedState.radius, Math.min(updatedState.y, bounds.height - updatedState.radius))
-
-    circleStates.current.set(id, updatedState)
-    wallCollisionStates.current.set(id, updatedWallCollisions)
-
-    return { state: updatedState, wallCollisions: updatedWallCollisions, hitLeftRight, hitTopBottom }
-  }, [checkWallCollision])
-
-  /** O(n) broad-phase + narrow-phase collision detection. Returns events for all colliding pairs. */
-  const handleCircleCollisions = useCallback((): CollisionEvent[] => {
-    const collisionEvents: CollisionEvent[] = []
-    const processedPairs = new Set<string>()
-
-    collisionStates.current.forEach(collisions => collisions.clear())
-
-    spatialGrid.current.clear()
-    circleStates.current.forEach((state, id) => {
-      spatialGrid.current.insert(id, state.x, state.y, state.radius)
-    })
-
-    circleStates.current.forEach((state1, id1) => {
-      const candidates = spatialGrid.current.getPotentialCollisions(state1.x, state1.y, state1.radius)
-
-      candidates.forEach(id2 => {
-        if (id1 === id2) return
-
-        const pairKey = [id1, id2].sort().join('-')
-        if (processedPairs.has(pairKey)) return
-        processedPairs.add(pairKey)
-
-        const state2 = circleStates.current.get(id2)
-        if (!state2) return
-
-        if (checkCircleCollision(state1.x, state1.y, state1.radius, state2.x, state2.y, state2.radius)) {
-          const updatedState1: CircleState = { ...state1 }
-          const updatedState2: CircleState = { ...state2 }
-
-          resolveCollision(updatedState1, updatedState2)
-
-          collisionStates.current.get(id1)?.add(id2)
-          collisionStates.current.get(id2)?.add(id1)
-
-          circleStates.current.set(id1, updatedState1)
-          circleStates.current.set(id2, updatedState2)
-
-          collisionEvents.push({
-            id1,
-            id2,
-            state1: updatedState1,
-            state2: updatedState2,
-            collisionPoint: {
-              x: (updatedState1.x + updatedState2.x) / 2,
-              y: (updatedState1.y + updatedState2.y) / 2,
-            },
-            angle: Math.atan2(updatedState2.y - updatedState1.y, updatedState2.x - updatedState1.x),
-          })
-        }
-      })
-    })
-
-    return collisionEvents
-  }, [])
-
-  const isCollidingWith = useCallback((id1: string, id2: string): boolean => {
-    return collisionStates.current.get(id1)?.has(id2) ?? false
-  }, [])
-
-  const getCollidingCircles = useCallback((id: string): string[] => {
-    return Array.from(collisionStates.current.get(id) ?? [])
-  }, [])
-
-  const updatePositions = useCallback((deltaTime = 1 / 60): void => {
-    circleStates.current.forEach((state, id) => {
-      circleStates.current.set(id, {
-        ...state,
-        x: state.x + state.vx * deltaTime,
-        y: state.y + state.vy * deltaTime,
-      })
-    })
-  }, [])
+    if (!state) return
+    circleStates.current.set(id, { ...state, ...changes })
+    send({ type: 'patchBall', id, changes })
+  }, [send])
+
+  /**
+   * Advance the simulation by `elapsed` seconds and return the frames that
+   * have arrived since the last call, in order, each with its events and
+   * World time. In-thread this is this advance's frame; from a worker they
+   * lag by a frame.
+   */
+  const stepWorld = useCallback((elapsed: number): WorldFrameEvents[] => {
+    send({ type: 'advance', elapsed })
+    const frames = pendingFrames.current
+    pendingFrames.current = []
+    return frames
+  }, [send])
+
+  /** Restart World time at zero; events still in flight from before are dropped. */
+  const resetWorldClock = useCallback((): void => {
+    epoch.current++
+    pendingFrames.current = []
+    send({ type: 'resetClock', epoch: epoch.current })
+  }, [send])
+
+  const setPhysicsSettings = useCallback((physics: PhysicsSettings): void => {
+    send({ type: 'setPhysics', physics })
+  }, [send])
+
+  const setLifecycleSettings = useCallback((lifecycle: LifecycleSettings): void => {
+    send({ type: 'setLifecycle', lifecycle })
+  }, [send])
+
+  const setTiltGravity = useCallback((gravity: { x: number; y: number } | null): void => {
+    send({ type: 'setTiltGravity', gravity })
+  }, [send])
+
+  const setObstacles = useCallback((list: Obstacle[]): void => {
+    obstacles.current = new Map(list.map(o => [o.id, o]))
+    send({ type: 'setObstacles', obstacles: list })
+  }, [send])
 
   const updateSpatialGrid = useCallback((width: number, height: number): void => {
-    spatialGrid.current.updateDimensions(width, height)
-  }, [])
-
-  const getSpatialGridDebug = useCallback((): GridDebugInfo => {
-    return spatialGrid.current.getDebugInfo()
-  }, [])
+    send({ type: 'setBounds', bounds: { width, height } })
+  }, [send])
 
   return {
     initCircle,
     removeCircle,
     getCircleState,
     updateCircleState,
-    checkWallCollision,
-    handleWallCollision,
-    handleCircleCollisions,
-    isCollidingWith,
-    getCollidingCircles,
-    updatePositions,
+    stepWorld,
+    resetWorldClock,
     updateSpatialGrid,
-    getSpatialGridDebug,
+    setPhysicsSettings,
+    setLifecycleSettings,
+    setTiltGravity,
+    setObstacles,
     circleStates: circleStates as MutableRefObject<Map<string, CircleState>>,
-    collisionStates: collisionStates as MutableRefObject<Map<string, Set<string>>>,
-    wallCollisionStates: wallCollisionStates as MutableRefObject<Map<string, WallCollisions>>,
   }
 }
@@ -1,23 +1,27 @@
 import { useState, useCallback, type Dispatch, type SetStateAction } from 'react'
+import { nextRandom } from '../utils/random'
+import { THEMES, randomColor, restyleColor, type VisualTheme } from '../utils/colorThemes'
+import type { ThemeId } from '../types/visuals'
 
-function generateInitialColors(count: number): string[] {
-  return Array.from({ length: count }, () => {
-    const hue = Math.random() * 360
-    return `hsl(${hue}, 70%, 50%)`
-  })
+function generateInitialColors(count: number, theme: VisualTheme): string[] {
+  return Array.from({ length: count }, () => randomColor(theme, () => nextRandom('background')))
 }
 
 /**
- * Manages a rolling color palette used for the background gradient and ball colours.
+ * Manages a rolling color palette used for the background gradient and ball
+ * colours. New colours are drawn in `themeId`'s look, and the gradient
+ * redraws whatever colours it is given in that look too, so a theme change
+ * shows at once.
  */
-export function useColorPalette(initialCount = 3, maxColors = 10) {
-  const [colorPalette, setColorPalette] = useState<string[]>(() => generateInitialColors(initialCount))
-  const [backgroundColors, setBackgroundColors] = useState<string[]>(() => generateInitialColors(initialCount))
+export function useColorPalette(themeId: ThemeId = 'classic', initialCount = 3, maxColors = 10) {
+  const theme = THEMES[themeId]
+  const [colorPalette, setColorPalette] = useState<string[]>(() => generateInitialColors(initialCount, theme))
+  const [backgroundColors, setBackgroundColors] = useState<string[]>(() => generateInitialColors(initialCount, theme))
 
-  const generateRandomColor = useCallback((): string => {
-    const hue = Math.random() * 360
-    return `hsl(${hue}, 70%, 50%)`
-  }, [])
+  const generateRandomColor = useCallback(
+    (): string => randomColor(theme, () => nextRandom('color')),
+    [theme],
+  )
 
   const addToColorPalette = useCallback((color: string): void => {
     setColorPalette(prev => [...prev, color].slice(-maxColors))
@@ -29,9 +33,9 @@ export function useColorPalette(initialCount = 3, maxColors = 10) {
    */
   const generateGradient = useCallback((colors: string[], progress: number): string => {
     const gradientColors = colors.map(color => {
-      const match = color.match(/\d+/g) ?? ['0', '70', '50']
+      const match = restyleColor(color, theme).match(/\d+/g) ?? ['0', '70', '50']
       const [h, s, l] = match
-      return `hsla(${h}, ${s}%, ${l}%, 0.45)`
+      return `hsla(${h}, ${s}%, ${l}%, ${theme.gradientAlpha})`
     })
 
     const angles = gradientColors.map((_, i) => {
@@ -42,7 +46,7 @@ export function useColorPalette(initialCount = 3, maxColors = 10) {
     return gradientColors
       .map((color, i) => `linear-gradient(${angles[i]}deg, ${color} 0%, rgba(0,0,0,0) 70.71%)`)
       .join(', ')
-  }, [])
+  }, [theme])
 
   const updateBackgroundColors = useCallback((count = 3): void => {
     if (colorPalette.length >= count) {
@@ -0,0 +1,34 @@
+// @ts-nocheck
+/**
+ * Recording stand-ins for Web Audio nodes, shared by the tests that build an
+ * audio graph in Node. Nodes remember what they were connected to, params
+ * and connect/disconnect are spies, and buffers hold real Float32Arrays.
+ */
+import { vi } from 'vitest'
+
+/** An AudioParam whose automation calls are spies */
+export function makeParam(value = 0) {
+  return {
+    value,
+    setValueAtTime: vi.fn(),
+    linearRampToValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+    cancelScheduledValues: vi.fn(),
+  }
+}
+
+/** A node of `kind` that records its outgoing connections in `connections` */
+export function makeNode(kind, extra = {}) {
+  const node = { kind, connections: [], disconnect: vi.fn(), ...extra }
+  node.connect = vi.fn((target) => {
+    node.connections.push(target)
+    return target
+  })
+  return node
+}
+
+/** An AudioBuffer with one zeroed Float32Array per channel */
+export function makeBuffer(numChannels, length, sampleRate) {
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(length))
+  return { numberOfChannels: numChannels, length, sampleRate, getChannelData: (i) => channels[i] }
+}
@@ -1,3 +1,6 @@
+import type { Bounds, CircleState, LifecycleSettings, Obstacle, PhysicsSettings, WallSide } from './physics'
+import type { VisualSettings } from './visuals'
+
 // ─── Effect sub-settings ──────────────────────────────────────────────────────
 
 export interface DelaySettings {
@@ -31,33 +34,377 @@ export interface TremoloSettings {
   shape?: OscillatorType
 }
 
+// ─── Envelope / filter ────────────────────────────────────────────────────────
+
+export type EnvelopeCurve = 'linear' | 'exponential'
+
+/**
+ * ADSR amplitude envelope. The note's `duration` is the gate: the envelope
+ * holds at `sustain` until then and the release starts there.
+ */
+export interface EnvelopeSettings {
+  /** Seconds */
+  attack: number
+  /** Seconds */
+  decay: number
+  /** Level 0..1 relative to the note's peak volume */
+  sustain: number
+  /** Seconds */
+  release: number
+  curve: EnvelopeCurve
+  /** Decay over the whole gate (attack to `duration`) instead of `decay` seconds */
+  followDuration: boolean
+}
+
+export type FilterType = 'lowpass' | 'highpass' | 'bandpass'
+
+export interface FilterSettings {
+  enabled: boolean
+  type: FilterType
+  /** Hz */
+  cutoff: number
+  q: number
+  /** Octaves the envelope sweeps the cutoff at its peak (negative sweeps down) */
+  envAmount: number
+  /** Octaves the cutoff drops for the softest hit (0 = velocity has no effect) */
+  velocityAmount: number
+}
+
+// ─── Sound sources ────────────────────────────────────────────────────────────
+
+/**
+ * What generates the note before the envelope:
+ * - oscillator: the built-in `waveform`
+ * - partials:   a custom harmonic table (PeriodicWave)
+ * - fm:         2-operator FM, `waveform` carrier modulated by a sine
+ * - noise:      coloured noise through a band-pass at the note's pitch
+ * - sample:     a user-loaded audio file, repitched to the note
+ */
+export type SourceType = 'oscillator' | 'partials' | 'fm' | 'noise' | 'sample'
+
+export type NoiseColor = 'white' | 'pink' | 'brown'
+
+export interface SourceSettings {
+  type: SourceType
+  /** Harmonic amplitudes 0..1, fundamental first */
+  partials: number[]
+  fm: {
+    /** Modulator frequency as a multiple of the carrier */
+    ratio: number
+    /** Modulation index (peak deviation ÷ modulator frequency) */
+    index: number
+  }
+  /** Detuned copies of pitched sources; 1 voice = no stack */
+  unison: {
+    voices: number
+    /** Total spread in cents between the outermost voices */
+    spread: number
+  }
+  noise: {
+    color: NoiseColor
+    /** Band-pass resonance around the note; low values are close to raw noise */
+    q: number
+  }
+  /** Reference into the in-memory sample library; audio data isn't persisted */
+  sample: {
+    id: string
+    name: string
+    /** MIDI note the file plays at its original speed */
+    rootNote: number
+  }
+}
+
+// ─── Pitch mapping ────────────────────────────────────────────────────────────
+
+/** How a collision's note is chosen from the active scale. */
+export type PitchMappingMode = 'random' | 'radius' | 'wall' | 'positionX' | 'positionY' | 'velocity'
+
+/**
+ * Physical data about a collision that pitch mapping can draw on.
+ * x/y are normalised to 0..1 across the viewport.
+ */
+export interface NoteSource {
+  radius?: number
+  wall?: WallSide
+  x?: number
+  y?: number
+}
+
 // ─── Top-level sound settings (wallSettings / circleSettings) ─────────────────
 
 export interface SoundSettings {
   duration: number
   detune: number
   waveform: OscillatorType
+  source: SourceSettings
   volume: number
+  pitchMapping: PitchMappingMode
+  envelope: EnvelopeSettings
+  filter: FilterSettings
   delay: DelaySettings
   reverb: ReverbSettings
   distortion: DistortionSettings
   tremolo: TremoloSettings
 }
 
+// ─── Per-ball voices ──────────────────────────────────────────────────────────
+
+export type EffectName = 'delay' | 'reverb' | 'distortion' | 'tremolo'
+
+/** Per-effect override: keep the collision type's setting, or force it on/off. */
+export type EffectOverride = 'inherit' | 'on' | 'off'
+
+export type VoicePitchMode = 'inherit' | 'fixed' | 'range'
+
+/**
+ * A ball's own sound. Every field can inherit, so a voice only changes what
+ * it names; see resolveVoiceSettings for the merge order.
+ */
+export interface BallVoice {
+  waveform: OscillatorType | 'inherit'
+  /** MIDI note numbers; `fixed` plays `low`, `range` picks scale notes in low..high */
+  pitch: { mode: VoicePitchMode; low: number; high: number }
+  /** Semitones added to whatever note is picked, inherited or not; absent means 0 */
+  transpose?: number
+  effects: Record<EffectName, EffectOverride>
+}
+
+/** Spawn-time voice brush: when enabled, new balls get a copy of `voice`. */
+export interface VoiceBrush {
+  enabled: boolean
+  voice: BallVoice
+}
+
+/** A ball picked on the canvas for voice editing. */
+export interface SelectedBall {
+  id: string
+  voice: BallVoice
+}
+
+// ─── Tuning ───────────────────────────────────────────────────────────────────
+
+export type TuningSystem = 'equal' | 'just' | 'scala'
+
+/** A parsed Scala `.scl` file. `ratios` omits the implicit 1/1; the last entry is the period. */
+export interface ScalaTuning {
+  description: string
+  ratios: number[]
+}
+
+export interface TuningSettings {
+  /** Reference pitch for A4 in Hz */
+  a4: number
+  system: TuningSystem
+  /** Loaded Scala file, used when system is 'scala' */
+  scala: ScalaTuning | null
+}
+
+// ─── MIDI output ──────────────────────────────────────────────────────────────
+
+/** Where collision notes go: the Web Audio graph, MIDI, or both. */
+export type OutputMode = 'audio' | 'midi' | 'both'
+
+export interface MidiSettings {
+  mode: OutputMode
+  /** Web MIDI output port id; '' for none */
+  outputId: string
+  /** 1–16 */
+  wallChannel: number
+  /** 1–16 */
+  circleChannel: number
+}
+
+// ─── Transport ────────────────────────────────────────────────────────────────
+
+/** Grid step for quantized notes; `T` marks triplets (three in the time of two). */
+export type GridDivision = '1/4' | '1/8' | '1/16' | '1/8T' | '1/16T'
+
+export interface TransportSettings {
+  /** Hold collision notes for the next grid step instead of playing them at once */
+  quantize: boolean
+  /** Beats per minute, the beat being one `beatUnit` note */
+  bpm: number
+  /** Time signature: 6/8 is 6 beats per bar of eighth notes */
+  beatsPerBar: number
+  beatUnit: 4 | 8
+  division: GridDivision
+  /** 0–0.5: how late every second straight step lands, as a fraction of a step */
+  swing: number
+  /** Most notes one grid step may start; 0 for no limit */
+  maxNotesPerStep: number
+  metronome: boolean
+  metronomeVolume: number
+}
+
+// ─── Voice allocation ─────────────────────────────────────────────────────────
+
+/** Which budget a note counts against: wall hits or ball-to-ball hits. */
+export type VoiceCategory = 'wall' | 'ball'
+
+/** Which sounding note gives up its voice when a budget is full. */
+export type StealMode = 'quietest' | 'oldest'
+
+export interface PolyphonySettings {
+  /** Most notes sounding at once */
+  maxVoices: number
+  /** Most of those wall hits may hold */
+  wallVoices: number
+  /** Most of those ball-to-ball hits may hold */
+  ballVoices: number
+  steal: StealMode
+}
+
+// ─── Master bus ───────────────────────────────────────────────────────────────
+
+/** Gains in dB for the master EQ's low shelf, mid peak and high shelf. */
+export interface MasterEqSettings {
+  low: number
+  mid: number
+  high: number
+}
+
+export interface CompressorSettings {
+  /** Pass the signal through untouched */
+  bypass: boolean
+  /** dB */
+  threshold: number
+  /** dB */
+  knee: number
+  ratio: number
+  /** Seconds */
+  attack: number
+  /** Seconds */
+  release: number
+}
+
+/** The limiter keeps a hard knee, 20:1 and a 1 ms attack; only these are editable. */
+export interface LimiterSettings {
+  bypass: boolean
+  /** dB */
+  threshold: number
+  /** Seconds */
+  release: number
+}
+
+/** EQ → compressor → limiter ahead of the master volume. */
+export interface MasterSettings {
+  eq: MasterEqSettings
+  compressor: CompressorSettings
+  limiter: LimiterSettings
+}
+
+// ─── Send effects ─────────────────────────────────────────────────────────────
+
+/**
+ * Where reverb and delay happen: in every note's own chain, or on one shared
+ * bus each that notes send to (their effect `mix` becomes the send level).
+ */
+export type EffectRouting = 'perVoice' | 'sends'
+
+export interface SendSettings {
+  routing: EffectRouting
+  reverb: {
+    roomSize: number
+    damping: number
+    /** Return level into the master bus */
+    level: number
+  }
+  delay: {
+    /** Seconds */
+    time: number
+    feedback: number
+    level: number
+  }
+}
+
 // ─── Global audio state ───────────────────────────────────────────────────────
 
 export interface AudioState {
+  /** `<ROOT>_<MODE>` scale id, e.g. 'C_MAJOR' or 'F#_DORIAN' (see utils/scales.ts) */
   currentScale: string
   globalVolume: number
+  master: MasterSettings
+  sends: SendSettings
+  tuning: TuningSettings
+  /** Semitone steps used by the CUSTOM mode */
+  customIntervals: number[]
   wallSettings: SoundSettings
   circleSettings: SoundSettings
+  midi: MidiSettings
+  transport: TransportSettings
+  polyphony: PolyphonySettings
+  voiceBrush: VoiceBrush
+  /** World forces; lives here so it persists with the rest of the session */
+  physics: PhysicsSettings
+  /** User-drawn static colliders */
+  obstacles: Obstacle[]
+  /** Ball ageing, splitting, merging and emitters */
+  lifecycle: LifecycleSettings
+  visuals: VisualSettings
+}
+
+// ─── Presets ──────────────────────────────────────────────────────────────────
+
+/** The slice of AudioState a named preset captures. */
+export type PresetSettings = Pick<AudioState,
+  'currentScale' | 'globalVolume' | 'tuning' | 'customIntervals' | 'wallSettings' | 'circleSettings'>
+
+export interface SoundPreset {
+  id: string
+  name: string
+  /** Factory presets ship with the app and can't be overwritten or deleted. */
+  factory?: boolean
+  settings: PresetSettings
+}
+
+// ─── Scenes ───────────────────────────────────────────────────────────────────
+
+/** Everything on screen: settings, every ball, and the viewport they were in. */
+export interface Scene {
+  viewport: Bounds
+  ballSpeed: number
+  state: AudioState
+  balls: CircleState[]
+}
+
+/**
+ * A scene as read from a file, link or storage slot — `state` and ball
+ * voices are unvalidated and must go through the AudioContext deep merge.
+ */
+export interface RawScene {
+  viewport: Bounds
+  ballSpeed: number
+  state: unknown
+  balls: Array<Omit<CircleState, 'voice'> & { voice?: unknown }>
+}
+
+/** Balls for the canvas to put in place of the current ones. */
+export interface BallLoad {
+  balls: CircleState[]
+  /**
+   * Set when a session (see types/session.ts) starts from these balls: the
+   * canvas also restarts ball ids, sound cooldowns and World time, with the
+   * World sized to `viewport`.
+   */
+  session?: { viewport: Bounds }
+}
+
+/** A saved scene slot; `scene` is in the stored (encoded) form. */
+export interface SceneSlot {
+  savedAt: number
+  ballCount: number
+  scene: unknown
 }
 
 // ─── Reducer action union ─────────────────────────────────────────────────────
 //
 // A single SET action carries a path array + value, eliminating the need for
 // 30+ per-field action types. RESET_ALL_CONTROLS restores the full initialState.
+// LOAD_PRESET replaces the preset slice of the state in one step; LOAD_SCENE
+// replaces the whole state.
 
 export type AudioAction =
   | { type: 'SET'; path: string[]; value: unknown }
   | { type: 'RESET_ALL_CONTROLS' }
+  | { type: 'LOAD_PRESET'; settings: PresetSettings }
+  | { type: 'LOAD_SCENE'; state: AudioState }
@@ -1,3 +1,5 @@
+import type { BallVoice } from './audio'
+
 /** Physics state for a single bouncing circle */
 export interface CircleState {
   x: number
@@ -6,12 +8,20 @@ export interface CircleState {
   vy: number
   radius: number
   color: string
-}
-
-/** Per-axis wall-collision tracking (true = currently pressing that wall) */
-export interface WallCollisions {
-  x: boolean
-  y: boolean
+  /** Own sound; absent means the ball plays the shared wall/circle settings */
+  voice?: BallVoice
+  /**
+   * Held in place: forces, walls and obstacles leave it alone and other balls
+   * bounce off it as off a fixed peg. Its velocity still counts in those
+   * bounces, so a ball being dragged bats the others away.
+   */
+  pinned?: boolean
+  /**
+   * How much of a spent ball is left while it fades out (see
+   * LifecycleSettings), falling from 1 to 0; absent while the ball lives.
+   * Set by the World.
+   */
+  fade?: number
 }
 
 /** Container bounds passed to wall-collision helpers */
@@ -20,28 +30,231 @@ export interface Bounds {
   height: number
 }
 
-/** Axis-level hit flags returned by checkWallCollision */
-export interface WallHitResult {
-  hitLeftRight: boolean
-  hitTopBottom: boolean
+/** One of the four viewport edges */
+export type WallSide = 'left' | 'right' | 'top' | 'bottom'
+
+/** Fraction of the incoming speed kept when bouncing off each wall */
+export type WallRestitution = Record<WallSide, number>
+
+/**
+ * A point force placed on the canvas. Position is normalised to the viewport
+ * (0..1) so it survives resizes; positive strength attracts, negative repels.
+ */
+export interface FieldPoint {
+  id: string
+  x: number
+  y: number
+  /** Acceleration in px/frame² at FIELD_REFERENCE_DISTANCE */
+  strength: number
+  /** Distance exponent: 0 = constant pull, 1 = 1/d, 2 = inverse square */
+  falloff: number
+}
+
+/** Global forces applied to every ball each frame (see utils/fields.ts) */
+export interface PhysicsSettings {
+  /** Constant acceleration in px/frame² */
+  gravity: { x: number; y: number }
+  /** Device tilt replaces the gravity vector where orientation events exist */
+  tilt: {
+    enabled: boolean
+    /** Acceleration in px/frame² with the device held vertical */
+    strength: number
+  }
+  /** Fraction of velocity lost per frame to air resistance */
+  drag: number
+  /** Collision passes per fixed step; more catches fast balls that would tunnel */
+  substeps: number
+  restitution: WallRestitution
+  fields: FieldPoint[]
+}
+
+// ─── Lifecycle ────────────────────────────────────────────────────────────────
+
+/**
+ * A ball source placed on the canvas. Position is normalised to the viewport
+ * (0..1) like a FieldPoint.
+ */
+export interface Emitter {
+  id: string
+  x: number
+  y: number
+  /** Balls per second of World time */
+  rate: number
+  /** Launch direction in degrees, clockwise from pointing right */
+  angle: number
+  /** Launch speed in px/frame */
+  speed: number
+  /** Degrees either side of `angle` a launch may stray */
+  spread: number
+}
+
+/**
+ * How balls age, split, merge and appear (see utils/lifecycle.ts). With the
+ * defaults nothing ages and nothing splits or merges. Pinned balls are exempt.
+ */
+export interface LifecycleSettings {
+  /** Seconds a ball lives before it fades out; 0 for no limit */
+  lifetime: number
+  /** Hits (walls, obstacles, balls) a ball takes before it fades out; 0 for no limit */
+  maxHits: number
+  /** Seconds a spent ball takes to slow to a stop and fade away */
+  fadeTime: number
+  split: {
+    enabled: boolean
+    /** Impact speed (px/frame) that breaks a ball in two */
+    minSpeed: number
+    /** Halves smaller than this radius (px) aren't made; the ball stays whole */
+    minRadius: number
+    /** Semitones the halves' voices move from their parent's */
+    transpose: number
+  }
+  merge: {
+    enabled: boolean
+    /** Contacts slower than this (px/frame) count towards a merge */
+    maxSpeed: number
+    /** Slow contacts between the same two balls before they become one */
+    contacts: number
+  }
+  emitters: Emitter[]
+}
+
+// ─── Obstacles ────────────────────────────────────────────────────────────────
+
+/** Canvas point normalised to the viewport (0..1) */
+export interface NormalizedPoint {
+  x: number
+  y: number
+}
+
+interface ObstacleBase {
+  id: string
+  /** Fraction of the incoming speed kept when a ball bounces off */
+  bounce: number
+  /** Sound of a hit, layered over wallSettings like a ball's voice */
+  voice: BallVoice
+}
+
+/** A line segment (two points) or an open polyline */
+export interface LineObstacle extends ObstacleBase {
+  kind: 'line'
+  points: NormalizedPoint[]
 }
 
-/** Full result of handleWallCollision */
-export interface WallCollisionResult {
+/** A fixed circle */
+export interface PegObstacle extends ObstacleBase {
+  kind: 'peg'
+  x: number
+  y: number
+  /** Radius in px */
+  radius: number
+}
+
+/** A static collider drawn by the user */
+export type Obstacle = LineObstacle | PegObstacle
+
+/** What a canvas click does while editing obstacles */
+export type ObstacleTool = 'line' | 'peg' | 'edit'
+
+/** Where and how hard a ball bounced off an obstacle */
+export interface ObstacleHit {
+  obstacle: Obstacle
+  /** Contact point in px */
+  x: number
+  y: number
+  /** Speed into the obstacle before the bounce (px/frame) */
+  speed: number
+  /** Unit normal pointing from the obstacle towards the ball */
+  nx: number
+  ny: number
+}
+
+// ─── World events ─────────────────────────────────────────────────────────────
+// One ordered list per World step (see utils/world.ts); rendering and audio
+// consume it instead of polling the simulation.
+
+/** A ball bounced off a viewport edge */
+export interface WallEvent {
+  type: 'wall'
+  id: string
+  side: WallSide
+  /** Speed into the wall before the bounce (px/frame) */
+  speed: number
   state: CircleState
-  wallCollisions: WallCollisions
-  hitLeftRight: boolean
-  hitTopBottom: boolean
 }
 
-/** Ball-ball collision event emitted by handleCircleCollisions */
-export interface CollisionEvent {
+/** Two balls collided */
+export interface BallEvent {
+  type: 'ball'
   id1: string
   id2: string
   state1: CircleState
   state2: CircleState
-  collisionPoint: { x: number; y: number }
+  /** Midpoint between the two centres (px) */
+  x: number
+  y: number
+  /** Direction from ball 1 to ball 2 (radians) */
   angle: number
+  /** Relative speed after the impulse (px/frame) */
+  speed: number
+}
+
+/** A ball bounced off an obstacle */
+export interface ObstacleEvent extends ObstacleHit {
+  type: 'obstacle'
+  id: string
+  state: CircleState
+}
+
+export type WorldEvent = WallEvent | BallEvent | ObstacleEvent
+
+// ─── World messages ───────────────────────────────────────────────────────────
+// The World runs behind a message boundary (a worker, or in-thread as a
+// fallback; see utils/worldProtocol.ts). Commands go in, frames come out.
+
+export type WorldCommand =
+  | { type: 'init'; bounds: Bounds; cellSize: number }
+  | { type: 'addBall'; id: string; state: CircleState }
+  | { type: 'removeBall'; id: string }
+  | { type: 'patchBall'; id: string; changes: Partial<CircleState> }
+  | { type: 'setBounds'; bounds: Bounds }
+  | { type: 'setPhysics'; physics: PhysicsSettings }
+  | { type: 'setLifecycle'; lifecycle: LifecycleSettings }
+  | { type: 'setTiltGravity'; gravity: { x: number; y: number } | null }
+  | { type: 'setObstacles'; obstacles: Obstacle[] }
+  | { type: 'advance'; elapsed: number }
+  /** Restart World time at zero; later frames carry `epoch` */
+  | { type: 'resetClock'; epoch: number }
+
+/**
+ * Result of one advance, packed into flat typed arrays so the worker can
+ * transfer it without copying.
+ */
+export interface WorldFrame {
+  /** Ball ids; a ball's index here addresses `states` and the events */
+  ids: string[]
+  /** x, y, vx, vy, fade per ball (STATE_STRIDE floats each), in `ids` order */
+  states: Float32Array<ArrayBuffer>
+  /** Balls the World made or reshaped this advance (split, merge), in full */
+  changed: Array<{ id: string; state: CircleState }>
+  /** Balls the World took out this advance (faded away, merged into another) */
+  removed: string[]
+  /** Ids of the obstacles referenced by obstacle events */
+  obstacleIds: string[]
+  /** EVENT_STRIDE floats per event, in step order */
+  events: Float32Array<ArrayBuffer>
+  /** World time in seconds after this advance */
+  time: number
+  /** Clock resets the World had seen; frames from before a reset are stale */
+  epoch: number
+}
+
+/** One frame's events with the World time they happened by. */
+export interface WorldFrameEvents {
+  time: number
+  events: WorldEvent[]
+  /** The frame's `changed` and `removed`, already applied to the ball mirror */
+  changed: Array<{ id: string; state: CircleState }>
+  removed: string[]
 }
 
 /** Debug info returned by SpatialGrid.getDebugInfo() */
@@ -0,0 +1,50 @@
+import type { AudioAction, BallVoice, RawScene, Scene } from './audio'
+import type { Bounds, CircleState } from './physics'
+
+/**
+ * A user input that changes what the session plays. Replay re-runs each one
+ * through the same code as live play, with the same random streams, so
+ * only the inputs themselves need logging, not what they led to.
+ */
+export type SessionInput =
+  /** Canvas click at (x, y), or a keyboard spawn at a random spot when absent */
+  | { type: 'spawn'; x?: number; y?: number }
+  | { type: 'midiNote'; note: number; velocity: number }
+  /** Any settings change: every AudioAction dispatched while recording */
+  | { type: 'action'; action: AudioAction }
+  | { type: 'ballSpeed'; value: number }
+  /** Voice edit on a selected ball; absent voice means it inherits again */
+  | { type: 'ballVoice'; id: string; voice?: BallVoice }
+  /** A ball grabbed, dragged, flung, pinned or nudged */
+  | { type: 'ballPatch'; id: string; changes: Partial<CircleState> }
+  | { type: 'removeBall'; id: string }
+  | { type: 'tilt'; gravity: { x: number; y: number } | null }
+  | { type: 'resize'; bounds: Bounds }
+
+/** An input and the tick it happened before: the count of World advances so far. */
+export interface TimedSessionInput {
+  tick: number
+  input: SessionInput
+}
+
+/**
+ * Everything needed to replay a session: the seed every random stream
+ * starts from, the scene it started in, the elapsed seconds of each World
+ * advance, and the inputs in between.
+ */
+export interface SessionLog {
+  seed: number
+  start: Scene
+  ticks: number[]
+  inputs: TimedSessionInput[]
+}
+
+/** A session as read from a file; `start` still needs the AudioContext merge. */
+export interface RawSessionLog extends Omit<SessionLog, 'start'> {
+  start: RawScene
+}
+
+/** What the canvas is doing with a session: none, recording one, or replaying one. */
+export type SessionRun =
+  | { mode: 'recording'; start: Scene }
+  | { mode: 'replaying'; log: SessionLog }
@@ -0,0 +1,29 @@
+/** How balls and their collision effects are drawn */
+export type RendererType = 'dom' | 'canvas'
+
+/** Named looks for balls, shockwaves and the background (see utils/colorThemes.ts) */
+export type ThemeId = 'classic' | 'neon' | 'pastel' | 'monochrome' | 'highContrast'
+
+/**
+ * Where a ball's hue comes from:
+ * - random:     a random hue at spawn, kept for life
+ * - pitchClass: the note it last played, on a circle of fifths
+ * - note:       as pitchClass, with higher octaves lighter
+ */
+export type ColorMode = 'random' | 'pitchClass' | 'note'
+
+/**
+ * What the background gradient shows: the latest ball colours, the active
+ * scale's tonic triad, or the notes sounding now.
+ */
+export type BackgroundMode = 'palette' | 'scale' | 'chord'
+
+export interface VisualSettings {
+  /** 'dom': one element per ball animated by GSAP; 'canvas': one 2D canvas for everything */
+  renderer: RendererType
+  theme: ThemeId
+  colorMode: ColorMode
+  /** Harder hits light a ball up more, softer ones darken it */
+  velocityBrightness: boolean
+  background: BackgroundMode
+}
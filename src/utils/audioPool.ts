@@ -16,13 +16,13 @@ interface PoolStats extends Record<string, PoolTypeStats | number> {
   totalActive: number
 }
 
-class AudioNodePool {
-  audioContext: AudioContext
+export class AudioNodePool {
+  audioContext: BaseAudioContext
   private maxSize: number
   private pools: Record<PoolableNodeType, PoolableNode[]>
   activeNodes: Set<AnyAudioNode>
 
-  constructor(audioContext: AudioContext, maxSize = 50) {
+  constructor(audioContext: BaseAudioContext, maxSize = 50) {
     this.audioContext = audioContext
     this.maxSize = maxSize
     this.pools = {
@@ -196,7 +196,7 @@ class AudioNodePool {
 
 let globalAudioPool: AudioNodePool | null = null
 
-export function getAudioPool(audioContext: AudioContext): AudioNodePool {
+export function getAudioPool(audioContext: BaseAudioContext): AudioNodePool {
   if (!globalAudioPool || globalAudioPool.audioContext !== audioContext) {
     globalAudioPool = new AudioNodePool(audioContext)
   }
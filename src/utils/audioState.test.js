@@ -0,0 +1,71 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { initialState, mergeAudioState, normalizeScene } from './audioState'
+import { DEFAULT_VOICE } from './voices'
+import { DEFAULT_OBSTACLE_VOICE } from './obstacles'
+
+describe('mergeAudioState', () => {
+  it('returns initialState values for an empty object', () => {
+    expect(mergeAudioState({})).toEqual(initialState)
+  })
+
+  it('deep-merges nested effect settings', () => {
+    const merged = mergeAudioState({ wallSettings: { delay: { enabled: true } } })
+    expect(merged.wallSettings.delay).toEqual({ ...initialState.wallSettings.delay, enabled: true })
+    expect(merged.wallSettings.reverb).toEqual(initialState.wallSettings.reverb)
+  })
+
+  it('drops values whose type does not match the default', () => {
+    const merged = mergeAudioState({ globalVolume: 'loud', wallSettings: 'nope' })
+    expect(merged.globalVolume).toBe(initialState.globalVolume)
+    expect(merged.wallSettings).toEqual(initialState.wallSettings)
+  })
+
+  it('keeps optional keys that have no default', () => {
+    const merged = mergeAudioState({ circleSettings: { tremolo: { shape: 'square' } } })
+    expect(merged.circleSettings.tremolo.shape).toBe('square')
+  })
+
+  it('lets an envelope saved before followDuration keep its hand-set decay', () => {
+    const merged = mergeAudioState({
+      wallSettings: { envelope: { decay: 0.5, sustain: 0.3 } },
+      circleSettings: { envelope: { attack: 0.05 } },
+    })
+    expect(merged.wallSettings.envelope.followDuration).toBe(false)
+    expect(merged.circleSettings.envelope.followDuration).toBe(true)
+  })
+
+  it('returns initialState for non-object input', () => {
+    expect(mergeAudioState(null)).toEqual(initialState)
+    expect(mergeAudioState(42)).toEqual(initialState)
+  })
+})
+
+describe('normalizeScene', () => {
+  const raw = (overrides = {}) => ({
+    viewport: { width: 800, height: 600 },
+    ballSpeed: 12,
+    state: { globalVolume: 0.3 },
+    balls: [],
+    ...overrides,
+  })
+
+  it('merges the scene state over the defaults', () => {
+    const scene = normalizeScene(raw())
+    expect(scene.state).toEqual({ ...initialState, globalVolume: 0.3 })
+    expect(scene.ballSpeed).toBe(12)
+  })
+
+  it('fills ball voices out with defaults and leaves voiceless balls alone', () => {
+    const ball = { x: 1, y: 2, vx: 0, vy: 0, radius: 10, color: 'red' }
+    const { balls } = normalizeScene(raw({ balls: [{ ...ball, voice: { waveform: 'square' } }, ball] }))
+    expect(balls[0].voice).toEqual({ ...DEFAULT_VOICE, waveform: 'square' })
+    expect(balls[1]).toEqual(ball)
+  })
+
+  it('fills obstacle voices out with the obstacle defaults', () => {
+    const peg = { id: 'p', kind: 'peg', x: 0.5, y: 0.5, radius: 10, bounce: 0.9, voice: { waveform: 'square' } }
+    const { state } = normalizeScene(raw({ state: { obstacles: [peg] } }))
+    expect(state.obstacles[0].voice).toEqual({ ...DEFAULT_OBSTACLE_VOICE, waveform: 'square' })
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * The default AudioState and the merge that brings untrusted state (storage,
+ * preset and scene files, links) up to date with it.
+ */
+import { DEFAULT_SCALE, DEFAULT_TUNING } from './scales'
+import { DEFAULT_MIDI_SETTINGS } from './midiMessages'
+import { DEFAULT_TRANSPORT } from './transport'
+import { DEFAULT_POLYPHONY } from './effectChains'
+import { DEFAULT_MASTER } from './masterBus'
+import { DEFAULT_SENDS } from './sendBus'
+import { DEFAULT_VOICE } from './voices'
+import { DEFAULT_OBSTACLE_VOICE } from './obstacles'
+import { DEFAULT_PHYSICS } from './fields'
+import { DEFAULT_LIFECYCLE } from './lifecycle'
+import { DEFAULT_VISUALS } from './colorThemes'
+import { DEFAULT_SOUND_SETTINGS } from './params'
+import { legacyFollowDuration } from './envelope'
+import { isPlainObject } from './guards'
+import type { AudioState, RawScene, Scene } from '../types/audio'
+
+// ─── Initial state ─────────────────────────────────────────────────────────────
+
+export const initialState: AudioState = {
+  currentScale: DEFAULT_SCALE,
+  globalVolume: 1.0,
+  master: DEFAULT_MASTER,
+  sends: DEFAULT_SENDS,
+  tuning: DEFAULT_TUNING,
+  customIntervals: [2, 2, 1, 2, 2, 2, 1],
+  wallSettings: DEFAULT_SOUND_SETTINGS,
+  circleSettings: DEFAULT_SOUND_SETTINGS,
+  midi: DEFAULT_MIDI_SETTINGS,
+  transport: DEFAULT_TRANSPORT,
+  polyphony: DEFAULT_POLYPHONY,
+  voiceBrush: { enabled: false, voice: DEFAULT_VOICE },
+  physics: DEFAULT_PHYSICS,
+  obstacles: [],
+  lifecycle: DEFAULT_LIFECYCLE,
+  visuals: DEFAULT_VISUALS,
+}
+
+// ─── Deep merge for persisted / imported state ────────────────────────────────
+
+/**
+ * Recursively overlay `saved` onto `defaults`. Keys missing from `saved` keep
+ * their default, so old payloads pick up fields added since they were written;
+ * values whose type doesn't match the default are dropped.
+ */
+function deepMerge<T>(defaults: T, saved: unknown): T {
+  if (isPlainObject(defaults)) {
+    if (!isPlainObject(saved)) return defaults
+    const merged: Record<string, unknown> = { ...defaults }
+    for (const [key, value] of Object.entries(saved)) {
+      merged[key] = key in defaults ? deepMerge(defaults[key], value) : value
+    }
+    return merged as T
+  }
+  if (saved === undefined || typeof saved !== typeof defaults) return defaults
+  if (Array.isArray(defaults) !== Array.isArray(saved)) return defaults
+  return saved as T
+}
+
+/** Fill in envelope fields whose default would change how older saves sound. */
+function migrateEnvelopes(saved: unknown): unknown {
+  if (!isPlainObject(saved)) return saved
+  const migrated: Record<string, unknown> = { ...saved }
+  for (const key of ['wallSettings', 'circleSettings']) {
+    const settings = saved[key]
+    if (!isPlainObject(settings) || !isPlainObject(settings.envelope) || 'followDuration' in settings.envelope) continue
+    const envelope = { ...settings.envelope, followDuration: legacyFollowDuration(settings.envelope) }
+    migrated[key] = { ...settings, envelope }
+  }
+  return migrated
+}
+
+/**
+ * Deep-merge an untrusted state object (localStorage, preset file) with
+ * initialState so any keys added in future code are always present.
+ */
+export function mergeAudioState(saved: unknown): AudioState {
+  return deepMerge(initialState, migrateEnvelopes(saved))
+}
+
+// ─── Scenes ────────────────────────────────────────────────────────────────────
+
+/** Run a raw scene's state, obstacle and ball voices through the same merge as persisted state. */
+export const normalizeScene = (raw: RawScene): Scene => {
+  const state = mergeAudioState(raw.state)
+  return {
+    ...raw,
+    state: { ...state, obstacles: state.obstacles.map(o => ({ ...o, voice: deepMerge(DEFAULT_OBSTACLE_VOICE, o.voice) })) },
+    balls: raw.balls.map(({ voice, ...ball }) => (voice ? { ...ball, voice: deepMerge(DEFAULT_VOICE, voice) } : ball)),
+  }
+}
@@ -0,0 +1,72 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { CanvasRenderer } from './canvasRenderer'
+
+/** Records every 2D context call; enough surface for the renderer */
+const fakeContext = () => {
+  const calls = []
+  const ctx = { canvas: { width: 0, height: 0 }, calls }
+  ;['setTransform', 'clearRect', 'beginPath', 'arc', 'fill', 'stroke', 'rotate', 'scale', 'setLineDash'].forEach(name => {
+    ctx[name] = (...args) => calls.push([name, ...args])
+  })
+  ctx.createRadialGradient = () => ({ addColorStop: () => {} })
+  return ctx
+}
+
+const ball = (overrides = {}) => ({ x: 100, y: 50, vx: 0, vy: 0, radius: 10, color: 'hsl(0, 70%, 50%)', ...overrides })
+
+describe('CanvasRenderer', () => {
+  it('sizes the backing store for the pixel ratio', () => {
+    const ctx = fakeContext()
+    new CanvasRenderer(ctx).resize(300, 200, 2)
+    expect(ctx.canvas).toEqual({ width: 600, height: 400 })
+  })
+
+  it('draws each ball at its position', () => {
+    const ctx = fakeContext()
+    const renderer = new CanvasRenderer(ctx, () => 0)
+    renderer.draw(new Map([['a', ball()], ['b', ball({ x: 200 })]]))
+    const transforms = ctx.calls.filter(call => call[0] === 'setTransform').map(call => call.slice(5))
+    expect(transforms).toContainEqual([100, 50])
+    expect(transforms).toContainEqual([200, 50])
+    expect(ctx.calls.filter(call => call[0] === 'fill')).toHaveLength(2)
+  })
+
+  it('squishes a ball until the effect finishes', () => {
+    let now = 0
+    const ctx = fakeContext()
+    const renderer = new CanvasRenderer(ctx, () => now)
+    const balls = new Map([['a', ball()]])
+    renderer.squish('a', 5, 0.8, 1.2, 0.5)
+    now = 0.03
+    renderer.draw(balls)
+    expect(ctx.calls.some(call => call[0] === 'rotate')).toBe(true)
+    expect(ctx.calls.some(call => call[0] === 'scale')).toBe(true)
+
+    ctx.calls.length = 0
+    now = 10
+    renderer.draw(balls)
+    expect(ctx.calls.some(call => call[0] === 'scale')).toBe(false)
+    expect(renderer.activeEffectCount).toBe(0)
+  })
+
+  it('draws shockwave rings until they fade out', () => {
+    let now = 0
+    const renderer = new CanvasRenderer(fakeContext(), () => now)
+    renderer.shockwave(10, 10, 'red', 10, 5)
+    renderer.draw(new Map())
+    expect(renderer.activeEffectCount).toBe(1)
+    now = 5
+    renderer.draw(new Map())
+    expect(renderer.activeEffectCount).toBe(0)
+  })
+
+  it('forgets effects of removed balls', () => {
+    const renderer = new CanvasRenderer(fakeContext(), () => 0)
+    renderer.glow('a', 'red', 10, 10)
+    renderer.flash('b', 10)
+    renderer.removeBall('a')
+    renderer.draw(new Map())
+    expect(renderer.activeEffectCount).toBe(0)
+  })
+})
@@ -0,0 +1,206 @@
+import {
+  EASE,
+  ballFill,
+  flashEffect,
+  glowEffect,
+  sampleSquish,
+  shockwaveEffect,
+  squishDuration,
+  squishEffect,
+  type BallEffects,
+  type SquishEffect,
+} from './visualEffects'
+import type { CircleState } from '../types/physics'
+
+const TAU = Math.PI * 2
+
+interface ActiveEffects {
+  squish?: { effect: SquishEffect; start: number }
+  glow?: { color: string; spread: number; hold: number; fade: number; start: number }
+  flash?: { peakBrightness: number; fade: number; start: number }
+}
+
+interface Ring extends ReturnType<typeof shockwaveEffect> {
+  x: number
+  y: number
+  color: string
+  start: number
+}
+
+/** Brightness multiplier (over 1) that makes the flash overlay fully opaque */
+const FLASH_FULL_BRIGHTNESS = 2.5
+/** Radius of the pin head marking a pinned (or held) ball */
+const PIN_RADIUS = 3
+
+/**
+ * Draws every ball, its squish, glow and fill flash, and shockwave rings on
+ * one 2D canvas. Effects are recorded with their start time and sampled from
+ * the shared model in visualEffects.ts on each draw, so nothing animates
+ * between frames and there are no per-ball DOM nodes or tweens.
+ */
+export class CanvasRenderer implements BallEffects {
+  private readonly ctx: CanvasRenderingContext2D
+  /** Clock in seconds; injectable for tests */
+  private readonly now: () => number
+  private readonly effects = new Map<string, ActiveEffects>()
+  private rings: Ring[] = []
+  private pixelRatio = 1
+
+  constructor(ctx: CanvasRenderingContext2D, now: () => number = () => performance.now() / 1000) {
+    this.ctx = ctx
+    this.now = now
+  }
+
+  /** Size the backing store for a CSS-pixel viewport at the device pixel ratio. */
+  resize(width: number, height: number, pixelRatio = 1): void {
+    this.ctx.canvas.width = Math.round(width * pixelRatio)
+    this.ctx.canvas.height = Math.round(height * pixelRatio)
+    this.pixelRatio = pixelRatio
+  }
+
+  squish(id: string, velocity: number, scaleX: number, scaleY: number, rotation?: number): void {
+    this.active(id).squish = { effect: squishEffect(velocity, scaleX, scaleY, rotation), start: this.now() }
+  }
+
+  glow(id: string, color: string, radius: number, velocity: number): void {
+    const { spread, hold, fade } = glowEffect(radius, velocity)
+    this.active(id).glow = { color, spread, hold, fade, start: this.now() }
+  }
+
+  flash(id: string, velocity: number): void {
+    this.active(id).flash = { ...flashEffect(velocity), start: this.now() }
+  }
+
+  shockwave(x: number, y: number, color: string, velocity: number, startRadius: number): void {
+    this.rings.push({ x, y, color, start: this.now(), ...shockwaveEffect(velocity, startRadius) })
+  }
+
+  removeBall(id: string): void {
+    this.effects.delete(id)
+  }
+
+  /** Number of balls with an effect still running plus live rings. */
+  get activeEffectCount(): number {
+    return this.effects.size + this.rings.length
+  }
+
+  /** Clear the canvas and draw one frame; finished effects are dropped. */
+  draw(balls: Map<string, CircleState>, selectedId: string | null = null): void {
+    const { ctx, pixelRatio } = this
+    const now = this.now()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+
+    balls.forEach((state, id) => this.drawBall(id, state, now, id === selectedId))
+    this.effects.forEach((_, id) => { if (!balls.has(id)) this.effects.delete(id) })
+
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+    this.rings = this.rings.filter(ring => {
+      const progress = (now - ring.start) / ring.duration
+      if (progress >= 1) return false
+      const k = EASE.power2Out(Math.max(progress, 0))
+      const diameter = ring.startDiameter + (ring.maxDiameter - ring.startDiameter) * k
+      // Like a CSS border, the stroke sits inside the ring's outer edge
+      ctx.globalAlpha = ring.startOpacity * (1 - k)
+      ctx.lineWidth = ring.borderWidth
+      ctx.strokeStyle = ring.color
+      ctx.beginPath()
+      ctx.arc(ring.x, ring.y, Math.max(diameter / 2 - ring.borderWidth / 2, 0), 0, TAU)
+      ctx.stroke()
+      return true
+    })
+    ctx.globalAlpha = 1
+  }
+
+  private active(id: string): ActiveEffects {
+    let fx = this.effects.get(id)
+    if (!fx) {
+      fx = {}
+      this.effects.set(id, fx)
+    }
+    return fx
+  }
+
+  private drawBall(id: string, state: CircleState, now: number, selected: boolean): void {
+    const { ctx, pixelRatio } = this
+    const fx = this.effects.get(id)
+
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, state.x * pixelRatio, state.y * pixelRatio)
+    if (fx?.squish) {
+      const elapsed = now - fx.squish.start
+      if (elapsed >= squishDuration(fx.squish.effect)) {
+        delete fx.squish
+      } else {
+        const pose = sampleSquish(fx.squish.effect, elapsed)
+        if (pose.rotation) ctx.rotate(pose.rotation)
+        ctx.scale(pose.scaleX, pose.scaleY)
+      }
+    }
+
+    // A spent ball fades out as a whole, effects included
+    const alpha = state.fade ?? 1
+    ctx.globalAlpha = alpha
+    ctx.beginPath()
+    ctx.arc(0, 0, state.radius, 0, TAU)
+    ctx.fillStyle = ballFill(state.color)
+    ctx.fill()
+
+    if (fx?.glow) {
+      const { color, spread, hold, fade, start } = fx.glow
+      const elapsed = now - start
+      if (elapsed >= hold + fade) {
+        delete fx.glow
+      } else {
+        // Inset glow: colour at the rim fading towards the centre
+        const gradient = ctx.createRadialGradient(0, 0, Math.max(state.radius - spread, 0), 0, 0, state.radius)
+        gradient.addColorStop(0, 'transparent')
+        gradient.addColorStop(1, color)
+        ctx.globalAlpha = alpha * (elapsed < hold ? 1 : 1 - EASE.power2Out((elapsed - hold) / fade))
+        ctx.fillStyle = gradient
+        ctx.fill()
+        ctx.globalAlpha = alpha
+      }
+    }
+
+    if (fx?.flash) {
+      const { peakBrightness, fade, start } = fx.flash
+      const elapsed = now - start
+      if (elapsed >= fade) {
+        delete fx.flash
+      } else {
+        // brightness() has no canvas equivalent; add the colour over itself instead
+        const brightness = peakBrightness + (1 - peakBrightness) * EASE.power2Out(elapsed / fade)
+        ctx.globalCompositeOperation = 'lighter'
+        ctx.globalAlpha = alpha * Math.min((brightness - 1) / FLASH_FULL_BRIGHTNESS, 1)
+        ctx.fillStyle = state.color
+        ctx.fill()
+        ctx.globalCompositeOperation = 'source-over'
+        ctx.globalAlpha = alpha
+      }
+    }
+
+    ctx.lineWidth = 1
+    ctx.strokeStyle = state.color
+    ctx.stroke()
+
+    if (state.pinned) {
+      ctx.beginPath()
+      ctx.arc(0, 0, PIN_RADIUS, 0, TAU)
+      ctx.fillStyle = 'white'
+      ctx.fill()
+    }
+
+    if (selected) {
+      ctx.setLineDash([6, 4])
+      ctx.lineWidth = 2
+      ctx.strokeStyle = 'white'
+      ctx.beginPath()
+      ctx.arc(0, 0, state.radius + 5, 0, TAU)
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+    ctx.globalAlpha = 1
+
+    if (fx && !fx.squish && !fx.glow && !fx.flash) this.effects.delete(id)
+  }
+}
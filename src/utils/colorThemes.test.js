@@ -0,0 +1,127 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_VISUALS,
+  THEMES,
+  chordColors,
+  colorHue,
+  fifthsHue,
+  hitColor,
+  noteColor,
+  pitchClassOf,
+  randomColor,
+  restyleColor,
+  scaleColors,
+  themeColor,
+  velocityShift,
+} from './colorThemes'
+import { DEFAULT_TUNING } from './scales'
+
+const lightness = (color) => Number(color.match(/[\d.]+/g)[2])
+const C4 = 261.63
+const G4 = 392
+const C5 = 523.25
+
+describe('themeColor', () => {
+  it('draws a hue in the theme', () => {
+    expect(themeColor(THEMES.classic, 120)).toBe('hsl(120, 70%, 50%)')
+    expect(themeColor(THEMES.pastel, 120)).toBe('hsl(120, 60%, 80%)')
+  })
+
+  it('wraps hues and keeps lightness off black and white', () => {
+    expect(themeColor(THEMES.classic, -30)).toBe('hsl(330, 70%, 50%)')
+    expect(lightness(themeColor(THEMES.pastel, 0, 40))).toBeLessThan(100)
+    expect(lightness(themeColor(THEMES.classic, 0, -60))).toBeGreaterThan(0)
+  })
+
+  it('spreads monochrome balls over lightness instead of hue', () => {
+    const dark = themeColor(THEMES.monochrome, 0)
+    const light = themeColor(THEMES.monochrome, 350)
+    expect(dark).toMatch(/, 0%,/)
+    expect(lightness(light)).toBeGreaterThan(lightness(dark))
+  })
+})
+
+describe('restyleColor and randomColor', () => {
+  it('keeps the hue across themes', () => {
+    const neon = restyleColor('hsl(200, 70%, 50%)', THEMES.neon)
+    expect(colorHue(neon)).toBe(200)
+    expect(neon).toBe(themeColor(THEMES.neon, 200))
+  })
+
+  it('draws the hue from the random source', () => {
+    expect(randomColor(THEMES.classic, () => 0.5)).toBe('hsl(180, 70%, 50%)')
+  })
+})
+
+describe('pitch colours', () => {
+  it('places pitch classes on the circle of fifths', () => {
+    expect(fifthsHue(0)).toBe(0)    // C
+    expect(fifthsHue(7)).toBe(30)   // G, a fifth up, is the next colour
+    expect(fifthsHue(2)).toBe(60)   // D
+    expect(fifthsHue(5)).toBe(330)  // F, a fifth down
+  })
+
+  it('finds the pitch class relative to A4', () => {
+    expect(pitchClassOf(C4)).toBe(0)
+    expect(pitchClassOf(440)).toBe(9)
+    expect(pitchClassOf(432, 432)).toBe(9)
+  })
+
+  it('colours every octave of a pitch class alike in pitchClass mode', () => {
+    expect(noteColor(C4, THEMES.classic, 'pitchClass')).toBe(noteColor(C5, THEMES.classic, 'pitchClass'))
+    expect(colorHue(noteColor(G4, THEMES.classic, 'pitchClass'))).toBe(30)
+  })
+
+  it('lightens higher octaves in note mode', () => {
+    const low = noteColor(C4, THEMES.classic, 'note')
+    const high = noteColor(C5, THEMES.classic, 'note')
+    expect(colorHue(low)).toBe(colorHue(high))
+    expect(lightness(high)).toBeGreaterThan(lightness(low))
+  })
+
+  it('brightens harder hits', () => {
+    expect(velocityShift(20)).toBeGreaterThan(0)
+    expect(velocityShift(0)).toBeLessThan(0)
+    expect(lightness(noteColor(C4, THEMES.classic, 'pitchClass', 440, 30)))
+      .toBeGreaterThan(lightness(noteColor(C4, THEMES.classic, 'pitchClass', 440, 1)))
+  })
+})
+
+describe('hitColor', () => {
+  const ball = 'hsl(200, 70%, 50%)'
+
+  it('leaves random colours alone without velocity brightness', () => {
+    expect(hitColor(ball, DEFAULT_VISUALS, G4, 10)).toBe(ball)
+  })
+
+  it('takes the note colour in the pitch modes', () => {
+    const visuals = { ...DEFAULT_VISUALS, colorMode: 'pitchClass' }
+    expect(hitColor(ball, visuals, G4, 10)).toBe(noteColor(G4, THEMES.classic, 'pitchClass'))
+  })
+
+  it('keeps the hue and changes lightness with velocity brightness', () => {
+    const visuals = { ...DEFAULT_VISUALS, velocityBrightness: true }
+    const hard = hitColor(ball, visuals, G4, 30)
+    expect(colorHue(hard)).toBe(200)
+    expect(lightness(hard)).toBeGreaterThan(lightness(hitColor(ball, visuals, G4, 1)))
+  })
+})
+
+describe('background colours', () => {
+  it('shows the tonic triad of the scale', () => {
+    const colors = scaleColors('C_MAJOR', DEFAULT_TUNING, [], THEMES.classic)
+    expect(colors.map(colorHue)).toEqual([fifthsHue(0), fifthsHue(4), fifthsHue(7)]) // C E G
+  })
+
+  it('follows the root', () => {
+    const colors = scaleColors('A_MINOR', DEFAULT_TUNING, [], THEMES.classic)
+    expect(colors.map(colorHue)).toEqual([fifthsHue(9), fifthsHue(0), fifthsHue(4)]) // A C E
+  })
+
+  it('keeps the latest distinct pitch classes of a chord, oldest first', () => {
+    const colors = chordColors([C4, 440, G4, C5, 329.63], THEMES.classic)
+    expect(colors.map(colorHue)).toEqual([fifthsHue(7), fifthsHue(0), fifthsHue(4)]) // G C E
+    expect(chordColors([], THEMES.classic)).toEqual([])
+  })
+})
@@ -0,0 +1,156 @@
+import { generateScale } from './scales'
+import { frequencyToMidiNote } from './midiMessages'
+import type { TuningSettings } from '../types/audio'
+import type { BackgroundMode, ColorMode, RendererType, ThemeId, VisualSettings } from '../types/visuals'
+
+/**
+ * Colour for balls, shockwaves and the background. A theme fixes saturation
+ * and lightness; the hue comes from a random draw or, in the pitch modes,
+ * from the note a ball plays, placed on a circle of fifths so that related
+ * keys sit next to each other (C red, G orange, D yellow, …).
+ *
+ * Every colour stays an `hsl(h, s%, l%)` string: ballFill and the gradient
+ * read the numbers back out of it.
+ */
+
+export interface VisualTheme {
+  name: string
+  saturation: number
+  lightness: number
+  /** Lightness spread across the hue circle; lets monochrome keep balls apart */
+  hueLightness: number
+  /** Opacity of each background gradient layer */
+  gradientAlpha: number
+  /** Solid colour under the gradient */
+  backdrop: string
+  /** Fixed shockwave colour; null draws rings in the ball's colour */
+  ring: string | null
+}
+
+export const THEMES: Record<ThemeId, VisualTheme> = {
+  classic:      { name: 'Classic',       saturation: 70,  lightness: 50, hueLightness: 0,  gradientAlpha: 0.45, backdrop: '#05080f', ring: null },
+  neon:         { name: 'Dark Neon',     saturation: 100, lightness: 60, hueLightness: 0,  gradientAlpha: 0.3,  backdrop: '#000000', ring: null },
+  pastel:       { name: 'Pastel',        saturation: 60,  lightness: 80, hueLightness: 0,  gradientAlpha: 0.55, backdrop: '#1c1a2b', ring: null },
+  monochrome:   { name: 'Monochrome',    saturation: 0,   lightness: 60, hueLightness: 50, gradientAlpha: 0.3,  backdrop: '#0a0a0a', ring: null },
+  highContrast: { name: 'High Contrast', saturation: 100, lightness: 50, hueLightness: 0,  gradientAlpha: 0.2,  backdrop: '#000000', ring: '#ffffff' },
+}
+
+export const RENDERERS: Array<{ id: RendererType; name: string }> = [
+  { id: 'dom',    name: 'DOM' },
+  { id: 'canvas', name: 'Canvas' },
+]
+
+export const COLOR_MODES: Array<{ id: ColorMode; name: string }> = [
+  { id: 'random',     name: 'Random' },
+  { id: 'pitchClass', name: 'Pitch' },
+  { id: 'note',       name: 'Note' },
+]
+
+export const BACKGROUND_MODES: Array<{ id: BackgroundMode; name: string }> = [
+  { id: 'palette', name: 'Palette' },
+  { id: 'scale',   name: 'Scale' },
+  { id: 'chord',   name: 'Chord' },
+]
+
+export const DEFAULT_VISUALS: VisualSettings = {
+  renderer: 'dom',
+  theme: 'classic',
+  colorMode: 'random',
+  velocityBrightness: false,
+  background: 'palette',
+}
+
+/** Lightness added per octave above C4 in 'note' mode (negative below) */
+const OCTAVE_LIGHTNESS = 6
+/** Lightness between the softest and hardest hit when brightness follows velocity */
+const VELOCITY_LIGHTNESS = 30
+/** Lightness kept clear of black and white, so every ball still shows its hue */
+const MIN_LIGHTNESS = 15
+const MAX_LIGHTNESS = 92
+
+const clamp = (v: number, min: number, max: number): number => Math.min(Math.max(v, min), max)
+
+/** A hue (degrees) in the theme, its lightness moved by `shift`. */
+export const themeColor = (theme: VisualTheme, hue: number, shift = 0): string => {
+  const h = ((Math.round(hue) % 360) + 360) % 360
+  const spread = (h / 360 - 0.5) * theme.hueLightness
+  const l = clamp(Math.round(theme.lightness + spread + shift), MIN_LIGHTNESS, MAX_LIGHTNESS)
+  return `hsl(${h}, ${theme.saturation}%, ${l}%)`
+}
+
+/** The hue of an `hsl(...)` colour; 0 if it doesn't parse. */
+export const colorHue = (color: string): number => Number(color.match(/[\d.]+/)?.[0] ?? 0)
+
+/** The same hue redrawn in another theme. */
+export const restyleColor = (color: string, theme: VisualTheme): string => themeColor(theme, colorHue(color))
+
+/** A random hue in the theme; `random` returns 0..1. */
+export const randomColor = (theme: VisualTheme, random: () => number): string => themeColor(theme, random() * 360)
+
+/** Hue of a pitch class (0 = C) on the circle of fifths: 30° per fifth. */
+export const fifthsHue = (pitchClass: number): number => ((((pitchClass * 7) % 12) + 12) % 12) * 30
+
+/** Pitch class (0 = C … 11 = B) of the nearest 12-TET note. */
+export const pitchClassOf = (frequency: number, a4 = 440): number => frequencyToMidiNote(frequency, a4) % 12
+
+/** Lightness shift for a hit of `speed` px/frame, soft hits darker. */
+export const velocityShift = (speed: number): number =>
+  (clamp((Math.abs(speed) - 3) / 17, 0, 1) - 0.5) * VELOCITY_LIGHTNESS
+
+/**
+ * A note's colour: hue from its pitch class; in 'note' mode the octave
+ * lightens or darkens it as well. `speed` brightens hard hits when given.
+ */
+export const noteColor = (
+  frequency: number,
+  theme: VisualTheme,
+  mode: 'pitchClass' | 'note',
+  a4 = 440,
+  speed?: number,
+): string => {
+  const note = frequencyToMidiNote(frequency, a4)
+  const octaveShift = mode === 'note' ? (Math.floor(note / 12) - 5) * OCTAVE_LIGHTNESS : 0
+  const hitShift = speed === undefined ? 0 : velocityShift(speed)
+  return themeColor(theme, fifthsHue(note % 12), octaveShift + hitShift)
+}
+
+/**
+ * Background colours for a scale: its tonic triad, i.e. degrees 1, 3 and 5
+ * (stacked thirds of whatever steps the mode has).
+ */
+export const scaleColors = (
+  scale: string, tuning: TuningSettings, customIntervals: number[], theme: VisualTheme,
+): string[] => {
+  const degrees = generateScale(scale, tuning, customIntervals).WALL_LOW
+  if (degrees.length === 0) return []
+  const triad = [0, 2, 4].map(i => degrees[i % degrees.length])
+  return triad.map(frequency => noteColor(frequency, theme, 'pitchClass', tuning.a4))
+}
+
+/**
+ * Background colours for the notes sounding now: one per pitch class, the
+ * most recent `count` of them, oldest first.
+ */
+export const chordColors = (frequencies: number[], theme: VisualTheme, a4 = 440, count = 3): string[] => {
+  const classes: number[] = []
+  for (let i = frequencies.length - 1; i >= 0 && classes.length < count; i--) {
+    const pc = pitchClassOf(frequencies[i], a4)
+    if (!classes.includes(pc)) classes.push(pc)
+  }
+  return classes.reverse().map(pc => themeColor(theme, fifthsHue(pc)))
+}
+
+/**
+ * A ball's colour after a hit that sounded `frequency`: in the pitch modes
+ * the note's colour, otherwise its own hue. With velocity brightness on,
+ * harder hits light it up more.
+ */
+export const hitColor = (
+  color: string, visuals: VisualSettings, frequency: number, speed: number, a4 = 440,
+): string => {
+  const theme = THEMES[visuals.theme]
+  const hitSpeed = visuals.velocityBrightness ? speed : undefined
+  if (visuals.colorMode !== 'random') return noteColor(frequency, theme, visuals.colorMode, a4, hitSpeed)
+  if (hitSpeed === undefined) return color
+  return themeColor(theme, colorHue(color), velocityShift(hitSpeed))
+}
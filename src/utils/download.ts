@@ -0,0 +1,17 @@
+/** Trigger a browser download of `blob` under `filename`. */
+export const downloadBlob = (blob: Blob, filename: string): void => {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  // Revoke on the next task so the click has started the download first
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/** Filename-safe local timestamp, e.g. 2024-05-01_13-45-09. */
+export const fileTimestamp = (date = new Date()): string => {
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+}
@@ -4,61 +4,42 @@
  * called out in BACKLOG A6: IR cache, IR buffer shape, and pool overflow.
  *
  * All Web Audio construction is avoided by:
- *   - mocking ./audioPool so getNode() returns plain JS objects
+ *   - mocking ./audioPool so getNode() returns the shared recording mocks
+ *     from src/test/mockAudioGraph.js
  *   - supplying a minimal mock AudioContext whose createBuffer() fills real
  *     Float32Arrays (needed for shape assertions)
  */
 import { describe, it, expect, afterEach, vi } from 'vitest'
 
 // ─── Mock audioPool ─────────────────────────────────────────────────────────
-// Inline factory (vi.mock is hoisted, so we can't call outer-scope helpers).
-vi.mock('./audioPool', () => {
-  function makeGain() {
-    return {
-      gain: {
-        value: 1,
-        cancelScheduledValues: vi.fn(),
-        setValueAtTime: vi.fn(),
-        linearRampToValueAtTime: vi.fn(),
-      },
-      connect: vi.fn(),
-      disconnect: vi.fn(),
-    }
-  }
-  function makePanner() {
-    return {
-      pan: { value: 0, cancelScheduledValues: vi.fn(), setValueAtTime: vi.fn() },
-      connect: vi.fn(),
-      disconnect: vi.fn(),
-    }
-  }
-  function makeWaveshaper() {
-    return { curve: null, oversample: 'none', connect: vi.fn(), disconnect: vi.fn() }
-  }
-  function makeDelay() {
-    return {
-      delayTime: { value: 0, cancelScheduledValues: vi.fn(), setValueAtTime: vi.fn() },
-      connect: vi.fn(),
-      disconnect: vi.fn(),
-    }
+// vi.mock is hoisted above the imports, so the shared helpers load inside it.
+vi.mock('./audioPool', async () => {
+  const { makeNode, makeParam } = await import('../test/mockAudioGraph')
+  const create = {
+    gain:         () => makeNode('gain', { gain: makeParam(1) }),
+    stereoPanner: () => makeNode('panner', { pan: makeParam(0) }),
+    waveshaper:   () => makeNode('waveshaper', { curve: null, oversample: 'none' }),
+    delay:        () => makeNode('delay', { delayTime: makeParam(0) }),
+    biquadFilter: () => makeNode('biquad', {
+      type: 'lowpass', frequency: makeParam(350), Q: makeParam(1), gain: makeParam(0),
+    }),
   }
   return {
     getAudioPool: vi.fn(() => ({
       getNode: vi.fn((type) => {
-        switch (type) {
-          case 'gain':        return makeGain()
-          case 'stereoPanner': return makePanner()
-          case 'waveshaper':  return makeWaveshaper()
-          case 'delay':       return makeDelay()
-          default: throw new Error(`Unexpected node type in test: ${type}`)
-        }
+        if (!create[type]) throw new Error(`Unexpected node type in test: ${type}`)
+        return create[type]()
       }),
       releaseNode: vi.fn(),
     })),
   }
 })
 
-import { getEffectChainPool, destroyEffectChainPool, getEffectChainStats } from './effectChains'
+import {
+  getEffectChainPool, destroyEffectChainPool, getEffectChainStats, getVoiceStats, setPolyphony,
+  pickVictim, DEFAULT_POLYPHONY, STEAL_FADE,
+} from './effectChains'
+import { makeBuffer, makeNode, makeParam } from '../test/mockAudioGraph'
 
 // ─── Mock AudioContext factory ───────────────────────────────────────────────
 // createBuffer() fills real Float32Arrays so IR shape assertions work.
@@ -66,24 +47,11 @@ function createMockAudioContext(sampleRate = 44100) {
   return {
     currentTime: 0,
     sampleRate,
-    createConvolver: vi.fn(() => ({ buffer: null, connect: vi.fn(), disconnect: vi.fn() })),
-    createOscillator: vi.fn(() => ({
-      type: 'sine',
-      frequency: { setValueAtTime: vi.fn() },
-      connect: vi.fn(),
-      disconnect: vi.fn(),
-      start: vi.fn(),
-      stop: vi.fn(),
+    createConvolver: vi.fn(() => makeNode('convolver', { buffer: null })),
+    createOscillator: vi.fn(() => makeNode('oscillator', {
+      type: 'sine', frequency: makeParam(), start: vi.fn(), stop: vi.fn(),
     })),
-    createBuffer: vi.fn((numChannels, length, sr) => {
-      const channels = Array.from({ length: numChannels }, () => new Float32Array(length))
-      return {
-        numberOfChannels: numChannels,
-        length,
-        sampleRate: sr,
-        getChannelData: (c) => channels[c],
-      }
-    }),
+    createBuffer: vi.fn(makeBuffer),
   }
 }
 
@@ -210,6 +178,72 @@ describe('effectChains', () => {
     })
   })
 
+  // ── Envelope / filter ──────────────────────────────────────────────────────
+  describe('envelope and filter', () => {
+    const envelope = { attack: 0.1, decay: 0.2, sustain: 0.5, release: 0.4, curve: 'linear' }
+
+    it('schedules the ADSR on the input gain, scaled by volume', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({ volume: 0.2, duration: 1, envelope }, 2)
+      const gain = chain.nodes.input.gain
+      expect(gain.setValueAtTime).toHaveBeenCalledWith(0, 2)
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(0.2, 2.1)
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(0.1, 2.3)
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(0.1, 3)
+      expect(gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 3.4)
+      pool.releaseChain(chain)
+    })
+
+    it('sets the filter to allpass when disabled', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({
+        volume: 0.2, duration: 1, envelope,
+        filter: { enabled: false, type: 'lowpass', cutoff: 1000, q: 1, envAmount: 0, velocityAmount: 0 },
+      })
+      expect(chain.nodes.filter.type).toBe('allpass')
+      pool.releaseChain(chain)
+    })
+
+    it('sweeps the cutoff exponentially by the envelope amount', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({
+        volume: 0.2, duration: 1, envelope,
+        filter: { enabled: true, type: 'highpass', cutoff: 500, q: 4, envAmount: 2, velocityAmount: 0 },
+      }, 0)
+      const { filter } = chain.nodes
+      expect(filter.type).toBe('highpass')
+      expect(filter.Q.setValueAtTime).toHaveBeenCalledWith(4, 0)
+      expect(filter.frequency.exponentialRampToValueAtTime).toHaveBeenCalledWith(2000, 0.1)
+      expect(filter.frequency.linearRampToValueAtTime).not.toHaveBeenCalled()
+      pool.releaseChain(chain)
+    })
+
+    it('lowers the cutoff for soft hits by the velocity amount', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({
+        volume: 0.2, duration: 1, envelope, velocity: 0,
+        filter: { enabled: true, type: 'lowpass', cutoff: 4000, q: 1, envAmount: 0, velocityAmount: 2 },
+      }, 0)
+      expect(chain.nodes.filter.frequency.setValueAtTime).toHaveBeenCalledWith(1000, 0)
+      pool.releaseChain(chain)
+    })
+
+    it('stops the tremolo LFO after the release', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({
+        volume: 0.2, duration: 1, envelope,
+        tremolo: { enabled: true, rate: 5, depth: 0.5, mix: 0.5 },
+      }, 0)
+      expect(chain.currentLFO.stop).toHaveBeenCalledWith(1 + 0.4 + 0.1)
+      pool.releaseChain(chain)
+    })
+  })
+
   // ── Effect chain pool ──────────────────────────────────────────────────────
   describe('pool', () => {
     it('starts with 32 available chains', () => {
@@ -258,4 +292,170 @@ describe('effectChains', () => {
       expect(getEffectChainStats().available).toBe(32)
     })
   })
+
+  // ── Send routing ───────────────────────────────────────────────────────────
+  describe('send routing', () => {
+    it('wires the send gains off the panner', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      const { pan, reverbSend, delaySend } = chain.nodes
+      expect(pan.connect).toHaveBeenCalledWith(reverbSend)
+      expect(pan.connect).toHaveBeenCalledWith(delaySend)
+      pool.releaseChain(chain)
+    })
+
+    it('sets the send levels, and silences them without sends', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      chain.configure({ volume: 0.2, duration: 1, sends: { reverb: 0.4, delay: 0.2 } }, 1)
+      expect(chain.nodes.reverbSend.gain.setValueAtTime).toHaveBeenLastCalledWith(0.4, 1)
+      expect(chain.nodes.delaySend.gain.setValueAtTime).toHaveBeenLastCalledWith(0.2, 1)
+      chain.configure({ volume: 0.2, duration: 1 }, 2)
+      expect(chain.nodes.reverbSend.gain.setValueAtTime).toHaveBeenLastCalledWith(0, 2)
+      expect(chain.nodes.delaySend.gain.setValueAtTime).toHaveBeenLastCalledWith(0, 2)
+      pool.releaseChain(chain)
+    })
+
+    it('connects the sends to the buses until the chain is released', () => {
+      const pool = freshPool()
+      const chain = pool.getChain()
+      const reverbInput = {}
+      const delayInput = {}
+      expect(chain.connectSends(reverbInput, delayInput)).toBe(true)
+      const { reverbSend, delaySend } = chain.nodes
+      expect(reverbSend.connect).toHaveBeenCalledWith(reverbInput)
+      expect(delaySend.connect).toHaveBeenCalledWith(delayInput)
+      pool.releaseChain(chain)
+      expect(reverbSend.disconnect).toHaveBeenCalled()
+      expect(delaySend.disconnect).toHaveBeenCalled()
+    })
+  })
+
+  // ── Voice allocation ───────────────────────────────────────────────────────
+  describe('voice allocation', () => {
+    afterEach(() => setPolyphony(DEFAULT_POLYPHONY))
+
+    const wall = (loudness, end = 10) => ({ category: 'wall', loudness, end })
+    const ball = (loudness, end = 10) => ({ category: 'ball', loudness, end })
+
+    it('allocates a chain and counts it against its category', () => {
+      const pool = freshPool()
+      const voice = pool.allocate(wall(0.1))
+      expect(voice.chain).not.toBeNull()
+      expect(getVoiceStats()).toMatchObject({ active: 1, wall: 1, ball: 0, stolen: 0, dropped: 0 })
+      pool.releaseChain(voice.chain)
+      expect(getVoiceStats().active).toBe(0)
+    })
+
+    it('steals the quietest voice of a full category, fading it out', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 2 })
+      const pool = freshPool()
+      const loud = pool.allocate(wall(0.2))
+      const quiet = pool.allocate(wall(0.05))
+      quiet.sources = [{ stop: vi.fn() }]
+      const hard = pool.allocate(wall(0.25))
+
+      expect(hard).not.toBeNull()
+      expect(quiet.stolen).toBe(true)
+      expect(loud.stolen).toBe(false)
+      expect(quiet.chain.nodes.output.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, STEAL_FADE)
+      expect(quiet.sources[0].stop).toHaveBeenCalledWith(STEAL_FADE)
+      expect(getVoiceStats()).toMatchObject({ active: 2, wall: 2, fading: 1, stolen: 1, dropped: 0 })
+    })
+
+    it('fades the send taps of a stolen voice too', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1 })
+      const pool = freshPool()
+      const old = pool.allocate(wall(0.1))
+      old.chain.configure({ volume: 0.2, duration: 1, sends: { reverb: 0.4, delay: 0.2 } }, 0)
+      old.chain.connectSends({}, {})
+      pool.allocate(wall(0.2))
+
+      const { reverbSend, delaySend } = old.chain.nodes
+      expect(reverbSend.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, STEAL_FADE)
+      expect(delaySend.gain.linearRampToValueAtTime).toHaveBeenCalledWith(0, STEAL_FADE)
+    })
+
+    it('drops a note quieter than every voice in its way', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1 })
+      const pool = freshPool()
+      pool.allocate(wall(0.2))
+      expect(pool.allocate(wall(0.05))).toBeNull()
+      expect(getVoiceStats()).toMatchObject({ active: 1, stolen: 0, dropped: 1 })
+    })
+
+    it('counts a voice in its effect tail as silent', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1 })
+      const ctx = createMockAudioContext()
+      const pool = getEffectChainPool(ctx)
+      const ringing = pool.allocate(wall(0.2, 0.5))
+      ctx.currentTime = 1
+      expect(pool.allocate(wall(0.01))).not.toBeNull()
+      expect(ringing.stolen).toBe(true)
+    })
+
+    it('steals the oldest voice when set to', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, ballVoices: 2, steal: 'oldest' })
+      const pool = freshPool()
+      const first = pool.allocate(ball(0.01))
+      const second = pool.allocate(ball(0.01))
+      expect(pool.allocate(ball(0.001))).not.toBeNull()
+      expect(first.stolen).toBe(true)
+      expect(second.stolen).toBe(false)
+    })
+
+    it('keeps the categories to their own budgets', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1, ballVoices: 1 })
+      const pool = freshPool()
+      const wallVoice = pool.allocate(wall(0.2))
+      expect(pool.allocate(ball(0.01))).not.toBeNull()
+      expect(wallVoice.stolen).toBe(false)
+      expect(getVoiceStats()).toMatchObject({ wall: 1, ball: 1, stolen: 0 })
+    })
+
+    it('steals across categories once the max polyphony is reached', () => {
+      setPolyphony({ maxVoices: 2, wallVoices: 2, ballVoices: 2, steal: 'quietest' })
+      const pool = freshPool()
+      const graze = pool.allocate(ball(0.02))
+      pool.allocate(ball(0.1))
+      expect(pool.allocate(wall(0.2))).not.toBeNull()
+      expect(graze.stolen).toBe(true)
+      expect(getVoiceStats()).toMatchObject({ active: 2, wall: 1, ball: 1, stolen: 1 })
+    })
+
+    it('drops the note when every spare chain is still fading', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1 })
+      const pool = freshPool()
+      // One voice sounds; each new louder note steals it, leaving a chain fading
+      for (let i = 0; i < 32; i++) expect(pool.allocate(wall(0.1 + i * 0.01))).not.toBeNull()
+      expect(getEffectChainStats().available).toBe(0)
+      expect(pool.allocate(wall(1))).toBeNull()
+      expect(getVoiceStats()).toMatchObject({ active: 1, fading: 31, stolen: 31, dropped: 1 })
+    })
+
+    it('frees a stolen chain for reuse once its sources end', () => {
+      setPolyphony({ ...DEFAULT_POLYPHONY, wallVoices: 1 })
+      const pool = freshPool()
+      const old = pool.allocate(wall(0.1))
+      pool.allocate(wall(0.2))
+      pool.releaseChain(old.chain)
+      expect(getVoiceStats()).toMatchObject({ active: 1, fading: 0 })
+      expect(getEffectChainStats().available).toBe(31)
+    })
+  })
+})
+
+describe('pickVictim', () => {
+  const voice = (order, loudness, end = 10) => ({ order, loudness, end, category: 'wall', stolen: false })
+  const request = { category: 'wall', loudness: 0.1, end: 10 }
+
+  it('prefers the oldest among equally quiet voices', () => {
+    const a = voice(1, 0.05)
+    const b = voice(0, 0.05)
+    expect(pickVictim([a, b, voice(2, 0.08)], request, 'quietest', 0)).toBe(b)
+  })
+
+  it('returns null with nothing to take', () => {
+    expect(pickVictim([], request, 'oldest', 0)).toBeNull()
+  })
 })
@@ -1,5 +1,9 @@
-import { getAudioPool } from './audioPool'
-import type { SoundSettings } from '../types/audio'
+import { getAudioPool, type AudioNodePool } from './audioPool'
+import type { PolyphonySettings, SoundSettings, StealMode, VoiceCategory } from '../types/audio'
+import { forkRandom, getSeed } from './random'
+import {
+  DEFAULT_ENVELOPE, applyEnvelope, buildEnvelope, envelopeLength, filterBaseCutoff, filterCutoffAt,
+} from './envelope'
 
 /** Soft-clipping distortion curve (avoids circular import with sound.ts). */
 const createDistortionCurve = (amount = 20): Float32Array => {
@@ -12,11 +16,16 @@ const createDistortionCurve = (amount = 20): Float32Array => {
   return curve
 }
 
-/** Key: `${roomSize.toFixed(3)}-${damping.toFixed(3)}` */
+/**
+ * Key: `${roomSize.toFixed(3)}-${damping.toFixed(3)}@${sampleRate}#${seed}`. The
+ * sample rate is part of the key because a ConvolverNode rejects buffers
+ * recorded at a different rate (offline renders may not match the live
+ * context); the seed, because the noise is drawn from it.
+ */
 const irCache = new Map<string, AudioBuffer>()
 
-function buildImpulseResponse(audioContext: AudioContext, roomSize = 0.5, damping = 0.3): AudioBuffer {
-  const cacheKey = `${roomSize.toFixed(3)}-${damping.toFixed(3)}`
+export function buildImpulseResponse(audioContext: BaseAudioContext, roomSize = 0.5, damping = 0.3): AudioBuffer {
+  const cacheKey = `${roomSize.toFixed(3)}-${damping.toFixed(3)}@${audioContext.sampleRate}#${getSeed()}`
   const cached = irCache.get(cacheKey)
   if (cached) return cached
 
@@ -25,12 +34,13 @@ function buildImpulseResponse(audioContext: AudioContext, roomSize = 0.5, dampin
   const length = Math.ceil(sampleRate * duration)
   const buffer = audioContext.createBuffer(2, length, sampleRate)
   const decayRate = 3 + damping * 5
+  const random = forkRandom(`impulse ${cacheKey}`)
 
   for (let channel = 0; channel < 2; channel++) {
     const data = buffer.getChannelData(channel)
     for (let i = 0; i < length; i++) {
       const t = i / sampleRate
-      data[i] = (Math.random() * 2 - 1) * Math.exp(-decayRate * t / duration)
+      data[i] = (random() * 2 - 1) * Math.exp(-decayRate * t / duration)
     }
   }
 
@@ -40,6 +50,7 @@ function buildImpulseResponse(audioContext: AudioContext, roomSize = 0.5, dampin
 
 interface ChainNodes {
   input: GainNode
+  filter: BiquadFilterNode
   output: GainNode
   pan: StereoPannerNode
   tremoloLFO: GainNode
@@ -57,6 +68,8 @@ interface ChainNodes {
   delayFeedback: GainNode
   delayWet: GainNode
   delayDry: GainNode
+  reverbSend: GainNode
+  delaySend: GainNode
 }
 
 interface ConnectionPair {
@@ -64,19 +77,31 @@ interface ConnectionPair {
   to: AudioNode
 }
 
-type ConfigureSettings = Partial<SoundSettings> & { pan?: number; duration?: number }
+/**
+ * `velocity` is the normalised hit strength (0..1) used for velocity-to-cutoff;
+ * `sends` the levels into the shared reverb and delay buses (see sendBus.ts).
+ */
+type ConfigureSettings = Partial<SoundSettings> & {
+  pan?: number; duration?: number; velocity?: number; sends?: { reverb: number; delay: number }
+}
 
-class EffectChain {
-  audioContext: AudioContext
+export class EffectChain {
+  audioContext: BaseAudioContext
   type: string
   isActive: boolean
   currentLFO: OscillatorNode | null
   nodes: Partial<ChainNodes>
   connections: ConnectionPair[]
+  private pool: AudioNodePool
 
-  constructor(audioContext: AudioContext, type = 'default') {
+  /**
+   * `pool` defaults to the global pool for `audioContext`; offline renders pass
+   * their own so they never replace the live context's pool.
+   */
+  constructor(audioContext: BaseAudioContext, type = 'default', pool: AudioNodePool = getAudioPool(audioContext)) {
     this.audioContext = audioContext
     this.type = type
+    this.pool = pool
     this.isActive = false
     this.currentLFO = null
     this.nodes = {}
@@ -86,16 +111,18 @@ class EffectChain {
 
   /**
    * Signal path (all permanently wired in wireChain):
-   *   oscillator → input (volume envelope)
+   *   source → input (ADSR) → filter
    *     → tremoloLFO → distortionDry (+) distortion→distortionMix → reverbInput
    *     → reverbDry (+) convolver→reverbMix → tremoloMix
    *     → delayDry (+) delayInput→delay→delayFeedback→delay→delayWet → pan → output
+   *   pan → reverbSend / delaySend, connected to the shared buses per note (connectSends)
    */
   private initChain(): void {
-    const pool = getAudioPool(this.audioContext)
+    const pool = this.pool
     try {
       const n = this.nodes as ChainNodes
       n.input        = pool.getNode('gain') as GainNode
+      n.filter       = pool.getNode('biquadFilter') as BiquadFilterNode
       n.output       = pool.getNode('gain') as GainNode
       n.pan          = pool.getNode('stereoPanner') as StereoPannerNode
       n.tremoloLFO   = pool.getNode('gain') as GainNode
@@ -113,6 +140,8 @@ class EffectChain {
       n.delayFeedback = pool.getNode('gain') as GainNode
       n.delayWet     = pool.getNode('gain') as GainNode
       n.delayDry     = pool.getNode('gain') as GainNode
+      n.reverbSend   = pool.getNode('gain') as GainNode
+      n.delaySend    = pool.getNode('gain') as GainNode
       this.wireChain()
     } catch (error) {
       console.warn('Failed to initialize effect chain:', error)
@@ -123,7 +152,8 @@ class EffectChain {
   private wireChain(): void {
     try {
       const n = this.nodes as ChainNodes
-      n.input.connect(n.tremoloLFO)
+      n.input.connect(n.filter)
+      n.filter.connect(n.tremoloLFO)
       n.tremoloLFO.connect(n.distortionDry)
       n.tremoloLFO.connect(n.distortion)
       n.distortion.connect(n.distortionMix)
@@ -143,9 +173,12 @@ class EffectChain {
       n.delayDry.connect(n.pan)
       n.delayWet.connect(n.pan)
       n.pan.connect(n.output)
+      n.pan.connect(n.reverbSend)
+      n.pan.connect(n.delaySend)
 
       this.connections = [
-        { from: n.input, to: n.tremoloLFO },
+        { from: n.input, to: n.filter },
+        { from: n.filter, to: n.tremoloLFO },
         { from: n.tremoloLFO, to: n.distortionDry },
         { from: n.tremoloLFO, to: n.distortion },
         { from: n.distortion, to: n.distortionMix },
@@ -165,23 +198,48 @@ class EffectChain {
         { from: n.delayDry, to: n.pan },
         { from: n.delayWet, to: n.pan },
         { from: n.pan, to: n.output },
+        { from: n.pan, to: n.reverbSend },
+        { from: n.pan, to: n.delaySend },
       ]
     } catch (error) {
       console.warn('Failed to wire effect chain:', error)
     }
   }
 
-  configure(settings: ConfigureSettings): void {
+  /** Schedule the envelope and effect parameters for a note starting at `when`. */
+  configure(settings: ConfigureSettings, when = this.audioContext.currentTime): void {
     if (!this.nodes.input) return
     try {
-      const t = this.audioContext.currentTime
+      const t = when
       const n = this.nodes as ChainNodes
 
-      if (settings.volume !== undefined && settings.duration !== undefined) {
-        n.input.gain.cancelScheduledValues(t)
-        n.input.gain.setValueAtTime(0, t)
-        n.input.gain.linearRampToValueAtTime(settings.volume, t + 0.01)
-        n.input.gain.linearRampToValueAtTime(0, t + settings.duration)
+      const envelope = settings.envelope ?? DEFAULT_ENVELOPE
+      const points = settings.duration !== undefined ? buildEnvelope(envelope, settings.duration) : null
+      const noteLength = settings.duration !== undefined ? envelopeLength(envelope, settings.duration) : 0
+
+      if (settings.volume !== undefined && points) {
+        const volume = settings.volume
+        applyEnvelope(n.input.gain, points, t, v => v * volume)
+      }
+
+      if (settings.filter) {
+        const { enabled, type, cutoff, q, envAmount } = settings.filter
+        n.filter.frequency.cancelScheduledValues(t)
+        if (enabled) {
+          const nyquist = this.audioContext.sampleRate / 2
+          const base = filterBaseCutoff(settings.filter, settings.velocity ?? 1)
+          n.filter.type = type
+          n.filter.Q.setValueAtTime(q, t)
+          if (envAmount !== 0 && points) {
+            // Cutoff is swept in octaves, so ramp it exponentially whatever the amp curve
+            applyEnvelope(n.filter.frequency, points, t, v => filterCutoffAt(base, envAmount, v, nyquist), 'exponential')
+          } else {
+            n.filter.frequency.setValueAtTime(filterCutoffAt(base, 0, 0, nyquist), t)
+          }
+        } else {
+          n.filter.type = 'allpass'
+          n.filter.frequency.setValueAtTime(cutoff, t)
+        }
       }
 
       if (settings.pan !== undefined) {
@@ -198,7 +256,6 @@ class EffectChain {
 
       if (settings.tremolo?.enabled) {
         const { rate, depth, shape = 'sine' } = settings.tremolo
-        const duration = settings.duration ?? 0
         const lfo = this.audioContext.createOscillator()
         lfo.type = shape ?? 'sine'
         lfo.frequency.setValueAtTime(rate, t)
@@ -208,7 +265,7 @@ class EffectChain {
         lfo.connect(n.tremoloDepth)
         n.tremoloDepth.connect(n.tremoloLFO.gain)
         lfo.start(t)
-        if (duration > 0) lfo.stop(t + duration + 0.1)
+        if (noteLength > 0) lfo.stop(t + noteLength + 0.1)
         this.currentLFO = lfo
       } else {
         n.tremoloLFO.gain.cancelScheduledValues(t)
@@ -248,16 +305,19 @@ class EffectChain {
         n.delayDry.gain.setValueAtTime(enabled ? (1 - mix) : 1, t)
       }
 
+      n.reverbSend.gain.setValueAtTime(settings.sends?.reverb ?? 0, t)
+      n.delaySend.gain.setValueAtTime(settings.sends?.delay ?? 0, t)
+
       n.tremoloMix.gain.setValueAtTime(1, t)
     } catch (error) {
       console.warn('Failed to configure effect chain:', error)
     }
   }
 
-  connectOscillator(oscillator: OscillatorNode): boolean {
-    if (this.nodes.input && oscillator) {
-      try { oscillator.connect(this.nodes.input); return true } catch (error) {
-        console.warn('Failed to connect oscillator to effect chain:', error); return false
+  connectSource(source: AudioNode): boolean {
+    if (this.nodes.input && source) {
+      try { source.connect(this.nodes.input); return true } catch (error) {
+        console.warn('Failed to connect source to effect chain:', error); return false
       }
     }
     return false
@@ -272,6 +332,19 @@ class EffectChain {
     return false
   }
 
+  /** Feed the send gains into the shared buses' inputs until the chain is released. */
+  connectSends(reverbInput: AudioNode, delayInput: AudioNode): boolean {
+    const { reverbSend, delaySend } = this.nodes
+    if (!reverbSend || !delaySend) return false
+    try {
+      reverbSend.connect(reverbInput)
+      delaySend.connect(delayInput)
+      return true
+    } catch (error) {
+      console.warn('Failed to connect effect chain sends:', error); return false
+    }
+  }
+
   activate(): void { this.isActive = true }
 
   deactivate(): void {
@@ -282,8 +355,9 @@ class EffectChain {
       try { (this.nodes as ChainNodes).tremoloDepth.disconnect() } catch { /* already disconnected */ }
       this.currentLFO = null
     }
-    if (this.nodes.output) {
-      try { this.nodes.output.disconnect() } catch { /* already disconnected */ }
+    for (const node of [this.nodes.output, this.nodes.reverbSend, this.nodes.delaySend]) {
+      if (!node) continue
+      try { node.disconnect() } catch { /* already disconnected */ }
     }
     this.reset()
   }
@@ -295,6 +369,8 @@ class EffectChain {
       const n = this.nodes as ChainNodes
       n.input.gain.cancelScheduledValues(t)
       n.input.gain.setValueAtTime(0, t)
+      n.filter.frequency.cancelScheduledValues(t)
+      n.filter.type = 'allpass'
       n.tremoloLFO.gain.cancelScheduledValues(t)
       n.tremoloLFO.gain.setValueAtTime(1, t)
       n.distortionDry.gain.setValueAtTime(1, t)
@@ -306,8 +382,11 @@ class EffectChain {
       n.delayWet.gain.setValueAtTime(0, t)
       n.delay.delayTime.setValueAtTime(0, t)
       n.delayFeedback.gain.setValueAtTime(0, t)
+      n.reverbSend.gain.setValueAtTime(0, t)
+      n.delaySend.gain.setValueAtTime(0, t)
       n.pan.pan.cancelScheduledValues(t)
       n.pan.pan.setValueAtTime(0, t)
+      n.output.gain.cancelScheduledValues(t)
       n.output.gain.setValueAtTime(1, t)
     } catch (error) {
       console.warn('Failed to reset effect chain:', error)
@@ -319,15 +398,15 @@ class EffectChain {
       this.connections.forEach(({ from, to }) => {
         try { if (from && to) from.disconnect(to) } catch { /* already broken */ }
       })
-      const pool = getAudioPool(this.audioContext)
+      const pool = this.pool
       if (pool) {
         const nodeTypes: Partial<Record<keyof ChainNodes, string>> = {
-          input: 'gain', output: 'gain', pan: 'stereoPanner',
+          input: 'gain', filter: 'biquadFilter', output: 'gain', pan: 'stereoPanner',
           tremoloLFO: 'gain', tremoloDepth: 'gain',
           distortion: 'waveshaper', distortionMix: 'gain', distortionDry: 'gain',
           reverbInput: 'gain', reverbMix: 'gain', reverbDry: 'gain', tremoloMix: 'gain',
           delayInput: 'gain', delay: 'delay', delayFeedback: 'gain',
-          delayWet: 'gain', delayDry: 'gain',
+          delayWet: 'gain', delayDry: 'gain', reverbSend: 'gain', delaySend: 'gain',
         }
         for (const [name, type] of Object.entries(nodeTypes) as [keyof ChainNodes, string][]) {
           const node = this.nodes[name]
@@ -353,17 +432,100 @@ interface EffectChainPoolStats {
   total: number
 }
 
+/** Chains in the pool; MAX_POLYPHONY of them can sound, the rest cover stolen voices fading out. */
+const POOL_SIZE = 32
+/** Most voices the polyphony settings may allow */
+export const MAX_POLYPHONY = 24
+/** Seconds a stolen voice takes to fade to silence, long enough to avoid a click */
+export const STEAL_FADE = 0.03
+
+export const STEAL_MODES: Array<{ id: StealMode; name: string }> = [
+  { id: 'quietest', name: 'Steal quietest' },
+  { id: 'oldest', name: 'Steal oldest' },
+]
+
+export const DEFAULT_POLYPHONY: PolyphonySettings = {
+  maxVoices: 24,
+  wallVoices: 16,
+  ballVoices: 16,
+  steal: 'quietest',
+}
+
+/** What a note asks the allocator for; times are on the context's clock. */
+export interface VoiceRequest {
+  category: VoiceCategory
+  /** Peak gain of the note */
+  loudness: number
+  /** When the envelope's release ends; after that only effect tails remain */
+  end: number
+}
+
+/** A note holding a chain. Its sources are attached once scheduled, so a steal can stop them. */
+export interface Voice extends VoiceRequest {
+  chain: EffectChain
+  /** Allocation order, for the oldest-first policy */
+  order: number
+  sources: AudioScheduledSourceNode[]
+  /** Fading out after being stolen; no longer counts against any budget */
+  stolen: boolean
+}
+
+interface VoiceStats {
+  active: number
+  wall: number
+  ball: number
+  /** Stolen voices still fading out */
+  fading: number
+  /** Notes that took another note's voice */
+  stolen: number
+  /** Notes that found no voice and were not played */
+  dropped: number
+}
+
+/** How loud a voice counts as now: a note in its effect tail counts as silent. */
+const currentLoudness = (voice: Voice, now: number): number => (now >= voice.end ? 0 : voice.loudness)
+
+/**
+ * The voice to take from `candidates` for a note of `request`, or null to
+ * drop that note instead. 'oldest' always takes the earliest note; 'quietest'
+ * takes the quietest (oldest first among equals), unless even that one is
+ * louder than the new note.
+ */
+export const pickVictim = (
+  candidates: Voice[], request: VoiceRequest, steal: PolyphonySettings['steal'], now: number,
+): Voice | null => {
+  if (candidates.length === 0) return null
+  if (steal === 'oldest') return candidates.reduce((a, b) => (b.order < a.order ? b : a))
+  const victim = candidates.reduce((a, b) => {
+    const quieter = currentLoudness(b, now) - currentLoudness(a, now)
+    return quieter < 0 || (quieter === 0 && b.order < a.order) ? b : a
+  })
+  return currentLoudness(victim, now) <= request.loudness ? victim : null
+}
+
+const clampVoices = (n: number): number => Math.max(1, Math.min(MAX_POLYPHONY, Math.round(n)))
+
 class EffectChainPool {
   audioContext: AudioContext
   private poolSize: number
   private availableChains: EffectChain[]
   private activeChains: Set<EffectChain>
+  private voices: Map<EffectChain, Voice>
+  private nextOrder: number
+  private stolenCount: number
+  private droppedCount: number
+  settings: PolyphonySettings
 
-  constructor(audioContext: AudioContext, poolSize = 32) {
+  constructor(audioContext: AudioContext, poolSize = POOL_SIZE, settings: PolyphonySettings = DEFAULT_POLYPHONY) {
     this.audioContext = audioContext
     this.poolSize = poolSize
     this.availableChains = []
     this.activeChains = new Set()
+    this.voices = new Map()
+    this.nextOrder = 0
+    this.stolenCount = 0
+    this.droppedCount = 0
+    this.settings = settings
     this.preAllocate()
   }
 
@@ -385,10 +547,65 @@ class EffectChainPool {
     return chain
   }
 
+  /**
+   * A voice for a new note, stealing one if the note's category or the whole
+   * polyphony is at its budget. Returns null (and counts a drop) when the
+   * policy keeps the sounding notes, or every spare chain is still fading.
+   */
+  allocate(request: VoiceRequest): Voice | null {
+    const now = this.audioContext.currentTime
+    const { maxVoices, wallVoices, ballVoices, steal } = this.settings
+    const sounding = [...this.voices.values()].filter(v => !v.stolen)
+    const sameCategory = sounding.filter(v => v.category === request.category)
+    const budget = clampVoices(request.category === 'wall' ? wallVoices : ballVoices)
+
+    let candidates: Voice[] | null = null
+    if (sameCategory.length >= budget) candidates = sameCategory
+    else if (sounding.length >= clampVoices(maxVoices)) candidates = sounding
+
+    const victim = candidates && pickVictim(candidates, request, steal, now)
+    if ((candidates && !victim) || this.availableChains.length === 0) {
+      this.droppedCount++
+      return null
+    }
+    if (victim) {
+      this.stealVoice(victim, now)
+      this.stolenCount++
+    }
+
+    const chain = this.getChain() as EffectChain
+    const voice: Voice = { ...request, chain, order: this.nextOrder++, sources: [], stolen: false }
+    this.voices.set(chain, voice)
+    return voice
+  }
+
+  /**
+   * Fade a voice out over STEAL_FADE and stop its sources; their end releases
+   * the chain. The send taps split off before the output, so they fade too.
+   */
+  private stealVoice(voice: Voice, now: number): void {
+    voice.stolen = true
+    const { output, reverbSend, delaySend } = voice.chain.nodes
+    for (const node of [output, reverbSend, delaySend]) {
+      if (!node) continue
+      try {
+        node.gain.cancelScheduledValues(now)
+        node.gain.setValueAtTime(node.gain.value, now)
+        node.gain.linearRampToValueAtTime(0, now + STEAL_FADE)
+      } catch (error) {
+        console.warn('Failed to fade out stolen voice:', error)
+      }
+    }
+    for (const source of voice.sources) {
+      try { source.stop(now + STEAL_FADE) } catch { /* already stopped */ }
+    }
+  }
+
   releaseChain(chain: EffectChain): void {
     if (!chain || !this.activeChains.has(chain)) return
     chain.deactivate()
     this.activeChains.delete(chain)
+    this.voices.delete(chain)
     if (this.availableChains.length < this.poolSize) {
       this.availableChains.push(chain)
     } else {
@@ -404,23 +621,44 @@ class EffectChainPool {
     }
   }
 
+  getVoiceStats(): VoiceStats {
+    const voices = [...this.voices.values()]
+    const sounding = voices.filter(v => !v.stolen)
+    return {
+      active: sounding.length,
+      wall: sounding.filter(v => v.category === 'wall').length,
+      ball: sounding.filter(v => v.category === 'ball').length,
+      fading: voices.length - sounding.length,
+      stolen: this.stolenCount,
+      dropped: this.droppedCount,
+    }
+  }
+
   cleanup(): void {
     this.activeChains.forEach(chain => chain.cleanup())
     this.availableChains.forEach(chain => chain.cleanup())
     this.activeChains.clear()
     this.availableChains = []
+    this.voices.clear()
   }
 }
 
 let globalEffectChainPool: EffectChainPool | null = null
+let polyphony: PolyphonySettings = DEFAULT_POLYPHONY
 
 export function getEffectChainPool(audioContext: AudioContext): EffectChainPool {
   if (!globalEffectChainPool || globalEffectChainPool.audioContext !== audioContext) {
-    globalEffectChainPool = new EffectChainPool(audioContext)
+    globalEffectChainPool = new EffectChainPool(audioContext, POOL_SIZE, polyphony)
   }
   return globalEffectChainPool
 }
 
+/** Budgets and steal policy for the live pool, now and for any pool made later. */
+export function setPolyphony(settings: PolyphonySettings): void {
+  polyphony = settings
+  if (globalEffectChainPool) globalEffectChainPool.settings = settings
+}
+
 export function destroyEffectChainPool(): void {
   if (globalEffectChainPool) {
     globalEffectChainPool.cleanup()
@@ -431,3 +669,7 @@ export function destroyEffectChainPool(): void {
 export function getEffectChainStats(): EffectChainPoolStats | null {
   return globalEffectChainPool ? globalEffectChainPool.getStats() : null
 }
+
+export function getVoiceStats(): VoiceStats | null {
+  return globalEffectChainPool ? globalEffectChainPool.getVoiceStats() : null
+}
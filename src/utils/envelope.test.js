@@ -0,0 +1,134 @@
+// @ts-nocheck
+import { describe, it, expect, vi } from 'vitest'
+import {
+  DEFAULT_ENVELOPE,
+  ENVELOPE_FLOOR,
+  applyEnvelope,
+  buildEnvelope,
+  envelopeLength,
+  envelopeLevelAt,
+  filterBaseCutoff,
+  filterCutoffAt,
+  legacyFollowDuration,
+} from './envelope'
+
+const adsr = (overrides = {}) => ({ attack: 0.1, decay: 0.2, sustain: 0.5, release: 0.3, curve: 'linear', ...overrides })
+
+describe('envelopeLength', () => {
+  it('is the gate plus the release', () => {
+    expect(envelopeLength(adsr(), 1)).toBeCloseTo(1.3)
+  })
+})
+
+describe('envelopeLevelAt', () => {
+  it('ramps through attack and decay to sustain', () => {
+    expect(envelopeLevelAt(adsr(), 0.05)).toBeCloseTo(0.5)
+    expect(envelopeLevelAt(adsr(), 0.1)).toBeCloseTo(1)
+    expect(envelopeLevelAt(adsr(), 0.2)).toBeCloseTo(0.75)
+    expect(envelopeLevelAt(adsr(), 5)).toBe(0.5)
+  })
+
+  it('follows a geometric curve in exponential mode', () => {
+    const env = adsr({ curve: 'exponential', sustain: 0.25 })
+    expect(envelopeLevelAt(env, 0.2)).toBeCloseTo(0.5)
+  })
+})
+
+describe('buildEnvelope', () => {
+  it('holds at sustain until the gate, then releases', () => {
+    expect(buildEnvelope(adsr(), 1)).toEqual([
+      { time: 0, value: 0, ramp: 'set' },
+      { time: 0.1, value: 1, ramp: 'linear' },
+      { time: expect.closeTo(0.3), value: 0.5, ramp: 'linear' },
+      { time: 1, value: 0.5, ramp: 'linear' },
+      { time: 1.3, value: 0, ramp: 'linear' },
+    ])
+  })
+
+  it('releases from the current level when the gate cuts the decay short', () => {
+    const points = buildEnvelope(adsr(), 0.2)
+    expect(points).toHaveLength(4)
+    expect(points[2].time).toBe(0.2)
+    expect(points[2].value).toBeCloseTo(0.75)
+    expect(points[3].time).toBeCloseTo(0.5)
+  })
+
+  it('releases from the current level when the gate cuts the attack short', () => {
+    const points = buildEnvelope(adsr(), 0.05)
+    expect(points.map(p => p.time)).toEqual([0, 0.05, expect.closeTo(0.35)])
+    expect(points[1].value).toBeCloseTo(0.5)
+  })
+
+  it('starts at full level with no attack', () => {
+    const points = buildEnvelope(adsr({ attack: 0 }), 1)
+    expect(points[0]).toEqual({ time: 0, value: 1, ramp: 'set' })
+    expect(points.filter(p => p.time === 0)).toHaveLength(1)
+  })
+
+  it('keeps exponential ramps above zero and ends with a hard 0', () => {
+    const points = buildEnvelope(adsr({ curve: 'exponential', sustain: 0 }), 1)
+    expect(points.slice(0, -1).every(p => p.value >= ENVELOPE_FLOOR)).toBe(true)
+    expect(points[points.length - 1]).toEqual({ time: 1.3, value: 0, ramp: 'set' })
+  })
+})
+
+describe('applyEnvelope', () => {
+  const param = () => ({
+    cancelScheduledValues: vi.fn(),
+    setValueAtTime: vi.fn(),
+    linearRampToValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+  })
+
+  it('offsets by `when` and scales each value', () => {
+    const p = param()
+    applyEnvelope(p, buildEnvelope(adsr(), 1), 2, v => v * 0.2)
+    expect(p.cancelScheduledValues).toHaveBeenCalledWith(2)
+    expect(p.setValueAtTime).toHaveBeenCalledWith(0, 2)
+    expect(p.linearRampToValueAtTime).toHaveBeenCalledWith(0.2, 2.1)
+    expect(p.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 3.3)
+  })
+
+  it('can force every ramp to exponential', () => {
+    const p = param()
+    applyEnvelope(p, buildEnvelope(adsr(), 1), 0, v => 100 + v, 'exponential')
+    expect(p.linearRampToValueAtTime).not.toHaveBeenCalled()
+    expect(p.exponentialRampToValueAtTime).toHaveBeenCalledTimes(4)
+  })
+})
+
+describe('filter cutoff', () => {
+  const filter = { enabled: true, type: 'lowpass', cutoff: 1000, q: 1, envAmount: 0, velocityAmount: 1 }
+
+  it('drops by velocityAmount octaves for the softest hit', () => {
+    expect(filterBaseCutoff(filter, 1)).toBe(1000)
+    expect(filterBaseCutoff(filter, 0)).toBe(500)
+  })
+
+  it('sweeps in octaves and clamps to 20 Hz..nyquist', () => {
+    expect(filterCutoffAt(1000, 2, 1, 22050)).toBe(4000)
+    expect(filterCutoffAt(1000, 6, 1, 22050)).toBe(22050)
+    expect(filterCutoffAt(30, -4, 1, 22050)).toBe(20)
+  })
+})
+
+describe('followDuration', () => {
+  const silentAt = (gate) => buildEnvelope(DEFAULT_ENVELOPE, gate).find(point => point.value === 0 && point.time > 0).time
+
+  it('gives a longer note for a longer duration', () => {
+    expect(silentAt(0.25)).toBeCloseTo(0.25)
+    expect(silentAt(1)).toBeCloseTo(1)
+  })
+
+  it('ignores the decay setting', () => {
+    const points = buildEnvelope({ ...DEFAULT_ENVELOPE, decay: 2 }, 0.5)
+    expect(points).toEqual(buildEnvelope(DEFAULT_ENVELOPE, 0.5))
+  })
+
+  it('is switched on only for saved envelopes still at the old fixed shape', () => {
+    expect(legacyFollowDuration({})).toBe(true)
+    expect(legacyFollowDuration({ attack: 0.05, curve: 'exponential' })).toBe(true)
+    expect(legacyFollowDuration({ decay: 0.5 })).toBe(false)
+    expect(legacyFollowDuration({ sustain: 0.6 })).toBe(false)
+  })
+})
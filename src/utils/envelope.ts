@@ -0,0 +1,122 @@
+import type { EnvelopeSettings, FilterSettings } from '../types/audio'
+
+/**
+ * ADSR and filter-sweep scheduling. The envelope is built as a list of
+ * normalised breakpoints (0..1) once per note, then scaled onto the gain
+ * (× volume) and, when the filter has an envelope amount, onto the cutoff.
+ */
+
+/**
+ * Matches the original fixed envelope: 10 ms attack, then a decay to silence
+ * over the note's Duration. `decay` is what the Decay slider starts from once
+ * followDuration is switched off.
+ */
+export const DEFAULT_ENVELOPE: EnvelopeSettings = {
+  attack: 0.01, decay: 0.24, sustain: 0, release: 0.05, curve: 'linear', followDuration: true,
+}
+
+export const DEFAULT_FILTER: FilterSettings = {
+  enabled: false, type: 'lowpass', cutoff: 2000, q: 1, envAmount: 0, velocityAmount: 0,
+}
+
+/** exponentialRampToValueAtTime can't reach 0, so exponential segments stop here. */
+export const ENVELOPE_FLOOR = 0.0001
+
+export type RampType = 'set' | 'linear' | 'exponential'
+
+export interface EnvelopePoint {
+  /** Seconds after note start */
+  time: number
+  /** 0..1 */
+  value: number
+  ramp: RampType
+}
+
+/** Seconds from note start until the release has finished. */
+export const envelopeLength = (env: EnvelopeSettings, gate: number): number =>
+  Math.max(0, gate) + Math.max(0, env.release)
+
+const expLerp = (from: number, to: number, t: number): number => {
+  const a = Math.max(from, ENVELOPE_FLOOR)
+  const b = Math.max(to, ENVELOPE_FLOOR)
+  return a * Math.pow(b / a, t)
+}
+
+/** Envelope level (0..1) at `t` seconds, ignoring release. */
+export const envelopeLevelAt = (env: EnvelopeSettings, t: number): number => {
+  const lerp = env.curve === 'exponential' ? expLerp : (a: number, b: number, k: number) => a + (b - a) * k
+  if (t < env.attack) return lerp(0, 1, t / env.attack)
+  if (t < env.attack + env.decay) return lerp(1, env.sustain, (t - env.attack) / env.decay)
+  return env.sustain
+}
+
+/**
+ * Breakpoints for one note. A gate shorter than attack + decay cuts the
+ * envelope where it is and releases from that level.
+ */
+export const buildEnvelope = (env: EnvelopeSettings, gate: number): EnvelopePoint[] => {
+  const exponential = env.curve === 'exponential'
+  const ramp: RampType = exponential ? 'exponential' : 'linear'
+  const floor = (v: number) => (exponential ? Math.max(v, ENVELOPE_FLOOR) : v)
+  const g = Math.max(0, gate)
+  const attack = Math.max(0, env.attack)
+  const decay = env.followDuration ? Math.max(0, g - attack) : Math.max(0, env.decay)
+  const sustain = Math.max(0, Math.min(1, env.sustain))
+  const shape = { ...env, attack, decay, sustain }
+
+  const points: EnvelopePoint[] = [{ time: 0, value: floor(attack > 0 ? 0 : 1), ramp: 'set' }]
+  if (g >= attack) {
+    if (attack > 0) points.push({ time: attack, value: 1, ramp })
+    if (g >= attack + decay) {
+      if (decay > 0) points.push({ time: attack + decay, value: floor(sustain), ramp })
+      points.push({ time: g, value: floor(sustain), ramp })
+    } else {
+      points.push({ time: g, value: floor(envelopeLevelAt(shape, g)), ramp })
+    }
+  } else {
+    points.push({ time: g, value: floor(envelopeLevelAt(shape, g)), ramp })
+  }
+
+  const end = envelopeLength(env, g)
+  points.push({ time: end, value: floor(0), ramp })
+  if (exponential) points.push({ time: end, value: 0, ramp: 'set' })
+  return points
+}
+
+/**
+ * followDuration for an envelope saved before the flag existed. One still at
+ * the old fixed shape (a decay to silence) gets the Duration-length decay it
+ * was meant to have; one shaped by hand keeps its own decay.
+ */
+export const legacyFollowDuration = (saved: Record<string, unknown>): boolean =>
+  (saved.decay ?? DEFAULT_ENVELOPE.decay) === DEFAULT_ENVELOPE.decay
+  && (saved.sustain ?? DEFAULT_ENVELOPE.sustain) === DEFAULT_ENVELOPE.sustain
+
+/** Schedule breakpoints on `param` from `when`, mapping each value through `scale`. */
+export const applyEnvelope = (
+  param: AudioParam,
+  points: EnvelopePoint[],
+  when: number,
+  scale: (value: number) => number = v => v,
+  rampOverride?: RampType,
+): void => {
+  param.cancelScheduledValues(when)
+  for (const { time, value, ramp } of points) {
+    const t = when + time
+    const type = ramp === 'set' ? 'set' : (rampOverride ?? ramp)
+    if (type === 'set') param.setValueAtTime(scale(value), t)
+    else if (type === 'linear') param.linearRampToValueAtTime(scale(value), t)
+    else param.exponentialRampToValueAtTime(Math.max(scale(value), ENVELOPE_FLOOR), t)
+  }
+}
+
+/**
+ * Cutoff before the envelope sweep: the softest hit (velocity 0) sits
+ * `velocityAmount` octaves below the set cutoff, the hardest hit at it.
+ */
+export const filterBaseCutoff = (filter: FilterSettings, velocity: number): number =>
+  filter.cutoff * Math.pow(2, -filter.velocityAmount * (1 - Math.max(0, Math.min(1, velocity))))
+
+/** Cutoff for an envelope level, clamped to the audible range below Nyquist. */
+export const filterCutoffAt = (base: number, envAmount: number, level: number, nyquist: number): number =>
+  Math.max(20, Math.min(nyquist, base * Math.pow(2, envAmount * level)))
@@ -0,0 +1,98 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_PHYSICS,
+  FIELD_MIN_DISTANCE,
+  FIELD_REFERENCE_DISTANCE,
+  RESTING_SPEED,
+  applyFields,
+  bounceVelocity,
+  fieldAcceleration,
+  tiltToGravity,
+} from './fields'
+
+const bounds = { width: 1000, height: 500 }
+const ball = (overrides = {}) => ({ x: 100, y: 100, vx: 0, vy: 0, radius: 10, color: 'red', ...overrides })
+const physics = (overrides = {}) => ({ ...DEFAULT_PHYSICS, ...overrides })
+const field = (overrides = {}) => ({ id: 'f', x: 0.5, y: 0.2, strength: 1, falloff: 0, ...overrides })
+
+describe('applyFields', () => {
+  it('only moves the ball when no forces are set', () => {
+    const next = applyFields(ball({ vx: 3, vy: -2 }), DEFAULT_PHYSICS, bounds)
+    expect(next).toMatchObject({ x: 103, y: 98, vx: 3, vy: -2 })
+  })
+
+  it('accelerates by gravity before moving', () => {
+    const next = applyFields(ball(), physics({ gravity: { x: 0, y: 0.5 } }), bounds)
+    expect(next.vy).toBe(0.5)
+    expect(next.y).toBe(100.5)
+  })
+
+  it('uses the override instead of the gravity setting', () => {
+    const next = applyFields(ball(), physics({ gravity: { x: 0, y: 1 } }), bounds, { x: 0.25, y: 0 })
+    expect(next.vx).toBe(0.25)
+    expect(next.vy).toBe(0)
+  })
+
+  it('removes the drag fraction of velocity each frame', () => {
+    const next = applyFields(ball({ vx: 10 }), physics({ drag: 0.1 }), bounds)
+    expect(next.vx).toBeCloseTo(9)
+    expect(applyFields(ball({ vx: 10 }), physics({ drag: 0.1 }), bounds, null, 2).vx).toBeCloseTo(8.1)
+  })
+
+  it('sums every field point', () => {
+    const fields = [field({ x: 0.2, y: 0.2 }), field({ x: 0, y: 0.2 })]
+    const next = applyFields(ball(), physics({ fields }), bounds)
+    // Both pull along +x / -x with strength 1: the first towards x=200, the second towards x=0
+    expect(next.vx).toBeCloseTo(0)
+  })
+})
+
+describe('fieldAcceleration', () => {
+  it('pulls towards an attractor with its strength at the reference distance', () => {
+    const f = field({ x: (100 + FIELD_REFERENCE_DISTANCE) / bounds.width, y: 100 / bounds.height, falloff: 2 })
+    const { ax, ay } = fieldAcceleration(f, 100, 100, bounds)
+    expect(ax).toBeCloseTo(1)
+    expect(ay).toBeCloseTo(0)
+  })
+
+  it('pushes away from a repeller', () => {
+    const { ax } = fieldAcceleration(field({ x: 0.2, y: 0.2, strength: -0.5 }), 100, 100, bounds)
+    expect(ax).toBeCloseTo(-0.5)
+  })
+
+  it('falls off with distance and caps close in', () => {
+    const far = fieldAcceleration(field({ x: 0.5, y: 0.2, falloff: 2 }), 100, 100, bounds)
+    expect(far.ax).toBeCloseTo(1 / 16)
+    const near = fieldAcceleration(field({ x: 0.101, y: 0.2, falloff: 2 }), 100, 100, bounds)
+    expect(near.ax).toBeCloseTo((FIELD_REFERENCE_DISTANCE / FIELD_MIN_DISTANCE) ** 2)
+  })
+
+  it('is zero at the field point itself', () => {
+    expect(fieldAcceleration(field({ x: 0.1, y: 0.2 }), 100, 100, bounds)).toEqual({ ax: 0, ay: 0 })
+  })
+})
+
+describe('bounceVelocity', () => {
+  it('reflects and scales by restitution', () => {
+    expect(bounceVelocity(10, 0.5)).toBe(-5)
+  })
+
+  it('absorbs rebounds slower than the resting speed', () => {
+    expect(bounceVelocity(RESTING_SPEED * 0.9, 1)).toBe(0)
+  })
+})
+
+describe('tiltToGravity', () => {
+  it('is zero when flat and full strength when vertical', () => {
+    const flat = tiltToGravity(0, 0, 0.5)
+    expect(flat.x).toBeCloseTo(0)
+    expect(flat.y).toBeCloseTo(0)
+    expect(tiltToGravity(90, 0, 0.5).y).toBeCloseTo(0.5)
+    expect(tiltToGravity(0, -90, 0.5).x).toBeCloseTo(-0.5)
+  })
+
+  it('clamps readings past vertical', () => {
+    expect(tiltToGravity(180, 0, 1).y).toBeCloseTo(1)
+  })
+})
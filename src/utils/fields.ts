@@ -0,0 +1,107 @@
+import type { Bounds, CircleState, FieldPoint, PhysicsSettings } from '../types/physics'
+
+/**
+ * Global forces for the world step. Units are per 60 Hz frame, the World's
+ * fixed step: positions in px, velocities in px/frame, accelerations in px/frame².
+ */
+
+export const DEFAULT_PHYSICS: PhysicsSettings = {
+  gravity: { x: 0, y: 0 },
+  tilt: { enabled: false, strength: 0.5 },
+  drag: 0,
+  substeps: 2,
+  restitution: { left: 0.98, right: 0.98, top: 0.98, bottom: 0.98 },
+  fields: [],
+}
+
+/** Distance (px) at which a field point pulls with exactly its strength. */
+export const FIELD_REFERENCE_DISTANCE = 100
+
+/** Closer than this a field stops growing, so a ball passing through isn't flung off-screen. */
+export const FIELD_MIN_DISTANCE = 20
+
+/**
+ * Speeds (px/frame) below this count as resting contact: a wall bounce that
+ * slow is absorbed rather than reflected and makes no sound, so balls under
+ * gravity can settle instead of buzzing against the floor.
+ */
+export const RESTING_SPEED = 0.5
+
+/** Strength given to a newly placed attractor; repellers use the negative. */
+export const DEFAULT_FIELD_STRENGTH = 0.3
+
+export const newFieldPoint = (x: number, y: number, strength: number): FieldPoint => ({
+  id: `${Date.now()}-${Math.round(Math.random() * 1e6)}`,
+  x,
+  y,
+  strength,
+  falloff: 1,
+})
+
+/** Acceleration a field point applies at (x, y); `bounds` maps its normalised position to px. */
+export const fieldAcceleration = (field: FieldPoint, x: number, y: number, bounds: Bounds): { ax: number; ay: number } => {
+  const dx = field.x * bounds.width - x
+  const dy = field.y * bounds.height - y
+  const distance = Math.hypot(dx, dy)
+  if (distance === 0) return { ax: 0, ay: 0 }
+  const scale = field.strength * Math.pow(FIELD_REFERENCE_DISTANCE / Math.max(distance, FIELD_MIN_DISTANCE), field.falloff)
+  return { ax: (dx / distance) * scale, ay: (dy / distance) * scale }
+}
+
+/**
+ * Advance one ball by `dt` frames: gravity (or `gravityOverride`, e.g. device
+ * tilt), field points and drag change its velocity, then it moves.
+ */
+export const applyFields = (
+  state: CircleState,
+  physics: PhysicsSettings,
+  bounds: Bounds,
+  gravityOverride: { x: number; y: number } | null = null,
+  dt = 1,
+): CircleState => {
+  const gravity = gravityOverride ?? physics.gravity
+  let ax = gravity.x
+  let ay = gravity.y
+  for (const field of physics.fields) {
+    const a = fieldAcceleration(field, state.x, state.y, bounds)
+    ax += a.ax
+    ay += a.ay
+  }
+  const damping = Math.pow(1 - Math.min(Math.max(physics.drag, 0), 1), dt)
+  const vx = (state.vx + ax * dt) * damping
+  const vy = (state.vy + ay * dt) * damping
+  return { ...state, vx, vy, x: state.x + vx * dt, y: state.y + vy * dt }
+}
+
+/**
+ * Reflect a velocity component off a wall. Only motion into the wall is
+ * reflected; a rebound slower than RESTING_SPEED is absorbed (returns 0).
+ */
+export const bounceVelocity = (velocity: number, restitution: number): number => {
+  const rebound = -velocity * restitution
+  return Math.abs(rebound) < RESTING_SPEED ? 0 : rebound
+}
+
+/**
+ * Gravity vector from a deviceorientation reading (degrees). Tilting forward
+ * (beta) pulls down the screen, tilting sideways (gamma) pulls across it.
+ */
+export const tiltToGravity = (beta: number, gamma: number, strength: number): { x: number; y: number } => {
+  const clamp = (deg: number) => Math.max(-90, Math.min(90, deg)) * (Math.PI / 180)
+  return { x: Math.sin(clamp(gamma)) * strength, y: Math.sin(clamp(beta)) * strength }
+}
+
+/**
+ * Ask for motion-sensor access where the browser requires it (iOS Safari);
+ * must run inside a user gesture. Resolves false when access is denied.
+ */
+export const requestTiltPermission = async (): Promise<boolean> => {
+  if (typeof DeviceOrientationEvent === 'undefined') return false
+  const request = (DeviceOrientationEvent as unknown as { requestPermission?: () => Promise<string> }).requestPermission
+  if (!request) return true
+  try {
+    return (await request()) === 'granted'
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,5 @@
+/** Format seconds as m:ss for recording clocks. */
+export const formatClock = (seconds: number): string => {
+  const s = Math.max(0, Math.floor(seconds))
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
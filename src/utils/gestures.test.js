@@ -0,0 +1,52 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { FLING_WINDOW_MS, MAX_FLING_SPEED, dragPosition, flingVelocity, trimSamples } from './gestures'
+
+describe('flingVelocity', () => {
+  it('converts the pointer path into px per frame', () => {
+    // Only the last FLING_WINDOW_MS count: 10 px in the final 50 ms
+    const samples = [
+      { x: 0, y: 0, t: 0 },
+      { x: 10, y: 5, t: 50 },
+      { x: 20, y: 10, t: 100 },
+    ]
+    const { vx, vy } = flingVelocity(samples)
+    expect(vx).toBeCloseTo((10 / 50) * (1000 / 60))
+    expect(vy).toBeCloseTo((5 / 50) * (1000 / 60))
+  })
+
+  it('flings nothing without movement over time', () => {
+    expect(flingVelocity([])).toEqual({ vx: 0, vy: 0 })
+    expect(flingVelocity([{ x: 5, y: 5, t: 10 }])).toEqual({ vx: 0, vy: 0 })
+  })
+
+  it('caps the speed so a flick cannot tunnel', () => {
+    const { vx, vy } = flingVelocity([{ x: 0, y: 0, t: 0 }, { x: 1000, y: 0, t: 10 }])
+    expect(Math.hypot(vx, vy)).toBeCloseTo(MAX_FLING_SPEED)
+    expect(vy).toBe(0)
+  })
+})
+
+describe('trimSamples', () => {
+  it('drops samples older than the fling window', () => {
+    const samples = [{ x: 0, y: 0, t: 0 }, { x: 1, y: 0, t: 50 }, { x: 2, y: 0, t: 100 }]
+    expect(trimSamples(samples, 100 + FLING_WINDOW_MS)).toEqual([{ x: 2, y: 0, t: 100 }])
+  })
+
+  it('leaves nothing to fling when the pointer rested before release', () => {
+    const samples = [{ x: 0, y: 0, t: 0 }, { x: 30, y: 0, t: 20 }]
+    expect(flingVelocity(trimSamples(samples, 500))).toEqual({ vx: 0, vy: 0 })
+  })
+})
+
+describe('dragPosition', () => {
+  const bounds = { width: 200, height: 100 }
+
+  it('keeps the grab offset', () => {
+    expect(dragPosition(50, 50, 5, -5, 10, bounds)).toEqual({ x: 55, y: 45 })
+  })
+
+  it('keeps the ball inside the viewport', () => {
+    expect(dragPosition(-20, 500, 0, 0, 10, bounds)).toEqual({ x: 10, y: 90 })
+  })
+})
@@ -0,0 +1,65 @@
+import { FIXED_STEP } from './world'
+import type { Bounds } from '../types/physics'
+
+/**
+ * Pointer gestures on balls: press and drag to grab, release to fling,
+ * hold still to pin, double-tap (or Alt-click) to delete. Pure helpers here;
+ * the canvas feeds them pointer events, one gesture per pointer so each
+ * finger of a multi-touch can hold its own ball.
+ */
+
+/** Hold this long without moving to pin (or unpin) the ball */
+export const LONG_PRESS_MS = 500
+/** Movement in px before a press counts as a drag */
+export const DRAG_THRESHOLD = 8
+/** Two taps on the same ball this close together delete it */
+export const DOUBLE_TAP_MS = 300
+/** Only pointer samples this recent count towards the fling */
+export const FLING_WINDOW_MS = 80
+/** Fastest fling, in px/frame, so a flick can't tunnel through everything */
+export const MAX_FLING_SPEED = 40
+/** Velocity an arrow key adds to the selected ball, in px/frame */
+export const NUDGE_SPEED = 4
+
+/** Slow-motion choices, as World seconds per real second */
+export const TIME_SCALES = [1, 0.5, 0.25] as const
+
+export interface PointerSample {
+  x: number
+  y: number
+  /** ms, e.g. PointerEvent.timeStamp */
+  t: number
+}
+
+/**
+ * Velocity in px/frame (the World's unit) from the pointer's recent path:
+ * the straight line from the oldest sample inside FLING_WINDOW_MS to the
+ * newest, capped at MAX_FLING_SPEED. A pointer that stopped before release
+ * flings nothing.
+ */
+export const flingVelocity = (samples: PointerSample[]): { vx: number; vy: number } => {
+  const last = samples[samples.length - 1]
+  const first = last && samples.find(s => last.t - s.t <= FLING_WINDOW_MS)
+  if (!last || !first || last.t === first.t) return { vx: 0, vy: 0 }
+  const perFrame = (FIXED_STEP * 1000) / (last.t - first.t)
+  let vx = (last.x - first.x) * perFrame
+  let vy = (last.y - first.y) * perFrame
+  const speed = Math.hypot(vx, vy)
+  if (speed > MAX_FLING_SPEED) {
+    vx *= MAX_FLING_SPEED / speed
+    vy *= MAX_FLING_SPEED / speed
+  }
+  return { vx, vy }
+}
+
+/** Keep only the samples a fling could still use. */
+export const trimSamples = (samples: PointerSample[], now: number): PointerSample[] =>
+  samples.filter(s => now - s.t <= FLING_WINDOW_MS)
+
+/** A dragged ball's centre: the pointer plus the grab offset, kept inside the viewport. */
+export const dragPosition = (
+  pointerX: number, pointerY: number, offsetX: number, offsetY: number, radius: number, bounds: Bounds,
+): { x: number; y: number } => ({
+  x: Math.min(Math.max(pointerX + offsetX, radius), bounds.width - radius),
+  y: Math.min(Math.max(pointerY + offsetY, radius), bounds.height - radius),
+})
@@ -0,0 +1,71 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { COALESCE_MS, EMPTY_HISTORY, HISTORY_LIMIT, pushHistory, redoHistory, undoHistory } from './history'
+
+const change = (before, after, path = ['globalVolume']) => [{ path, before, after }]
+
+describe('pushHistory', () => {
+  it('adds a step and clears redo', () => {
+    const undone = undoHistory(pushHistory(EMPTY_HISTORY, change(1, 0.5), 'globalVolume', 0)).history
+    const history = pushHistory(undone, change(1, 0.8), 'globalVolume', 5000)
+    expect(history.past).toHaveLength(1)
+    expect(history.future).toEqual([])
+  })
+
+  it('drops changes that change nothing', () => {
+    expect(pushHistory(EMPTY_HISTORY, change(1, 1), 'globalVolume', 0)).toBe(EMPTY_HISTORY)
+  })
+
+  it('coalesces a drag into one step, first before and last after', () => {
+    let history = pushHistory(EMPTY_HISTORY, change(1, 0.9), 'globalVolume', 0)
+    history = pushHistory(history, change(0.9, 0.8), 'globalVolume', 300)
+    history = pushHistory(history, change(0.8, 0.7), 'globalVolume', 600)
+    expect(history.past).toEqual([{ changes: change(1, 0.7), key: 'globalVolume', time: 600 }])
+  })
+
+  it('starts a new step after a pause, for another key, or without a key', () => {
+    let history = pushHistory(EMPTY_HISTORY, change(1, 0.9), 'globalVolume', 0)
+    history = pushHistory(history, change(0.9, 0.8), 'globalVolume', COALESCE_MS + 1)
+    history = pushHistory(history, change(440, 442, ['tuning', 'a4']), 'tuning.a4', COALESCE_MS + 2)
+    history = pushHistory(history, change(0.8, 0.5), null, COALESCE_MS + 3)
+    history = pushHistory(history, change(0.5, 0.4), null, COALESCE_MS + 4)
+    expect(history.past).toHaveLength(5)
+  })
+
+  it('keeps the newest steps up to the limit', () => {
+    let history = EMPTY_HISTORY
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = pushHistory(history, change(i, i + 1), null, i)
+    expect(history.past).toHaveLength(HISTORY_LIMIT)
+    expect(history.past[0].changes[0].before).toBe(5)
+  })
+})
+
+describe('undoHistory and redoHistory', () => {
+  const history = pushHistory(pushHistory(EMPTY_HISTORY, change(1, 0.5), null, 0), change(0.5, 0.2), null, 10)
+
+  it('hands back the last step and moves it to redo', () => {
+    const { entry, history: after } = undoHistory(history)
+    expect(entry.changes).toEqual(change(0.5, 0.2))
+    expect(after.past).toHaveLength(1)
+    expect(after.future).toEqual([entry])
+  })
+
+  it('redoes what was undone, most recent first', () => {
+    const once = undoHistory(history).history
+    const twice = undoHistory(once).history
+    const { entry, history: after } = redoHistory(twice)
+    expect(entry.changes).toEqual(change(1, 0.5))
+    expect(after.past).toHaveLength(1)
+    expect(after.future).toHaveLength(1)
+  })
+
+  it('never coalesces a new change into a redone step', () => {
+    const redone = redoHistory(undoHistory(pushHistory(EMPTY_HISTORY, change(1, 0.5), 'globalVolume', 0)).history).history
+    expect(pushHistory(redone, change(0.5, 0.4), 'globalVolume', 100).past).toHaveLength(2)
+  })
+
+  it('returns null with nothing to step to', () => {
+    expect(undoHistory(EMPTY_HISTORY)).toBeNull()
+    expect(redoHistory(EMPTY_HISTORY)).toBeNull()
+  })
+})
@@ -0,0 +1,78 @@
+/**
+ * Undo/redo over path-based SET actions. An entry records each path's value
+ * before and after, so undoing is just SETting the `before` values back.
+ * Slider drags fire a SET per pixel; consecutive changes under the same key
+ * (one control, or one morph drag) coalesce into one entry while they keep
+ * coming within COALESCE_MS.
+ */
+
+export interface HistoryChange {
+  path: string[]
+  before: unknown
+  after: unknown
+}
+
+export interface HistoryEntry {
+  changes: HistoryChange[]
+  /** What made the change, usually a control's path key; null never coalesces */
+  key: string | null
+  /** When the entry was last extended (ms) */
+  time: number
+}
+
+export interface History {
+  past: HistoryEntry[]
+  future: HistoryEntry[]
+}
+
+export const EMPTY_HISTORY: History = { past: [], future: [] }
+
+/** Steps kept; the oldest fall off */
+export const HISTORY_LIMIT = 100
+
+/** Changes under one key closer together than this are one step */
+export const COALESCE_MS = 1000
+
+const samePath = (a: string[], b: string[]): boolean => a.length === b.length && a.every((k, i) => k === b[i])
+
+/** Fold `next` into `changes`: a path already there keeps its first `before` and takes the new `after`. */
+const mergeChanges = (changes: HistoryChange[], next: HistoryChange[]): HistoryChange[] => {
+  const merged = [...changes]
+  for (const change of next) {
+    const i = merged.findIndex(c => samePath(c.path, change.path))
+    if (i === -1) merged.push(change)
+    else merged[i] = { ...merged[i], after: change.after }
+  }
+  return merged
+}
+
+/**
+ * Record `changes` made at `time`. A new step clears the redo stack.
+ * Changes that don't change anything are dropped.
+ */
+export const pushHistory = (history: History, changes: HistoryChange[], key: string | null, time: number): History => {
+  const real = changes.filter(c => c.before !== c.after)
+  if (real.length === 0) return history
+  const last = history.past[history.past.length - 1]
+  if (last && key !== null && last.key === key && time - last.time < COALESCE_MS) {
+    const entry = { ...last, changes: mergeChanges(last.changes, real), time }
+    return { past: [...history.past.slice(0, -1), entry], future: [] }
+  }
+  const past = [...history.past, { changes: real, key, time }]
+  return { past: past.slice(-HISTORY_LIMIT), future: [] }
+}
+
+/** Step back: the entry to revert (apply its `before` values) and the history after it. */
+export const undoHistory = (history: History): { entry: HistoryEntry; history: History } | null => {
+  const entry = history.past[history.past.length - 1]
+  if (!entry) return null
+  return { entry, history: { past: history.past.slice(0, -1), future: [entry, ...history.future] } }
+}
+
+/** Step forward again: the entry to reapply (its `after` values) and the history after it. */
+export const redoHistory = (history: History): { entry: HistoryEntry; history: History } | null => {
+  const entry = history.future[0]
+  if (!entry) return null
+  // Without its key, the next change never coalesces into a redone step
+  return { entry, history: { past: [...history.past, { ...entry, key: null }], future: history.future.slice(1) } }
+}
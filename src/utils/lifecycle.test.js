@@ -0,0 +1,98 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_LIFECYCLE,
+  MAX_LAUNCHES_PER_TICK,
+  SPLIT_ANGLE,
+  emitterLaunch,
+  emitterLaunches,
+  isLifecycleActive,
+  isSpent,
+  mergeBalls,
+  newLife,
+  splitBall,
+  transposeVoice,
+} from './lifecycle'
+import { DEFAULT_VOICE } from './voices'
+
+const ball = (overrides = {}) => ({ x: 100, y: 100, vx: 0, vy: 0, radius: 20, color: 'red', ...overrides })
+
+describe('isSpent / isLifecycleActive', () => {
+  it('spends a ball on its lifetime or its hits, whichever comes first', () => {
+    const settings = { ...DEFAULT_LIFECYCLE, lifetime: 10, maxHits: 5 }
+    expect(isSpent({ ...newLife(), age: 9, hits: 4 }, settings)).toBe(false)
+    expect(isSpent({ ...newLife(), age: 10 }, settings)).toBe(true)
+    expect(isSpent({ ...newLife(), hits: 5 }, settings)).toBe(true)
+  })
+
+  it('treats zero as no limit', () => {
+    expect(isSpent({ ...newLife(), age: 1e6, hits: 1e6 }, DEFAULT_LIFECYCLE)).toBe(false)
+    expect(isLifecycleActive(DEFAULT_LIFECYCLE)).toBe(false)
+    expect(isLifecycleActive({ ...DEFAULT_LIFECYCLE, merge: { ...DEFAULT_LIFECYCLE.merge, enabled: true } })).toBe(true)
+  })
+})
+
+describe('transposeVoice', () => {
+  it('adds to the voice\'s own transpose without touching the original', () => {
+    const voice = { ...DEFAULT_VOICE, transpose: 5 }
+    expect(transposeVoice(voice, 12)).toMatchObject({ transpose: 17, pitch: DEFAULT_VOICE.pitch })
+    expect(voice.transpose).toBe(5)
+  })
+
+  it('gives a ball without a voice a plain one, transposed', () => {
+    expect(transposeVoice(undefined, -12)).toEqual({ ...DEFAULT_VOICE, transpose: -12 })
+  })
+})
+
+describe('splitBall', () => {
+  it('makes two touching halves of half the area, turned off the heading at the same speed', () => {
+    const [a, b] = splitBall(ball({ vx: 10 }), 12)
+    expect(a.radius).toBeCloseTo(20 / Math.SQRT2)
+    expect(a.radius ** 2 + b.radius ** 2).toBeCloseTo(20 ** 2)
+    expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeCloseTo(a.radius + b.radius)
+    expect(Math.hypot(a.vx, a.vy)).toBeCloseTo(10)
+    expect(Math.atan2(b.vy, b.vx)).toBeCloseTo((SPLIT_ANGLE * Math.PI) / 180)
+    expect(a.vy).toBeCloseTo(-b.vy)
+  })
+
+  it('gives each half its own transposed copy of the voice', () => {
+    const [a, b] = splitBall(ball({ voice: DEFAULT_VOICE }), 7)
+    expect(a.voice.transpose).toBe(7)
+    expect(a.voice).not.toBe(b.voice)
+    expect(a).toMatchObject({ color: 'red' })
+  })
+})
+
+describe('mergeBalls', () => {
+  it('adds areas and keeps momentum, taking the larger ball\'s colour and voice', () => {
+    const small = ball({ x: 0, vx: 10, radius: 10, color: 'blue' })
+    const big = ball({ x: 30, vx: 0, radius: 20, voice: DEFAULT_VOICE })
+    const merged = mergeBalls(small, big)
+    expect(merged.radius).toBeCloseTo(Math.hypot(10, 20))
+    expect(merged.vx).toBeCloseTo((10 * 100) / 500)
+    expect(merged.x).toBeCloseTo((30 * 400) / 500)
+    expect(merged).toMatchObject({ color: 'red', voice: DEFAULT_VOICE })
+  })
+})
+
+describe('emitters', () => {
+  it('launches whole balls at the rate and carries the remainder', () => {
+    expect(emitterLaunches(0, 2, 0.4)).toEqual({ launches: 0, carried: expect.closeTo(0.8) })
+    expect(emitterLaunches(0.8, 2, 0.4)).toEqual({ launches: 1, carried: expect.closeTo(0.6) })
+  })
+
+  it('caps the launches after a stall and drops the backlog', () => {
+    expect(emitterLaunches(0, 10, 60)).toEqual({ launches: MAX_LAUNCHES_PER_TICK, carried: 1 })
+  })
+
+  it('launches from its position along its direction, strayed by the spread', () => {
+    const emitter = { id: 'e', x: 0.5, y: 0.25, rate: 1, angle: 90, speed: 10, spread: 30 }
+    const straight = emitterLaunch(emitter, { width: 800, height: 400 }, () => 0.5)
+    expect(straight.x).toBe(400)
+    expect(straight.y).toBe(100)
+    expect(straight.vx).toBeCloseTo(0)
+    expect(straight.vy).toBeCloseTo(10)
+    const strayed = emitterLaunch(emitter, { width: 800, height: 400 }, () => 1)
+    expect(Math.atan2(strayed.vy, strayed.vx)).toBeCloseTo((120 * Math.PI) / 180)
+  })
+})
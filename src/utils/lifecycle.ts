@@ -0,0 +1,140 @@
+import { DEFAULT_VOICE } from './voices'
+import type { BallVoice } from '../types/audio'
+import type { Bounds, CircleState, Emitter, LifecycleSettings } from '../types/physics'
+
+/**
+ * Ball lifecycle rules: balls age and fade out, split on hard impacts, merge
+ * after repeated slow contacts, and emitters add new ones. The World applies
+ * the ageing, splitting and merging each step (so they replay exactly, in a
+ * worker or not); emitters launch from the canvas, which owns spawning.
+ */
+
+export const DEFAULT_LIFECYCLE: LifecycleSettings = {
+  lifetime: 0,
+  maxHits: 0,
+  fadeTime: 1.5,
+  split: { enabled: false, minSpeed: 20, minRadius: 12, transpose: 12 },
+  merge: { enabled: false, maxSpeed: 1, contacts: 20 },
+  emitters: [],
+}
+
+/** Seconds a ball must live before it can split, so new halves don't shatter at once */
+export const SPLIT_GRACE = 0.25
+/** Degrees each half turns away from its parent's heading */
+export const SPLIT_ANGLE = 30
+/** Largest radius (px) a merge may make; bigger pairs stay apart */
+export const MAX_MERGED_RADIUS = 120
+/** Most balls one emitter launches per frame, so a stalled tab doesn't release a burst */
+export const MAX_LAUNCHES_PER_TICK = 5
+
+/** What the World tracks per ball for the lifecycle rules. */
+export interface BallLife {
+  /** Seconds of World time lived */
+  age: number
+  /** Hits faster than RESTING_SPEED taken */
+  hits: number
+  /** Seconds of fade left once spent; null while alive */
+  fadeLeft: number | null
+  /** Times this ball has split, for its halves' ids */
+  splits: number
+}
+
+export const newLife = (): BallLife => ({ age: 0, hits: 0, fadeLeft: null, splits: 0 })
+
+/** True once the ball has used up its lifetime or its hits. */
+export const isSpent = (life: BallLife, settings: LifecycleSettings): boolean =>
+  (settings.lifetime > 0 && life.age >= settings.lifetime) ||
+  (settings.maxHits > 0 && life.hits >= settings.maxHits)
+
+/** True if any rule can change a ball, so the World can skip the bookkeeping otherwise. */
+export const isLifecycleActive = (settings: LifecycleSettings): boolean =>
+  settings.lifetime > 0 || settings.maxHits > 0 || settings.split.enabled || settings.merge.enabled
+
+/** A copy of `voice` (or a plain one) moved by `semitones`. */
+export const transposeVoice = (voice: BallVoice | undefined, semitones: number): BallVoice => {
+  const base = voice ?? DEFAULT_VOICE
+  return { ...structuredClone(base), transpose: (base.transpose ?? 0) + semitones }
+}
+
+/**
+ * Break a ball into two of half its area, side by side across its heading
+ * and each turned SPLIT_ANGLE away from it at the parent's speed. Both keep
+ * the colour and carry the parent's voice moved by `transpose`.
+ */
+export const splitBall = (state: CircleState, transpose: number): [CircleState, CircleState] => {
+  const radius = state.radius / Math.SQRT2
+  const speed = Math.hypot(state.vx, state.vy)
+  const heading = speed > 0 ? Math.atan2(state.vy, state.vx) : 0
+  const turn = (SPLIT_ANGLE * Math.PI) / 180
+  const half = (side: 1 | -1): CircleState => {
+    const across = heading + (side * Math.PI) / 2
+    const direction = heading + side * turn
+    return {
+      ...state,
+      x: state.x + Math.cos(across) * radius,
+      y: state.y + Math.sin(across) * radius,
+      vx: Math.cos(direction) * speed,
+      vy: Math.sin(direction) * speed,
+      radius,
+      voice: transposeVoice(state.voice, transpose),
+    }
+  }
+  return [half(-1), half(1)]
+}
+
+/** Radius of the ball two balls merge into: their areas added. */
+export const mergedRadius = (a: CircleState, b: CircleState): number => Math.hypot(a.radius, b.radius)
+
+/**
+ * Two balls as one: areas add, the position is their area-weighted centre
+ * and momentum is conserved. Colour and voice come from the larger ball.
+ */
+export const mergeBalls = (a: CircleState, b: CircleState): CircleState => {
+  const areaA = a.radius * a.radius
+  const areaB = b.radius * b.radius
+  const total = areaA + areaB
+  return {
+    ...(a.radius >= b.radius ? a : b),
+    x: (a.x * areaA + b.x * areaB) / total,
+    y: (a.y * areaA + b.y * areaB) / total,
+    vx: (a.vx * areaA + b.vx * areaB) / total,
+    vy: (a.vy * areaA + b.vy * areaB) / total,
+    radius: mergedRadius(a, b),
+  }
+}
+
+/**
+ * Advance an emitter's clock by `elapsed` seconds: how many balls are due
+ * now and the fraction of the next one carried over.
+ */
+export const emitterLaunches = (
+  carried: number, rate: number, elapsed: number,
+): { launches: number; carried: number } => {
+  const due = carried + Math.max(rate, 0) * Math.max(elapsed, 0)
+  const launches = Math.min(Math.floor(due), MAX_LAUNCHES_PER_TICK)
+  return { launches, carried: Math.min(due - launches, 1) }
+}
+
+/** Where and how fast an emitter launches its next ball; `random` picks the spread. */
+export const emitterLaunch = (
+  emitter: Emitter, bounds: Bounds, random: () => number,
+): { x: number; y: number; vx: number; vy: number } => {
+  const degrees = emitter.angle + (random() * 2 - 1) * emitter.spread
+  const radians = (degrees * Math.PI) / 180
+  return {
+    x: emitter.x * bounds.width,
+    y: emitter.y * bounds.height,
+    vx: Math.cos(radians) * emitter.speed,
+    vy: Math.sin(radians) * emitter.speed,
+  }
+}
+
+export const newEmitter = (x: number, y: number): Emitter => ({
+  id: `${Date.now()}-${Math.round(Math.random() * 1e6)}`,
+  x,
+  y,
+  rate: 1,
+  angle: 270,
+  speed: 10,
+  spread: 15,
+})
@@ -0,0 +1,147 @@
+// @ts-nocheck
+/**
+ * Live recorder tests with MediaRecorder and the stream destination mocked;
+ * checks MIME selection, the master tap wiring, the length limit, that a
+ * recorder which fails to build or start leaves nothing behind, and that
+ * cancel (used by cleanupAudio) releases the tap without delivering a file.
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  pickRecordingMimeType,
+  recordingExtension,
+  startLiveRecording,
+  stopLiveRecording,
+  cancelLiveRecording,
+  isLiveRecording,
+} from './liveRecorder'
+
+class MockMediaRecorder {
+  static isTypeSupported = vi.fn((type) => type === 'audio/ogg')
+  constructor(stream, options) {
+    this.stream = stream
+    this.mimeType = options?.mimeType ?? ''
+    this.state = 'inactive'
+    this.ondataavailable = null
+    this.onstop = null
+    MockMediaRecorder.last = this
+  }
+  start(timeslice) { this.state = 'recording'; this.timeslice = timeslice }
+  stop() {
+    this.state = 'inactive'
+    this.ondataavailable?.({ data: new Blob(['abc']) })
+    this.onstop?.()
+  }
+}
+
+function setup() {
+  vi.stubGlobal('MediaRecorder', MockMediaRecorder)
+  const track = { stop: vi.fn() }
+  const destination = { stream: { getTracks: () => [track] } }
+  const ctx = { createMediaStreamDestination: vi.fn(() => destination) }
+  const source = { connect: vi.fn(), disconnect: vi.fn() }
+  return { ctx, source, destination, track }
+}
+
+describe('pickRecordingMimeType', () => {
+  it('prefers WebM/Opus and falls back through Ogg', () => {
+    expect(pickRecordingMimeType(() => true)).toBe('audio/webm;codecs=opus')
+    expect(pickRecordingMimeType(t => t.startsWith('audio/ogg'))).toBe('audio/ogg;codecs=opus')
+    expect(pickRecordingMimeType(() => false)).toBe('')
+  })
+
+  it('maps MIME types to file extensions', () => {
+    expect(recordingExtension('audio/ogg;codecs=opus')).toBe('ogg')
+    expect(recordingExtension('audio/webm')).toBe('webm')
+    expect(recordingExtension('')).toBe('webm')
+  })
+})
+
+describe('live recording session', () => {
+  afterEach(() => {
+    cancelLiveRecording()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('taps the source and delivers a blob with the recorder MIME type on stop', () => {
+    const { ctx, source, destination, track } = setup()
+    const onComplete = vi.fn()
+    startLiveRecording(ctx, source, onComplete)
+
+    expect(source.connect).toHaveBeenCalledWith(destination)
+    expect(MockMediaRecorder.last.mimeType).toBe('audio/ogg')
+    expect(isLiveRecording()).toBe(true)
+
+    stopLiveRecording()
+    expect(onComplete).toHaveBeenCalledTimes(1)
+    const [blob, type] = onComplete.mock.calls[0]
+    expect(blob.size).toBe(3)
+    expect(type).toBe('audio/ogg')
+    expect(source.disconnect).toHaveBeenCalledWith(destination)
+    expect(track.stop).toHaveBeenCalled()
+    expect(isLiveRecording()).toBe(false)
+  })
+
+  it('refuses to start a second recording', () => {
+    const { ctx, source } = setup()
+    startLiveRecording(ctx, source, vi.fn())
+    expect(() => startLiveRecording(ctx, source, vi.fn())).toThrow('Already recording')
+  })
+
+  it('stops itself at the length limit', () => {
+    vi.useFakeTimers()
+    const { ctx, source } = setup()
+    const onComplete = vi.fn()
+    startLiveRecording(ctx, source, onComplete, 5)
+    vi.advanceTimersByTime(4999)
+    expect(onComplete).not.toHaveBeenCalled()
+    vi.advanceTimersByTime(1)
+    expect(onComplete).toHaveBeenCalledTimes(1)
+    expect(isLiveRecording()).toBe(false)
+  })
+
+  it('cancel releases the tap without delivering a file', () => {
+    const { ctx, source, destination } = setup()
+    const onComplete = vi.fn()
+    startLiveRecording(ctx, source, onComplete)
+    cancelLiveRecording()
+    expect(onComplete).not.toHaveBeenCalled()
+    expect(source.disconnect).toHaveBeenCalledWith(destination)
+    expect(isLiveRecording()).toBe(false)
+  })
+
+  it('reports a missing MediaRecorder as an error', () => {
+    const { ctx, source } = setup()
+    vi.stubGlobal('MediaRecorder', undefined)
+    expect(() => startLiveRecording(ctx, source, vi.fn())).toThrow('not supported')
+    expect(source.connect).not.toHaveBeenCalled()
+  })
+
+  it('leaves nothing connected when the recorder cannot be built', () => {
+    const { ctx, source, track } = setup()
+    vi.stubGlobal('MediaRecorder', class extends MockMediaRecorder {
+      constructor() { throw new Error('NotSupportedError') }
+    })
+    expect(() => startLiveRecording(ctx, source, vi.fn())).toThrow('NotSupportedError')
+    expect(source.connect).not.toHaveBeenCalled()
+    expect(track.stop).toHaveBeenCalled()
+    expect(isLiveRecording()).toBe(false)
+  })
+
+  it('releases the tap and the limit timer when the recorder fails to start', () => {
+    vi.useFakeTimers()
+    const { ctx, source, destination } = setup()
+    vi.stubGlobal('MediaRecorder', class extends MockMediaRecorder {
+      start() { throw new Error('InvalidStateError') }
+    })
+    expect(() => startLiveRecording(ctx, source, vi.fn())).toThrow('InvalidStateError')
+    expect(source.disconnect).toHaveBeenCalledWith(destination)
+    expect(isLiveRecording()).toBe(false)
+    expect(vi.getTimerCount()).toBe(0)
+
+    // A failed start doesn't block the next attempt
+    vi.stubGlobal('MediaRecorder', MockMediaRecorder)
+    startLiveRecording(ctx, source, vi.fn())
+    expect(isLiveRecording()).toBe(true)
+  })
+})
@@ -0,0 +1,124 @@
+/**
+ * Live recording of the master bus. A MediaStreamAudioDestinationNode is
+ * tapped off globalMaster and fed to a MediaRecorder, so the file holds
+ * exactly what the speakers play — including voice stealing, which an
+ * offline render leaves out.
+ */
+
+/** Recordings stop themselves after this long so a forgotten take can't fill memory. */
+export const MAX_LIVE_RECORDING_SECONDS = 10 * 60
+
+/** Container/codec candidates, most preferred first. */
+const MIME_CANDIDATES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/ogg']
+
+/** First MIME type the browser can record, or '' to let MediaRecorder choose. */
+export const pickRecordingMimeType = (
+  isTypeSupported: (type: string) => boolean = type => MediaRecorder.isTypeSupported(type),
+): string => MIME_CANDIDATES.find(type => isTypeSupported(type)) ?? ''
+
+/** File extension for a recorder MIME type. */
+export const recordingExtension = (mimeType: string): string =>
+  mimeType.startsWith('audio/ogg') ? 'ogg' : 'webm'
+
+export type RecordingCompleteHandler = (blob: Blob, mimeType: string) => void
+
+interface LiveSession {
+  source: AudioNode
+  destination: MediaStreamAudioDestinationNode
+  recorder: MediaRecorder
+  chunks: Blob[]
+  startedAt: number
+  limitTimer: ReturnType<typeof setTimeout>
+}
+
+let session: LiveSession | null = null
+
+/** Disconnect the tap and forget the session; safe to call more than once. */
+const teardown = (s: LiveSession): void => {
+  clearTimeout(s.limitTimer)
+  try { s.source.disconnect(s.destination) } catch { /* already disconnected */ }
+  s.destination.stream.getTracks().forEach(track => track.stop())
+  if (session === s) session = null
+}
+
+/**
+ * Start recording `source` (the master gain). `onComplete` receives the file
+ * once stopLiveRecording runs or the length limit is hit.
+ * Throws if recording is unsupported, already running, or the recorder
+ * fails to start; a failed start leaves no tap connected.
+ */
+export const startLiveRecording = (
+  ctx: AudioContext,
+  source: AudioNode,
+  onComplete: RecordingCompleteHandler,
+  maxSeconds = MAX_LIVE_RECORDING_SECONDS,
+): void => {
+  if (session) throw new Error('Already recording')
+  if (typeof MediaRecorder === 'undefined') throw new Error('Recording is not supported in this browser')
+
+  const destination = ctx.createMediaStreamDestination()
+  const mimeType = pickRecordingMimeType()
+  let recorder: MediaRecorder
+  try {
+    recorder = new MediaRecorder(destination.stream, mimeType ? { mimeType } : undefined)
+  } catch (e) {
+    destination.stream.getTracks().forEach(track => track.stop())
+    throw e
+  }
+
+  // Tap the master only once the recorder exists, so a failure above leaves nothing connected
+  source.connect(destination)
+  const current: LiveSession = {
+    source,
+    destination,
+    recorder,
+    chunks: [],
+    startedAt: Date.now(),
+    limitTimer: setTimeout(() => stopLiveRecording(), maxSeconds * 1000),
+  }
+
+  recorder.ondataavailable = (e: BlobEvent) => {
+    if (e.data.size > 0) current.chunks.push(e.data)
+  }
+  recorder.onstop = () => {
+    teardown(current)
+    const type = recorder.mimeType || mimeType || 'audio/webm'
+    onComplete(new Blob(current.chunks, { type }), type)
+  }
+
+  session = current
+  try {
+    // Timeslice so data is flushed periodically rather than held until stop
+    recorder.start(1000)
+  } catch (e) {
+    // teardown clears the limit timer, drops the tap and resets the session
+    teardown(current)
+    throw e
+  }
+}
+
+/** Stop the running recording; its onComplete fires once the data is flushed. */
+export const stopLiveRecording = (): void => {
+  if (session && session.recorder.state !== 'inactive') session.recorder.stop()
+}
+
+/**
+ * Abort the running recording without delivering a file. Called from
+ * cleanupAudio so a take in progress can't keep the tap node connected.
+ */
+export const cancelLiveRecording = (): void => {
+  if (!session) return
+  const current = session
+  current.recorder.onstop = null
+  current.recorder.ondataavailable = null
+  if (current.recorder.state !== 'inactive') {
+    try { current.recorder.stop() } catch { /* already stopped */ }
+  }
+  teardown(current)
+}
+
+export const isLiveRecording = (): boolean => session !== null
+
+/** Seconds since the running recording started, or 0 when idle. */
+export const getLiveRecordingElapsed = (): number =>
+  session ? (Date.now() - session.startedAt) / 1000 : 0
@@ -0,0 +1,101 @@
+// @ts-nocheck
+import { describe, it, expect, vi } from 'vitest'
+import {
+  DEFAULT_MASTER, METER_FLOOR, applyMasterSettings, compressorParams, limiterParams, measureLevels, meterFill,
+  spectrumBands, toDb,
+} from './masterBus'
+
+const param = (value = 0) => ({ value, setValueAtTime: vi.fn() })
+const compressorNode = () => ({
+  threshold: param(), knee: param(), ratio: param(), attack: param(), release: param(),
+})
+const chain = () => ({
+  eq: { low: { gain: param() }, mid: { gain: param() }, high: { gain: param() } },
+  compressor: compressorNode(),
+  limiter: compressorNode(),
+})
+
+describe('compressorParams', () => {
+  it('passes the settings through', () => {
+    expect(compressorParams(DEFAULT_MASTER.compressor)).toEqual({
+      threshold: -24, knee: 12, ratio: 4, attack: 0.003, release: 0.25,
+    })
+  })
+
+  it('bypasses as 1:1 from 0 dB', () => {
+    const params = compressorParams({ ...DEFAULT_MASTER.compressor, bypass: true })
+    expect(params).toMatchObject({ threshold: 0, knee: 0, ratio: 1 })
+  })
+})
+
+describe('limiterParams', () => {
+  it('keeps the fixed hard knee and 20:1 around the editable ceiling', () => {
+    expect(limiterParams({ bypass: false, threshold: -1, release: 0.05 })).toEqual({
+      threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.05,
+    })
+  })
+})
+
+describe('applyMasterSettings', () => {
+  const settings = {
+    eq: { low: 4, mid: -2, high: 1.5 },
+    compressor: { bypass: false, threshold: -18, knee: 6, ratio: 3, attack: 0.01, release: 0.3 },
+    limiter: { bypass: true, threshold: -2, release: 0.1 },
+  }
+
+  it('sets the values directly without a time', () => {
+    const c = chain()
+    applyMasterSettings(c, settings)
+    expect(c.eq.low.gain.value).toBe(4)
+    expect(c.eq.mid.gain.value).toBe(-2)
+    expect(c.compressor.threshold.value).toBe(-18)
+    expect(c.limiter.ratio.value).toBe(1)
+  })
+
+  it('schedules them on the clock with a time', () => {
+    const c = chain()
+    applyMasterSettings(c, settings, 3)
+    expect(c.eq.high.gain.setValueAtTime).toHaveBeenCalledWith(1.5, 3)
+    expect(c.compressor.ratio.setValueAtTime).toHaveBeenCalledWith(3, 3)
+    expect(c.limiter.threshold.setValueAtTime).toHaveBeenCalledWith(0, 3)
+  })
+})
+
+describe('levels', () => {
+  it('measures peak and RMS', () => {
+    const { peak, rms } = measureLevels(new Float32Array([0.5, -1, 0.5, 0]))
+    expect(peak).toBe(1)
+    expect(rms).toBeCloseTo(Math.sqrt(1.5 / 4))
+  })
+
+  it('reads silence as zero', () => {
+    expect(measureLevels(new Float32Array(0))).toEqual({ peak: 0, rms: 0 })
+  })
+
+  it('converts to dB with a floor for silence', () => {
+    expect(toDb(1)).toBeCloseTo(0)
+    expect(toDb(0.5)).toBeCloseTo(-6.02, 2)
+    expect(toDb(0)).toBe(-100)
+  })
+
+  it('fills a meter from the floor to full scale', () => {
+    expect(meterFill(0)).toBe(1)
+    expect(meterFill(METER_FLOOR)).toBe(0)
+    expect(meterFill(METER_FLOOR / 2)).toBeCloseTo(0.5)
+    expect(meterFill(6)).toBe(1)
+  })
+})
+
+describe('spectrumBands', () => {
+  it('folds bins into octave-spaced bands scaled between the dB limits', () => {
+    // 1024 bins over 0..24 kHz; one loud bin near 1 kHz
+    const bins = new Float32Array(1024).fill(-100)
+    bins[43] = -30
+    const bands = spectrumBands(bins, 48000, 10, -100, -30)
+    expect(bands).toHaveLength(10)
+    expect(bands.filter(b => b === 1)).toHaveLength(1)
+    expect(bands.reduce((sum, b) => sum + b, 0)).toBe(1)
+    // Octave spacing puts 1 kHz a little over halfway up from 20 Hz
+    expect(bands.indexOf(1)).toBe(5)
+  })
+})
@@ -0,0 +1,150 @@
+import type { CompressorSettings, LimiterSettings, MasterSettings } from '../types/audio'
+
+/**
+ * The master bus every note ends on: a 3-band EQ, then compressor → limiter →
+ * master gain into the destination. Live playback and offline renders both
+ * build it here so they share one sound; the live bus also feeds an
+ * AnalyserNode for the meters and scope (see sound.ts).
+ */
+
+export const DEFAULT_MASTER: MasterSettings = {
+  eq: { low: 0, mid: 0, high: 0 },
+  compressor: { bypass: false, threshold: -24, knee: 12, ratio: 4, attack: 0.003, release: 0.25 },
+  limiter: { bypass: false, threshold: -3, release: 0.1 },
+}
+
+/** Corner / centre frequencies (Hz) of the EQ bands */
+export const EQ_BANDS = {
+  low: { type: 'lowshelf', frequency: 250 },
+  mid: { type: 'peaking', frequency: 1000 },
+  high: { type: 'highshelf', frequency: 4000 },
+} as const satisfies Record<keyof MasterSettings['eq'], { type: BiquadFilterType; frequency: number }>
+
+/** Width of the mid band; about an octave and a half */
+const MID_Q = 0.7
+
+/** Fixed shape of the limiter (see LimiterSettings) */
+const LIMITER_KNEE = 0
+const LIMITER_RATIO = 20
+const LIMITER_ATTACK = 0.001
+
+/** Quietest level the meters show, in dB */
+export const METER_FLOOR = -60
+
+export interface MasterChain {
+  eq: Record<keyof MasterSettings['eq'], BiquadFilterNode>
+  /** Where notes connect: the first EQ band */
+  input: AudioNode
+  compressor: DynamicsCompressorNode
+  limiter: DynamicsCompressorNode
+  master: GainNode
+}
+
+/** The parameters a compressor runs with; bypass is 1:1 from 0 dB, which changes nothing. */
+export const compressorParams = (settings: CompressorSettings) =>
+  settings.bypass
+    ? { threshold: 0, knee: 0, ratio: 1, attack: settings.attack, release: settings.release }
+    : {
+      threshold: settings.threshold, knee: settings.knee, ratio: settings.ratio,
+      attack: settings.attack, release: settings.release,
+    }
+
+/** The limiter as a compressor: the editable fields plus its fixed shape. */
+export const limiterParams = (settings: LimiterSettings) =>
+  compressorParams({
+    bypass: settings.bypass,
+    threshold: settings.threshold,
+    knee: LIMITER_KNEE,
+    ratio: LIMITER_RATIO,
+    attack: LIMITER_ATTACK,
+    release: settings.release,
+  })
+
+const setParams = (
+  node: DynamicsCompressorNode, params: ReturnType<typeof compressorParams>, when?: number,
+): void => {
+  for (const key of ['threshold', 'knee', 'ratio', 'attack', 'release'] as const) {
+    if (when === undefined) node[key].value = params[key]
+    else node[key].setValueAtTime(params[key], when)
+  }
+}
+
+/**
+ * Set the EQ and dynamics of a built chain. With `when` the values are
+ * scheduled on the context's clock (live edits); without it they are set
+ * directly (a chain that hasn't played yet).
+ */
+export const applyMasterSettings = (chain: MasterChain, settings: MasterSettings, when?: number): void => {
+  for (const band of Object.keys(EQ_BANDS) as Array<keyof typeof EQ_BANDS>) {
+    if (when === undefined) chain.eq[band].gain.value = settings.eq[band]
+    else chain.eq[band].gain.setValueAtTime(settings.eq[band], when)
+  }
+  setParams(chain.compressor, compressorParams(settings.compressor), when)
+  setParams(chain.limiter, limiterParams(settings.limiter), when)
+}
+
+/** Build the EQ → compressor → limiter → master gain chain into ctx.destination. */
+export const buildMasterChain = (
+  ctx: BaseAudioContext, masterGain = 0.7, settings: MasterSettings = DEFAULT_MASTER,
+): MasterChain => {
+  const band = (name: keyof typeof EQ_BANDS): BiquadFilterNode => {
+    const filter = ctx.createBiquadFilter()
+    filter.type = EQ_BANDS[name].type
+    filter.frequency.value = EQ_BANDS[name].frequency
+    if (name === 'mid') filter.Q.value = MID_Q
+    return filter
+  }
+  const eq = { low: band('low'), mid: band('mid'), high: band('high') }
+  const compressor = ctx.createDynamicsCompressor()
+  const limiter = ctx.createDynamicsCompressor()
+  const master = ctx.createGain()
+  master.gain.value = masterGain
+
+  eq.low.connect(eq.mid)
+  eq.mid.connect(eq.high)
+  eq.high.connect(compressor)
+  compressor.connect(limiter)
+  limiter.connect(master)
+  master.connect(ctx.destination)
+
+  const chain = { eq, input: eq.low, compressor, limiter, master }
+  applyMasterSettings(chain, settings)
+  return chain
+}
+
+/** Amplitude → dB, with silence floored at -100 dB. */
+export const toDb = (amplitude: number): number => 20 * Math.log10(Math.max(Math.abs(amplitude), 1e-5))
+
+/** Peak and RMS amplitude of a block of samples. */
+export const measureLevels = (samples: Float32Array): { peak: number; rms: number } => {
+  let peak = 0
+  let sum = 0
+  for (const s of samples) {
+    peak = Math.max(peak, Math.abs(s))
+    sum += s * s
+  }
+  return { peak, rms: samples.length > 0 ? Math.sqrt(sum / samples.length) : 0 }
+}
+
+/** How full a meter is (0..1) for a level in dB, from METER_FLOOR up to 0 dB. */
+export const meterFill = (db: number): number => Math.max(0, Math.min(1, (db - METER_FLOOR) / -METER_FLOOR))
+
+/**
+ * Fold an analyser's FFT bins (dB, as from getFloatFrequencyData) into
+ * `count` bands spaced evenly in octaves from `lowest` Hz to Nyquist, each
+ * the loudest bin it covers, scaled 0..1 between `minDb` and `maxDb`.
+ */
+export const spectrumBands = (
+  bins: Float32Array, sampleRate: number, count: number, minDb: number, maxDb: number, lowest = 20,
+): number[] => {
+  const nyquist = sampleRate / 2
+  const binOf = (hz: number) => Math.min(bins.length - 1, Math.floor((hz / nyquist) * bins.length))
+  const octaves = Math.log2(nyquist / lowest)
+  return Array.from({ length: count }, (_, i) => {
+    const from = binOf(lowest * 2 ** ((octaves * i) / count))
+    const to = Math.max(from, binOf(lowest * 2 ** ((octaves * (i + 1)) / count)) - 1)
+    let loudest = -Infinity
+    for (let b = from; b <= to; b++) loudest = Math.max(loudest, bins[b])
+    return Math.max(0, Math.min(1, (loudest - minDb) / (maxDb - minDb)))
+  })
+}
@@ -0,0 +1,88 @@
+import type { TimedMidiMessage } from './midiMessages'
+
+/**
+ * Web MIDI runtime: access, device lists, the selected output, and input
+ * messages from every connected input. Access is only requested on demand
+ * since browsers may prompt for it.
+ */
+
+export interface MidiPortInfo {
+  id: string
+  name: string
+}
+
+let access: MIDIAccess | null = null
+let accessRequest: Promise<MIDIAccess> | null = null
+let selectedOutputId = ''
+const portListeners = new Set<() => void>()
+const messageListeners = new Set<(data: Uint8Array) => void>()
+
+const handleInputMessage = (e: MIDIMessageEvent): void => {
+  if (e.data) messageListeners.forEach(listener => listener(e.data!))
+}
+
+// Inputs can appear at any time (hot-plug), so re-attach on every state change
+const attachInputs = (a: MIDIAccess): void => {
+  a.inputs.forEach(input => { input.onmidimessage = handleInputMessage })
+}
+
+export const isMidiSupported = (): boolean =>
+  typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function'
+
+/** Request MIDI access once; later calls share the same promise. */
+export const requestMidiAccess = (): Promise<MIDIAccess> => {
+  if (!isMidiSupported()) return Promise.reject(new Error('Web MIDI is not supported in this browser'))
+  if (!accessRequest) {
+    accessRequest = navigator.requestMIDIAccess().then(a => {
+      access = a
+      attachInputs(a)
+      a.onstatechange = () => {
+        attachInputs(a)
+        portListeners.forEach(listener => listener())
+      }
+      portListeners.forEach(listener => listener())
+      return a
+    }).catch(error => {
+      accessRequest = null
+      throw error
+    })
+  }
+  return accessRequest
+}
+
+export const hasMidiAccess = (): boolean => access !== null
+
+export const getMidiOutputs = (): MidiPortInfo[] =>
+  access ? Array.from(access.outputs.values()).map(o => ({ id: o.id, name: o.name ?? o.id })) : []
+
+/** Subscribe to device hot-plug and access changes; returns an unsubscribe. */
+export const onMidiPortsChange = (listener: () => void): (() => void) => {
+  portListeners.add(listener)
+  return () => { portListeners.delete(listener) }
+}
+
+export const getMidiInputs = (): MidiPortInfo[] =>
+  access ? Array.from(access.inputs.values()).map(i => ({ id: i.id, name: i.name ?? i.id })) : []
+
+/** Subscribe to raw messages from all inputs; returns an unsubscribe. */
+export const onMidiMessage = (listener: (data: Uint8Array) => void): (() => void) => {
+  messageListeners.add(listener)
+  return () => { messageListeners.delete(listener) }
+}
+
+/** Choose the output by id; '' sends nowhere. The port is looked up per send so unplugging is safe. */
+export const selectMidiOutput = (id: string): void => {
+  selectedOutputId = id
+}
+
+/** Send messages to the selected output, delayed relative to now. No-op without a port. */
+export const sendMidiMessages = (messages: TimedMidiMessage[]): void => {
+  const output = access && selectedOutputId ? access.outputs.get(selectedOutputId) : undefined
+  if (!output) return
+  const now = performance.now()
+  for (const { data, delay } of messages) {
+    try {
+      output.send(data, now + delay)
+    } catch { /* port closed mid-send */ }
+  }
+}
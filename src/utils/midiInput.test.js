@@ -0,0 +1,103 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  parseMidiMessage,
+  noteToSpawn,
+  ccToValue,
+  mappingFromTarget,
+  upsertMapping,
+  parseCcMappings,
+  LEARN_TARGETS,
+} from './midiInput'
+
+describe('parseMidiMessage', () => {
+  it('decodes note-on, note-off and CC with 1-based channels', () => {
+    expect(parseMidiMessage([0x90, 60, 100])).toEqual({ type: 'noteOn', channel: 1, note: 60, velocity: 100 })
+    expect(parseMidiMessage([0x83, 60, 0])).toEqual({ type: 'noteOff', channel: 4, note: 60 })
+    expect(parseMidiMessage([0xbf, 74, 12])).toEqual({ type: 'cc', channel: 16, controller: 74, value: 12 })
+  })
+
+  it('treats note-on with velocity 0 as note-off', () => {
+    expect(parseMidiMessage([0x90, 60, 0])).toEqual({ type: 'noteOff', channel: 1, note: 60 })
+  })
+
+  it('ignores other and truncated messages', () => {
+    expect(parseMidiMessage([0xe0, 0, 64])).toBeNull()   // pitch bend
+    expect(parseMidiMessage([0xf8])).toBeNull()          // clock
+  })
+})
+
+describe('noteToSpawn', () => {
+  const bounds = { width: 1000, height: 500 }
+  const centre = () => 0.5
+
+  it('places low notes bottom-left and high notes top-right', () => {
+    const low = noteToSpawn(21, 64, bounds, centre)
+    const high = noteToSpawn(108, 64, bounds, centre)
+    expect(low.x).toBeLessThan(high.x)
+    expect(low.y).toBeGreaterThan(high.y)
+  })
+
+  it('keeps the ball inside the canvas', () => {
+    for (const note of [0, 21, 64, 108, 127]) {
+      const { x, y, size } = noteToSpawn(note, 127, bounds, () => 1)
+      expect(x - size / 2).toBeGreaterThanOrEqual(0)
+      expect(x + size / 2).toBeLessThanOrEqual(bounds.width)
+      expect(y - size / 2).toBeGreaterThanOrEqual(0)
+      expect(y + size / 2).toBeLessThanOrEqual(bounds.height)
+    }
+  })
+
+  it('sizes balls from velocity within the click size range', () => {
+    expect(noteToSpawn(60, 127, bounds, centre).size).toBe(90)
+    expect(noteToSpawn(60, 1, bounds, centre).size).toBeCloseTo(40.4, 1)
+    expect(noteToSpawn(60, 32, bounds, centre).size).toBeLessThan(noteToSpawn(60, 96, bounds, centre).size)
+  })
+})
+
+describe('ccToValue', () => {
+  const target = (path) => LEARN_TARGETS.find(t => t.path.join('.') === path)
+
+  it('scales CC values into the target range, snapped to its step', () => {
+    const mix = mappingFromTarget(target('circleSettings.reverb.mix'), 1, 20)
+    expect(ccToValue(mix, 0)).toBe(0)
+    expect(ccToValue(mix, 127)).toBe(1)
+    expect(ccToValue(mix, 40)).toBe(0.3)
+    const detune = mappingFromTarget(target('wallSettings.detune'), 1, 21)
+    expect(ccToValue(detune, 0)).toBe(-1200)
+    expect(ccToValue(detune, 64)).toBe(0)
+  })
+
+  it('switches booleans at the half-way point', () => {
+    const on = mappingFromTarget(target('wallSettings.delay.enabled'), 1, 22)
+    expect(ccToValue(on, 63)).toBe(false)
+    expect(ccToValue(on, 64)).toBe(true)
+  })
+})
+
+describe('upsertMapping', () => {
+  const a = { channel: 1, controller: 20, path: ['globalVolume'], kind: 'number', min: 0, max: 1, step: 0.01 }
+
+  it('replaces a mapping on the same CC', () => {
+    const b = { ...a, path: ['tuning', 'a4'] }
+    expect(upsertMapping([a], b)).toEqual([b])
+  })
+
+  it('replaces a mapping for the same path', () => {
+    const b = { ...a, controller: 21 }
+    expect(upsertMapping([a], b)).toEqual([b])
+  })
+
+  it('keeps the same CC on another channel', () => {
+    const b = { ...a, channel: 2, path: ['tuning', 'a4'] }
+    expect(upsertMapping([a], b)).toEqual([a, b])
+  })
+})
+
+describe('parseCcMappings', () => {
+  it('drops malformed entries', () => {
+    const good = { channel: 1, controller: 7, path: ['globalVolume'], kind: 'number', min: 0, max: 1, step: 0.01 }
+    expect(parseCcMappings([good, { channel: 1 }, null, { ...good, path: [] }])).toEqual([good])
+    expect(parseCcMappings('nope')).toEqual([])
+  })
+})
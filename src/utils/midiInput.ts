@@ -0,0 +1,160 @@
+import type { Bounds } from '../types/physics'
+import { randomFrom } from './random'
+import { PARAMS, pathKey } from './params'
+
+/**
+ * Pure helpers for MIDI input: message parsing, note → ball spawn mapping,
+ * and MIDI-learn CC mappings onto AudioState paths (applied with the
+ * reducer's path-based SET action).
+ */
+
+export type MidiInputEvent =
+  | { type: 'noteOn'; channel: number; note: number; velocity: number }
+  | { type: 'noteOff'; channel: number; note: number }
+  | { type: 'cc'; channel: number; controller: number; value: number }
+
+/** Decode a raw message; channels are 1-based. Unhandled messages yield null. */
+export const parseMidiMessage = (data: ArrayLike<number>): MidiInputEvent | null => {
+  if (data.length < 3) return null
+  const status = data[0] & 0xf0
+  const channel = (data[0] & 0x0f) + 1
+  switch (status) {
+    case 0x90:
+      // Note-on with velocity 0 is the running-status form of note-off
+      return data[2] > 0
+        ? { type: 'noteOn', channel, note: data[1], velocity: data[2] }
+        : { type: 'noteOff', channel, note: data[1] }
+    case 0x80:
+      return { type: 'noteOff', channel, note: data[1] }
+    case 0xb0:
+      return { type: 'cc', channel, controller: data[1], value: data[2] }
+    default:
+      return null
+  }
+}
+
+// ─── Notes → balls ────────────────────────────────────────────────────────────
+
+/** Keyboard span mapped across the canvas (88-key piano, A0–C8). */
+const NOTE_RANGE = { MIN: 21, MAX: 108 }
+/** Ball diameter range; matches the random sizes used for clicks. */
+const SIZE_RANGE = { MIN: 40, MAX: 90 }
+
+export interface SpawnPoint {
+  x: number
+  y: number
+  /** Diameter in px */
+  size: number
+}
+
+/**
+ * Where and how big a ball a note-on spawns: pitch runs left → right (low →
+ * high) and also lifts the ball towards the top; velocity sets the size.
+ * `random` jitters the height so repeated notes don't stack exactly.
+ */
+export const noteToSpawn = (
+  note: number,
+  velocity: number,
+  bounds: Bounds,
+  random: () => number = randomFrom('spawn'),
+): SpawnPoint => {
+  const t = Math.max(0, Math.min(1, (note - NOTE_RANGE.MIN) / (NOTE_RANGE.MAX - NOTE_RANGE.MIN)))
+  const size = SIZE_RANGE.MIN + (SIZE_RANGE.MAX - SIZE_RANGE.MIN) * (Math.max(1, Math.min(127, velocity)) / 127)
+  const margin = size / 2
+  const jitter = (random() - 0.5) * 0.2
+  return {
+    x: margin + t * Math.max(0, bounds.width - size),
+    y: margin + Math.max(0, Math.min(1, 1 - t + jitter)) * Math.max(0, bounds.height - size),
+    size,
+  }
+}
+
+// ─── MIDI learn ───────────────────────────────────────────────────────────────
+
+/** A parameter a CC can drive. Booleans switch at the half-way point. */
+export interface LearnTarget {
+  path: string[]
+  label: string
+  kind: 'number' | 'boolean'
+  min: number
+  max: number
+  step: number
+}
+
+/** A learned CC → AudioState path binding. Range is copied from the target at learn time. */
+export interface CcMapping {
+  channel: number
+  controller: number
+  path: string[]
+  kind: 'number' | 'boolean'
+  min: number
+  max: number
+  step: number
+}
+
+/** Every number and switch in the parameter registry, under its full name. */
+export const LEARN_TARGETS: LearnTarget[] = PARAMS.flatMap((param): LearnTarget[] => {
+  if (param.kind === 'number') {
+    return [{ path: param.path, label: param.name, kind: 'number', min: param.min, max: param.max, step: param.step }]
+  }
+  if (param.kind === 'boolean') return [{ path: param.path, label: param.name, kind: 'boolean', min: 0, max: 1, step: 1 }]
+  return []
+})
+
+export { pathKey }
+
+export const mappingFromTarget = (target: LearnTarget, channel: number, controller: number): CcMapping => ({
+  channel, controller, path: target.path, kind: target.kind, min: target.min, max: target.max, step: target.step,
+})
+
+/** Scale a 0–127 CC value into the mapping's range, snapped to its step. */
+export const ccToValue = (mapping: CcMapping, value: number): number | boolean => {
+  const t = Math.max(0, Math.min(127, value)) / 127
+  if (mapping.kind === 'boolean') return t >= 0.5
+  const raw = mapping.min + t * (mapping.max - mapping.min)
+  const snapped = mapping.step > 0 ? Math.round(raw / mapping.step) * mapping.step : raw
+  // Strip float noise from the step multiply (e.g. 0.30000000000000004)
+  return Math.max(mapping.min, Math.min(mapping.max, Number(snapped.toFixed(6))))
+}
+
+/**
+ * Add a mapping, replacing any binding for the same CC or the same path so
+ * one knob drives one parameter and one parameter has one knob.
+ */
+export const upsertMapping = (mappings: CcMapping[], next: CcMapping): CcMapping[] => [
+  ...mappings.filter(m =>
+    !(m.channel === next.channel && m.controller === next.controller) && pathKey(m.path) !== pathKey(next.path)),
+  next,
+]
+
+// ─── Storage ──────────────────────────────────────────────────────────────────
+
+const MAPPINGS_STORAGE_KEY = 'oscillaphone_midi_mappings'
+
+const isMapping = (v: unknown): v is CcMapping => {
+  if (typeof v !== 'object' || v === null) return false
+  const m = v as Record<string, unknown>
+  return typeof m.channel === 'number' && typeof m.controller === 'number' &&
+    Array.isArray(m.path) && m.path.length > 0 && m.path.every(p => typeof p === 'string') &&
+    (m.kind === 'number' || m.kind === 'boolean') &&
+    typeof m.min === 'number' && typeof m.max === 'number' && typeof m.step === 'number'
+}
+
+/** Keep only well-formed mappings from an untrusted payload. */
+export const parseCcMappings = (data: unknown): CcMapping[] =>
+  Array.isArray(data) ? data.filter(isMapping) : []
+
+export const loadCcMappings = (): CcMapping[] => {
+  try {
+    const raw = localStorage.getItem(MAPPINGS_STORAGE_KEY)
+    return raw ? parseCcMappings(JSON.parse(raw)) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveCcMappings = (mappings: CcMapping[]): void => {
+  try {
+    localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(mappings))
+  } catch { /* storage unavailable (private browsing quota) */ }
+}
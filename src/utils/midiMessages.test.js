@@ -0,0 +1,78 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  frequencyToMidiNote,
+  volumeToMidiVelocity,
+  panToMidiValue,
+  noteOn,
+  noteOff,
+  controlChange,
+  buildMidiNote,
+  CC_PAN,
+} from './midiMessages'
+
+describe('frequencyToMidiNote', () => {
+  it('quantises to the nearest equal-tempered note', () => {
+    expect(frequencyToMidiNote(440)).toBe(69)
+    expect(frequencyToMidiNote(261.63)).toBe(60)
+    expect(frequencyToMidiNote(452)).toBe(69)   // +47 cents rounds down
+    expect(frequencyToMidiNote(454)).toBe(70)   // +54 cents rounds up
+  })
+
+  it('is relative to the A4 reference', () => {
+    expect(frequencyToMidiNote(432, 432)).toBe(69)
+    expect(frequencyToMidiNote(216, 432)).toBe(57)
+  })
+
+  it('clamps to the MIDI note range', () => {
+    expect(frequencyToMidiNote(1)).toBe(0)
+    expect(frequencyToMidiNote(30000)).toBe(127)
+  })
+})
+
+describe('value mapping', () => {
+  it('maps loudness to velocity 1–127', () => {
+    expect(volumeToMidiVelocity(1)).toBe(127)
+    expect(volumeToMidiVelocity(0.5)).toBe(64)
+    expect(volumeToMidiVelocity(0)).toBe(1)
+    expect(volumeToMidiVelocity(2)).toBe(127)
+  })
+
+  it('maps pan to CC values with 64 at centre', () => {
+    expect(panToMidiValue(-1)).toBe(0)
+    expect(panToMidiValue(0)).toBe(64)
+    expect(panToMidiValue(1)).toBe(127)
+    expect(panToMidiValue(5)).toBe(127)
+  })
+})
+
+describe('message bytes', () => {
+  it('encodes 1-based channels into the status byte', () => {
+    expect(noteOn(1, 60, 100)).toEqual([0x90, 60, 100])
+    expect(noteOn(16, 60, 100)).toEqual([0x9f, 60, 100])
+    expect(noteOff(2, 60)).toEqual([0x81, 60, 0])
+    expect(controlChange(3, CC_PAN, 64)).toEqual([0xb2, 10, 64])
+  })
+
+  it('clamps out-of-range channels', () => {
+    expect(noteOn(0, 60, 1)[0]).toBe(0x90)
+    expect(noteOn(20, 60, 1)[0]).toBe(0x9f)
+  })
+})
+
+describe('buildMidiNote', () => {
+  it('sends pan, then note-on, then note-off after the duration', () => {
+    const messages = buildMidiNote({ channel: 2, frequency: 440, volume: 1, pan: 1, duration: 0.25 })
+    expect(messages).toEqual([
+      { data: [0xb1, 10, 127], delay: 0 },
+      { data: [0x91, 69, 127], delay: 0 },
+      { data: [0x81, 69, 0], delay: 250 },
+    ])
+  })
+
+  it('pairs note-on and note-off on the same note', () => {
+    const [, on, off] = buildMidiNote({ channel: 1, frequency: 97.99, volume: 0.3, pan: 0, duration: 0.5, a4: 440 })
+    expect(on.data[1]).toBe(43)
+    expect(off.data[1]).toBe(on.data[1])
+  })
+})
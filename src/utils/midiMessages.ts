@@ -0,0 +1,78 @@
+import type { MidiSettings, OutputMode } from '../types/audio'
+
+/**
+ * Pure MIDI message builders for collision output. Nothing here touches the
+ * Web MIDI API, so tests can check the bytes without a port.
+ * Channels are 1-based (1–16) as shown to users; status bytes use 0-based.
+ */
+
+export const OUTPUT_MODES: Array<{ id: OutputMode; name: string }> = [
+  { id: 'audio', name: 'Audio' },
+  { id: 'midi',  name: 'MIDI' },
+  { id: 'both',  name: 'Both' },
+]
+
+/** Audio only until the user opts in; walls on channel 1, balls on channel 2. */
+export const DEFAULT_MIDI_SETTINGS: MidiSettings = { mode: 'audio', outputId: '', wallChannel: 1, circleChannel: 2 }
+
+export const NOTE_ON = 0x90
+export const NOTE_OFF = 0x80
+export const CONTROL_CHANGE = 0xb0
+export const CC_PAN = 10
+
+/** A MIDI message plus how long after the hit it should be sent, in ms. */
+export interface TimedMidiMessage {
+  data: number[]
+  delay: number
+}
+
+const clamp = (v: number, min: number, max: number): number => Math.max(min, Math.min(max, v))
+
+const statusByte = (status: number, channel: number): number =>
+  status | (clamp(Math.round(channel), 1, 16) - 1)
+
+/** Nearest MIDI note for a frequency, relative to the given A4 (note 69). */
+export const frequencyToMidiNote = (frequency: number, a4 = 440): number =>
+  clamp(Math.round(69 + 12 * Math.log2(frequency / a4)), 0, 127)
+
+/** Frequency of a MIDI note in 12-TET relative to the given A4. */
+export const midiNoteToFrequency = (note: number, a4 = 440): number =>
+  a4 * Math.pow(2, (note - 69) / 12)
+
+/** Map a 0..1 loudness (e.g. mapVelocityToVolume with max 1) to velocity 1–127. */
+export const volumeToMidiVelocity = (volume: number): number =>
+  clamp(Math.round(volume * 127), 1, 127)
+
+/** Map a stereo pan of -1..1 to a CC10 value (0 left, 64 centre, 127 right). */
+export const panToMidiValue = (pan: number): number =>
+  clamp(Math.round(((clamp(pan, -1, 1) + 1) / 2) * 127), 0, 127)
+
+export const noteOn = (channel: number, note: number, velocity: number): number[] =>
+  [statusByte(NOTE_ON, channel), note, velocity]
+
+export const noteOff = (channel: number, note: number): number[] =>
+  [statusByte(NOTE_OFF, channel), note, 0]
+
+export const controlChange = (channel: number, controller: number, value: number): number[] =>
+  [statusByte(CONTROL_CHANGE, channel), controller, value]
+
+export interface MidiNoteOptions {
+  channel: number
+  frequency: number
+  /** 0..1 loudness */
+  volume: number
+  pan: number
+  /** Seconds between note-on and note-off */
+  duration: number
+  a4?: number
+}
+
+/** Pan CC then note-on immediately, note-off after `duration`. */
+export const buildMidiNote = ({ channel, frequency, volume, pan, duration, a4 = 440 }: MidiNoteOptions): TimedMidiMessage[] => {
+  const note = frequencyToMidiNote(frequency, a4)
+  return [
+    { data: controlChange(channel, CC_PAN, panToMidiValue(pan)), delay: 0 },
+    { data: noteOn(channel, note, volumeToMidiVelocity(volume)), delay: 0 },
+    { data: noteOff(channel, note), delay: Math.max(0, duration) * 1000 },
+  ]
+}
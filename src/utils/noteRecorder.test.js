@@ -0,0 +1,48 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  startNoteRecording, stopNoteRecording, isNoteRecording, recordNoteEvent, getRecordedNotes, MAX_RECORDED_NOTES,
+} from './noteRecorder'
+
+const note = { frequency: 440, pan: 0, velocity: 5, settings: { waveform: 'sine', delay: { enabled: false } } }
+
+describe('noteRecorder', () => {
+  beforeEach(() => { stopNoteRecording() })
+
+  it('ignores notes while not recording', () => {
+    recordNoteEvent(1, note)
+    expect(isNoteRecording()).toBe(false)
+    expect(getRecordedNotes()).toEqual([])
+  })
+
+  it('timestamps notes relative to the start of the recording', () => {
+    startNoteRecording(10)
+    recordNoteEvent(10.5, note)
+    recordNoteEvent(12, { ...note, frequency: 220 })
+    const events = stopNoteRecording()
+    expect(events.map(e => e.time)).toEqual([0.5, 2])
+    expect(events[1].frequency).toBe(220)
+    expect(isNoteRecording()).toBe(false)
+  })
+
+  it('snapshots settings so later edits do not change the recording', () => {
+    const settings = { waveform: 'sine', delay: { enabled: false } }
+    startNoteRecording(0)
+    recordNoteEvent(0, { ...note, settings })
+    settings.delay.enabled = true
+    expect(getRecordedNotes()[0].settings.delay.enabled).toBe(false)
+  })
+
+  it('clears the previous take when a new recording starts', () => {
+    startNoteRecording(0)
+    recordNoteEvent(1, note)
+    startNoteRecording(5)
+    expect(getRecordedNotes()).toEqual([])
+  })
+
+  it('stops capturing at MAX_RECORDED_NOTES', () => {
+    startNoteRecording(0)
+    for (let i = 0; i < MAX_RECORDED_NOTES + 3; i++) recordNoteEvent(i, note)
+    expect(getRecordedNotes()).toHaveLength(MAX_RECORDED_NOTES)
+  })
+})
@@ -0,0 +1,53 @@
+import type { SoundSettings } from '../types/audio'
+
+/**
+ * Session recorder for offline export. While running, every note that
+ * actually sounded is logged with a settings snapshot so the performance can
+ * be re-rendered later through the same graph (see offlineRender.ts).
+ */
+
+export interface NoteEvent {
+  /** Seconds since the recording started. */
+  time: number
+  frequency: number
+  pan: number
+  velocity: number
+  settings: SoundSettings
+}
+
+/** Safety cap: each note becomes its own effect chain in the offline render. */
+export const MAX_RECORDED_NOTES = 5000
+
+let events: NoteEvent[] = []
+let startTime: number | null = null
+
+/** Begin a new recording; `now` is the audio-clock time of the first sample. */
+export const startNoteRecording = (now: number): void => {
+  events = []
+  startTime = now
+}
+
+/** Stop recording and return the captured events (oldest first). */
+export const stopNoteRecording = (): NoteEvent[] => {
+  startTime = null
+  return events
+}
+
+export const isNoteRecording = (): boolean => startTime !== null
+
+/** The events captured so far by the current or most recent recording. */
+export const getRecordedNotes = (): NoteEvent[] => events
+
+/**
+ * Log a note at audio-clock time `now`. Settings are deep-copied so the
+ * recording keeps the sound the note played with even if the caller later
+ * edits that settings object in place.
+ */
+export const recordNoteEvent = (now: number, note: Omit<NoteEvent, 'time'>): void => {
+  if (startTime === null || events.length >= MAX_RECORDED_NOTES) return
+  events.push({
+    ...note,
+    time: Math.max(0, now - startTime),
+    settings: structuredClone(note.settings),
+  })
+}
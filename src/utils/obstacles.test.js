@@ -0,0 +1,107 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  closestPointOnSegment,
+  collideWithObstacle,
+  hitTestObstacle,
+  moveObstacle,
+  newLine,
+  newPeg,
+  obstacleBoundingCircle,
+} from './obstacles'
+import { RESTING_SPEED } from './fields'
+
+const bounds = { width: 1000, height: 1000 }
+const ball = (overrides = {}) => ({ x: 500, y: 495, vx: 0, vy: 5, radius: 10, color: 'red', ...overrides })
+// Horizontal floor across the middle of the canvas
+const floor = () => ({ ...newLine([{ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 }]), bounce: 1 })
+
+describe('closestPointOnSegment', () => {
+  const segment = { ax: 0, ay: 0, bx: 10, by: 0 }
+
+  it('projects onto the segment', () => {
+    expect(closestPointOnSegment(4, 3, segment)).toEqual({ x: 4, y: 0 })
+  })
+
+  it('clamps to the end points', () => {
+    expect(closestPointOnSegment(-5, 2, segment)).toEqual({ x: 0, y: 0 })
+    expect(closestPointOnSegment(15, 2, segment)).toEqual({ x: 10, y: 0 })
+  })
+})
+
+describe('collideWithObstacle', () => {
+  it('ignores a ball that is clear of the obstacle', () => {
+    expect(collideWithObstacle(ball({ y: 400 }), floor(), bounds)).toBeNull()
+  })
+
+  it('reflects a ball hitting a line and pushes it out', () => {
+    const result = collideWithObstacle(ball(), floor(), bounds)
+    expect(result.state.vy).toBeCloseTo(-5)
+    expect(result.state.y).toBeCloseTo(490)
+    expect(result.hit).toMatchObject({ x: 500, y: 500, speed: 5, nx: 0, ny: -1 })
+  })
+
+  it('scales the rebound by the obstacle bounce', () => {
+    const result = collideWithObstacle(ball(), { ...floor(), bounce: 0.5 }, bounds)
+    expect(result.state.vy).toBeCloseTo(-2.5)
+  })
+
+  it('keeps tangential velocity', () => {
+    const result = collideWithObstacle(ball({ vx: 3 }), floor(), bounds)
+    expect(result.state.vx).toBeCloseTo(3)
+  })
+
+  it('only separates a ball already moving away', () => {
+    const result = collideWithObstacle(ball({ vy: -5 }), floor(), bounds)
+    expect(result.state.vy).toBe(-5)
+    expect(result.hit).toBeNull()
+  })
+
+  it('absorbs a resting contact without a hit', () => {
+    const result = collideWithObstacle(ball({ vy: RESTING_SPEED * 0.5 }), floor(), bounds)
+    expect(result.state.vy).toBeCloseTo(0)
+    expect(result.hit).toBeNull()
+  })
+
+  it('bounces off a peg along the line between centres', () => {
+    const peg = { ...newPeg(0.5, 0.5, 20), bounce: 1 }
+    const result = collideWithObstacle(ball({ x: 475, y: 500, vx: 4, vy: 0 }), peg, bounds)
+    expect(result.state.vx).toBeCloseTo(-4)
+    expect(result.state.x).toBeCloseTo(470)
+    expect(result.hit).toMatchObject({ x: 480, y: 500, speed: 4 })
+  })
+
+  it('uses the nearest segment of a polyline', () => {
+    const vee = { ...newLine([{ x: 0.4, y: 0.4 }, { x: 0.5, y: 0.5 }, { x: 0.6, y: 0.4 }]), bounce: 1 }
+    const result = collideWithObstacle(ball({ x: 545, y: 450, vx: 0, vy: 5 }), vee, bounds)
+    // The right arm faces up and to the left, so a ball dropped onto it is
+    // sent towards the middle of the V
+    expect(result.state.vx).toBeCloseTo(-5)
+    expect(result.state.vy).toBeCloseTo(0)
+  })
+})
+
+describe('hitTestObstacle', () => {
+  it('picks lines within the tolerance', () => {
+    expect(hitTestObstacle(floor(), 500, 505, bounds, 8)).toBe(true)
+    expect(hitTestObstacle(floor(), 500, 520, bounds, 8)).toBe(false)
+  })
+
+  it('picks anywhere inside a peg', () => {
+    expect(hitTestObstacle(newPeg(0.5, 0.5, 20), 500, 500, bounds)).toBe(true)
+  })
+})
+
+describe('obstacleBoundingCircle / moveObstacle', () => {
+  it('contains the whole line', () => {
+    expect(obstacleBoundingCircle(floor(), bounds)).toEqual({ x: 500, y: 500, radius: 300 })
+  })
+
+  it('moves every point of a line and the centre of a peg', () => {
+    const line = moveObstacle(floor(), 0.1, -0.1)
+    expect(line.points[0].x).toBeCloseTo(0.3)
+    expect(line.points[1].y).toBeCloseTo(0.4)
+    const peg = moveObstacle(newPeg(0.5, 0.5), 0.1, 0)
+    expect(peg.x).toBeCloseTo(0.6)
+  })
+})
@@ -0,0 +1,169 @@
+import type {
+  Bounds,
+  CircleState,
+  NormalizedPoint,
+  Obstacle,
+  ObstacleHit,
+  PegObstacle,
+  LineObstacle,
+} from '../types/physics'
+import type { BallVoice } from '../types/audio'
+import { DEFAULT_VOICE } from './voices'
+import { RESTING_SPEED } from './fields'
+
+/**
+ * Static colliders drawn on the canvas. Points are stored normalised so a
+ * layout survives resizes; collision maths runs in px against `bounds`.
+ */
+
+export const DEFAULT_OBSTACLE_BOUNCE = 0.9
+export const DEFAULT_PEG_RADIUS = 12
+export const PEG_RADIUS_RANGE = { MIN: 4, MAX: 60 }
+
+/** Obstacles play a fixed note by default, so a layout is a playable instrument. */
+export const DEFAULT_OBSTACLE_VOICE: BallVoice = {
+  ...DEFAULT_VOICE,
+  pitch: { mode: 'fixed', low: 60, high: 72 },
+}
+
+/** How close (px) a click must be to an obstacle to grab it in edit mode. */
+export const PICK_TOLERANCE = 8
+
+const newObstacleId = (): string => `obstacle-${Date.now()}-${Math.round(Math.random() * 1e6)}`
+
+export const newPeg = (x: number, y: number, radius = DEFAULT_PEG_RADIUS): PegObstacle => ({
+  id: newObstacleId(),
+  kind: 'peg',
+  x,
+  y,
+  radius,
+  bounce: DEFAULT_OBSTACLE_BOUNCE,
+  voice: structuredClone(DEFAULT_OBSTACLE_VOICE),
+})
+
+export const newLine = (points: NormalizedPoint[]): LineObstacle => ({
+  id: newObstacleId(),
+  kind: 'line',
+  points,
+  bounce: DEFAULT_OBSTACLE_BOUNCE,
+  voice: structuredClone(DEFAULT_OBSTACLE_VOICE),
+})
+
+// ─── Geometry ─────────────────────────────────────────────────────────────────
+
+interface Segment {
+  ax: number
+  ay: number
+  bx: number
+  by: number
+}
+
+/** The obstacle's line segments in px; a peg has none. */
+export const obstacleSegments = (obstacle: Obstacle, bounds: Bounds): Segment[] => {
+  if (obstacle.kind !== 'line') return []
+  const segments: Segment[] = []
+  for (let i = 1; i < obstacle.points.length; i++) {
+    const a = obstacle.points[i - 1]
+    const b = obstacle.points[i]
+    segments.push({
+      ax: a.x * bounds.width, ay: a.y * bounds.height,
+      bx: b.x * bounds.width, by: b.y * bounds.height,
+    })
+  }
+  return segments
+}
+
+/** Centre and radius (px) of a circle that contains the whole obstacle, for broad-phase insertion. */
+export const obstacleBoundingCircle = (obstacle: Obstacle, bounds: Bounds): { x: number; y: number; radius: number } => {
+  if (obstacle.kind === 'peg') {
+    return { x: obstacle.x * bounds.width, y: obstacle.y * bounds.height, radius: obstacle.radius }
+  }
+  const xs = obstacle.points.map(p => p.x * bounds.width)
+  const ys = obstacle.points.map(p => p.y * bounds.height)
+  const minX = Math.min(...xs), maxX = Math.max(...xs)
+  const minY = Math.min(...ys), maxY = Math.max(...ys)
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, radius: Math.hypot(maxX - minX, maxY - minY) / 2 }
+}
+
+/** Closest point to (px, py) on segment a→b. */
+export const closestPointOnSegment = (px: number, py: number, { ax, ay, bx, by }: Segment): { x: number; y: number } => {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSquared = dx * dx + dy * dy
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+  return { x: ax + t * dx, y: ay + t * dy }
+}
+
+/**
+ * Nearest contact between a point and the obstacle's surface: the contact
+ * point, the unit normal towards the point and the distance from the surface.
+ */
+const nearestContact = (
+  obstacle: Obstacle, x: number, y: number, bounds: Bounds,
+): { x: number; y: number; nx: number; ny: number; distance: number } | null => {
+  if (obstacle.kind === 'peg') {
+    const cx = obstacle.x * bounds.width
+    const cy = obstacle.y * bounds.height
+    const d = Math.hypot(x - cx, y - cy)
+    // Exactly on the centre: push straight up
+    const nx = d === 0 ? 0 : (x - cx) / d
+    const ny = d === 0 ? -1 : (y - cy) / d
+    return { x: cx + nx * obstacle.radius, y: cy + ny * obstacle.radius, nx, ny, distance: d - obstacle.radius }
+  }
+  let best: { x: number; y: number; nx: number; ny: number; distance: number } | null = null
+  for (const segment of obstacleSegments(obstacle, bounds)) {
+    const p = closestPointOnSegment(x, y, segment)
+    const d = Math.hypot(x - p.x, y - p.y)
+    if (best && d >= best.distance) continue
+    if (d === 0) {
+      // Centre on the line: use the segment's left-hand normal
+      const length = Math.hypot(segment.bx - segment.ax, segment.by - segment.ay) || 1
+      best = { ...p, nx: -(segment.by - segment.ay) / length, ny: (segment.bx - segment.ax) / length, distance: 0 }
+    } else {
+      best = { ...p, nx: (x - p.x) / d, ny: (y - p.y) / d, distance: d }
+    }
+  }
+  return best
+}
+
+/** True if (x, y) is within `tolerance` px of the obstacle (inside a peg counts). */
+export const hitTestObstacle = (obstacle: Obstacle, x: number, y: number, bounds: Bounds, tolerance = PICK_TOLERANCE): boolean => {
+  const contact = nearestContact(obstacle, x, y, bounds)
+  return contact !== null && contact.distance <= tolerance
+}
+
+/**
+ * Collide one ball with one obstacle. Overlap is pushed out along the contact
+ * normal; motion into the surface is reflected with the obstacle's bounce.
+ * Returns the updated state and, for an audible bounce, the hit. A rebound
+ * slower than RESTING_SPEED is absorbed and reported as no hit, as with walls.
+ */
+export const collideWithObstacle = (
+  state: CircleState, obstacle: Obstacle, bounds: Bounds,
+): { state: CircleState; hit: ObstacleHit | null } | null => {
+  const contact = nearestContact(obstacle, state.x, state.y, bounds)
+  if (!contact || contact.distance >= state.radius) return null
+
+  const { nx, ny } = contact
+  const push = state.radius - contact.distance
+  const next: CircleState = { ...state, x: state.x + nx * push, y: state.y + ny * push }
+
+  const vn = state.vx * nx + state.vy * ny
+  if (vn >= 0) return { state: next, hit: null }
+
+  const rebound = -vn * obstacle.bounce
+  const resting = rebound < RESTING_SPEED
+  const change = resting ? -vn : -vn + rebound
+  next.vx = state.vx + change * nx
+  next.vy = state.vy + change * ny
+  return {
+    state: next,
+    hit: resting ? null : { obstacle, x: contact.x, y: contact.y, speed: -vn, nx, ny },
+  }
+}
+
+/** Shift an obstacle by a normalised offset. */
+export const moveObstacle = (obstacle: Obstacle, dx: number, dy: number): Obstacle =>
+  obstacle.kind === 'peg'
+    ? { ...obstacle, x: obstacle.x + dx, y: obstacle.y + dy }
+    : { ...obstacle, points: obstacle.points.map(p => ({ x: p.x + dx, y: p.y + dy })) }
@@ -0,0 +1,201 @@
+// @ts-nocheck
+/**
+ * Offline render tests. OfflineAudioContext is replaced by a recording mock so
+ * the graph the renderer builds can be inspected in Node; the real
+ * AudioNodePool and EffectChain run against it.
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { renderNoteEvents, renderLength } from './offlineRender'
+import { DEFAULT_SENDS } from './sendBus'
+import { getAudioPoolStats } from './audioPool'
+import { makeBuffer, makeNode, makeParam } from '../test/mockAudioGraph'
+
+class MockOfflineAudioContext {
+  constructor(channels, length, sampleRate) {
+    this.channels = channels
+    this.length = length
+    this.sampleRate = sampleRate
+    this.currentTime = 0
+    this.destination = makeNode('destination')
+    this.oscillators = []
+    this.compressors = []
+    this.gains = []
+    this.convolvers = []
+    MockOfflineAudioContext.instances.push(this)
+  }
+  createGain() { const g = makeNode('gain', { gain: makeParam(1) }); this.gains.push(g); return g }
+  createStereoPanner() { return makeNode('panner', { pan: makeParam() }) }
+  createDelay() { return makeNode('delay', { delayTime: makeParam() }) }
+  createWaveShaper() { return makeNode('waveshaper', { curve: null, oversample: 'none' }) }
+  createConvolver() { const c = makeNode('convolver', { buffer: null }); this.convolvers.push(c); return c }
+  createBiquadFilter() {
+    return makeNode('biquad', { type: 'lowpass', frequency: makeParam(), Q: makeParam(), gain: makeParam() })
+  }
+  createDynamicsCompressor() {
+    const c = makeNode('compressor', {
+      threshold: makeParam(), knee: makeParam(), ratio: makeParam(), attack: makeParam(), release: makeParam(),
+    })
+    this.compressors.push(c)
+    return c
+  }
+  createOscillator() {
+    const o = makeNode('oscillator', {
+      type: 'sine', frequency: makeParam(440), detune: makeParam(), start: vi.fn(), stop: vi.fn(),
+    })
+    this.oscillators.push(o)
+    return o
+  }
+  createBuffer(numChannels, length, sampleRate) { return makeBuffer(numChannels, length, sampleRate) }
+  startRendering() {
+    return Promise.resolve({ length: this.length, sampleRate: this.sampleRate, duration: this.length / this.sampleRate })
+  }
+}
+MockOfflineAudioContext.instances = []
+
+const settings = (overrides = {}) => ({
+  waveform: 'triangle',
+  duration: 0.5,
+  volume: 0.2,
+  detune: 0,
+  pitchMapping: 'random',
+  envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.25, curve: 'linear' },
+  filter: { enabled: false, type: 'lowpass', cutoff: 2000, q: 1, envAmount: 0, velocityAmount: 0 },
+  delay: { enabled: false, time: 0.3, feedback: 0.3, mix: 0.3 },
+  reverb: { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 },
+  distortion: { enabled: false, amount: 0.5, oversample: '2x', mix: 0.3 },
+  tremolo: { enabled: false, rate: 4, depth: 0.5, mix: 0.5 },
+  ...overrides,
+})
+
+// The master EQ's bands, found from the note chains that feed the first one
+const eqBands = (ctx) => {
+  const low = ctx.gains.flatMap(g => g.connections).find(node => node.type === 'lowshelf')
+  const mid = low.connections[0]
+  return { low, mid, high: mid.connections[0] }
+}
+
+const events = [
+  { time: 0, frequency: 220, pan: -0.5, velocity: 10, settings: settings() },
+  { time: 1.25, frequency: 330, pan: 0.5, velocity: 3, settings: settings({ waveform: 'square' }) },
+]
+
+describe('renderLength', () => {
+  it('covers the last note, its release, its effect tail, and the padding', () => {
+    const withReverb = settings({ reverb: { enabled: true, roomSize: 0.5, damping: 0.3, mix: 0.3 } })
+    expect(renderLength([{ ...events[0], time: 2, settings: withReverb }], 0.5)).toBeCloseTo(2 + 0.5 + 0.25 + 1.4 + 0.5)
+    expect(renderLength(events, 0)).toBeCloseTo(2)
+  })
+
+  it('uses the bus tail for notes that send to the shared buses', () => {
+    const sends = { ...DEFAULT_SENDS, routing: 'sends' }
+    const withReverb = settings({ reverb: { enabled: true, roomSize: 0.1, damping: 0.3, mix: 0.3 } })
+    const event = { ...events[0], time: 2, settings: withReverb }
+    expect(renderLength([event], 0, sends)).toBeCloseTo(2 + 0.5 + 0.25 + 0.3 + 0.6 * 2.2)
+    expect(renderLength([{ ...event, settings: settings() }], 0, sends)).toBeCloseTo(2 + 0.5 + 0.25)
+  })
+})
+
+describe('renderNoteEvents', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    MockOfflineAudioContext.instances = []
+  })
+
+  it('rejects an empty recording', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    await expect(renderNoteEvents([])).rejects.toThrow('Nothing recorded')
+  })
+
+  it('renders a stereo buffer long enough for every note', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    const buffer = await renderNoteEvents(events, { sampleRate: 48000, padding: 0.5 })
+    const [ctx] = MockOfflineAudioContext.instances
+    expect(ctx.channels).toBe(2)
+    expect(ctx.sampleRate).toBe(48000)
+    expect(buffer.length).toBe(Math.ceil((2 + 0.5) * 48000))
+  })
+
+  it('schedules each note at its recorded time with its own settings', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    await renderNoteEvents(events)
+    const [ctx] = MockOfflineAudioContext.instances
+    // The pool pre-allocates no oscillators, so these are exactly the notes
+    expect(ctx.oscillators).toHaveLength(2)
+    const [first, second] = ctx.oscillators
+    expect(first.type).toBe('triangle')
+    expect(first.frequency.setValueAtTime).toHaveBeenCalledWith(220, 0)
+    expect(first.start).toHaveBeenCalledWith(0)
+    expect(second.type).toBe('square')
+    expect(second.frequency.setValueAtTime).toHaveBeenCalledWith(330, 1.25)
+    expect(second.start).toHaveBeenCalledWith(1.25)
+    expect(second.stop).toHaveBeenCalledWith(1.25 + 0.5 + 0.25)
+  })
+
+  it('routes notes through EQ → compressor → limiter → master → destination', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    await renderNoteEvents(events, { masterVolume: 0.4 })
+    const [ctx] = MockOfflineAudioContext.instances
+    const [compressor, limiter] = ctx.compressors
+    expect(compressor.threshold.value).toBe(-24)
+    expect(limiter.ratio.value).toBe(20)
+    expect(compressor.connections).toEqual([limiter])
+    const master = limiter.connections[0]
+    expect(master.gain.value).toBe(0.4)
+    expect(master.connections).toEqual([ctx.destination])
+    const { low, mid, high } = eqBands(ctx)
+    expect(mid.type).toBe('peaking')
+    expect(high.type).toBe('highshelf')
+    expect(high.connections).toEqual([compressor])
+    // Every chain output feeds the EQ
+    const chainOutputs = ctx.gains.filter(g => g.connections.includes(low))
+    expect(chainOutputs).toHaveLength(events.length)
+  })
+
+  it('renders with the given master settings', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    await renderNoteEvents(events, {
+      master: {
+        eq: { low: 3, mid: 0, high: -6 },
+        compressor: { bypass: true, threshold: -30, knee: 6, ratio: 8, attack: 0.01, release: 0.2 },
+        limiter: { bypass: false, threshold: -1, release: 0.05 },
+      },
+    })
+    const [ctx] = MockOfflineAudioContext.instances
+    const [compressor, limiter] = ctx.compressors
+    const { low, high } = eqBands(ctx)
+    expect(low.gain.value).toBe(3)
+    expect(high.gain.value).toBe(-6)
+    // Bypass leaves the compressor at 1:1
+    expect(compressor.ratio.value).toBe(1)
+    expect(limiter.threshold.value).toBe(-1)
+    expect(limiter.ratio.value).toBe(20)
+  })
+
+  it('sends reverb and delay to shared buses in send routing', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    const wet = settings({ reverb: { enabled: true, roomSize: 0.5, damping: 0.3, mix: 0.4 } })
+    const sends = { ...DEFAULT_SENDS, routing: 'sends' }
+    await renderNoteEvents([{ ...events[0], settings: wet }, events[1]], { sends })
+    const [ctx] = MockOfflineAudioContext.instances
+    const { low } = eqBands(ctx)
+    // The bus's convolver is the only one with a room; the notes' own stay empty
+    const withRoom = ctx.convolvers.filter(c => c.buffer)
+    expect(withRoom).toHaveLength(1)
+    const [busConvolver] = withRoom
+    const reverbInput = ctx.gains.find(g => g.connections.includes(busConvolver))
+    const reverbReturn = busConvolver.connections[0]
+    expect(reverbReturn.connections).toEqual([low])
+    // Both notes' chains feed the bus; the wet one at its mix, the dry one at 0
+    const senders = ctx.gains.filter(g => g.connections.includes(reverbInput))
+    expect(senders).toHaveLength(2)
+    expect(senders.map(g => g.gain.setValueAtTime.mock.calls.at(-1)[0]).sort()).toEqual([0, 0.4])
+    // Tails ring on the bus, so the wet note stops when its envelope ends
+    expect(ctx.oscillators[0].stop).toHaveBeenCalledWith(0.5 + 0.25)
+  })
+
+  it('never creates the live context pool', async () => {
+    vi.stubGlobal('OfflineAudioContext', MockOfflineAudioContext)
+    await renderNoteEvents(events)
+    expect(getAudioPoolStats()).toBeNull()
+  })
+})
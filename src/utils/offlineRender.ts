@@ -0,0 +1,85 @@
+import { AudioNodePool } from './audioPool'
+import { EffectChain } from './effectChains'
+import { effectTailTime, mapVelocityToVolume, scheduleNote } from './sound'
+import { DEFAULT_MASTER, buildMasterChain } from './masterBus'
+import { DEFAULT_SENDS, buildSendBus, sendLevels, sendTailTime } from './sendBus'
+import { DEFAULT_ENVELOPE, envelopeLength } from './envelope'
+import type { NoteEvent } from './noteRecorder'
+import type { MasterSettings, SendSettings } from '../types/audio'
+
+/**
+ * Offline export: re-render recorded note events through the same
+ * EffectChain graph and EQ → compressor → limiter → master chain the live app
+ * uses, faster than real time, into a stereo AudioBuffer.
+ */
+
+export interface OfflineRenderOptions {
+  sampleRate?: number
+  /** Master gain, normally the current globalVolume. */
+  masterVolume?: number
+  /** Master EQ and dynamics, normally the current AudioState.master. */
+  master?: MasterSettings
+  /** Effect routing and shared buses, normally the current AudioState.sends. */
+  sends?: SendSettings
+  /** Extra silence after the last tail ends, in seconds. */
+  padding?: number
+}
+
+// Same fallbacks as playCollisionBeep / playWallCollisionBeep
+const DEFAULT_DURATION = 0.25
+const DEFAULT_MAX_VOLUME = 0.15
+
+const noteDuration = (event: NoteEvent): number => event.settings.duration ?? DEFAULT_DURATION
+
+/** How long a note rings after its envelope: its own effects' tail, or the buses' if it sends to them. */
+const noteTailTime = (event: NoteEvent, sends: SendSettings): number => {
+  if (sends.routing !== 'sends') return effectTailTime(event.settings)
+  const { reverb, delay } = sendLevels(event.settings)
+  return reverb > 0 || delay > 0 ? sendTailTime(sends) : 0
+}
+
+/** Length in seconds needed to hold every note including its release and effect tail. */
+export const renderLength = (events: NoteEvent[], padding = 0.5, sends: SendSettings = DEFAULT_SENDS): number =>
+  events.reduce(
+    (end, event) => Math.max(
+      end,
+      event.time + envelopeLength(event.settings.envelope ?? DEFAULT_ENVELOPE, noteDuration(event))
+        + noteTailTime(event, sends),
+    ),
+    0,
+  ) + padding
+
+/**
+ * Render `events` to an AudioBuffer. Each note gets its own chain so that
+ * non-automatable state (IR buffer, distortion curve, LFO) can't leak between
+ * overlapping notes; chains come from a pool private to this render so the
+ * live context's pool is never touched. That also means no polyphony limit:
+ * a note the live allocator stole plays to its end here (dropped notes were
+ * never recorded).
+ */
+export const renderNoteEvents = async (
+  events: NoteEvent[],
+  {
+    sampleRate = 44100, masterVolume = 0.7, master = DEFAULT_MASTER, sends = DEFAULT_SENDS, padding = 0.5,
+  }: OfflineRenderOptions = {},
+): Promise<AudioBuffer> => {
+  if (events.length === 0) throw new Error('Nothing recorded to export')
+
+  const length = Math.ceil(renderLength(events, padding, sends) * sampleRate)
+  const ctx = new OfflineAudioContext(2, length, sampleRate)
+  const { input } = buildMasterChain(ctx, Math.max(0, Math.min(1, masterVolume)), master)
+  const sendBus = sends.routing === 'sends' ? buildSendBus(ctx, input, sends) : undefined
+  const pool = new AudioNodePool(ctx)
+
+  for (const event of events) {
+    const chain = new EffectChain(ctx, 'offline', pool)
+    const maxVolume = event.settings.volume ?? DEFAULT_MAX_VOLUME
+    scheduleNote(
+      ctx, chain, input,
+      event.frequency, noteDuration(event), mapVelocityToVolume(event.velocity, maxVolume),
+      event.pan, event.settings, event.time, mapVelocityToVolume(event.velocity, 1), sendBus,
+    )
+  }
+
+  return ctx.startRendering()
+}
@@ -0,0 +1,164 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_SOUND_SETTINGS,
+  PARAMS,
+  formatParam,
+  fromSliderPosition,
+  getIn,
+  getParam,
+  morphParams,
+  paramSnapshot,
+  pathKey,
+  randomizeParams,
+  snapParam,
+  sliderRange,
+  toSliderPosition,
+} from './params'
+import { createRandom } from './random'
+
+const state = {
+  globalVolume: 1,
+  wallSettings: DEFAULT_SOUND_SETTINGS,
+  circleSettings: DEFAULT_SOUND_SETTINGS,
+}
+
+describe('registry', () => {
+  it('describes each path once', () => {
+    const keys = PARAMS.map(param => pathKey(param.path))
+    expect(new Set(keys).size).toBe(keys.length)
+  })
+
+  it('takes defaults from the default settings', () => {
+    expect(getParam(['circleSettings', 'volume']).default).toBe(DEFAULT_SOUND_SETTINGS.volume)
+    expect(getParam(['wallSettings', 'filter', 'cutoff']).default).toBe(DEFAULT_SOUND_SETTINGS.filter.cutoff)
+    expect(getParam(['globalVolume']).default).toBe(1)
+  })
+
+  it('keeps every default inside its range and random range', () => {
+    for (const param of PARAMS) {
+      if (param.kind === 'number') {
+        expect(param.default).toBeGreaterThanOrEqual(param.min)
+        expect(param.default).toBeLessThanOrEqual(param.max)
+        if (param.random) {
+          expect(param.random[0]).toBeGreaterThanOrEqual(param.min)
+          expect(param.random[1]).toBeLessThanOrEqual(param.max)
+        }
+      } else if (param.kind === 'choice') {
+        expect(param.options.map(o => o.id)).toContain(param.default)
+      }
+    }
+  })
+
+  it('throws for an unknown path', () => {
+    expect(() => getParam(['circleSettings', 'nope'])).toThrow('Unknown parameter circleSettings.nope')
+  })
+
+  it('leaves the wall pitch source out of ball hits', () => {
+    const ids = getParam(['circleSettings', 'pitchMapping']).options.map(o => o.id)
+    expect(ids).not.toContain('wall')
+    expect(getParam(['wallSettings', 'pitchMapping']).options.map(o => o.id)).toContain('wall')
+  })
+})
+
+describe('values', () => {
+  const mix = getParam(['circleSettings', 'reverb', 'mix'])
+  const cutoff = getParam(['circleSettings', 'filter', 'cutoff'])
+
+  it('snaps to the step and clamps to the range', () => {
+    expect(snapParam(mix, 0.34)).toBe(0.3)
+    expect(snapParam(mix, 1.7)).toBe(1)
+    expect(snapParam(mix, -1)).toBe(0)
+  })
+
+  it('moves a log slider in octaves', () => {
+    expect(sliderRange(cutoff)).toEqual({ min: Math.log2(20), max: Math.log2(20000), step: 0.01 })
+    expect(toSliderPosition(cutoff, 1000)).toBeCloseTo(Math.log2(1000))
+    expect(fromSliderPosition(cutoff, Math.log2(1000))).toBe(1000)
+    expect(fromSliderPosition(mix, 0.5)).toBe(0.5)
+  })
+
+  it('formats by unit', () => {
+    expect(formatParam(mix, 0.3)).toBe('30%')
+    expect(formatParam(cutoff, 2500)).toBe('2.5 kHz')
+    expect(formatParam(getParam(['master', 'compressor', 'attack']), 0.003)).toBe('3 ms')
+    expect(formatParam(getParam(['circleSettings', 'source', 'unison', 'voices']), 1)).toBe('Off')
+    expect(formatParam(getParam(['lifecycle', 'lifetime']), 0)).toBe('Forever')
+    expect(formatParam(getParam(['lifecycle', 'lifetime']), 12)).toBe('12s')
+    expect(formatParam(getParam(['lifecycle', 'split', 'transpose']), 7)).toBe('+7 st')
+    expect(formatParam(getParam(['physics', 'substeps']), 4)).toBe('4×')
+  })
+})
+
+describe('randomizeParams', () => {
+  it('draws every unlocked parameter inside its random range', () => {
+    const changes = randomizeParams(new Set(), createRandom(1))
+    expect(changes.length).toBeGreaterThan(0)
+    for (const { path, value } of changes) {
+      const param = getParam(path)
+      expect(param.random).not.toBe(false)
+      if (param.kind === 'number') {
+        expect(value).toBeGreaterThanOrEqual(param.random[0])
+        expect(value).toBeLessThanOrEqual(param.random[1])
+      } else if (param.kind === 'choice') {
+        expect(param.random).toContain(value)
+      }
+    }
+  })
+
+  it('never picks a sample source or touches tuning', () => {
+    const changes = randomizeParams(new Set(), () => 0.99)
+    expect(changes.find(c => pathKey(c.path) === 'circleSettings.source.type').value).not.toBe('sample')
+    expect(changes.some(c => c.path[0] === 'tuning')).toBe(false)
+  })
+
+  it('leaves locked sections alone', () => {
+    const changes = randomizeParams(new Set(['wall', 'master']), createRandom(2))
+    expect(changes.some(c => c.path[0] === 'wallSettings' || c.path[0] === 'master')).toBe(false)
+    expect(changes.some(c => c.path[0] === 'circleSettings')).toBe(true)
+  })
+
+  it('repeats for the same random sequence', () => {
+    expect(randomizeParams(new Set(), createRandom(3))).toEqual(randomizeParams(new Set(), createRandom(3)))
+  })
+})
+
+describe('morphParams', () => {
+  const a = paramSnapshot(state)
+  const b = {
+    ...a,
+    'circleSettings.volume': 0.35,
+    'circleSettings.filter.cutoff': 8000,
+    'circleSettings.waveform': 'square',
+  }
+  const value = (changes, key) => changes.find(c => pathKey(c.path) === key)?.value
+
+  it('returns only the parameters the states disagree on', () => {
+    expect(morphParams(a, b, 0.5).map(c => pathKey(c.path)).sort())
+      .toEqual(['circleSettings.filter.cutoff', 'circleSettings.volume', 'circleSettings.waveform'])
+  })
+
+  it('interpolates numbers, geometrically on a log curve', () => {
+    const half = morphParams(a, b, 0.5)
+    expect(value(half, 'circleSettings.volume')).toBe(0.25)
+    expect(value(half, 'circleSettings.filter.cutoff')).toBe(Math.round(Math.sqrt(2000 * 8000)))
+  })
+
+  it('switches choices half way', () => {
+    expect(value(morphParams(a, b, 0.49), 'circleSettings.waveform')).toBe('sine')
+    expect(value(morphParams(a, b, 0.5), 'circleSettings.waveform')).toBe('square')
+  })
+
+  it('lands on each end', () => {
+    expect(value(morphParams(a, b, 0), 'circleSettings.volume')).toBe(0.15)
+    expect(value(morphParams(a, b, 1), 'circleSettings.volume')).toBe(0.35)
+  })
+})
+
+describe('paramSnapshot', () => {
+  it('reads each registry path', () => {
+    const snapshot = paramSnapshot(state)
+    expect(snapshot['circleSettings.envelope.attack']).toBe(getIn(state, ['circleSettings', 'envelope', 'attack']))
+    expect(snapshot['master.eq.low']).toBeUndefined()
+  })
+})
@@ -0,0 +1,416 @@
+import type {
+  AudioState, EnvelopeCurve, FilterType, OversampleType, SoundSettings,
+} from '../types/audio'
+import { DEFAULT_ENVELOPE, DEFAULT_FILTER } from './envelope'
+import { DEFAULT_SOURCE, MAX_UNISON_VOICES, NOISE_COLORS, SOURCE_TYPES, WAVEFORMS } from './sources'
+import { PITCH_MAPPINGS } from './pitchMapping'
+import { DEFAULT_MASTER } from './masterBus'
+import { DEFAULT_SENDS, EFFECT_ROUTINGS } from './sendBus'
+import { DEFAULT_TRANSPORT, GRID_DIVISIONS } from './transport'
+import { DEFAULT_PHYSICS } from './fields'
+import { DEFAULT_TUNING, TUNING_SYSTEMS } from './scales'
+import { VOICE_NOTE_RANGE, midiNoteName } from './voices'
+import { DEFAULT_POLYPHONY, MAX_POLYPHONY, STEAL_MODES } from './effectChains'
+import { DEFAULT_LIFECYCLE } from './lifecycle'
+import { BACKGROUND_MODES, COLOR_MODES, DEFAULT_VISUALS, RENDERERS, THEMES } from './colorThemes'
+import { DEFAULT_MIDI_SETTINGS, OUTPUT_MODES } from './midiMessages'
+import { SUBSTEP_RANGE } from './world'
+
+/**
+ * The parameter registry: every tweakable scalar in AudioState, described
+ * once with its range, step, unit, default and slider curve. The panels
+ * draw their controls from it (see ParamControl), MIDI learn offers it, and
+ * Randomize and Morph walk it (see randomizeParams / morphParams). Paths are
+ * AudioState paths, as carried by SET actions.
+ */
+
+export type ParamSection =
+  | 'global' | 'master' | 'sends' | 'transport' | 'physics' | 'ball' | 'wall'
+  | 'polyphony' | 'lifecycle' | 'display' | 'midi'
+
+export const PARAM_SECTIONS: Array<{ id: ParamSection; name: string }> = [
+  { id: 'ball',      name: 'Ball Sound' },
+  { id: 'wall',      name: 'Wall Sound' },
+  { id: 'master',    name: 'Master' },
+  { id: 'sends',     name: 'Send Buses' },
+  { id: 'global',    name: 'Global' },
+  { id: 'transport', name: 'Transport' },
+  { id: 'physics',   name: 'Physics' },
+  { id: 'polyphony', name: 'Polyphony' },
+  { id: 'lifecycle', name: 'Lifecycle' },
+  { id: 'display',   name: 'Display' },
+  { id: 'midi',      name: 'MIDI Out' },
+]
+
+/**
+ * How a value is shown: percent (0..1 as %), seconds, ms (seconds shown as
+ * ms), cents, hz, rate (Hz to 0.1), octaves, db, ratio (n:1), times (n×),
+ * q, bpm, voices (unison count), note (MIDI note name), semitones, px,
+ * count, or plain.
+ */
+export type ParamUnit =
+  | 'percent' | 'seconds' | 'ms' | 'cents' | 'hz' | 'rate' | 'octaves' | 'db' | 'ratio' | 'times'
+  | 'q' | 'bpm' | 'voices' | 'note' | 'semitones' | 'px' | 'count' | 'plain'
+
+/** 'log' sliders give every octave the same travel (and Randomize draws that way too). */
+export type ParamCurve = 'linear' | 'log'
+
+interface ParamBase {
+  path: string[]
+  /** Short label for the control, e.g. "Attack" */
+  label: string
+  /** Full name where the control's panel isn't shown, e.g. "Ball Attack" */
+  name: string
+  section: ParamSection
+}
+
+export interface NumberParam extends ParamBase {
+  kind: 'number'
+  min: number
+  max: number
+  step: number
+  unit: ParamUnit
+  curve: ParamCurve
+  default: number
+  /** Range Randomize draws from; false leaves the parameter alone */
+  random: [number, number] | false
+  /** What 0 shows as where it switches the setting off, e.g. "No limit" */
+  zero?: string
+}
+
+export interface BooleanParam extends ParamBase {
+  kind: 'boolean'
+  default: boolean
+  /** Chance Randomize switches it on; false leaves it alone */
+  random: number | false
+}
+
+export interface ChoiceParam extends ParamBase {
+  kind: 'choice'
+  options: Array<{ id: string; name: string }>
+  default: string
+  /** Options Randomize picks from; false leaves it alone */
+  random: string[] | false
+}
+
+export type Param = NumberParam | BooleanParam | ChoiceParam
+
+/** A value for one path, as applied by a SET action. */
+export interface ParamChange {
+  path: string[]
+  value: unknown
+}
+
+export const ENVELOPE_CURVES: Array<{ id: EnvelopeCurve; name: string }> = [
+  { id: 'linear', name: 'Linear' },
+  { id: 'exponential', name: 'Exp' },
+]
+
+export const FILTER_TYPES: Array<{ id: FilterType; name: string }> = [
+  { id: 'lowpass', name: 'LP' },
+  { id: 'highpass', name: 'HP' },
+  { id: 'bandpass', name: 'BP' },
+]
+
+export const OVERSAMPLE_TYPES: Array<{ id: OversampleType; name: string }> = [
+  { id: 'none', name: 'none' },
+  { id: '2x', name: '2x' },
+  { id: '4x', name: '4x' },
+]
+
+/** Wall and ball sound settings start out the same. */
+export const DEFAULT_SOUND_SETTINGS: SoundSettings = {
+  duration: 0.25, detune: 0, waveform: 'sine', volume: 0.15, pitchMapping: 'random',
+  source:     DEFAULT_SOURCE,
+  envelope:   DEFAULT_ENVELOPE,
+  filter:     DEFAULT_FILTER,
+  delay:      { enabled: false, time: 0.3,  feedback: 0.3, mix: 0.3 },
+  reverb:     { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 },
+  distortion: { enabled: false, amount: 0.5, oversample: '2x', mix: 0.3 },
+  tremolo:    { enabled: false, rate: 4.0,  depth: 0.5,  mix: 0.5 },
+}
+
+/** Where the registry reads its defaults from: the same constants initialState is built of. */
+const DEFAULTS = {
+  globalVolume: 1.0,
+  master: DEFAULT_MASTER,
+  sends: DEFAULT_SENDS,
+  tuning: DEFAULT_TUNING,
+  transport: DEFAULT_TRANSPORT,
+  physics: DEFAULT_PHYSICS,
+  polyphony: DEFAULT_POLYPHONY,
+  lifecycle: DEFAULT_LIFECYCLE,
+  visuals: DEFAULT_VISUALS,
+  midi: DEFAULT_MIDI_SETTINGS,
+  voiceBrush: { enabled: false },
+  wallSettings: DEFAULT_SOUND_SETTINGS,
+  circleSettings: DEFAULT_SOUND_SETTINGS,
+}
+
+export const pathKey = (path: string[]): string => path.join('.')
+
+/** The value at `path` in a nested object; undefined if any step is missing. */
+export const getIn = (obj: unknown, path: string[]): unknown =>
+  path.reduce<unknown>((node, key) =>
+    (typeof node === 'object' && node !== null ? (node as Record<string, unknown>)[key] : undefined), obj)
+
+// ─── Definitions ──────────────────────────────────────────────────────────────
+
+const num = (
+  section: ParamSection, path: string[], label: string, name: string,
+  min: number, max: number, step: number, unit: ParamUnit,
+  random: [number, number] | false = [min, max], curve: ParamCurve = 'linear',
+): NumberParam => ({
+  kind: 'number', path, label, name, section, min, max, step, unit, curve,
+  default: getIn(DEFAULTS, path) as number, random,
+})
+
+const bool = (section: ParamSection, path: string[], label: string, name: string, random: number | false = 0.5): BooleanParam =>
+  ({ kind: 'boolean', path, label, name, section, default: getIn(DEFAULTS, path) as boolean, random })
+
+const choice = (
+  section: ParamSection, path: string[], label: string, name: string,
+  options: Array<{ id: string; name: string }>, random: string[] | false = options.map(o => o.id),
+): ChoiceParam =>
+  ({ kind: 'choice', path, label, name, section, options, default: getIn(DEFAULTS, path) as string, random })
+
+/** One sound's parameters; `random` ranges keep drawn patches playable. */
+const soundParams = (key: 'wallSettings' | 'circleSettings', section: 'wall' | 'ball', who: string): Param[] => {
+  const p = (...path: string[]) => [key, ...path]
+  const toggle = (effect: string, label: string, chance: number) =>
+    bool(section, p(effect, 'enabled'), label, `${who} ${label} On`, chance)
+  return [
+    choice(section, p('source', 'type'), 'Source', `${who} Source`, SOURCE_TYPES,
+      // A sample needs a file loaded by hand
+      SOURCE_TYPES.map(o => o.id).filter(id => id !== 'sample')),
+    choice(section, p('waveform'), 'Waveform', `${who} Waveform`, WAVEFORMS),
+    num(section, p('source', 'fm', 'ratio'), 'Ratio', `${who} FM Ratio`, 0.25, 8, 0.25, 'times', [0.5, 4]),
+    num(section, p('source', 'fm', 'index'), 'Index', `${who} FM Index`, 0, 20, 0.1, 'plain', [0, 8]),
+    choice(section, p('source', 'noise', 'color'), 'Noise', `${who} Noise Colour`, NOISE_COLORS),
+    num(section, p('source', 'noise', 'q'), 'Pitch Focus', `${who} Noise Focus`, 0.1, 30, 0.1, 'q', [0.5, 15]),
+    num(section, p('source', 'sample', 'rootNote'), 'Root Note', `${who} Sample Root`,
+      VOICE_NOTE_RANGE.MIN, VOICE_NOTE_RANGE.MAX, 1, 'note', false),
+    num(section, p('source', 'unison', 'voices'), 'Unison', `${who} Unison`, 1, MAX_UNISON_VOICES, 1, 'voices', [1, 3]),
+    num(section, p('source', 'unison', 'spread'), 'Spread', `${who} Unison Spread`, 0, 100, 1, 'cents', [0, 40]),
+    num(section, p('volume'), 'Volume', `${who} Volume`, 0, 1, 0.05, 'percent', [0.1, 0.3]),
+    num(section, p('duration'), 'Duration', `${who} Duration`, 0.05, 5, 0.05, 'seconds', [0.1, 1.5]),
+    num(section, p('detune'), 'Detune', `${who} Detune`, -1200, 1200, 100, 'cents'),
+    choice(section, p('pitchMapping'), 'Pitch From', `${who} Pitch From`,
+      // Ball-ball hits have no wall to map from
+      section === 'ball' ? PITCH_MAPPINGS.filter(m => m.id !== 'wall') : PITCH_MAPPINGS),
+    num(section, p('envelope', 'attack'), 'Attack', `${who} Attack`, 0, 2, 0.01, 'seconds', [0, 0.2]),
+    bool(section, p('envelope', 'followDuration'), 'Decay over Duration', `${who} Decay over Duration`),
+    num(section, p('envelope', 'decay'), 'Decay', `${who} Decay`, 0, 2, 0.01, 'seconds', [0.05, 1]),
+    num(section, p('envelope', 'sustain'), 'Sustain', `${who} Sustain`, 0, 1, 0.05, 'percent', [0.2, 1]),
+    num(section, p('envelope', 'release'), 'Release', `${who} Release`, 0, 3, 0.01, 'seconds', [0.05, 1.5]),
+    choice(section, p('envelope', 'curve'), 'Curve', `${who} Envelope Curve`, ENVELOPE_CURVES),
+    toggle('filter', 'Filter', 0.5),
+    choice(section, p('filter', 'type'), 'Type', `${who} Filter Type`, FILTER_TYPES),
+    num(section, p('filter', 'cutoff'), 'Cutoff', `${who} Filter Cutoff`, 20, 20000, 1, 'hz', [200, 8000], 'log'),
+    num(section, p('filter', 'q'), 'Resonance', `${who} Filter Resonance`, 0.1, 20, 0.1, 'q', [0.5, 8]),
+    num(section, p('filter', 'envAmount'), 'Env Amount', `${who} Filter Env Amount`, -4, 4, 0.1, 'octaves', [-2, 3]),
+    num(section, p('filter', 'velocityAmount'), 'Velocity → Cutoff', `${who} Filter Velocity`, 0, 4, 0.1, 'octaves', [0, 2]),
+    toggle('tremolo', 'Tremolo', 0.3),
+    num(section, p('tremolo', 'rate'), 'Rate', `${who} Tremolo Rate`, 0.1, 20, 0.1, 'rate', [0.5, 12]),
+    num(section, p('tremolo', 'depth'), 'Depth', `${who} Tremolo Depth`, 0, 1, 0.05, 'percent'),
+    num(section, p('tremolo', 'mix'), 'Mix', `${who} Tremolo Mix`, 0, 1, 0.1, 'percent'),
+    toggle('distortion', 'Distortion', 0.25),
+    num(section, p('distortion', 'amount'), 'Amount', `${who} Distortion Amount`, 0, 1, 0.05, 'percent', [0, 0.6]),
+    choice(section, p('distortion', 'oversample'), 'Oversample', `${who} Oversample`, OVERSAMPLE_TYPES, false),
+    num(section, p('distortion', 'mix'), 'Mix', `${who} Distortion Mix`, 0, 1, 0.1, 'percent', [0.1, 0.6]),
+    toggle('reverb', 'Reverb', 0.5),
+    num(section, p('reverb', 'roomSize'), 'Room Size', `${who} Reverb Size`, 0, 1, 0.1, 'percent'),
+    num(section, p('reverb', 'damping'), 'Damping', `${who} Reverb Damping`, 0, 1, 0.1, 'percent'),
+    num(section, p('reverb', 'mix'), 'Mix', `${who} Reverb Mix`, 0, 1, 0.1, 'percent', [0.1, 0.6]),
+    toggle('delay', 'Delay', 0.3),
+    num(section, p('delay', 'time'), 'Delay Time', `${who} Delay Time`, 0.1, 1, 0.1, 'seconds'),
+    num(section, p('delay', 'feedback'), 'Feedback', `${who} Delay Feedback`, 0, 0.9, 0.1, 'percent', [0, 0.6]),
+    num(section, p('delay', 'mix'), 'Mix', `${who} Delay Mix`, 0, 1, 0.1, 'percent', [0.1, 0.5]),
+  ]
+}
+
+/** A number whose 0 switches it off, shown as `zero` */
+const withZero = (param: NumberParam, zero: string): NumberParam => ({ ...param, zero })
+
+const THEME_OPTIONS = Object.entries(THEMES).map(([id, theme]) => ({ id, name: theme.name }))
+
+export const PARAMS: Param[] = [
+  num('global', ['globalVolume'], 'Master Volume', 'Master Volume', 0, 1, 0.01, 'percent', false),
+  num('global', ['tuning', 'a4'], 'A4', 'A4', 415, 466, 1, 'hz', false),
+  choice('global', ['tuning', 'system'], 'Tuning', 'Tuning System', TUNING_SYSTEMS, false),
+
+  num('master', ['master', 'eq', 'low'], 'Low (250 Hz)', 'EQ Low', -12, 12, 0.5, 'db', [-6, 6]),
+  num('master', ['master', 'eq', 'mid'], 'Mid (1 kHz)', 'EQ Mid', -12, 12, 0.5, 'db', [-6, 6]),
+  num('master', ['master', 'eq', 'high'], 'High (4 kHz)', 'EQ High', -12, 12, 0.5, 'db', [-6, 6]),
+  bool('master', ['master', 'compressor', 'bypass'], 'Bypass', 'Compressor Bypass', false),
+  num('master', ['master', 'compressor', 'threshold'], 'Threshold', 'Compressor Threshold', -60, 0, 1, 'db', [-36, -12]),
+  num('master', ['master', 'compressor', 'ratio'], 'Ratio', 'Compressor Ratio', 1, 20, 0.5, 'ratio', [2, 8]),
+  num('master', ['master', 'compressor', 'knee'], 'Knee', 'Compressor Knee', 0, 40, 1, 'db', [0, 20]),
+  num('master', ['master', 'compressor', 'attack'], 'Attack', 'Compressor Attack', 0, 0.2, 0.001, 'ms', [0.001, 0.05]),
+  num('master', ['master', 'compressor', 'release'], 'Release', 'Compressor Release', 0.01, 1, 0.01, 'ms', [0.05, 0.5]),
+  bool('master', ['master', 'limiter', 'bypass'], 'Bypass', 'Limiter Bypass', false),
+  num('master', ['master', 'limiter', 'threshold'], 'Ceiling', 'Limiter Ceiling', -24, 0, 0.5, 'db', false),
+  num('master', ['master', 'limiter', 'release'], 'Release', 'Limiter Release', 0.01, 1, 0.01, 'ms', false),
+
+  choice('sends', ['sends', 'routing'], 'Routing', 'Effect Routing', EFFECT_ROUTINGS, false),
+  num('sends', ['sends', 'reverb', 'roomSize'], 'Room Size', 'Reverb Bus Size', 0, 1, 0.1, 'percent'),
+  num('sends', ['sends', 'reverb', 'damping'], 'Damping', 'Reverb Bus Damping', 0, 1, 0.1, 'percent'),
+  num('sends', ['sends', 'reverb', 'level'], 'Return', 'Reverb Bus Return', 0, 1, 0.05, 'percent', [0.3, 1]),
+  num('sends', ['sends', 'delay', 'time'], 'Delay Time', 'Delay Bus Time', 0.05, 1, 0.05, 'seconds'),
+  num('sends', ['sends', 'delay', 'feedback'], 'Feedback', 'Delay Bus Feedback', 0, 0.9, 0.05, 'percent', [0, 0.6]),
+  num('sends', ['sends', 'delay', 'level'], 'Return', 'Delay Bus Return', 0, 1, 0.05, 'percent', [0.2, 0.8]),
+
+  bool('transport', ['transport', 'quantize'], 'Quantize notes', 'Quantize On', false),
+  num('transport', ['transport', 'bpm'], 'Tempo', 'Tempo', 40, 240, 1, 'bpm', false),
+  choice('transport', ['transport', 'division'], 'Grid', 'Grid', GRID_DIVISIONS, false),
+  num('transport', ['transport', 'swing'], 'Swing', 'Swing', 0, 0.5, 0.01, 'percent', false),
+  withZero(num('transport', ['transport', 'maxNotesPerStep'], 'Notes per Step', 'Notes per Step', 0, 16, 1, 'count', false),
+    'No limit'),
+  bool('transport', ['transport', 'metronome'], 'Metronome', 'Metronome On', false),
+  num('transport', ['transport', 'metronomeVolume'], 'Click Volume', 'Click Volume', 0, 1, 0.05, 'percent', false),
+
+  num('physics', ['physics', 'gravity', 'x'], 'Horizontal', 'Gravity X', -1, 1, 0.05, 'plain', false),
+  num('physics', ['physics', 'gravity', 'y'], 'Vertical', 'Gravity Y', -1, 1, 0.05, 'plain', false),
+  bool('physics', ['physics', 'tilt', 'enabled'], 'Tilt device to steer gravity', 'Tilt On', false),
+  num('physics', ['physics', 'tilt', 'strength'], 'Tilt Strength', 'Tilt Strength', 0, 1, 0.05, 'plain', false),
+  num('physics', ['physics', 'drag'], 'Air Drag', 'Air Drag', 0, 0.1, 0.005, 'percent', false),
+  num('physics', ['physics', 'substeps'], 'Substeps', 'Substeps', SUBSTEP_RANGE.MIN, SUBSTEP_RANGE.MAX, 1, 'times', false),
+  num('physics', ['physics', 'restitution', 'top'], 'Top Bounce', 'Top Bounce', 0, 1, 0.01, 'percent', false),
+  num('physics', ['physics', 'restitution', 'bottom'], 'Bottom Bounce', 'Bottom Bounce', 0, 1, 0.01, 'percent', false),
+  num('physics', ['physics', 'restitution', 'left'], 'Left Bounce', 'Left Bounce', 0, 1, 0.01, 'percent', false),
+  num('physics', ['physics', 'restitution', 'right'], 'Right Bounce', 'Right Bounce', 0, 1, 0.01, 'percent', false),
+
+  num('polyphony', ['polyphony', 'maxVoices'], 'Max Voices', 'Max Voices', 1, MAX_POLYPHONY, 1, 'count', false),
+  num('polyphony', ['polyphony', 'wallVoices'], 'Wall Voices', 'Wall Voices', 1, MAX_POLYPHONY, 1, 'count', false),
+  num('polyphony', ['polyphony', 'ballVoices'], 'Ball Voices', 'Ball Voices', 1, MAX_POLYPHONY, 1, 'count', false),
+  choice('polyphony', ['polyphony', 'steal'], 'Steal', 'Voice Stealing', STEAL_MODES, false),
+
+  withZero(num('lifecycle', ['lifecycle', 'lifetime'], 'Lifetime', 'Ball Lifetime', 0, 60, 1, 'seconds', false), 'Forever'),
+  withZero(num('lifecycle', ['lifecycle', 'maxHits'], 'Hit Budget', 'Hit Budget', 0, 100, 1, 'count', false), 'No limit'),
+  num('lifecycle', ['lifecycle', 'fadeTime'], 'Fade Out', 'Fade Out', 0, 5, 0.1, 'seconds', false),
+  bool('lifecycle', ['lifecycle', 'split', 'enabled'], 'Split on hard impacts', 'Split On', false),
+  num('lifecycle', ['lifecycle', 'split', 'minSpeed'], 'Impact Speed', 'Split Speed', 5, 50, 1, 'plain', false),
+  num('lifecycle', ['lifecycle', 'split', 'minRadius'], 'Smallest Radius', 'Split Smallest Radius', 5, 40, 1, 'px', false),
+  num('lifecycle', ['lifecycle', 'split', 'transpose'], 'Transpose Halves', 'Split Transpose', -12, 24, 1, 'semitones', false),
+  bool('lifecycle', ['lifecycle', 'merge', 'enabled'], 'Merge after slow contacts', 'Merge On', false),
+  num('lifecycle', ['lifecycle', 'merge', 'maxSpeed'], 'Contact Speed', 'Merge Speed', 0.1, 5, 0.1, 'plain', false),
+  num('lifecycle', ['lifecycle', 'merge', 'contacts'], 'Contacts', 'Merge Contacts', 1, 100, 1, 'count', false),
+
+  choice('display', ['visuals', 'renderer'], 'Renderer', 'Renderer', RENDERERS, false),
+  choice('display', ['visuals', 'theme'], 'Theme', 'Theme', THEME_OPTIONS, false),
+  choice('display', ['visuals', 'colorMode'], 'Ball Colour', 'Ball Colour', COLOR_MODES, false),
+  bool('display', ['visuals', 'velocityBrightness'], 'Brightness follows velocity', 'Velocity Brightness', false),
+  choice('display', ['visuals', 'background'], 'Background', 'Background', BACKGROUND_MODES, false),
+
+  choice('midi', ['midi', 'mode'], 'Output', 'Output Mode', OUTPUT_MODES, false),
+  num('midi', ['midi', 'wallChannel'], 'Wall Channel', 'MIDI Wall Channel', 1, 16, 1, 'count', false),
+  num('midi', ['midi', 'circleChannel'], 'Ball Channel', 'MIDI Ball Channel', 1, 16, 1, 'count', false),
+
+  ...soundParams('circleSettings', 'ball', 'Ball'),
+  bool('ball', ['voiceBrush', 'enabled'], 'Use for new balls', 'Voice Brush On', false),
+  ...soundParams('wallSettings', 'wall', 'Wall'),
+]
+
+const PARAMS_BY_KEY = new Map(PARAMS.map(param => [pathKey(param.path), param]))
+
+/** The registry entry for a path; throws for a path the registry doesn't know. */
+export const getParam = (path: string[]): Param => {
+  const param = PARAMS_BY_KEY.get(pathKey(path))
+  if (!param) throw new Error(`Unknown parameter ${pathKey(path)}`)
+  return param
+}
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+const clamp = (v: number, min: number, max: number): number => Math.min(Math.max(v, min), max)
+
+/** Clamp into range and snap to the step, without float noise (0.30000000000000004). */
+export const snapParam = (param: NumberParam, value: number): number => {
+  const snapped = Math.round((clamp(value, param.min, param.max) - param.min) / param.step) * param.step + param.min
+  return Number(clamp(snapped, param.min, param.max).toFixed(6))
+}
+
+/** Slider position for a value: the value itself, or log2 of it on a log curve. */
+export const toSliderPosition = (param: NumberParam, value: number): number =>
+  param.curve === 'log' ? Math.log2(value) : value
+
+/** The value a slider position stands for, snapped. */
+export const fromSliderPosition = (param: NumberParam, position: number): number =>
+  snapParam(param, param.curve === 'log' ? Math.pow(2, position) : position)
+
+/** Range and step of the slider itself; a log slider moves in hundredths of an octave. */
+export const sliderRange = (param: NumberParam): { min: number; max: number; step: number } =>
+  param.curve === 'log'
+    ? { min: Math.log2(param.min), max: Math.log2(param.max), step: 0.01 }
+    : { min: param.min, max: param.max, step: param.step }
+
+const formatHz = (hz: number): string => (hz >= 1000 ? `${(hz / 1000).toFixed(1)} kHz` : `${Math.round(hz)} Hz`)
+
+/** A value as its control shows it. */
+export const formatParam = (param: NumberParam, v: number): string => {
+  if (v === 0 && param.zero !== undefined) return param.zero
+  switch (param.unit) {
+    case 'percent': return `${(v * 100).toFixed(param.step < 0.01 ? 1 : 0)}%`
+    case 'seconds': return `${v.toFixed(param.step < 0.1 ? 2 : param.step < 1 ? 1 : 0)}s`
+    case 'ms':      return `${Math.round(v * 1000)} ms`
+    case 'cents':   return `${v} cents`
+    case 'hz':      return formatHz(v)
+    case 'rate':    return `${v.toFixed(1)} Hz`
+    case 'octaves': return `${v > 0 ? '+' : ''}${v.toFixed(1)} oct`
+    case 'db':      return `${v > 0 ? '+' : ''}${v.toFixed(1)} dB`
+    case 'ratio':   return `${v}:1`
+    case 'times':   return `${v.toFixed(param.step < 1 ? 2 : 0)}×`
+    case 'q':       return `Q ${v.toFixed(1)}`
+    case 'bpm':     return `${v} BPM`
+    case 'voices':  return v === 1 ? 'Off' : `${v} voices`
+    case 'note':    return midiNoteName(v)
+    case 'semitones': return `${v > 0 ? '+' : ''}${v} st`
+    case 'px':      return `${v} px`
+    case 'count':   return String(v)
+    case 'plain':   return v.toFixed(param.step < 0.1 ? 2 : 1)
+  }
+}
+
+/** The registry's values in `state`, by path key. */
+export const paramSnapshot = (state: AudioState): Record<string, unknown> =>
+  Object.fromEntries(PARAMS.map(param => [pathKey(param.path), getIn(state, param.path)]))
+
+/**
+ * New values for every unlocked parameter that Randomize may touch, drawn
+ * from its `random` range (log-spaced on a log curve). `random` returns 0..1.
+ */
+export const randomizeParams = (locked: ReadonlySet<ParamSection>, random: () => number): ParamChange[] =>
+  PARAMS.flatMap((param): ParamChange[] => {
+    if (param.random === false || locked.has(param.section)) return []
+    if (param.kind === 'boolean') return [{ path: param.path, value: random() < (param.random as number) }]
+    if (param.kind === 'choice') {
+      const ids = param.random as string[]
+      return [{ path: param.path, value: ids[Math.floor(random() * ids.length)] }]
+    }
+    const [low, high] = param.random as [number, number]
+    const t = random()
+    const value = param.curve === 'log'
+      ? Math.pow(2, Math.log2(low) + t * (Math.log2(high) - Math.log2(low)))
+      : low + t * (high - low)
+    return [{ path: param.path, value: snapParam(param, value) }]
+  })
+
+/**
+ * The point `t` (0..1) of the way from snapshot `a` to `b`. Numbers move
+ * smoothly (geometrically on a log curve); switches and choices flip half
+ * way. Only parameters the snapshots disagree on are returned.
+ */
+export const morphParams = (a: Record<string, unknown>, b: Record<string, unknown>, t: number): ParamChange[] =>
+  PARAMS.flatMap((param): ParamChange[] => {
+    const key = pathKey(param.path)
+    const from = a[key]
+    const to = b[key]
+    if (from === undefined || to === undefined || from === to) return []
+    if (param.kind !== 'number' || typeof from !== 'number' || typeof to !== 'number') {
+      return [{ path: param.path, value: t < 0.5 ? from : to }]
+    }
+    const value = param.curve === 'log' && from > 0 && to > 0
+      ? from * Math.pow(to / from, t)
+      : from + (to - from) * t
+    return [{ path: param.path, value: snapParam(param, value) }]
+  })
@@ -83,4 +83,29 @@ describe('resolveCollision', () => {
     expect(c1.vy).toBeLessThan(0)
     expect(c2.vy).toBeGreaterThan(0)
   })
+
+  it('bounces a ball off a pinned one without moving it', () => {
+    const pinned = { ...makeCircle(0, 0, 0, 0), pinned: true }
+    const ball = makeCircle(30, 0, -4, 0)
+    expect(resolveCollision(pinned, ball)).toBe(true)
+    expect(pinned).toMatchObject({ x: 0, y: 0, vx: 0, vy: 0 })
+    expect(ball.vx).toBeCloseTo(4 * 0.9)
+    expect(ball.x).toBeCloseTo(40)
+  })
+
+  it("adds a pinned ball's own velocity to the bounce", () => {
+    const bat = { ...makeCircle(0, 0, 5, 0), pinned: true }
+    const ball = makeCircle(30, 0, 0, 0)
+    resolveCollision(bat, ball)
+    expect(bat.vx).toBe(5)
+    expect(ball.vx).toBeCloseTo(5 * 1.9)
+  })
+
+  it('leaves two pinned balls alone', () => {
+    const a = { ...makeCircle(0, 0, 1, 0), pinned: true }
+    const b = { ...makeCircle(30, 0, -1, 0), pinned: true }
+    expect(resolveCollision(a, b)).toBe(false)
+    expect(a.x).toBe(0)
+    expect(b.x).toBe(30)
+  })
 })
@@ -22,12 +22,15 @@ export const getCircleDistance = (x1: number, y1: number, x2: number, y2: number
 /**
  * Resolve an elastic collision between two circles by mutating both states.
  * Mass scales with radius^MASS_EXPONENT, so larger balls hit harder and shove
- * smaller ones around. 1.0 = linear (gentle), 2.0 = area (extreme).
- * Skips if circles are already moving apart.
+ * smaller ones around. 1.0 = linear (gentle), 2.0 = area (extreme). A pinned
+ * circle has infinite mass: it neither moves nor changes speed.
+ * Skips if circles are already moving apart or both are pinned; returns
+ * whether an impulse was applied.
  */
 const MASS_EXPONENT = 1.5
 
-export const resolveCollision = (circle1: CircleState, circle2: CircleState): void => {
+export const resolveCollision = (circle1: CircleState, circle2: CircleState): boolean => {
+  if (circle1.pinned && circle2.pinned) return false
   const dx = circle2.x - circle1.x
   const dy = circle2.y - circle1.y
   const distance = getCircleDistance(circle1.x, circle1.y, circle2.x, circle2.y)
@@ -44,30 +47,30 @@ export const resolveCollision = (circle1: CircleState, circle2: CircleState): vo
   const vnDot = dvx * nx + dvy * ny
 
   // Don't collide if circles are already moving apart
-  if (vnDot > 0) return
+  if (vnDot > 0) return false
 
   // Mass scaled by radius^MASS_EXPONENT (constants cancel from the impulse formula).
-  const m1 = Math.pow(circle1.radius, MASS_EXPONENT)
-  const m2 = Math.pow(circle2.radius, MASS_EXPONENT)
-  const invMassSum = 1 / m1 + 1 / m2
+  const inv1 = circle1.pinned ? 0 : 1 / Math.pow(circle1.radius, MASS_EXPONENT)
+  const inv2 = circle2.pinned ? 0 : 1 / Math.pow(circle2.radius, MASS_EXPONENT)
+  const invMassSum = inv1 + inv2
 
   // Elastic collision impulse (restitution coefficient 0.9)
   const impulse = -(1 + 0.9) * vnDot / invMassSum
 
-  circle1.vx -= (impulse / m1) * nx
-  circle1.vy -= (impulse / m1) * ny
-  circle2.vx += (impulse / m2) * nx
-  circle2.vy += (impulse / m2) * ny
+  circle1.vx -= impulse * inv1 * nx
+  circle1.vy -= impulse * inv1 * ny
+  circle2.vx += impulse * inv2 * nx
+  circle2.vy += impulse * inv2 * ny
 
   // Separate overlapping circles, splitting inversely to mass (heavy moves less)
   const overlap = (circle1.radius + circle2.radius) - distance
   if (overlap > 0) {
-    const totalMass = m1 + m2
-    const move1 = overlap * (m2 / totalMass)
-    const move2 = overlap * (m1 / totalMass)
+    const move1 = overlap * (inv1 / invMassSum)
+    const move2 = overlap * (inv2 / invMassSum)
     circle1.x -= move1 * nx
     circle1.y -= move1 * ny
     circle2.x += move2 * nx
     circle2.y += move2 * ny
   }
+  return true
 }
@@ -0,0 +1,97 @@
+// @ts-nocheck
+import { describe, it, expect, vi } from 'vitest'
+import { pickNoteIndex } from './pitchMapping'
+
+const COUNT = 12
+
+describe('pickNoteIndex', () => {
+  it('uses the supplied random source in random mode', () => {
+    expect(pickNoteIndex('random', COUNT, {}, 5, () => 0)).toBe(0)
+    expect(pickNoteIndex('random', COUNT, {}, 5, () => 0.999)).toBe(COUNT - 1)
+  })
+
+  it('is deterministic for every non-random mode', () => {
+    const random = vi.fn(() => 0.5)
+    const source = { radius: 30, wall: 'left', x: 0.3, y: 0.6 }
+    for (const mode of ['radius', 'wall', 'positionX', 'positionY', 'velocity']) {
+      const a = pickNoteIndex(mode, COUNT, source, 7, random)
+      const b = pickNoteIndex(mode, COUNT, source, 7, random)
+      expect(a).toBe(b)
+    }
+    expect(random).not.toHaveBeenCalled()
+  })
+
+  describe('radius', () => {
+    it('maps big balls low and small balls high', () => {
+      expect(pickNoteIndex('radius', COUNT, { radius: 45 }, 0)).toBe(0)
+      expect(pickNoteIndex('radius', COUNT, { radius: 20 }, 0)).toBe(COUNT - 1)
+    })
+
+    it('clamps radii outside the spawn range', () => {
+      expect(pickNoteIndex('radius', COUNT, { radius: 500 }, 0)).toBe(0)
+      expect(pickNoteIndex('radius', COUNT, { radius: 1 }, 0)).toBe(COUNT - 1)
+    })
+  })
+
+  describe('wall', () => {
+    it('gives each wall its own register, bottom lowest to top highest', () => {
+      const mid = { x: 0.5, y: 0.5 }
+      const bottom = pickNoteIndex('wall', COUNT, { ...mid, wall: 'bottom' }, 0)
+      const left   = pickNoteIndex('wall', COUNT, { ...mid, wall: 'left' }, 0)
+      const right  = pickNoteIndex('wall', COUNT, { ...mid, wall: 'right' }, 0)
+      const top    = pickNoteIndex('wall', COUNT, { ...mid, wall: 'top' }, 0)
+      expect(bottom).toBeLessThan(left)
+      expect(left).toBeLessThan(right)
+      expect(right).toBeLessThan(top)
+    })
+
+    it('keeps every hit on a wall inside its own band', () => {
+      for (const x of [0, 0.25, 0.5, 0.75, 1]) {
+        const idx = pickNoteIndex('wall', COUNT, { wall: 'top', x, y: 0 }, 0)
+        expect(idx).toBeGreaterThanOrEqual(9)
+        expect(idx).toBeLessThanOrEqual(11)
+      }
+    })
+
+    it('still returns a valid index for scales with fewer notes than walls', () => {
+      for (const wall of ['bottom', 'left', 'right', 'top']) {
+        const idx = pickNoteIndex('wall', 2, { wall, x: 1, y: 0 }, 0)
+        expect(idx).toBeGreaterThanOrEqual(0)
+        expect(idx).toBeLessThan(2)
+      }
+    })
+
+    it('falls back to random without a wall', () => {
+      expect(pickNoteIndex('wall', COUNT, {}, 0, () => 0.5)).toBe(6)
+    })
+  })
+
+  describe('position', () => {
+    it('maps x left → right to low → high', () => {
+      expect(pickNoteIndex('positionX', COUNT, { x: 0 }, 0)).toBe(0)
+      expect(pickNoteIndex('positionX', COUNT, { x: 1 }, 0)).toBe(COUNT - 1)
+    })
+
+    it('maps y bottom → top to low → high', () => {
+      expect(pickNoteIndex('positionY', COUNT, { y: 1 }, 0)).toBe(0)
+      expect(pickNoteIndex('positionY', COUNT, { y: 0 }, 0)).toBe(COUNT - 1)
+    })
+  })
+
+  describe('velocity', () => {
+    it('maps harder hits higher', () => {
+      const soft = pickNoteIndex('velocity', COUNT, {}, 2)
+      const hard = pickNoteIndex('velocity', COUNT, {}, 14)
+      expect(hard).toBeGreaterThan(soft)
+    })
+
+    it('uses absolute velocity and clamps to the range', () => {
+      expect(pickNoteIndex('velocity', COUNT, {}, -100)).toBe(COUNT - 1)
+      expect(pickNoteIndex('velocity', COUNT, {}, 0)).toBe(0)
+    })
+  })
+
+  it('returns 0 for an empty note list', () => {
+    expect(pickNoteIndex('positionX', 0, { x: 0.5 }, 0)).toBe(0)
+  })
+})
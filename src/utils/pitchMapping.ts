@@ -0,0 +1,89 @@
+import type { PitchMappingMode, NoteSource } from '../types/audio'
+import type { WallSide } from '../types/physics'
+import { randomFrom } from './random'
+
+/** Pitch-mapping modes for the UI. `wall` only makes sense for wall hits. */
+export const PITCH_MAPPINGS: Array<{ id: PitchMappingMode; name: string }> = [
+  { id: 'random',    name: 'Random' },
+  { id: 'radius',    name: 'Ball Size' },
+  { id: 'wall',      name: 'Wall' },
+  { id: 'positionX', name: 'X Position' },
+  { id: 'positionY', name: 'Y Position' },
+  { id: 'velocity',  name: 'Velocity' },
+]
+
+/** Radius range produced by spawnBallAt (40–90px diameter). */
+const RADIUS_RANGE = { MIN: 20, MAX: 45 }
+
+/** Velocity range mapped onto the note range (matches VOLUME_LIMITS in sound.ts). */
+const VELOCITY_RANGE = { MIN: 1, MAX: 15 }
+
+/** Walls ordered from the lowest register to the highest. */
+const WALL_ORDER: WallSide[] = ['bottom', 'left', 'right', 'top']
+
+const clamp01 = (v: number): number => Math.max(0, Math.min(1, v))
+
+const normalize = (v: number, min: number, max: number): number => clamp01((v - min) / (max - min))
+
+/** Index of a 0..1 value in a list of `count` ascending notes. */
+const unitToIndex = (t: number, count: number): number =>
+  Math.min(count - 1, Math.floor(clamp01(t) * count))
+
+/**
+ * Map a 0..1 value into the register owned by `wall`. The note list is split
+ * into four contiguous bands; lists shorter than four notes share bands.
+ */
+const wallToIndex = (wall: WallSide, t: number, count: number): number => {
+  const band  = WALL_ORDER.indexOf(wall)
+  const start = Math.min(count - 1, Math.floor((band * count) / WALL_ORDER.length))
+  const end   = Math.max(start + 1, Math.floor(((band + 1) * count) / WALL_ORDER.length))
+  return start + unitToIndex(t, end - start)
+}
+
+/**
+ * Choose a note index in an ascending list of `count` notes.
+ *
+ * - random:    uniform, the original behaviour
+ * - radius:    big balls play low
+ * - wall:      each wall owns a register; the position along the wall picks
+ *              the note within it (bottom lowest → top highest)
+ * - positionX: left → right is low → high
+ * - positionY: bottom → top is low → high
+ * - velocity:  harder hits play higher
+ *
+ * Falls back to random when the source lacks the data a mode needs (e.g.
+ * `wall` on a ball-ball hit).
+ */
+export const pickNoteIndex = (
+  mode: PitchMappingMode,
+  count: number,
+  source: NoteSource,
+  velocity: number,
+  random: () => number = randomFrom('notes'),
+): number => {
+  if (count <= 0) return 0
+  switch (mode) {
+    case 'radius':
+      if (source.radius !== undefined) {
+        return unitToIndex(1 - normalize(source.radius, RADIUS_RANGE.MIN, RADIUS_RANGE.MAX), count)
+      }
+      break
+    case 'wall':
+      if (source.wall) {
+        const alongWall = source.wall === 'left' || source.wall === 'right'
+          ? 1 - (source.y ?? 0.5)
+          : (source.x ?? 0.5)
+        return wallToIndex(source.wall, alongWall, count)
+      }
+      break
+    case 'positionX':
+      if (source.x !== undefined) return unitToIndex(source.x, count)
+      break
+    case 'positionY':
+      if (source.y !== undefined) return unitToIndex(1 - source.y, count)
+      break
+    case 'velocity':
+      return unitToIndex(normalize(Math.abs(velocity), VELOCITY_RANGE.MIN, VELOCITY_RANGE.MAX), count)
+  }
+  return Math.floor(random() * count)
+}
@@ -0,0 +1,85 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  FACTORY_PRESETS,
+  PRESET_FILE_FORMAT,
+  PRESET_FILE_VERSION,
+  parsePresetFile,
+  serializePresets,
+  pickPresetSettings,
+} from './presets'
+
+const settings = {
+  currentScale: 'A_MINOR',
+  globalVolume: 0.8,
+  wallSettings: { waveform: 'square' },
+  circleSettings: { waveform: 'sine' },
+}
+
+describe('serializePresets / parsePresetFile', () => {
+  it('round-trips names and settings', () => {
+    const text = serializePresets([{ id: 'user:A', name: 'A', settings }])
+    expect(parsePresetFile(text)).toEqual([{ name: 'A', settings }])
+  })
+
+  it('writes the format marker and current version', () => {
+    const data = JSON.parse(serializePresets([]))
+    expect(data.format).toBe(PRESET_FILE_FORMAT)
+    expect(data.version).toBe(PRESET_FILE_VERSION)
+  })
+
+  it('does not write preset ids', () => {
+    const data = JSON.parse(serializePresets([{ id: 'user:A', name: 'A', settings }]))
+    expect(data.presets[0].id).toBeUndefined()
+  })
+})
+
+describe('parsePresetFile', () => {
+  it('throws on invalid JSON', () => {
+    expect(() => parsePresetFile('{not json')).toThrow(/valid JSON/)
+  })
+
+  it('throws on unrelated JSON', () => {
+    expect(() => parsePresetFile('{"hello":"world"}')).toThrow(/Not an Oscillaphone/)
+    expect(() => parsePresetFile('[1,2,3]')).toThrow(/Not an Oscillaphone/)
+  })
+
+  it('rejects files from a newer version', () => {
+    const text = JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION + 1, presets: [] })
+    expect(() => parsePresetFile(text)).toThrow(/newer/)
+  })
+
+  it('accepts files without a version as the oldest format', () => {
+    const text = JSON.stringify({ format: PRESET_FILE_FORMAT, presets: [{ name: 'Old', settings: {} }] })
+    expect(parsePresetFile(text)).toEqual([{ name: 'Old', settings: {} }])
+  })
+
+  it('imports a bare AudioState object as a single preset', () => {
+    const parsed = parsePresetFile(JSON.stringify(settings))
+    expect(parsed).toHaveLength(1)
+    expect(parsed[0].settings).toEqual(settings)
+  })
+
+  it('skips entries without a name or settings object', () => {
+    const text = JSON.stringify({
+      format: PRESET_FILE_FORMAT,
+      version: 1,
+      presets: [{ name: '', settings: {} }, { name: 'X' }, { name: ' Kept ', settings: {} }],
+    })
+    expect(parsePresetFile(text)).toEqual([{ name: 'Kept', settings: {} }])
+  })
+})
+
+describe('pickPresetSettings', () => {
+  it('copies only the preset slice of the state', () => {
+    const picked = pickPresetSettings({ ...settings, somethingElse: true })
+    expect(picked).toEqual(settings)
+  })
+})
+
+describe('FACTORY_PRESETS', () => {
+  it('have unique ids and names', () => {
+    expect(new Set(FACTORY_PRESETS.map(p => p.id)).size).toBe(FACTORY_PRESETS.length)
+    expect(new Set(FACTORY_PRESETS.map(p => p.name)).size).toBe(FACTORY_PRESETS.length)
+  })
+})
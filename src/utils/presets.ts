@@ -0,0 +1,177 @@
+import type { AudioState, PresetSettings, SoundPreset } from '../types/audio'
+import { downloadBlob } from './download'
+import { isPlainObject } from './guards'
+
+export const PRESET_FILE_FORMAT = 'oscillaphone-presets'
+export const PRESET_FILE_VERSION = 1
+
+const PRESETS_STORAGE_KEY = 'oscillaphone_presets'
+
+const PRESET_KEYS = [
+  'currentScale', 'globalVolume', 'tuning', 'customIntervals', 'wallSettings', 'circleSettings',
+] as const
+
+type DeepPartial<T> = { [K in keyof T]?: T[K] extends object ? DeepPartial<T[K]> : T[K] }
+
+/**
+ * A preset as read from a file, storage or the factory table — settings are
+ * unvalidated and must go through the AudioContext deep merge before use.
+ */
+export interface RawPreset {
+  name: string
+  settings: unknown
+}
+
+/** Copy the preset slice out of a full AudioState. */
+export const pickPresetSettings = (state: AudioState): PresetSettings => {
+  const picked = {} as Record<string, unknown>
+  for (const key of PRESET_KEYS) picked[key] = state[key]
+  return picked as PresetSettings
+}
+
+/** User preset ids are derived from the name, so saving under a taken name overwrites. */
+export const userPresetId = (name: string): string => `user:${name}`
+
+// ─── Factory presets ──────────────────────────────────────────────────────────
+// Only the fields that differ from initialState are listed; the rest is filled
+// in by the same deep merge that handles old localStorage payloads.
+
+export const FACTORY_PRESETS: Array<{ id: string; name: string; settings: DeepPartial<PresetSettings> }> = [
+  {
+    id: 'factory:glass-bells',
+    name: 'Glass Bells',
+    settings: {
+      currentScale: 'C_PENTATONIC_MAJOR',
+      wallSettings: {
+        waveform: 'triangle', duration: 0.6, volume: 0.1,
+        envelope: { curve: 'exponential' },
+        reverb: { enabled: true, roomSize: 0.6, mix: 0.3 },
+      },
+      circleSettings: {
+        waveform: 'sine', duration: 1.2, volume: 0.2,
+        source: { type: 'fm', fm: { ratio: 3.5, index: 2 } },
+        envelope: { release: 0.4, curve: 'exponential' },
+        reverb: { enabled: true, roomSize: 0.8, damping: 0.2, mix: 0.45 },
+      },
+    },
+  },
+  {
+    id: 'factory:dub-echo',
+    name: 'Dub Echo',
+    settings: {
+      currentScale: 'A_MINOR',
+      wallSettings: {
+        waveform: 'sine', duration: 0.4, detune: -1200,
+        filter: { enabled: true, cutoff: 800, q: 6, envAmount: 2, velocityAmount: 1 },
+        delay: { enabled: true, time: 0.4, feedback: 0.6, mix: 0.4 },
+      },
+      circleSettings: {
+        waveform: 'triangle', duration: 0.2,
+        delay: { enabled: true, time: 0.3, feedback: 0.5, mix: 0.35 },
+      },
+    },
+  },
+  {
+    id: 'factory:fuzz-box',
+    name: 'Fuzz Box',
+    settings: {
+      currentScale: 'A_PENTATONIC_MINOR',
+      globalVolume: 0.7,
+      wallSettings: {
+        waveform: 'square', duration: 0.15,
+        source: { type: 'noise', noise: { color: 'pink', q: 4 } },
+        distortion: { enabled: true, amount: 0.7, oversample: '4x', mix: 0.6 },
+      },
+      circleSettings: {
+        waveform: 'sawtooth', duration: 0.3,
+        distortion: { enabled: true, amount: 0.5, oversample: '4x', mix: 0.4 },
+      },
+    },
+  },
+  {
+    id: 'factory:warble',
+    name: 'Warble',
+    settings: {
+      currentScale: 'D_DORIAN',
+      wallSettings: {
+        waveform: 'sine', duration: 0.8,
+        source: { unison: { voices: 3, spread: 25 } },
+        envelope: { attack: 0.15, sustain: 0.6, release: 0.3, followDuration: false },
+        tremolo: { enabled: true, rate: 3.0, depth: 0.7, mix: 0.6 },
+      },
+      circleSettings: {
+        waveform: 'sine', duration: 0.6,
+        envelope: { attack: 0.05, sustain: 0.5, release: 0.4, followDuration: false },
+        tremolo: { enabled: true, rate: 7.5, depth: 0.6, mix: 0.5 },
+        reverb: { enabled: true, roomSize: 0.4, mix: 0.25 },
+      },
+    },
+  },
+]
+
+// ─── Serialization ────────────────────────────────────────────────────────────
+
+/** Serialize presets into the versioned file format (also used for storage). */
+export const serializePresets = (presets: SoundPreset[]): string =>
+  JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    presets: presets.map(({ name, settings }) => ({ name, settings })),
+  }, null, 2)
+
+/**
+ * Parse a preset file. Accepts the versioned envelope written by
+ * serializePresets, or a bare AudioState object (the shape stored under the
+ * audio-settings localStorage key) which is imported as a single preset.
+ * Throws an Error with a user-facing message if the file can't be used.
+ */
+export const parsePresetFile = (text: string): RawPreset[] => {
+  let data: unknown
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Preset file is not valid JSON')
+  }
+  if (!isPlainObject(data)) throw new Error('Not an Oscillaphone preset file')
+
+  if (data.format !== PRESET_FILE_FORMAT) {
+    if ('wallSettings' in data || 'circleSettings' in data) {
+      return [{ name: 'Imported', settings: data }]
+    }
+    throw new Error('Not an Oscillaphone preset file')
+  }
+
+  const version = typeof data.version === 'number' ? data.version : 0
+  if (version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset file version ${version} is newer than this app supports`)
+  }
+  if (!Array.isArray(data.presets)) throw new Error('Preset file contains no presets')
+
+  return data.presets
+    .filter((p): p is { name: string; settings: Record<string, unknown> } =>
+      isPlainObject(p) && typeof p.name === 'string' && p.name.trim() !== '' && isPlainObject(p.settings))
+    .map(p => ({ name: p.name.trim(), settings: p.settings }))
+}
+
+// ─── Storage / download ───────────────────────────────────────────────────────
+
+/** Read the user preset library from localStorage; a bad payload yields []. */
+export const loadUserPresets = (): RawPreset[] => {
+  try {
+    const raw = localStorage.getItem(PRESETS_STORAGE_KEY)
+    return raw ? parsePresetFile(raw) : []
+  } catch {
+    return []
+  }
+}
+
+export const saveUserPresets = (presets: SoundPreset[]): void => {
+  try {
+    localStorage.setItem(PRESETS_STORAGE_KEY, serializePresets(presets))
+  } catch { /* storage unavailable (private browsing quota) */ }
+}
+
+/** Trigger a browser download of the given presets as a JSON file. */
+export const downloadPresetFile = (presets: SoundPreset[], filename = 'oscillaphone-presets.json'): void => {
+  downloadBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), filename)
+}
@@ -0,0 +1,64 @@
+// @ts-nocheck
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createRandom, deriveSeed, setSeed, getSeed, nextRandom, randomFrom, forkRandom } from './random'
+
+describe('createRandom', () => {
+  it('produces the mulberry32 sequence for a seed', () => {
+    const random = createRandom(1)
+    expect(random()).toBeCloseTo(0.6270739405881613, 12)
+    expect(random()).toBeCloseTo(0.002735721180215478, 12)
+    expect(random()).toBeCloseTo(0.5274470399599522, 12)
+  })
+
+  it('stays in [0, 1)', () => {
+    const random = createRandom(123)
+    for (let i = 0; i < 1000; i++) {
+      const v = random()
+      expect(v).toBeGreaterThanOrEqual(0)
+      expect(v).toBeLessThan(1)
+    }
+  })
+})
+
+describe('deriveSeed', () => {
+  it('gives each name its own seed, stable for the same inputs', () => {
+    expect(deriveSeed(7, 'notes')).toBe(deriveSeed(7, 'notes'))
+    expect(deriveSeed(7, 'notes')).not.toBe(deriveSeed(7, 'spawn'))
+    expect(deriveSeed(7, 'notes')).not.toBe(deriveSeed(8, 'notes'))
+  })
+})
+
+describe('random streams', () => {
+  beforeEach(() => setSeed(42))
+
+  it('restarts every stream when reseeded', () => {
+    const first = [nextRandom('notes'), nextRandom('notes')]
+    setSeed(42)
+    expect([nextRandom('notes'), nextRandom('notes')]).toEqual(first)
+    expect(getSeed()).toBe(42)
+  })
+
+  it('keeps streams independent of each other', () => {
+    const notes = nextRandom('notes')
+    setSeed(42)
+    for (let i = 0; i < 10; i++) nextRandom('color')
+    expect(nextRandom('notes')).toBe(notes)
+  })
+
+  it('randomFrom draws from the shared stream', () => {
+    const draw = randomFrom('spawn')
+    const a = draw()
+    setSeed(42)
+    expect(nextRandom('spawn')).toBe(a)
+  })
+
+  it('forkRandom starts over on every call, whatever the streams have drawn', () => {
+    const buffer = forkRandom('noise white')
+    const first = [buffer(), buffer()]
+    nextRandom('notes')
+    const again = forkRandom('noise white')
+    expect([again(), again()]).toEqual(first)
+    setSeed(43)
+    expect(forkRandom('noise white')()).not.toBe(first[0])
+  })
+})
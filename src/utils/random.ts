@@ -0,0 +1,74 @@
+/**
+ * The app's one source of randomness. Everything that used Math.random
+ * draws from a named stream here instead, each seeded from one session seed,
+ * so a seed (plus the inputs, see session.ts) reproduces a performance.
+ * Streams are independent: drawing more colours never shifts the notes.
+ */
+
+/**
+ * Separate streams for things drawn at different moments, so the order one
+ * subsystem draws in can't disturb another.
+ *
+ * - spawn:      new balls' launch angle, size and keyboard spawn position
+ * - color:      new balls' colours
+ * - notes:      note choice for collisions
+ * - background: the decorative gradients
+ * - params:     the Randomize button's parameter draws
+ */
+export type RandomStream = 'spawn' | 'color' | 'notes' | 'background' | 'params'
+
+/** mulberry32: a small, fast 32-bit PRNG, plenty for motion and music. */
+export const createRandom = (seed: number): (() => number) => {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/** FNV-1a over `name`, starting from `seed`: one seed fans out into many. */
+export const deriveSeed = (seed: number, name: string): number => {
+  let h = (0x811c9dc5 ^ seed) >>> 0
+  for (let i = 0; i < name.length; i++) {
+    h ^= name.charCodeAt(i)
+    h = Math.imul(h, 0x01000193) >>> 0
+  }
+  return h
+}
+
+/** A fresh seed for a new session. */
+export const newSeed = (): number => Math.floor(Math.random() * 4294967296)
+
+let seed = newSeed()
+const streams = new Map<RandomStream, () => number>()
+
+export const getSeed = (): number => seed
+
+/** Reseed every stream; each restarts from the beginning of its sequence. */
+export const setSeed = (value: number): void => {
+  seed = value >>> 0
+  streams.clear()
+}
+
+/** Next value in [0, 1) from `stream`. */
+export const nextRandom = (stream: RandomStream): number => {
+  let generator = streams.get(stream)
+  if (!generator) {
+    generator = createRandom(deriveSeed(seed, stream))
+    streams.set(stream, generator)
+  }
+  return generator()
+}
+
+/** `stream` as a plain `() => number`, for helpers that take a random source. */
+export const randomFrom = (stream: RandomStream): (() => number) => () => nextRandom(stream)
+
+/**
+ * A generator of its own for `name`, starting over on every call. For
+ * buffers built once and cached (reverb impulses, noise), so their contents
+ * depend only on the seed and not on when they happen to be built.
+ */
+export const forkRandom = (name: string): (() => number) => createRandom(deriveSeed(seed, name))
@@ -0,0 +1,44 @@
+/**
+ * In-memory sample library for the `sample` source. Files are decoded once
+ * and kept by id; settings only store the id, so samples have to be loaded
+ * again after a page reload (the note falls back to an oscillator until then).
+ */
+
+export interface SampleRef {
+  id: string
+  name: string
+}
+
+/** Larger files take too long to decode and hold too much memory per sample. */
+export const MAX_SAMPLE_BYTES = 20 * 1024 * 1024
+
+const library = new Map<string, AudioBuffer>()
+
+/** Stable id for a file, so loading the same file twice reuses the decode. */
+export const sampleId = (file: File): string => `${file.name}:${file.size}:${file.lastModified}`
+
+/**
+ * Decode `file` into the library. AudioBuffers aren't tied to the context
+ * that decoded them, so offline renders can play the same buffer.
+ * Throws an Error with a user-facing message if the file can't be used.
+ */
+export const loadSampleFile = async (ctx: BaseAudioContext, file: File): Promise<SampleRef> => {
+  const id = sampleId(file)
+  if (library.has(id)) return { id, name: file.name }
+  if (file.size > MAX_SAMPLE_BYTES) throw new Error('Sample file is too large (20 MB max)')
+
+  let buffer: AudioBuffer
+  try {
+    buffer = await ctx.decodeAudioData(await file.arrayBuffer())
+  } catch {
+    throw new Error(`Could not decode "${file.name}"`)
+  }
+  library.set(id, buffer)
+  return { id, name: file.name }
+}
+
+export const getSampleBuffer = (id: string): AudioBuffer | null => (id ? library.get(id) ?? null : null)
+
+export const hasSample = (id: string): boolean => library.has(id)
+
+export const clearSamples = (): void => { library.clear() }
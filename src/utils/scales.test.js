@@ -0,0 +1,197 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  generateScale,
+  parseScaleId,
+  scaleName,
+  parseIntervalList,
+  parseScala,
+  AVAILABLE_SCALES,
+  AVAILABLE_MODES,
+  ROOTS,
+  DEFAULT_TUNING,
+} from './scales'
+
+const JUST = { ...DEFAULT_TUNING, system: 'just' }
+
+describe('parseScaleId', () => {
+  it('accepts the ids persisted by the old SCALES table', () => {
+    for (const id of ['C_MAJOR', 'A_MINOR', 'F_LYDIAN', 'A_PENTATONIC_MINOR', 'C_PENTATONIC_MAJOR', 'D_DORIAN']) {
+      expect(parseScaleId(id)).not.toBeNull()
+    }
+    expect(parseScaleId('A_PENTATONIC_MINOR')).toEqual({ root: 'A', mode: 'PENTATONIC_MINOR' })
+  })
+
+  it('accepts sharp roots', () => {
+    expect(parseScaleId('F#_DORIAN')).toEqual({ root: 'F#', mode: 'DORIAN' })
+  })
+
+  it('rejects unknown roots and modes', () => {
+    expect(parseScaleId('H_MAJOR')).toBeNull()
+    expect(parseScaleId('C_SUPERLOCRIAN')).toBeNull()
+    expect(parseScaleId('CMAJOR')).toBeNull()
+  })
+
+  it('builds display names from root and mode', () => {
+    expect(scaleName('A_PENTATONIC_MINOR')).toBe('A Pent Min')
+  })
+})
+
+describe('AVAILABLE_SCALES', () => {
+  it('lists every root × mode combination', () => {
+    expect(AVAILABLE_SCALES).toHaveLength(ROOTS.length * AVAILABLE_MODES.length)
+    expect(AVAILABLE_SCALES.every(s => parseScaleId(s.id))).toBe(true)
+  })
+})
+
+describe('generateScale', () => {
+  it('reproduces the old C major octave-2 frequencies in 12-TET', () => {
+    const { WALL_LOW } = generateScale('C_MAJOR')
+    expect(WALL_LOW[0]).toBeCloseTo(65.41, 2)  // C2
+    expect(WALL_LOW[2]).toBeCloseTo(82.41, 2)  // E2
+    expect(WALL_LOW[4]).toBeCloseTo(98.00, 2)  // G2
+  })
+
+  it('places the root in octave 2 and each group an octave above the last', () => {
+    const groups = generateScale('A_MINOR')
+    expect(groups.WALL_LOW[0]).toBeCloseTo(110, 5)
+    expect(groups.WALL_MID[0]).toBeCloseTo(220, 5)
+    expect(groups.CIRCLE_HIGH[0]).toBeCloseTo(440, 5)
+    expect(groups.CIRCLE_HIGHER[0]).toBeCloseTo(880, 5)
+  })
+
+  it('has one note per mode degree in each group', () => {
+    expect(generateScale('C_MAJOR').WALL_LOW).toHaveLength(7)
+    expect(generateScale('C_PENTATONIC_MINOR').WALL_LOW).toHaveLength(5)
+    expect(generateScale('C_BLUES').WALL_LOW).toHaveLength(6)
+    expect(generateScale('C_WHOLE_TONE').WALL_LOW).toHaveLength(6)
+    expect(generateScale('C_CHROMATIC').WALL_LOW).toHaveLength(12)
+  })
+
+  it('returns ascending notes', () => {
+    const { CIRCLE_HIGH } = generateScale('E_HARMONIC_MINOR')
+    expect([...CIRCLE_HIGH].sort((a, b) => a - b)).toEqual(CIRCLE_HIGH)
+  })
+
+  it('scales with the A4 reference', () => {
+    const at440 = generateScale('A_MAJOR')
+    const at432 = generateScale('A_MAJOR', { ...DEFAULT_TUNING, a4: 432 })
+    expect(at432.CIRCLE_HIGH[0]).toBeCloseTo(432, 5)
+    expect(at432.WALL_LOW[3] / at440.WALL_LOW[3]).toBeCloseTo(432 / 440, 10)
+  })
+
+  it('uses pure ratios in just intonation', () => {
+    const { WALL_LOW } = generateScale('C_MAJOR', JUST)
+    expect(WALL_LOW[2] / WALL_LOW[0]).toBeCloseTo(5 / 4, 10)  // major third
+    expect(WALL_LOW[4] / WALL_LOW[0]).toBeCloseTo(3 / 2, 10)  // fifth
+  })
+
+  it('builds the CUSTOM mode from the interval list', () => {
+    const { WALL_LOW } = generateScale('C_CUSTOM', DEFAULT_TUNING, [3, 4, 5])
+    expect(WALL_LOW).toHaveLength(3)
+    expect(WALL_LOW[1] / WALL_LOW[0]).toBeCloseTo(Math.pow(2, 3 / 12), 10)
+    expect(WALL_LOW[2] / WALL_LOW[0]).toBeCloseTo(Math.pow(2, 7 / 12), 10)
+  })
+
+  it('places fractional custom steps between the just ratios in cents', () => {
+    const { WALL_LOW } = generateScale('C_CUSTOM', JUST, [3.5, 8.5])
+    const cents = (ratio) => 1200 * Math.log2(ratio)
+    // Halfway between the minor third (6/5) and the major third (5/4)
+    expect(cents(WALL_LOW[1] / WALL_LOW[0])).toBeCloseTo((cents(6 / 5) + cents(5 / 4)) / 2, 10)
+    expect(WALL_LOW[1] / WALL_LOW[0]).not.toBeCloseTo(5 / 4, 5)
+  })
+
+  it('places fractional custom steps between the steps of a 12-note Scala file', () => {
+    const ratios = [...Array(11)].map((_, i) => 1 + (i + 1) / 12).concat(2)
+    const tuning = { ...DEFAULT_TUNING, system: 'scala', scala: { description: 'linear', ratios } }
+    const { WALL_LOW } = generateScale('C_CUSTOM', tuning, [11.5])
+    // Between step 11 and the period, so it can't round up onto the root
+    expect(WALL_LOW[1] / WALL_LOW[0]).toBeCloseTo(Math.sqrt(ratios[10] * 2), 10)
+  })
+
+  it('falls back to major for an invalid custom interval list', () => {
+    expect(generateScale('C_CUSTOM', DEFAULT_TUNING, [])).toEqual(generateScale('C_MAJOR'))
+  })
+
+  it('falls back to the default scale for an unknown id', () => {
+    expect(generateScale('nonsense')).toEqual(generateScale('C_MAJOR'))
+  })
+
+  it('uses a 12-note Scala file as a retuned chromatic scale', () => {
+    const ratios = [...Array(11)].map((_, i) => 1 + (i + 1) / 12).concat(2)
+    const tuning = { ...DEFAULT_TUNING, system: 'scala', scala: { description: 'linear', ratios } }
+    const { WALL_LOW } = generateScale('C_MAJOR', tuning)
+    expect(WALL_LOW).toHaveLength(7)
+    expect(WALL_LOW[1] / WALL_LOW[0]).toBeCloseTo(ratios[1], 10) // 2 semitones → degree 2
+  })
+
+  it('replaces the mode with the degrees of a non-12 Scala file', () => {
+    const tuning = { ...DEFAULT_TUNING, system: 'scala', scala: { description: '', ratios: [1.25, 1.5, 3] } }
+    const groups = generateScale('C_MAJOR', tuning)
+    expect(groups.WALL_LOW).toHaveLength(3)
+    expect(groups.WALL_MID[0] / groups.WALL_LOW[0]).toBeCloseTo(3, 10) // tritave period
+  })
+
+  it('ignores a loaded Scala file unless the system is scala', () => {
+    const tuning = { ...DEFAULT_TUNING, scala: { description: '', ratios: [1.25, 1.5, 3] } }
+    expect(generateScale('C_MAJOR', tuning)).toEqual(generateScale('C_MAJOR'))
+  })
+})
+
+describe('parseIntervalList', () => {
+  it('parses space- or comma-separated steps', () => {
+    expect(parseIntervalList('2 2 1 2')).toEqual([2, 2, 1, 2])
+    expect(parseIntervalList('3, 2,2')).toEqual([3, 2, 2])
+  })
+
+  it('rejects empty, zero, negative and non-numeric entries', () => {
+    expect(parseIntervalList('')).toBeNull()
+    expect(parseIntervalList('2 0 1')).toBeNull()
+    expect(parseIntervalList('2 -1')).toBeNull()
+    expect(parseIntervalList('2 x')).toBeNull()
+  })
+})
+
+describe('parseScala', () => {
+  const SCL = [
+    '! meantone.scl',
+    '!',
+    'Quarter-comma meantone (excerpt)',
+    ' 4',
+    '!',
+    ' 193.157',
+    ' 5/4',
+    ' 3/2 fifth',
+    ' 2/1',
+  ].join('\n')
+
+  it('reads description, cents and ratio pitches', () => {
+    const scala = parseScala(SCL)
+    expect(scala.description).toBe('Quarter-comma meantone (excerpt)')
+    expect(scala.ratios).toHaveLength(4)
+    expect(scala.ratios[0]).toBeCloseTo(Math.pow(2, 193.157 / 1200), 10)
+    expect(scala.ratios[1]).toBe(1.25)
+    expect(scala.ratios[2]).toBe(1.5)
+    expect(scala.ratios[3]).toBe(2)
+  })
+
+  it('accepts integer ratios', () => {
+    expect(parseScala('tritave\n1\n3').ratios).toEqual([3])
+  })
+
+  it('throws without a note count', () => {
+    expect(() => parseScala('just a description')).toThrow(/note count/)
+  })
+
+  it('throws when pitches are missing', () => {
+    expect(() => parseScala('desc\n3\n5/4\n')).toThrow(/1 of 3/)
+  })
+
+  it('throws on a malformed pitch', () => {
+    expect(() => parseScala('desc\n1\nabc')).toThrow(/Invalid Scala pitch/)
+  })
+
+  it('throws when the period is not above 1/1', () => {
+    expect(() => parseScala('desc\n1\n1/2')).toThrow(/period/)
+  })
+})
@@ -0,0 +1,217 @@
+import type { ScalaTuning, TuningSettings, TuningSystem } from '../types/audio'
+
+/**
+ * Scale generator: any root × mode (or user interval list), in equal
+ * temperament, 5-limit just intonation, or a loaded Scala `.scl` tuning.
+ *
+ * Scale ids are `<ROOT>_<MODE>` (e.g. `C_MAJOR`, `F#_DORIAN`,
+ * `A_PENTATONIC_MINOR`), which keeps ids persisted by the old hard-coded
+ * table valid.
+ */
+
+export const ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'] as const
+export type RootNote = typeof ROOTS[number]
+
+/** Modes as semitone step patterns; CUSTOM reads the user's interval list. */
+export const MODES = {
+  MAJOR:            { name: 'Major',         steps: [2, 2, 1, 2, 2, 2, 1] },
+  DORIAN:           { name: 'Dorian',        steps: [2, 1, 2, 2, 2, 1, 2] },
+  PHRYGIAN:         { name: 'Phrygian',      steps: [1, 2, 2, 2, 1, 2, 2] },
+  LYDIAN:           { name: 'Lydian',        steps: [2, 2, 2, 1, 2, 2, 1] },
+  MIXOLYDIAN:       { name: 'Mixolydian',    steps: [2, 2, 1, 2, 2, 1, 2] },
+  MINOR:            { name: 'Minor',         steps: [2, 1, 2, 2, 1, 2, 2] },
+  LOCRIAN:          { name: 'Locrian',       steps: [1, 2, 2, 1, 2, 2, 2] },
+  HARMONIC_MINOR:   { name: 'Harmonic Min',  steps: [2, 1, 2, 2, 1, 3, 1] },
+  MELODIC_MINOR:    { name: 'Melodic Min',   steps: [2, 1, 2, 2, 2, 2, 1] },
+  PENTATONIC_MAJOR: { name: 'Pent Maj',      steps: [2, 2, 3, 2, 3] },
+  PENTATONIC_MINOR: { name: 'Pent Min',      steps: [3, 2, 2, 3, 2] },
+  WHOLE_TONE:       { name: 'Whole Tone',    steps: [2, 2, 2, 2, 2, 2] },
+  BLUES:            { name: 'Blues',         steps: [3, 2, 1, 1, 3, 2] },
+  CHROMATIC:        { name: 'Chromatic',     steps: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1] },
+  CUSTOM:           { name: 'Custom',        steps: [] as number[] },
+} as const
+export type ModeId = keyof typeof MODES
+
+export const DEFAULT_SCALE = 'C_MAJOR'
+
+export const DEFAULT_TUNING: TuningSettings = { a4: 440, system: 'equal', scala: null }
+
+export const TUNING_SYSTEMS: Array<{ id: TuningSystem; name: string }> = [
+  { id: 'equal', name: 'Equal' },
+  { id: 'just',  name: 'Just' },
+  { id: 'scala', name: 'Scala' },
+]
+
+/** 5-limit just ratios for each semitone above the root. */
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8]
+
+/** Octave groups, low → high. The root sits in octave 2. */
+export type NoteGroups = {
+  WALL_LOW: number[]
+  WALL_MID: number[]
+  CIRCLE_HIGH: number[]
+  CIRCLE_HIGHER: number[]
+}
+const GROUP_ORDER: Array<keyof NoteGroups> = ['WALL_LOW', 'WALL_MID', 'CIRCLE_HIGH', 'CIRCLE_HIGHER']
+const ROOT_OCTAVE = 2
+
+// ─── Ids ──────────────────────────────────────────────────────────────────────
+
+export const scaleId = (root: RootNote, mode: ModeId): string => `${root}_${mode}`
+
+/** Split a scale id into root and mode; null if either part is unknown. */
+export const parseScaleId = (id: string): { root: RootNote; mode: ModeId } | null => {
+  const sep = id.indexOf('_')
+  if (sep < 0) return null
+  const root = id.slice(0, sep) as RootNote
+  const mode = id.slice(sep + 1) as ModeId
+  if (!ROOTS.includes(root) || !(mode in MODES)) return null
+  return { root, mode }
+}
+
+export const scaleName = (id: string): string => {
+  const parsed = parseScaleId(id)
+  return parsed ? `${parsed.root} ${MODES[parsed.mode].name}` : id
+}
+
+export const AVAILABLE_ROOTS = ROOTS.map(root => ({ id: root, name: root }))
+
+export const AVAILABLE_MODES = (Object.keys(MODES) as ModeId[]).map(id => ({ id, name: MODES[id].name }))
+
+/** Every root × mode combination the generator can build. */
+export const AVAILABLE_SCALES = ROOTS.flatMap(root =>
+  AVAILABLE_MODES.map(mode => {
+    const id = scaleId(root, mode.id)
+    return { id, name: scaleName(id) }
+  }))
+
+// ─── Interval lists ───────────────────────────────────────────────────────────
+
+const isValidStepList = (steps: unknown): steps is number[] =>
+  Array.isArray(steps) && steps.length > 0 &&
+  steps.every(s => typeof s === 'number' && Number.isFinite(s) && s > 0)
+
+/**
+ * Parse a user interval list such as "2 2 1 2 2 2 1" or "3,2,2,3,2" into
+ * semitone steps. Returns null unless every entry is a positive number.
+ */
+export const parseIntervalList = (text: string): number[] | null => {
+  const steps = text.split(/[\s,]+/).filter(Boolean).map(Number)
+  return isValidStepList(steps) ? steps : null
+}
+
+/** Semitone offsets from the root within one octave, starting at 0. */
+const modeOffsets = (mode: ModeId, customIntervals: number[]): number[] => {
+  const steps = mode === 'CUSTOM'
+    ? (isValidStepList(customIntervals) ? customIntervals : MODES.MAJOR.steps)
+    : MODES[mode].steps
+  const offsets = [0]
+  let total = 0
+  for (const step of steps) {
+    total += step
+    if (total >= 12) break
+    offsets.push(total)
+  }
+  return offsets
+}
+
+// ─── Scala ────────────────────────────────────────────────────────────────────
+
+const parseScalaPitch = (line: string): number => {
+  const token = line.trim().split(/\s+/)[0]
+  let ratio: number
+  if (token.includes('.')) {
+    ratio = Math.pow(2, Number(token) / 1200)
+  } else if (token.includes('/')) {
+    const [num, den] = token.split('/').map(Number)
+    ratio = num / den
+  } else {
+    ratio = Number(token)
+  }
+  if (!Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid Scala pitch "${token}"`)
+  return ratio
+}
+
+/**
+ * Parse a Scala `.scl` file: `!` comment lines, a description line, the note
+ * count, then one pitch per line in cents (contains a '.') or as a ratio.
+ * The implicit 1/1 is not listed; the last pitch is the period (usually 2/1).
+ * Throws an Error with a user-facing message on malformed input.
+ */
+export const parseScala = (text: string): ScalaTuning => {
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'))
+  const [description = '', countLine = '', ...rest] = lines
+  const count = parseInt(countLine.trim(), 10)
+  if (!Number.isInteger(count) || count < 1) throw new Error('Scala file has no note count')
+
+  const pitchLines = rest.filter(line => line.trim() !== '').slice(0, count)
+  if (pitchLines.length < count) {
+    throw new Error(`Scala file lists ${pitchLines.length} of ${count} pitches`)
+  }
+  const ratios = pitchLines.map(parseScalaPitch)
+  if (ratios[ratios.length - 1] <= 1) throw new Error('Scala period must be greater than 1/1')
+  return { description: description.trim(), ratios }
+}
+
+// ─── Generator ────────────────────────────────────────────────────────────────
+
+/**
+ * The ratio `offset` semitones above the root, from a 12-step chromatic table
+ * that starts at 1/1 and closes at `period`. A fractional offset from a custom
+ * interval list lands between its neighbouring steps, linearly in cents.
+ */
+const chromaticRatio = (table: number[], period: number, offset: number): number => {
+  const at = (step: number) => (step < 12 ? table[step] : period)
+  const step = Math.floor(offset)
+  const fraction = offset - step
+  return fraction === 0 ? at(step) : at(step) * Math.pow(at(step + 1) / at(step), fraction)
+}
+
+/**
+ * Ratios above the root for one period, plus the period ratio.
+ * A 12-note Scala file is treated as a retuned chromatic scale, so modes still
+ * apply; any other size replaces the mode with the file's own degrees.
+ */
+const degreeRatios = (
+  mode: ModeId,
+  tuning: TuningSettings,
+  customIntervals: number[],
+): { ratios: number[]; period: number } => {
+  const scala = tuning.system === 'scala' ? tuning.scala : null
+  if (scala && scala.ratios.length !== 12) {
+    return { ratios: [1, ...scala.ratios.slice(0, -1)], period: scala.ratios[scala.ratios.length - 1] }
+  }
+
+  const offsets = modeOffsets(mode, customIntervals)
+  if (scala) {
+    const table = [1, ...scala.ratios.slice(0, 11)]
+    return { ratios: offsets.map(o => chromaticRatio(table, scala.ratios[11], o)), period: scala.ratios[11] }
+  }
+  if (tuning.system === 'just') {
+    return { ratios: offsets.map(o => chromaticRatio(JUST_RATIOS, 2, o)), period: 2 }
+  }
+  return { ratios: offsets.map(o => Math.pow(2, o / 12)), period: 2 }
+}
+
+/**
+ * Build the four note groups for a scale. The root is anchored to its
+ * 12-TET pitch relative to `tuning.a4`; every other degree comes from the
+ * tuning system. Unknown ids fall back to DEFAULT_SCALE.
+ */
+export const generateScale = (
+  id: string,
+  tuning: TuningSettings = DEFAULT_TUNING,
+  customIntervals: number[] = [],
+): NoteGroups => {
+  const { root, mode } = parseScaleId(id) ?? parseScaleId(DEFAULT_SCALE)!
+  const semitonesFromA4 = ROOTS.indexOf(root) - 9 + (ROOT_OCTAVE - 4) * 12
+  const rootFrequency = tuning.a4 * Math.pow(2, semitonesFromA4 / 12)
+  const { ratios, period } = degreeRatios(mode, tuning, customIntervals)
+
+  const groups = {} as NoteGroups
+  GROUP_ORDER.forEach((group, octave) => {
+    const base = rootFrequency * Math.pow(period, octave)
+    groups[group] = ratios.map(r => base * r)
+  })
+  return groups
+}
@@ -0,0 +1,193 @@
+// @ts-nocheck
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  SCENE_FILE_FORMAT,
+  SCENE_FILE_VERSION,
+  SCENE_SLOT_COUNT,
+  encodeScene,
+  decodeScene,
+  serializeScene,
+  parseSceneFile,
+  scaleScene,
+  encodeSceneHash,
+  decodeSceneHash,
+  loadSceneSlots,
+  saveSceneSlots,
+  sceneSlot,
+} from './scene'
+import { obstacleBoundingCircle } from './obstacles'
+
+const voice = { waveform: 'square', pitch: { mode: 'fixed', low: 60, high: 60 }, effects: {} }
+
+const scene = (overrides = {}) => ({
+  viewport: { width: 800, height: 600 },
+  ballSpeed: 20,
+  state: { globalVolume: 0.5, obstacles: [{ id: 'p', kind: 'peg', x: 0.5, y: 0.5, radius: 10, bounce: 0.9, voice }] },
+  balls: [
+    { x: 100.123, y: 200, vx: 3.456, vy: -4, radius: 15, color: 'hsl(10, 70%, 50%)' },
+    { x: 400, y: 300, vx: 0, vy: 0, radius: 30, color: 'hsl(200, 70%, 50%)', voice },
+  ],
+  ...overrides,
+})
+
+describe('encodeScene / decodeScene', () => {
+  it('round-trips a scene, rounding ball numbers to two decimals', () => {
+    const decoded = decodeScene(JSON.parse(serializeScene(scene())))
+    expect(decoded.viewport).toEqual({ width: 800, height: 600 })
+    expect(decoded.ballSpeed).toBe(20)
+    expect(decoded.state).toEqual(scene().state)
+    expect(decoded.balls[0]).toEqual({ x: 100.12, y: 200, vx: 3.46, vy: -4, radius: 15, color: 'hsl(10, 70%, 50%)' })
+    expect(decoded.balls[1].voice).toEqual(voice)
+  })
+
+  it('keeps pinned balls pinned, with or without a voice', () => {
+    const pinned = scene({
+      balls: [
+        { x: 1, y: 2, vx: 0, vy: 0, radius: 5, color: 'red', pinned: true },
+        { x: 1, y: 2, vx: 0, vy: 0, radius: 5, color: 'red', voice, pinned: true },
+      ],
+    })
+    const [plain, voiced] = decodeScene(JSON.parse(serializeScene(pinned))).balls
+    expect(plain).toEqual({ x: 1, y: 2, vx: 0, vy: 0, radius: 5, color: 'red', pinned: true })
+    expect(voiced).toMatchObject({ voice, pinned: true })
+  })
+
+  it('stamps the format and current version', () => {
+    expect(encodeScene(scene())).toMatchObject({ format: SCENE_FILE_FORMAT, version: SCENE_FILE_VERSION })
+  })
+
+  it('rejects other JSON and newer versions', () => {
+    expect(() => decodeScene({ format: 'something-else' })).toThrow('Not an Oscillaphone scene')
+    const future = { ...encodeScene(scene()), version: SCENE_FILE_VERSION + 1 }
+    expect(() => decodeScene(future)).toThrow('newer than this app supports')
+  })
+
+  it('rejects a scene without a version', () => {
+    const { version, ...unversioned } = encodeScene(scene())
+    expect(version).toBe(SCENE_FILE_VERSION)
+    expect(() => decodeScene(unversioned)).toThrow('Scene has no version number')
+  })
+
+  it('rejects versions with no migration path', () => {
+    const old = { ...encodeScene(scene()), version: 0 }
+    expect(() => decodeScene(old)).toThrow('can no longer be loaded')
+  })
+
+  it('requires a viewport size', () => {
+    const data = { ...encodeScene(scene()), viewport: [0, 600] }
+    expect(() => decodeScene(data)).toThrow('Scene has no viewport size')
+  })
+
+  it('skips malformed balls and defaults a missing speed', () => {
+    const data = {
+      ...encodeScene(scene()),
+      ballSpeed: 'fast',
+      balls: [[1, 2, 3, 4, 5, 'red'], [1, 2, 'x', 4, 5, 'red'], [1, 2, 3, 4, 0, 'red'], [1, 2, 3, 4, 5], 'ball'],
+    }
+    const decoded = decodeScene(data)
+    expect(decoded.balls).toEqual([{ x: 1, y: 2, vx: 3, vy: 4, radius: 5, color: 'red' }])
+    expect(decoded.ballSpeed).toBe(15)
+  })
+
+  it('parseSceneFile reports bad JSON', () => {
+    expect(() => parseSceneFile('{')).toThrow('Scene file is not valid JSON')
+  })
+})
+
+describe('scaleScene', () => {
+  it('returns the scene untouched at the same size', () => {
+    const s = scene()
+    expect(scaleScene(s, { width: 800, height: 600 })).toBe(s)
+  })
+
+  it('stretches positions per axis and scales sizes and speeds by the smaller ratio', () => {
+    const scaled = scaleScene(scene(), { width: 1600, height: 900 })
+    const [a, b] = scaled.balls
+    expect(scaled.viewport).toEqual({ width: 1600, height: 900 })
+    expect(b).toMatchObject({ x: 800, y: 450, radius: 45 })
+    expect(a.vx).toBeCloseTo(3.456 * 1.5)
+    expect(scaled.state.obstacles[0].radius).toBe(15)
+  })
+
+  it('keeps balls inside a smaller viewport', () => {
+    const s = scene({ balls: [{ x: 790, y: 10, vx: 0, vy: 0, radius: 20, color: 'red' }] })
+    const [ball] = scaleScene(s, { width: 400, height: 300 }).balls
+    expect(ball.radius).toBe(10)
+    expect(ball.x).toBe(390)
+    expect(ball.y).toBe(10)
+  })
+})
+
+describe('encodeSceneHash / decodeSceneHash', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('round-trips a compressed scene link', async () => {
+    const hash = await encodeSceneHash(scene())
+    expect(hash).toMatch(/^scene=z[A-Za-z0-9_-]+$/)
+    const decoded = await decodeSceneHash(`#${hash}`)
+    expect(decoded.balls).toHaveLength(2)
+    expect(decoded.state).toEqual(scene().state)
+  })
+
+  it('falls back to plain JSON without CompressionStream', async () => {
+    vi.stubGlobal('CompressionStream', undefined)
+    const hash = await encodeSceneHash(scene())
+    expect(hash.startsWith('scene=j')).toBe(true)
+    expect((await decodeSceneHash(`#${hash}`)).ballSpeed).toBe(20)
+  })
+
+  it('resolves null when the hash has no scene', async () => {
+    expect(await decodeSceneHash('')).toBeNull()
+    expect(await decodeSceneHash('#other=1')).toBeNull()
+  })
+
+  it('rejects a damaged link', async () => {
+    await expect(decodeSceneHash('#scene=zAAAA')).rejects.toThrow('The scene link is damaged')
+  })
+
+  it('drops malformed obstacles, fields and emitters from a tampered link', async () => {
+    const line = { id: 'l', kind: 'line', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], bounce: 0.9, voice }
+    const field = { id: 'f', x: 0.5, y: 0.5, strength: 1, falloff: 2 }
+    const emitter = { id: 'e', x: 0.5, y: 0, rate: 2, angle: 90, speed: 5, spread: 10 }
+    const hash = await encodeSceneHash(scene({
+      state: {
+        obstacles: [line, { id: 'bad', kind: 'line', bounce: 0.9, voice }, { ...line, points: [{ x: 0 }, { x: 1 }] }, 'peg'],
+        physics: { fields: [field, { id: 'f2', x: 'left' }, null] },
+        lifecycle: { emitters: [emitter, { ...emitter, rate: null }] },
+      },
+    }))
+    const { state } = await decodeSceneHash(`#${hash}`)
+    expect(state.obstacles).toEqual([line])
+    expect(state.physics.fields).toEqual([field])
+    expect(state.lifecycle.emitters).toEqual([emitter])
+    expect(() => state.obstacles.map(o => obstacleBoundingCircle(o, { width: 800, height: 600 }))).not.toThrow()
+  })
+})
+
+describe('scene slots', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  const memoryStorage = () => {
+    const items = new Map()
+    return {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+    }
+  }
+
+  it('reads every slot as empty when nothing is stored', () => {
+    vi.stubGlobal('localStorage', memoryStorage())
+    expect(loadSceneSlots()).toEqual(Array(SCENE_SLOT_COUNT).fill(null))
+  })
+
+  it('round-trips saved slots and drops malformed ones', () => {
+    vi.stubGlobal('localStorage', memoryStorage())
+    const slot = sceneSlot(scene())
+    expect(slot.ballCount).toBe(2)
+    saveSceneSlots([slot, null, { savedAt: 'yesterday' }])
+    const [first, ...rest] = loadSceneSlots()
+    expect(first).toEqual(slot)
+    expect(rest).toEqual(Array(SCENE_SLOT_COUNT - 1).fill(null))
+    expect(decodeScene(first.scene).balls).toHaveLength(2)
+  })
+})
@@ -0,0 +1,257 @@
+import type { RawScene, Scene, SceneSlot } from '../types/audio'
+import type { Bounds, Emitter, FieldPoint, NormalizedPoint, Obstacle } from '../types/physics'
+import { downloadBlob, fileTimestamp } from './download'
+import { isFiniteNumber, isPlainObject } from './guards'
+
+export const SCENE_FILE_FORMAT = 'oscillaphone-scene'
+export const SCENE_FILE_VERSION = 1
+
+export const SCENE_SLOT_COUNT = 4
+
+const SCENE_SLOTS_STORAGE_KEY = 'oscillaphone_scenes'
+
+/** URL hash parameter carrying a shared scene: `#scene=<z|j><base64url>` */
+const HASH_PARAM = 'scene'
+
+/** Two decimals is well under a pixel and keeps links short. */
+const round = (v: number): number => Math.round(v * 100) / 100
+
+// ─── Encoding ─────────────────────────────────────────────────────────────────
+// Balls are stored as tuples, [x, y, vx, vy, radius, color, voice?, pinned?],
+// since a scene can hold hundreds of them; a pinned ball without a voice has
+// null in its place and 1 for pinned. Everything else is plain JSON.
+
+type BallTuple = [number, number, number, number, number, string, unknown?, unknown?]
+
+/** The versioned, JSON-ready form of a scene (files, slots and links). */
+export const encodeScene = (scene: Scene): Record<string, unknown> => ({
+  format: SCENE_FILE_FORMAT,
+  version: SCENE_FILE_VERSION,
+  viewport: [scene.viewport.width, scene.viewport.height],
+  ballSpeed: scene.ballSpeed,
+  state: scene.state,
+  balls: scene.balls.map(({ x, y, vx, vy, radius, color, voice, pinned }): BallTuple => {
+    const tuple: BallTuple = [round(x), round(y), round(vx), round(vy), round(radius), color]
+    if (pinned) tuple.push(voice ?? null, 1)
+    else if (voice) tuple.push(voice)
+    return tuple
+  }),
+})
+
+/**
+ * Upgrades from each older version to the next, indexed by the version they
+ * upgrade from; decodeScene runs them in order up to SCENE_FILE_VERSION. Add
+ * one here whenever the encoded shape changes. Settings added to AudioState
+ * need no migration: the state is deep-merged over the defaults on load.
+ */
+const SCENE_MIGRATIONS: Record<number, (data: Record<string, unknown>) => Record<string, unknown>> = {}
+
+const migrateScene = (data: Record<string, unknown>, version: number): Record<string, unknown> => {
+  let migrated = data
+  for (let v = version; v < SCENE_FILE_VERSION; v++) {
+    const migrate = SCENE_MIGRATIONS[v]
+    if (!migrate) throw new Error(`Scene version ${version} can no longer be loaded`)
+    migrated = migrate(migrated)
+  }
+  return migrated
+}
+
+// The state's own arrays hold objects the physics reads without checks, and
+// the merge with the defaults only checks that an array is an array
+
+const hasNumbers = (v: Record<string, unknown>, keys: string[]): boolean => keys.every(k => isFiniteNumber(v[k]))
+
+const isPoint = (v: unknown): v is NormalizedPoint => isPlainObject(v) && hasNumbers(v, ['x', 'y'])
+
+const isObstacle = (v: unknown): v is Obstacle => {
+  if (!isPlainObject(v) || typeof v.id !== 'string' || !isFiniteNumber(v.bounce) || !isPlainObject(v.voice)) return false
+  if (v.kind === 'peg') return hasNumbers(v, ['x', 'y', 'radius']) && (v.radius as number) > 0
+  return v.kind === 'line' && Array.isArray(v.points) && v.points.length >= 2 && v.points.every(isPoint)
+}
+
+const isField = (v: unknown): v is FieldPoint =>
+  isPlainObject(v) && typeof v.id === 'string' && hasNumbers(v, ['x', 'y', 'strength', 'falloff'])
+
+const isEmitter = (v: unknown): v is Emitter =>
+  isPlainObject(v) && typeof v.id === 'string' && hasNumbers(v, ['x', 'y', 'rate', 'angle', 'speed', 'spread'])
+
+/** Drop malformed entries from `parent[key]`; anything that isn't an array is left to the merge. */
+const filterArray = (parent: unknown, key: string, keep: (v: unknown) => boolean): unknown => {
+  if (!isPlainObject(parent) || !Array.isArray(parent[key])) return parent
+  return { ...parent, [key]: parent[key].filter(keep) }
+}
+
+const cleanState = (state: unknown): unknown => {
+  if (!isPlainObject(state)) return state
+  return {
+    ...filterArray(state, 'obstacles', isObstacle) as Record<string, unknown>,
+    ...('physics' in state ? { physics: filterArray(state.physics, 'fields', isField) } : {}),
+    ...('lifecycle' in state ? { lifecycle: filterArray(state.lifecycle, 'emitters', isEmitter) } : {}),
+  }
+}
+
+/**
+ * Validate and migrate an encoded scene. Malformed balls, obstacles, fields
+ * and emitters are skipped; the rest of the state is returned as-is for the
+ * caller to merge. Throws an Error with a user-facing message if the data
+ * isn't a usable scene.
+ */
+export const decodeScene = (data: unknown): RawScene => {
+  if (!isPlainObject(data) || data.format !== SCENE_FILE_FORMAT) throw new Error('Not an Oscillaphone scene')
+  // Every scene ever written carries a version, so one without is damaged rather than old
+  if (!isFiniteNumber(data.version)) throw new Error('Scene has no version number')
+  const version = data.version
+  if (version > SCENE_FILE_VERSION) {
+    throw new Error(`Scene version ${version} is newer than this app supports`)
+  }
+  const scene = migrateScene(data, version)
+
+  const viewport = scene.viewport
+  if (!Array.isArray(viewport) || !isFiniteNumber(viewport[0]) || !isFiniteNumber(viewport[1]) ||
+      viewport[0] <= 0 || viewport[1] <= 0) {
+    throw new Error('Scene has no viewport size')
+  }
+
+  const balls: RawScene['balls'] = (Array.isArray(scene.balls) ? scene.balls : [])
+    .filter((b): b is BallTuple =>
+      Array.isArray(b) && b.slice(0, 5).every(isFiniteNumber) && b[4] > 0 && typeof b[5] === 'string')
+    .map(([x, y, vx, vy, radius, color, voice, pinned]) => ({
+      x, y, vx, vy, radius, color, ...(voice ? { voice } : {}), ...(pinned === 1 ? { pinned: true } : {}),
+    }))
+
+  return {
+    viewport: { width: viewport[0], height: viewport[1] },
+    ballSpeed: isFiniteNumber(scene.ballSpeed) ? scene.ballSpeed : 15,
+    state: cleanState(scene.state),
+    balls,
+  }
+}
+
+export const serializeScene = (scene: Scene): string => JSON.stringify(encodeScene(scene))
+
+/** Parse a scene file's text; throws like decodeScene. */
+export const parseSceneFile = (text: string): RawScene => {
+  let data: unknown
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Scene file is not valid JSON')
+  }
+  return decodeScene(data)
+}
+
+// ─── Viewport scaling ─────────────────────────────────────────────────────────
+
+/**
+ * Fit a scene saved at one viewport size into another. Positions stretch with
+ * each axis so balls keep their place on screen; sizes and speeds scale by the
+ * smaller ratio so nothing outgrows the viewport. Obstacles and field points
+ * are already normalised, except peg radii, which scale like balls.
+ */
+export const scaleScene = (scene: Scene, viewport: Bounds): Scene => {
+  const sx = viewport.width / scene.viewport.width
+  const sy = viewport.height / scene.viewport.height
+  if (sx === 1 && sy === 1) return scene
+  const s = Math.min(sx, sy)
+
+  return {
+    ...scene,
+    viewport,
+    state: {
+      ...scene.state,
+      obstacles: scene.state.obstacles.map(o => (o.kind === 'peg' ? { ...o, radius: o.radius * s } : o)),
+    },
+    balls: scene.balls.map(ball => {
+      const radius = ball.radius * s
+      return {
+        ...ball,
+        x: Math.min(Math.max(ball.x * sx, radius), viewport.width - radius),
+        y: Math.min(Math.max(ball.y * sy, radius), viewport.height - radius),
+        vx: ball.vx * s,
+        vy: ball.vy * s,
+        radius,
+      }
+    }),
+  }
+}
+
+// ─── Shareable links ──────────────────────────────────────────────────────────
+
+const toBase64Url = (bytes: Uint8Array): string => {
+  let binary = ''
+  const CHUNK = 0x8000
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text: string): Uint8Array => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, c => c.charCodeAt(0))
+}
+
+const pipeBytes = async (bytes: Uint8Array, transform: CompressionStream | DecompressionStream): Promise<Uint8Array> =>
+  new Uint8Array(await new Response(new Blob([bytes as Uint8Array<ArrayBuffer>]).stream().pipeThrough(transform)).arrayBuffer())
+
+/**
+ * Encode a scene as a URL hash (without the leading `#`). Deflated where the
+ * browser has CompressionStream ('z'), plain JSON otherwise ('j').
+ */
+export const encodeSceneHash = async (scene: Scene): Promise<string> => {
+  const bytes = new TextEncoder().encode(serializeScene(scene))
+  if (typeof CompressionStream === 'undefined') return `${HASH_PARAM}=j${toBase64Url(bytes)}`
+  return `${HASH_PARAM}=z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`
+}
+
+/**
+ * Read a scene from a URL hash. Resolves null when the hash carries no
+ * scene; rejects with a user-facing message when it carries a broken one.
+ */
+export const decodeSceneHash = async (hash: string): Promise<RawScene | null> => {
+  const match = new RegExp(`(?:^#?|&)${HASH_PARAM}=([jz])([A-Za-z0-9_-]+)`).exec(hash)
+  if (!match) return null
+  let text: string
+  try {
+    const bytes = fromBase64Url(match[2])
+    text = new TextDecoder().decode(
+      match[1] === 'z' ? await pipeBytes(bytes, new DecompressionStream('deflate-raw')) : bytes)
+  } catch {
+    throw new Error('The scene link is damaged')
+  }
+  return parseSceneFile(text)
+}
+
+// ─── Storage slots / download ─────────────────────────────────────────────────
+
+/** Read the scene slots from localStorage; missing or bad entries are empty. */
+export const loadSceneSlots = (): Array<SceneSlot | null> => {
+  let stored: unknown = null
+  try {
+    stored = JSON.parse(localStorage.getItem(SCENE_SLOTS_STORAGE_KEY) ?? 'null')
+  } catch { /* unreadable: treat as empty */ }
+  return Array.from({ length: SCENE_SLOT_COUNT }, (_, i) => {
+    const slot = Array.isArray(stored) ? stored[i] : null
+    return isPlainObject(slot) && isFiniteNumber(slot.savedAt) && isFiniteNumber(slot.ballCount)
+      ? { savedAt: slot.savedAt, ballCount: slot.ballCount, scene: slot.scene }
+      : null
+  })
+}
+
+export const saveSceneSlots = (slots: Array<SceneSlot | null>): void => {
+  try {
+    localStorage.setItem(SCENE_SLOTS_STORAGE_KEY, JSON.stringify(slots))
+  } catch { /* storage unavailable (private browsing quota) */ }
+}
+
+/** Package a scene for a storage slot. */
+export const sceneSlot = (scene: Scene): SceneSlot => ({
+  savedAt: Date.now(),
+  ballCount: scene.balls.length,
+  scene: encodeScene(scene),
+})
+
+/** Trigger a browser download of the scene as a JSON file. */
+export const downloadSceneFile = (scene: Scene): void => {
+  downloadBlob(new Blob([serializeScene(scene)], { type: 'application/json' }), `oscillaphone-scene_${fileTimestamp()}.json`)
+}
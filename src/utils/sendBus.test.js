@@ -0,0 +1,86 @@
+// @ts-nocheck
+/**
+ * Shared send buses, built against a recording mock context so the wiring can
+ * be checked in Node.
+ */
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_SENDS, applySendSettings, buildSendBus, sendLevels, sendTailTime } from './sendBus'
+import { makeBuffer, makeNode, makeParam } from '../test/mockAudioGraph'
+
+function mockContext() {
+  return {
+    sampleRate: 8000,
+    createGain: () => makeNode('gain', { gain: makeParam(1) }),
+    createConvolver: () => makeNode('convolver', { buffer: null }),
+    createDelay: (max) => makeNode('delay', { maxDelayTime: max, delayTime: makeParam() }),
+    createBuffer: makeBuffer,
+  }
+}
+
+const settings = (overrides = {}) => ({
+  ...DEFAULT_SENDS,
+  routing: 'sends',
+  ...overrides,
+})
+
+describe('buildSendBus', () => {
+  it('wires reverb and delay buses into the destination', () => {
+    const destination = makeNode('destination')
+    const bus = buildSendBus(mockContext(), destination, settings())
+    expect(bus.reverbInput.connections).toEqual([bus.convolver])
+    expect(bus.convolver.connections).toEqual([bus.reverbReturn])
+    expect(bus.reverbReturn.connections).toEqual([destination])
+    expect(bus.delayInput.connections).toEqual([bus.delay])
+    expect(bus.delay.connections).toEqual([bus.delayFeedback, bus.delayReturn])
+    expect(bus.delayFeedback.connections).toEqual([bus.delay])
+    expect(bus.delayReturn.connections).toEqual([destination])
+  })
+
+  it('applies the room, delay and return levels', () => {
+    const bus = buildSendBus(mockContext(), makeNode('destination'), settings({
+      reverb: { roomSize: 0.2, damping: 0.5, level: 0.7 },
+      delay: { time: 0.5, feedback: 0.4, level: 0.3 },
+    }))
+    expect(bus.convolver.buffer.length).toBe(Math.ceil(8000 * (0.3 + 0.2 * 2.2)))
+    expect(bus.reverbReturn.gain.value).toBe(0.7)
+    expect(bus.delay.delayTime.value).toBe(0.5)
+    expect(bus.delayFeedback.gain.value).toBe(0.4)
+    expect(bus.delayReturn.gain.value).toBe(0.3)
+  })
+})
+
+describe('applySendSettings', () => {
+  it('schedules levels and keeps the impulse response for an unchanged room', () => {
+    const ctx = mockContext()
+    const bus = buildSendBus(ctx, makeNode('destination'), settings())
+    const buffer = bus.convolver.buffer
+    applySendSettings(bus, ctx, settings({ delay: { ...DEFAULT_SENDS.delay, level: 0.1 } }), 4)
+    expect(bus.convolver.buffer).toBe(buffer)
+    expect(bus.delayReturn.gain.setValueAtTime).toHaveBeenCalledWith(0.1, 4)
+  })
+
+  it('swaps the impulse response for a new room', () => {
+    const ctx = mockContext()
+    const bus = buildSendBus(ctx, makeNode('destination'), settings())
+    const buffer = bus.convolver.buffer
+    applySendSettings(bus, ctx, settings({ reverb: { ...DEFAULT_SENDS.reverb, roomSize: 0.9 } }), 0)
+    expect(bus.convolver.buffer).not.toBe(buffer)
+  })
+})
+
+describe('sendLevels', () => {
+  it('uses the mix of enabled effects as the send level', () => {
+    expect(sendLevels({
+      reverb: { enabled: true, roomSize: 0.5, damping: 0.3, mix: 0.4 },
+      delay: { enabled: false, time: 0.3, feedback: 0.3, mix: 0.6 },
+    })).toEqual({ reverb: 0.4, delay: 0 })
+    expect(sendLevels(undefined)).toEqual({ reverb: 0, delay: 0 })
+  })
+})
+
+describe('sendTailTime', () => {
+  it('covers the longer of the two buses, capped at 3 s', () => {
+    expect(sendTailTime(settings())).toBeCloseTo(0.3 + 0.6 * 2.2)
+    expect(sendTailTime(settings({ delay: { time: 1, feedback: 0.5, level: 1 } }))).toBe(3)
+  })
+})
@@ -0,0 +1,93 @@
+import { buildImpulseResponse } from './effectChains'
+import type { EffectRouting, SendSettings, SoundSettings } from '../types/audio'
+
+/**
+ * Shared send effects. In 'sends' routing there is one reverb and one delay
+ * for the whole mix: each note's chain skips its own reverb and delay and
+ * feeds these buses instead, its effect `mix` used as the send level. Notes
+ * then share one room, and a chain is free as soon as its envelope ends
+ * because the tails ring on the buses.
+ *
+ *   reverbInput → convolver → reverbReturn → destination
+ *   delayInput → delay ⇄ delayFeedback, delay → delayReturn → destination
+ */
+
+export const EFFECT_ROUTINGS: Array<{ id: EffectRouting; name: string }> = [
+  { id: 'perVoice', name: 'Per note' },
+  { id: 'sends', name: 'Shared sends' },
+]
+
+export const DEFAULT_SENDS: SendSettings = {
+  routing: 'perVoice',
+  reverb: { roomSize: 0.6, damping: 0.3, level: 0.8 },
+  delay: { time: 0.3, feedback: 0.35, level: 0.6 },
+}
+
+/** Longest delay time the bus can be set to, in seconds */
+const MAX_DELAY_TIME = 2
+
+export interface SendBus {
+  reverbInput: GainNode
+  convolver: ConvolverNode
+  reverbReturn: GainNode
+  delayInput: GainNode
+  delay: DelayNode
+  delayFeedback: GainNode
+  delayReturn: GainNode
+}
+
+/**
+ * Set the buses' room, delay and return levels. With `when` the levels are
+ * scheduled on the context's clock; the impulse response is swapped at once
+ * either way (a ConvolverNode buffer can't be automated).
+ */
+export const applySendSettings = (
+  bus: SendBus, ctx: BaseAudioContext, settings: SendSettings, when?: number,
+): void => {
+  // Cached per room, so unchanged settings keep the buffer and the ringing tail
+  const impulse = buildImpulseResponse(ctx, settings.reverb.roomSize, settings.reverb.damping)
+  if (bus.convolver.buffer !== impulse) bus.convolver.buffer = impulse
+  const levels: Array<[AudioParam, number]> = [
+    [bus.reverbReturn.gain, settings.reverb.level],
+    [bus.delay.delayTime, Math.min(settings.delay.time, MAX_DELAY_TIME)],
+    [bus.delayFeedback.gain, settings.delay.feedback],
+    [bus.delayReturn.gain, settings.delay.level],
+  ]
+  for (const [param, value] of levels) {
+    if (when === undefined) param.value = value
+    else param.setValueAtTime(value, when)
+  }
+}
+
+/** Build both buses, returning into `destination` (normally the master bus input). */
+export const buildSendBus = (ctx: BaseAudioContext, destination: AudioNode, settings: SendSettings = DEFAULT_SENDS): SendBus => {
+  const bus: SendBus = {
+    reverbInput: ctx.createGain(),
+    convolver: ctx.createConvolver(),
+    reverbReturn: ctx.createGain(),
+    delayInput: ctx.createGain(),
+    delay: ctx.createDelay(MAX_DELAY_TIME),
+    delayFeedback: ctx.createGain(),
+    delayReturn: ctx.createGain(),
+  }
+  bus.reverbInput.connect(bus.convolver)
+  bus.convolver.connect(bus.reverbReturn)
+  bus.reverbReturn.connect(destination)
+  bus.delayInput.connect(bus.delay)
+  bus.delay.connect(bus.delayFeedback)
+  bus.delayFeedback.connect(bus.delay)
+  bus.delay.connect(bus.delayReturn)
+  bus.delayReturn.connect(destination)
+  applySendSettings(bus, ctx, settings)
+  return bus
+}
+
+/** A note's send levels: its reverb and delay mix, or 0 for an effect it has off. */
+export const sendLevels = (settings: SoundSettings | undefined): { reverb: number; delay: number } => ({
+  reverb: settings?.reverb?.enabled ? settings.reverb.mix : 0,
+  delay: settings?.delay?.enabled ? settings.delay.mix : 0,
+})
+
+/** How long the buses ring after their input stops; the same estimate as effectTailTime. */
+export const sendTailTime = (settings: SendSettings): number =>
+  Math.min(3.0, Math.max(0.3 + settings.reverb.roomSize * 2.2, settings.delay.time * 4))
@@ -0,0 +1,178 @@
+// @ts-nocheck
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  SESSION_FILE_FORMAT,
+  SESSION_FILE_VERSION,
+  MAX_SESSION_TICKS,
+  startSessionRecording,
+  stopSessionRecording,
+  isSessionRecording,
+  recordSessionTick,
+  recordSessionInput,
+  createSessionPlayer,
+  encodeSession,
+  decodeSession,
+  parseSessionFile,
+} from './session'
+import { World } from './world'
+import { DEFAULT_PHYSICS } from './fields'
+import { setSeed, nextRandom } from './random'
+import { pickNoteIndex } from './pitchMapping'
+
+const start = {
+  viewport: { width: 800, height: 600 },
+  ballSpeed: 15,
+  state: { globalVolume: 0.5 },
+  balls: [{ x: 100, y: 200, vx: 3, vy: -4, radius: 15, color: 'red' }],
+}
+
+afterEach(() => { stopSessionRecording() })
+
+describe('session recorder', () => {
+  it('stamps each input with the number of ticks before it', () => {
+    startSessionRecording(9, start)
+    expect(isSessionRecording()).toBe(true)
+    recordSessionInput({ type: 'spawn', x: 1, y: 2 })
+    recordSessionTick(1 / 60)
+    recordSessionTick(1 / 30)
+    recordSessionInput({ type: 'ballSpeed', value: 20 })
+    const log = stopSessionRecording()
+    expect(isSessionRecording()).toBe(false)
+    expect(log).toEqual({
+      seed: 9,
+      start,
+      ticks: [1 / 60, 1 / 30],
+      inputs: [
+        { tick: 0, input: { type: 'spawn', x: 1, y: 2 } },
+        { tick: 2, input: { type: 'ballSpeed', value: 20 } },
+      ],
+    })
+  })
+
+  it('ignores ticks and inputs when not recording', () => {
+    recordSessionTick(1)
+    recordSessionInput({ type: 'spawn' })
+    expect(stopSessionRecording()).toBeNull()
+  })
+
+  it('copies inputs so later edits do not change the log', () => {
+    startSessionRecording(1, start)
+    const input = { type: 'resize', bounds: { width: 10, height: 10 } }
+    recordSessionInput(input)
+    input.bounds.width = 99
+    expect(stopSessionRecording().inputs[0].input.bounds.width).toBe(10)
+  })
+
+  it('stops growing at the tick cap', () => {
+    startSessionRecording(1, start)
+    for (let i = 0; i < MAX_SESSION_TICKS + 5; i++) recordSessionTick(0.01)
+    recordSessionInput({ type: 'spawn' })
+    const log = stopSessionRecording()
+    expect(log.ticks).toHaveLength(MAX_SESSION_TICKS)
+    expect(log.inputs).toEqual([])
+  })
+})
+
+describe('createSessionPlayer', () => {
+  it('hands out each tick with the inputs logged before it', () => {
+    const player = createSessionPlayer({
+      ticks: [0.1, 0.2],
+      inputs: [
+        { tick: 0, input: { type: 'spawn' } },
+        { tick: 1, input: { type: 'ballSpeed', value: 5 } },
+        { tick: 1, input: { type: 'spawn' } },
+        { tick: 2, input: { type: 'spawn', x: 1, y: 1 } },
+      ],
+    })
+    expect(player.length).toBe(2)
+    expect(player.next()).toEqual({ elapsed: 0.1, inputs: [{ type: 'spawn' }] })
+    expect(player.next()).toEqual({ elapsed: 0.2, inputs: [{ type: 'ballSpeed', value: 5 }, { type: 'spawn' }] })
+    expect(player.position).toBe(2)
+    expect(player.next()).toBeNull()
+  })
+})
+
+describe('encodeSession / decodeSession', () => {
+  const log = {
+    seed: 1234,
+    start,
+    ticks: [1 / 60, 1 / 60],
+    inputs: [{ tick: 1, input: { type: 'midiNote', note: 60, velocity: 100 } }],
+  }
+
+  it('round-trips through JSON', () => {
+    const decoded = parseSessionFile(JSON.stringify(encodeSession(log)))
+    expect(decoded.seed).toBe(1234)
+    expect(decoded.ticks).toEqual(log.ticks)
+    expect(decoded.inputs).toEqual(log.inputs)
+    expect(decoded.start.balls).toEqual(start.balls)
+  })
+
+  it('stamps the format and current version', () => {
+    expect(encodeSession(log)).toMatchObject({ format: SESSION_FILE_FORMAT, version: SESSION_FILE_VERSION })
+  })
+
+  it('rejects other JSON, newer versions and missing migrations', () => {
+    expect(() => decodeSession({ format: 'oscillaphone-scene' })).toThrow('Not an Oscillaphone session')
+    expect(() => decodeSession({ ...encodeSession(log), version: SESSION_FILE_VERSION + 1 }))
+      .toThrow('newer than this app supports')
+    expect(() => decodeSession({ ...encodeSession(log), version: 0 })).toThrow('can no longer be loaded')
+    expect(() => parseSessionFile('{')).toThrow('Session file is not valid JSON')
+  })
+
+  it('rejects damaged timing', () => {
+    expect(() => decodeSession({ ...encodeSession(log), ticks: [0.1, -1] })).toThrow('Session timing is damaged')
+  })
+
+  it('drops unknown inputs and orders the rest by tick', () => {
+    const decoded = decodeSession({
+      ...encodeSession(log),
+      inputs: [
+        { tick: 3, input: { type: 'spawn' } },
+        { tick: 1, input: { type: 'teleport' } },
+        { tick: 0, input: { type: 'ballSpeed', value: 2 } },
+        'spawn',
+      ],
+    })
+    expect(decoded.inputs.map(entry => entry.tick)).toEqual([0, 3])
+  })
+})
+
+describe('replay determinism', () => {
+  // A headless stand-in for the canvas: step a World by the log's ticks,
+  // spawn on inputs and pick a note from the seeded stream for each hit.
+  const play = (log) => {
+    setSeed(log.seed)
+    const world = new World(log.start.viewport)
+    world.setPhysics({ ...DEFAULT_PHYSICS, substeps: 1 })
+    let next = 0
+    log.start.balls.forEach(ball => world.addBall(`ball-${next++}`, ball))
+    const notes = []
+    const player = createSessionPlayer(log)
+    for (let tick = player.next(); tick; tick = player.next()) {
+      tick.inputs.forEach(({ x, y }) => {
+        const angle = nextRandom('spawn') * Math.PI * 2
+        world.addBall(`ball-${next++}`, { x, y, vx: Math.cos(angle) * 8, vy: Math.sin(angle) * 8, radius: 20, color: 'red' })
+      })
+      world.advance(tick.elapsed).forEach(() => notes.push(pickNoteIndex('random', 7, {}, 0)))
+    }
+    return { notes, balls: world.balls }
+  }
+
+  it('reproduces the same notes and motion from the same seed and log', () => {
+    const log = {
+      seed: 2024,
+      start,
+      ticks: Array.from({ length: 240 }, (_, i) => (i % 3 === 0 ? 1 / 30 : 1 / 60)),
+      inputs: [
+        { tick: 10, input: { type: 'spawn', x: 400, y: 300 } },
+        { tick: 50, input: { type: 'spawn', x: 700, y: 100 } },
+      ],
+    }
+    const first = play(log)
+    const second = play(log)
+    expect(first.notes.length).toBeGreaterThan(0)
+    expect(second.notes).toEqual(first.notes)
+    expect(second.balls).toEqual(first.balls)
+  })
+})
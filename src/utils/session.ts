@@ -0,0 +1,152 @@
+import type { Scene } from '../types/audio'
+import type { RawSessionLog, SessionInput, SessionLog, TimedSessionInput } from '../types/session'
+import { decodeScene, encodeScene } from './scene'
+import { downloadBlob, fileTimestamp } from './download'
+import { isFiniteNumber, isPlainObject } from './guards'
+
+/**
+ * Session recorder and player for deterministic replay. While recording,
+ * each World advance logs its elapsed time (a tick) and each input logs the
+ * tick it came before. Replaying feeds the World the same ticks and re-runs
+ * the inputs between the same two advances; with the random streams reseeded
+ * (see random.ts) that reproduces the notes and motion.
+ */
+
+export const SESSION_FILE_FORMAT = 'oscillaphone-session'
+export const SESSION_FILE_VERSION = 1
+
+/** Safety cap: about 20 minutes at 60 fps. */
+export const MAX_SESSION_TICKS = 72000
+
+let recording: SessionLog | null = null
+
+/** Begin logging from `start`, with the random streams just reset to `seed`. */
+export const startSessionRecording = (seed: number, start: Scene): void => {
+  recording = { seed, start, ticks: [], inputs: [] }
+}
+
+/** Stop recording and return the log, or null if nothing was recording. */
+export const stopSessionRecording = (): SessionLog | null => {
+  const log = recording
+  recording = null
+  return log
+}
+
+export const isSessionRecording = (): boolean => recording !== null
+
+/** Log one World advance. */
+export const recordSessionTick = (elapsed: number): void => {
+  if (recording && recording.ticks.length < MAX_SESSION_TICKS) recording.ticks.push(elapsed)
+}
+
+/** Log an input before the next advance. Inputs are deep-copied, like recorded notes' settings. */
+export const recordSessionInput = (input: SessionInput): void => {
+  if (!recording || recording.ticks.length >= MAX_SESSION_TICKS) return
+  recording.inputs.push({ tick: recording.ticks.length, input: structuredClone(input) })
+}
+
+// ─── Replay ───────────────────────────────────────────────────────────────────
+
+export interface SessionTick {
+  elapsed: number
+  /** Inputs to apply before advancing by `elapsed` */
+  inputs: SessionInput[]
+}
+
+export interface SessionPlayer {
+  /** The next tick, or null once the log is used up. */
+  next(): SessionTick | null
+  /** Ticks played so far, out of `length`. */
+  readonly position: number
+  readonly length: number
+}
+
+/** Step through a log one tick at a time; inputs logged after the last tick are dropped. */
+export const createSessionPlayer = (log: Pick<SessionLog, 'ticks' | 'inputs'>): SessionPlayer => {
+  let tick = 0
+  let cursor = 0
+  return {
+    next() {
+      if (tick >= log.ticks.length) return null
+      const inputs: SessionInput[] = []
+      while (cursor < log.inputs.length && log.inputs[cursor].tick <= tick) {
+        inputs.push(log.inputs[cursor].input)
+        cursor++
+      }
+      return { elapsed: log.ticks[tick++], inputs }
+    },
+    get position() { return tick },
+    get length() { return log.ticks.length },
+  }
+}
+
+// ─── File format ──────────────────────────────────────────────────────────────
+
+const INPUT_TYPES = new Set<SessionInput['type']>([
+  'spawn', 'midiNote', 'action', 'ballSpeed', 'ballVoice', 'ballPatch', 'removeBall', 'tilt', 'resize',
+])
+
+export const encodeSession = (log: SessionLog): Record<string, unknown> => ({
+  format: SESSION_FILE_FORMAT,
+  version: SESSION_FILE_VERSION,
+  seed: log.seed,
+  start: encodeScene(log.start),
+  ticks: log.ticks,
+  inputs: log.inputs,
+})
+
+/**
+ * Upgrades from each older version to the next, indexed by the version they
+ * upgrade from, as for scenes. The start scene migrates on its own.
+ */
+const SESSION_MIGRATIONS: Record<number, (data: Record<string, unknown>) => Record<string, unknown>> = {}
+
+/**
+ * Validate and migrate a session file's JSON. Throws an Error with a
+ * user-facing message if it isn't a usable session. Inputs of unknown
+ * types are dropped; the actions they carry go through the reducer as-is.
+ */
+export const decodeSession = (data: unknown): RawSessionLog => {
+  if (!isPlainObject(data) || data.format !== SESSION_FILE_FORMAT) throw new Error('Not an Oscillaphone session')
+  const version = isFiniteNumber(data.version) ? data.version : 0
+  if (version > SESSION_FILE_VERSION) {
+    throw new Error(`Session version ${version} is newer than this app supports`)
+  }
+  let session = data
+  for (let v = version; v < SESSION_FILE_VERSION; v++) {
+    const migrate = SESSION_MIGRATIONS[v]
+    if (!migrate) throw new Error(`Session version ${version} can no longer be loaded`)
+    session = migrate(session)
+  }
+
+  if (!isFiniteNumber(session.seed)) throw new Error('Session has no seed')
+  if (!Array.isArray(session.ticks) || !session.ticks.every(t => isFiniteNumber(t) && t >= 0)) {
+    throw new Error('Session timing is damaged')
+  }
+  const inputs = (Array.isArray(session.inputs) ? session.inputs : [])
+    .filter((entry): entry is TimedSessionInput =>
+      isPlainObject(entry) && isFiniteNumber(entry.tick) &&
+      isPlainObject(entry.input) && INPUT_TYPES.has(entry.input.type as SessionInput['type']))
+    .sort((a, b) => a.tick - b.tick)
+
+  return { seed: session.seed >>> 0, start: decodeScene(session.start), ticks: session.ticks, inputs }
+}
+
+/** Parse a session file's text; throws like decodeSession. */
+export const parseSessionFile = (text: string): RawSessionLog => {
+  let data: unknown
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Session file is not valid JSON')
+  }
+  return decodeSession(data)
+}
+
+/** Trigger a browser download of the session as a JSON file. */
+export const downloadSessionFile = (log: SessionLog): void => {
+  downloadBlob(
+    new Blob([JSON.stringify(encodeSession(log))], { type: 'application/json' }),
+    `oscillaphone-session_${fileTimestamp()}.json`,
+  )
+}
@@ -1,16 +1,46 @@
 // Create an audio context
-import type { SoundSettings } from '../types/audio'
+import type {
+  SoundSettings, PitchMappingMode, NoteSource, TuningSettings, MidiSettings, BallVoice, TransportSettings,
+  PolyphonySettings, VoiceCategory, MasterSettings, SendSettings,
+} from '../types/audio'
+import { pickNoteIndex } from './pitchMapping'
+import { nextRandom } from './random'
+import { generateScale, parseScaleId, DEFAULT_SCALE, DEFAULT_TUNING, type NoteGroups } from './scales'
 
 let audioContext: AudioContext | null = null;
 
 // Re-enable audio optimization imports incrementally
 import { getAudioPool, destroyAudioPool, getAudioPoolStats } from './audioPool'
-import { getEffectChainPool, destroyEffectChainPool, getEffectChainStats } from './effectChains'
-
-// Global audio processing nodes
-let globalCompressor: DynamicsCompressorNode | null = null;
-let globalLimiter: DynamicsCompressorNode | null = null;
-let globalMaster: GainNode | null = null;
+import {
+  getEffectChainPool, destroyEffectChainPool, getEffectChainStats, getVoiceStats, setPolyphony as setPoolPolyphony,
+  type EffectChain,
+} from './effectChains'
+import { isNoteRecording, recordNoteEvent } from './noteRecorder'
+import { startLiveRecording, cancelLiveRecording, type RecordingCompleteHandler } from './liveRecorder'
+import { buildMidiNote, DEFAULT_MIDI_SETTINGS } from './midiMessages'
+import { sendMidiMessages } from './midi'
+import { resolveVoiceSettings, pickVoiceNote, transposeNote } from './voices'
+import { DEFAULT_ENVELOPE, DEFAULT_FILTER, envelopeLength } from './envelope'
+import { buildNoteSource } from './sources'
+import { loadSampleFile, type SampleRef } from './samples'
+import { DEFAULT_TRANSPORT, TransportScheduler } from './transport'
+import { DEFAULT_MASTER, applyMasterSettings, buildMasterChain, measureLevels, type MasterChain } from './masterBus'
+import { DEFAULT_SENDS, applySendSettings, buildSendBus, sendLevels, type SendBus } from './sendBus'
+
+// Global audio processing nodes: the master bus (see masterBus.ts) and the
+// analyser tapped off its output for the meters and scope
+let masterBus: MasterChain | null = null;
+let masterSettings: MasterSettings = DEFAULT_MASTER;
+let masterAnalyser: AnalyserNode | null = null;
+let meterSamples: Float32Array<ArrayBuffer> | null = null;
+
+// Shared reverb and delay buses into the master bus, used in 'sends' routing (see sendBus.ts)
+let sendBus: SendBus | null = null;
+let sendSettings: SendSettings = DEFAULT_SENDS;
+
+// Tempo clock for quantized notes and the metronome (see transport.ts)
+let transport: TransportScheduler | null = null;
+let transportSettings: TransportSettings = DEFAULT_TRANSPORT;
 
 // Keep track of active audio nodes for cleanup
 let activeNodes: Set<AudioNode> = new Set();
@@ -51,36 +81,21 @@ export const mapVelocityToVolume = (velocity: number, maxVolume: number): number
 // Initialize global audio processing nodes
 const initGlobalProcessing = () => {
   if (!audioContext) return
-  if (!globalCompressor) {
-    // Create compressor for dynamic range control
-    globalCompressor = audioContext.createDynamicsCompressor();
-    globalCompressor.threshold.value = -24.0;  // Start compression at -24dB
-    globalCompressor.knee.value = 12.0;        // Soft knee for smooth compression
-    globalCompressor.ratio.value = 4.0;        // Moderate compression ratio
-    globalCompressor.attack.value = 0.003;     // Fast attack to catch transients
-    globalCompressor.release.value = 0.25;     // Moderate release
-    
-    // Create limiter (compressor with high ratio and fast attack)
-    globalLimiter = audioContext.createDynamicsCompressor();
-    globalLimiter.threshold.value = -3.0;      // Stronger limiting at -3dB (was -6dB)
-    globalLimiter.knee.value = 0.0;            // Hard knee for true limiting
-    globalLimiter.ratio.value = 20.0;          // Very high ratio for limiting
-    globalLimiter.attack.value = 0.001;        // Very fast attack
-    globalLimiter.release.value = 0.1;         // Fast release
-    
-    // Create master volume control
-    globalMaster = audioContext.createGain();
-    globalMaster.gain.value = 0.7;             // Reduced from 1.0 to provide headroom
-    
-    // Connect the processing chain
-    globalCompressor.connect(globalLimiter);
-    globalLimiter.connect(globalMaster);
-    globalMaster.connect(audioContext.destination);
-    
+  if (!masterBus) {
+    // 0.7 rather than 1.0 to provide headroom until setGlobalVolume runs
+    masterBus = buildMasterChain(audioContext, 0.7, masterSettings);
+    masterAnalyser = audioContext.createAnalyser();
+    masterAnalyser.fftSize = 2048;
+    masterBus.master.connect(masterAnalyser);
+    sendBus = buildSendBus(audioContext, masterBus.input, sendSettings);
+
     // Add to active nodes for cleanup
-    activeNodes.add(globalCompressor);
-    activeNodes.add(globalLimiter);
-    activeNodes.add(globalMaster);
+    Object.values(masterBus.eq).forEach(node => activeNodes.add(node));
+    activeNodes.add(masterBus.compressor);
+    activeNodes.add(masterBus.limiter);
+    activeNodes.add(masterBus.master);
+    activeNodes.add(masterAnalyser);
+    Object.values(sendBus).forEach(node => activeNodes.add(node));
   }
 };
 
@@ -94,6 +109,9 @@ export const initAudioContext = () => {
     getAudioPool(audioContext);
     getEffectChainPool(audioContext);
 
+    transport = new TransportScheduler(() => audioContext?.currentTime ?? 0, playMetronomeClick);
+    transport.configure(transportSettings);
+
     // Recover automatically from transient hardware/renderer errors (e.g. audio
     // device switch, system sleep, "AudioContext encountered an error" events).
     audioContext.onstatechange = () => {
@@ -108,6 +126,11 @@ export const initAudioContext = () => {
 // Cleanup audio resources
 export const cleanupAudio = () => {
   if (audioContext) {
+    // Drop any take in progress first so its tap off the master gain is released
+    cancelLiveRecording();
+    transport?.stop();
+    transport = null;
+
     // Clean up all active nodes
     activeNodes.forEach(node => {
       try {
@@ -129,198 +152,128 @@ export const cleanupAudio = () => {
     // Close audio context
     audioContext.close();
     audioContext = null;
-    globalCompressor = null;
-    globalLimiter = null;
-    globalMaster = null;
-  }
-};
-
-// Musical scales and notes
-export const SCALES = {
-  C_MAJOR: {
-    name: "C Major",
-    notes: {
-      // 2nd octave (wall collisions)
-      C2: 65.41, E2: 82.41, G2: 98.00,
-      // 3rd octave (wall collisions)
-      C3: 130.81, E3: 164.81, G3: 196.00,
-      // 4th octave (circle collisions)
-      C4: 261.63, E4: 329.63, G4: 392.00,
-      // 5th octave (circle collisions)
-      C5: 523.25, E5: 659.25, G5: 783.99
-    }
-  },
-  A_MINOR: {
-    name: "A Minor",
-    notes: {
-      // 2nd octave (wall collisions)
-      A2: 110.00, B2: 123.47, C3: 130.81,
-      D3: 146.83, E3: 164.81, F3: 174.61, G3: 196.00,
-      // 3rd octave (wall collisions)
-      A3: 220.00, B3: 246.94, C4: 261.63,
-      D4: 293.66, E4: 329.63, F4: 349.23, G4: 392.00,
-      // 4th octave (circle collisions)
-      A4: 440.00, B4: 493.88, C5: 523.25,
-      D5: 587.33, E5: 659.25, F5: 698.46, G5: 783.99,
-      // 5th octave (circle collisions)
-      A5: 880.00, B5: 987.77, C6: 1046.50,
-      D6: 1174.66, E6: 1318.51, F6: 1396.91, G6: 1567.98
-    }
-  },
-  F_LYDIAN: {
-    name: "F Lydian",
-    notes: {
-      // 2nd octave (wall collisions)
-      F2: 87.31, G2: 98.00, A2: 110.00, B2: 123.47,
-      C3: 130.81, D3: 146.83, E3: 164.81,
-      // 3rd octave (wall collisions)
-      F3: 174.61, G3: 196.00, A3: 220.00, B3: 246.94,
-      C4: 261.63, D4: 293.66, E4: 329.63,
-      // 4th octave (circle collisions)
-      F4: 349.23, G4: 392.00, A4: 440.00, B4: 493.88,
-      C5: 523.25, D5: 587.33, E5: 659.25,
-      // 5th octave (circle collisions)
-      F5: 698.46, G5: 783.99, A5: 880.00, B5: 987.77,
-      C6: 1046.50, D6: 1174.66, E6: 1318.51
-    }
-  },
-  A_PENTATONIC_MINOR: {
-    name: "A Pent Min",
-    notes: {
-      // 2nd octave (wall collisions)
-      A2: 110.00, C3: 130.81, D3: 146.83, E3: 164.81, G3: 196.00,
-      // 3rd octave (wall collisions)
-      A3: 220.00, C4: 261.63, D4: 293.66, E4: 329.63, G4: 392.00,
-      // 4th octave (circle collisions)
-      A4: 440.00, C5: 523.25, D5: 587.33, E5: 659.25, G5: 783.99,
-      // 5th octave (circle collisions)
-      A5: 880.00, C6: 1046.50, D6: 1174.66, E6: 1318.51, G6: 1567.98
-    }
-  },
-  C_PENTATONIC_MAJOR: {
-    name: "C Pent Maj",
-    notes: {
-      // 2nd octave (wall collisions)
-      C2: 65.41, D2: 73.42, E2: 82.41, G2: 98.00, A2: 110.00,
-      // 3rd octave (wall collisions)
-      C3: 130.81, D3: 146.83, E3: 164.81, G3: 196.00, A3: 220.00,
-      // 4th octave (circle collisions)
-      C4: 261.63, D4: 293.66, E4: 329.63, G4: 392.00, A4: 440.00,
-      // 5th octave (circle collisions)
-      C5: 523.25, D5: 587.33, E5: 659.25, G5: 783.99, A5: 880.00
-    }
-  },
-  D_DORIAN: {
-    name: "D Dorian",
-    notes: {
-      // 2nd octave (wall collisions)
-      D2: 73.42, E2: 82.41, F2: 87.31, G2: 98.00,
-      A2: 110.00, B2: 123.47, C3: 130.81,
-      // 3rd octave (wall collisions)
-      D3: 146.83, E3: 164.81, F3: 174.61, G3: 196.00,
-      A3: 220.00, B3: 246.94, C4: 261.63,
-      // 4th octave (circle collisions)
-      D4: 293.66, E4: 329.63, F4: 349.23, G4: 392.00,
-      A4: 440.00, B4: 493.88, C5: 523.25,
-      // 5th octave (circle collisions)
-      D5: 587.33, E5: 659.25, F5: 698.46, G5: 783.99,
-      A5: 880.00, B5: 987.77, C6: 1046.50
-    }
+    masterBus = null;
+    masterAnalyser = null;
+    meterSamples = null;
+    sendBus = null;
   }
 };
 
-// Export scales for UI
-export const AVAILABLE_SCALES = Object.entries(SCALES).map(([id, scale]) => ({
-  id,
-  name: scale.name
-}));
+// Scales are generated from root + mode + tuning; see scales.ts
+export { AVAILABLE_SCALES, AVAILABLE_ROOTS, AVAILABLE_MODES } from './scales'
 
-// Available waveforms
-export const WAVEFORMS = [
-  { id: 'sine', name: 'Sine' },
-  { id: 'square', name: 'Square' },
-  { id: 'sawtooth', name: 'Sawtooth' },
-  { id: 'triangle', name: 'Triangle' }
-];
+// Available waveforms; listed with the other sources, see sources.ts
+export { WAVEFORMS } from './sources'
 
-/**
- * Bucket the note keys of a scale by octave group.
- * Returns { WALL_LOW, WALL_MID, CIRCLE_HIGH, CIRCLE_HIGHER } arrays of note names.
- * Octave 2   → WALL_LOW
- * Octave 3   → WALL_MID
- * Octave 4   → CIRCLE_HIGH
- * Octave 5+  → CIRCLE_HIGHER
- */
-type NoteGroups = {
-  WALL_LOW: string[]
-  WALL_MID: string[]
-  CIRCLE_HIGH: string[]
-  CIRCLE_HIGHER: string[]
-}
+// Current musical scale and tuning (used by getRandomNote and getMappedNote)
+let currentScale = DEFAULT_SCALE;
+let currentTuning: TuningSettings = DEFAULT_TUNING;
+let currentCustomIntervals: number[] = [];
 
-// SCALES keyed by string for dynamic lookups
-type ScaleMap = typeof SCALES & Record<string, { name: string; notes: Record<string, number> } | undefined>
-const SCALES_MAP = SCALES as ScaleMap
-
-const buildNoteGroups = (scaleId: string): NoteGroups => {
-  const notes = SCALES_MAP[scaleId]?.notes ?? {}
-  const groups: NoteGroups = { WALL_LOW: [], WALL_MID: [], CIRCLE_HIGH: [], CIRCLE_HIGHER: [] }
-  for (const name of Object.keys(notes)) {
-    const octave = parseInt(name.slice(-1), 10)
-    if (octave === 2)      groups.WALL_LOW.push(name)
-    else if (octave === 3) groups.WALL_MID.push(name)
-    else if (octave === 4) groups.CIRCLE_HIGH.push(name)
-    else if (octave >= 5)  groups.CIRCLE_HIGHER.push(name)
-  }
-  return groups
-}
+// MIDI output mode and channels (used by emitNote)
+let midiRouting: MidiSettings = DEFAULT_MIDI_SETTINGS;
 
-// Cache built groups per scale so we don't rebuild every note
-const noteGroupCache = new Map<string, NoteGroups>()
+// Generated groups for the current scale + tuning; cleared by the setters below
+let noteGroups: NoteGroups | null = null;
 
-// Current musical scale (used by getRandomNote and playBeep)
-let currentScale = 'C_MAJOR';
+const getNoteGroups = (): NoteGroups => {
+  if (!noteGroups) noteGroups = generateScale(currentScale, currentTuning, currentCustomIntervals)
+  return noteGroups
+}
 
 const getRandomNote = (group: keyof NoteGroups): number => {
-  let groups = noteGroupCache.get(currentScale)
-  if (!groups) {
-    groups = buildNoteGroups(currentScale)
-    noteGroupCache.set(currentScale, groups)
-  }
-  const noteNames = groups[group] ?? groups.WALL_MID
-  const randomNoteName = noteNames[Math.floor(Math.random() * noteNames.length)]
-  return (SCALES_MAP[currentScale]?.notes[randomNoteName] ?? 261.63)
+  const notes = getNoteGroups()[group]
+  return notes[Math.floor(nextRandom('notes') * notes.length)] ?? 261.63
 };
 
-// soundSettings is the wallSettings or circleSettings object from React AudioContext state.
-const createOptimizedBeep = (frequency: number, duration = 0.15, volume = 0.3, pan = 0, soundSettings?: SoundSettings): void => {
-  initAudioContext();
-  const ctx = audioContext
-  if (!ctx) return
-
-  const chainPool = getEffectChainPool(ctx);
-  const oscillator = ctx.createOscillator();
+/**
+ * Choose a note from the union of two octave groups. `random` keeps the
+ * original 50/50 group pick; every other mode maps the collision's physical
+ * data onto the groups' notes sorted low → high.
+ */
+const getMappedNote = (
+  low: keyof NoteGroups,
+  high: keyof NoteGroups,
+  mode: PitchMappingMode,
+  source: NoteSource,
+  velocity: number,
+): number => {
+  if (mode === 'random') return getRandomNote(nextRandom('notes') < 0.5 ? low : high)
+  const groups = getNoteGroups()
+  const frequencies = [...groups[low], ...groups[high]].sort((a, b) => a - b)
+  return frequencies[pickNoteIndex(mode, frequencies.length, source, velocity)] ?? 261.63
+};
 
-  // Configure oscillator from React state
-  oscillator.type = soundSettings?.waveform ?? 'sine';
-  oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
-  oscillator.detune.setValueAtTime(soundSettings?.detune ?? 0, ctx.currentTime);
+/**
+ * The collision type's mapped note, unless the ball's voice sets its own
+ * pitch; either way moved by the voice's transpose.
+ */
+const getCollisionNote = (
+  low: keyof NoteGroups,
+  high: keyof NoteGroups,
+  soundSettings: SoundSettings | undefined,
+  source: NoteSource,
+  velocity: number,
+  voice?: BallVoice,
+): number => {
+  if (voice) {
+    const groups = getNoteGroups();
+    const allNotes = [...groups.WALL_LOW, ...groups.WALL_MID, ...groups.CIRCLE_HIGH, ...groups.CIRCLE_HIGHER]
+      .sort((a, b) => a - b);
+    const note = pickVoiceNote(voice, allNotes, soundSettings, source, velocity, currentTuning.a4);
+    if (note !== null) return transposeNote(note, voice);
+  }
+  return transposeNote(getMappedNote(low, high, soundSettings?.pitchMapping ?? 'random', source, velocity), voice);
+};
 
-  const effectChain = chainPool.getChain();
+/**
+ * Seconds an effect chain keeps sounding after the note itself ends.
+ * Reverb tail is derived from actual IR duration (0.3 + roomSize*2.2) rather
+ * than a fixed 2 s so chains return to the pool sooner, reducing peak demand.
+ */
+export const effectTailTime = (soundSettings?: SoundSettings): number => {
+  const reverbTailTime = soundSettings?.reverb?.enabled ? (0.3 + soundSettings.reverb.roomSize * 2.2) : 0;
+  const delayTailTime = soundSettings?.delay?.enabled ? soundSettings.delay.time * 4 : 0;
+  return Math.min(3.0, Math.max(reverbTailTime, delayTailTime));
+};
 
-  if (!effectChain) {
-    // Pool exhausted — drop this note. Creating overflow chains or flooding
-    // the audioPool both cause unbounded node accumulation and tab crashes.
-    return;
-  }
+/**
+ * Wire one note through `effectChain` into `destination`, starting at `when`.
+ * Shared by live playback and offline rendering so both build the same graph.
+ * Returns the note's source nodes; the last one's end marks the note's end and
+ * their stop time already covers the release and effect tails.
+ * soundSettings is the wallSettings or circleSettings object from React AudioContext state;
+ * `duration` is the envelope's gate and `strength` the normalised hit velocity (0..1).
+ * With `sends`, the chain's own reverb and delay stay off and the note feeds
+ * the shared buses instead, so it stops as soon as its envelope ends.
+ */
+export const scheduleNote = (
+  ctx: BaseAudioContext,
+  effectChain: EffectChain,
+  destination: AudioNode,
+  frequency: number,
+  duration: number,
+  volume: number,
+  pan: number,
+  soundSettings: SoundSettings | undefined,
+  when: number,
+  strength = 1,
+  sends?: SendBus,
+): AudioScheduledSourceNode[] => {
+  // Oscillator, partials, FM, noise or sample — see sources.ts
+  const { sources, output } = buildNoteSource(ctx, frequency, soundSettings, when);
 
   // Build effect chain config directly from the React state settings object
-  const delay = soundSettings?.delay ?? { enabled: false, time: 0.3, feedback: 0.3, mix: 0.3 };
-  const reverb = soundSettings?.reverb ?? { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 };
+  const noteDelay = soundSettings?.delay ?? { enabled: false, time: 0.3, feedback: 0.3, mix: 0.3 };
+  const noteReverb = soundSettings?.reverb ?? { enabled: false, roomSize: 0.5, damping: 0.3, mix: 0.3 };
+  const delay = sends ? { ...noteDelay, enabled: false } : noteDelay;
+  const reverb = sends ? { ...noteReverb, enabled: false } : noteReverb;
   const distortion = soundSettings?.distortion ?? { enabled: false, amount: 0.5, oversample: '2x' as const, mix: 0.3 };
   const tremolo = soundSettings?.tremolo ?? { enabled: false, rate: 4.0, depth: 0.5, mix: 0.5 };
+  const envelope = soundSettings?.envelope ?? DEFAULT_ENVELOPE;
+  const filter = soundSettings?.filter ?? DEFAULT_FILTER;
 
-  const activeEffectCount = [delay.enabled, reverb.enabled, distortion.enabled, tremolo.enabled]
+  const activeEffectCount = [noteDelay.enabled, noteReverb.enabled, distortion.enabled, tremolo.enabled]
     .filter(Boolean).length;
   const baseVolumeScale = soundSettings?.volume ?? 1.0;
   const effectScaling = Math.max(0.4, 1.0 - activeEffectCount * 0.1);
@@ -329,76 +282,299 @@ const createOptimizedBeep = (frequency: number, duration = 0.15, volume = 0.3, p
     volume: volume * baseVolumeScale * effectScaling,
     duration,
     pan,
+    velocity: strength,
+    envelope,
+    filter,
     delay,
     reverb,
     distortion,
     tremolo: { ...tremolo, shape: tremolo.shape ?? 'sine' } as import('../types/audio').TremoloSettings,
+    sends: sends ? sendLevels(soundSettings) : undefined,
+  }, when);
+
+  // Connect the source to the effect chain
+  effectChain.connectSource(output);
+  effectChain.connectToDestination(destination);
+  if (sends) effectChain.connectSends(sends.reverbInput, sends.delayInput);
+
+  const stopAt = when + envelopeLength(envelope, duration) + (sends ? 0 : effectTailTime(soundSettings));
+  for (const source of sources) {
+    source.start(when);
+    source.stop(stopAt);
+  }
+  return sources;
+};
+
+// Play a note on the live context, now or at `when` on its clock. The ball's
+// voice is layered over the collision type's settings here (see
+// resolveVoiceSettings for the order). The voice allocator decides whether the
+// note gets a chain, possibly by stealing one (see EffectChainPool.allocate).
+// Returns the settings the note played with, or null if it was dropped.
+const createOptimizedBeep = (
+  category: VoiceCategory,
+  frequency: number,
+  duration = 0.15,
+  volume = 0.3,
+  pan = 0,
+  soundSettings?: SoundSettings,
+  voice?: BallVoice,
+  strength = 1,
+  when?: number,
+): SoundSettings | undefined | null => {
+  initAudioContext();
+  const ctx = audioContext
+  if (!ctx) return null
+
+  const settings = soundSettings && resolveVoiceSettings(soundSettings, voice);
+  const start = Math.max(when ?? 0, ctx.currentTime);
+  const chainPool = getEffectChainPool(ctx);
+  const allocated = chainPool.allocate({
+    category,
+    loudness: volume * (settings?.volume ?? 1),
+    end: start + envelopeLength(settings?.envelope ?? DEFAULT_ENVELOPE, duration),
   });
 
-  // Connect oscillator to effect chain
-  effectChain.connectOscillator(oscillator);
-  effectChain.connectToDestination(globalCompressor || ctx.destination);
-
-  // Start and stop oscillator
-  const currentTime = ctx.currentTime;
-  oscillator.start(currentTime);
-
-  // Sample-accurate cleanup tied to oscillator end (covers reverb/delay tails).
-  // Using onended avoids wall-clock setTimeout drift and orphan timers on unmount.
-  // Reverb tail is derived from actual IR duration (0.3 + roomSize*2.2) rather
-  // than a fixed 2 s so chains return to the pool sooner, reducing peak demand.
-  const reverbTailTime = reverb.enabled ? (0.3 + reverb.roomSize * 2.2) : 0;
-  const delayTailTime = delay.enabled ? delay.time * 4 : 0;
-  const tailTime = Math.min(3.0, Math.max(reverbTailTime, delayTailTime));
-  oscillator.stop(currentTime + duration + tailTime);
-  oscillator.onended = () => {
+  if (!allocated) {
+    // No voice — drop this note. Creating overflow chains or flooding
+    // the audioPool both cause unbounded node accumulation and tab crashes.
+    return null;
+  }
+
+  const effectChain = allocated.chain;
+  allocated.sources = scheduleNote(
+    ctx, effectChain, masterBus?.input || ctx.destination,
+    frequency, duration, volume, pan, settings, start, strength,
+    sendSettings.routing === 'sends' ? sendBus ?? undefined : undefined,
+  );
+
+  // Sample-accurate cleanup tied to the source's end (covers reverb/delay tails,
+  // or the fade of a stolen voice). Using onended avoids wall-clock setTimeout
+  // drift and orphan timers on unmount.
+  allocated.sources[allocated.sources.length - 1].onended = () => {
     chainPool.releaseChain(effectChain);
   };
+  return settings;
+};
+
+// Log a played note for offline rendering while a note recording is running
+const recordNote = (frequency: number, pan: number, velocity: number, soundSettings?: SoundSettings, when?: number): void => {
+  if (audioContext && soundSettings && isNoteRecording()) {
+    recordNoteEvent(when ?? audioContext.currentTime, { frequency, pan, velocity, settings: soundSettings });
+  }
+};
+
+// One metronome click straight into the master gain; the bar's first beat is higher
+const playMetronomeClick = (when: number, accent: boolean): void => {
+  const ctx = audioContext
+  if (!ctx) return
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = accent ? 1760 : 1320;
+  gain.gain.setValueAtTime(transportSettings.metronomeVolume * 0.5, when);
+  gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.05);
+  osc.connect(gain);
+  gain.connect(masterBus?.master || ctx.destination);
+  osc.start(when);
+  osc.stop(when + 0.06);
+  osc.onended = () => {
+    osc.disconnect();
+    gain.disconnect();
+  };
 };
 
+// Seconds between a collision and the earliest grid step its note may take:
+// enough for the graph to be built before the note is due
+const QUANTIZE_LEAD = 0.01;
+
 // Convert x position to pan value (-1 to 1)
 export const calculatePan = (x: number, width: number): number => {
   return (x / width) * 2 - 1;
 };
 
+// Send a note to the audio graph and/or MIDI according to the output mode,
+// now or at `when` on the audio clock. `category` picks the voice budget and
+// MIDI channel.
+const sendNote = (
+  category: VoiceCategory,
+  note: number,
+  pan: number,
+  velocity: number,
+  soundSettings: SoundSettings | undefined,
+  voice?: BallVoice,
+  when?: number,
+): void => {
+  if (midiRouting.mode !== 'midi') {
+    const maxVolume = soundSettings?.volume ?? 0.15;
+    const volume = mapVelocityToVolume(velocity, maxVolume);
+    const strength = mapVelocityToVolume(velocity, 1);
+    const played = createOptimizedBeep(
+      category, note, soundSettings?.duration ?? 0.25, volume, pan, soundSettings, voice, strength, when,
+    );
+    if (played !== null) recordNote(note, pan, velocity, played, when);
+  }
+  if (midiRouting.mode !== 'audio') {
+    // MIDI is timed in ms from now, so a scheduled note shifts every message
+    const offset = when !== undefined && audioContext ? Math.max(0, when - audioContext.currentTime) * 1000 : 0;
+    // MIDI velocity follows the hit, not the per-type volume slider
+    sendMidiMessages(buildMidiNote({
+      channel: category === 'wall' ? midiRouting.wallChannel : midiRouting.circleChannel,
+      frequency: note,
+      volume: mapVelocityToVolume(velocity, 1),
+      pan,
+      duration: soundSettings?.duration ?? 0.25,
+      a4: currentTuning.a4,
+    }).map(message => ({ ...message, delay: message.delay + offset })));
+  }
+};
+
+// Play a collision's note: at once, or when quantizing, on the next grid step
+// with room (dropped if the step is already full). The note is chosen now
+// either way, so quantizing never changes which notes a performance plays.
+const emitNote = (
+  category: VoiceCategory,
+  note: number,
+  pan: number,
+  velocity: number,
+  soundSettings: SoundSettings | undefined,
+  voice?: BallVoice,
+): void => {
+  if (transportSettings.quantize && transport && audioContext) {
+    const when = transport.quantize(audioContext.currentTime + QUANTIZE_LEAD);
+    if (when === null) return;
+    transport.schedule(when, at => sendNote(category, note, pan, velocity, soundSettings, voice, at));
+    return;
+  }
+  sendNote(category, note, pan, velocity, soundSettings, voice);
+};
+
 // Play a note for circle-to-circle collisions.
-// soundSettings should be the circleSettings object from React AudioContext state.
-export const playCollisionBeep = (pan = 0, velocity = 0, soundSettings?: SoundSettings): void => {
-  const group = Math.random() < 0.5 ? 'CIRCLE_HIGH' : 'CIRCLE_HIGHER';
-  const note = getRandomNote(group);
-  const maxVolume = soundSettings?.volume ?? 0.15;
-  const volume = mapVelocityToVolume(velocity, maxVolume);
-  createOptimizedBeep(note, soundSettings?.duration ?? 0.25, volume, pan, soundSettings);
+// soundSettings should be the circleSettings object from React AudioContext state;
+// source carries the collision data used by soundSettings.pitchMapping;
+// voice is the sounding ball's own voice, if it has one.
+// Returns the note's frequency, e.g. for colouring the ball by pitch.
+export const playCollisionBeep = (
+  pan = 0, velocity = 0, soundSettings?: SoundSettings, source: NoteSource = {}, voice?: BallVoice,
+): number => {
+  const note = getCollisionNote('CIRCLE_HIGH', 'CIRCLE_HIGHER', soundSettings, source, velocity, voice);
+  emitNote('ball', note, pan, velocity, soundSettings, voice);
+  return note;
 };
 
 // Play a note for wall collision events.
-// soundSettings should be the wallSettings object from React AudioContext state.
-export const playWallCollisionBeep = (pan = 0, velocity = 0, soundSettings?: SoundSettings): void => {
-  const group = Math.random() < 0.5 ? 'WALL_LOW' : 'WALL_MID';
-  const note = getRandomNote(group);
-  const maxVolume = soundSettings?.volume ?? 0.15;
-  const volume = mapVelocityToVolume(velocity, maxVolume);
-  createOptimizedBeep(note, soundSettings?.duration ?? 0.25, volume, pan, soundSettings);
+// soundSettings should be the wallSettings object from React AudioContext state;
+// source carries the collision data used by soundSettings.pitchMapping;
+// voice is the ball's own voice, if it has one.
+// Returns the note's frequency, as playCollisionBeep does.
+export const playWallCollisionBeep = (
+  pan = 0, velocity = 0, soundSettings?: SoundSettings, source: NoteSource = {}, voice?: BallVoice,
+): number => {
+  const note = getCollisionNote('WALL_LOW', 'WALL_MID', soundSettings, source, velocity, voice);
+  emitNote('wall', note, pan, velocity, soundSettings, voice);
+  return note;
 };
 
-// Export scale setter — still needed because getRandomNote and playBeep read currentScale
+// Export scale setter — still needed because getRandomNote and getMappedNote read currentScale
 export const setScale = (scale: string): void => {
-  if (SCALES_MAP[scale]) {
+  if (parseScaleId(scale)) {
     currentScale = scale;
+    noteGroups = null;
   }
 };
 
+// Tuning setter — A4 reference, tuning system / Scala file, and the CUSTOM mode's intervals
+export const setTuning = (tuning: TuningSettings, customIntervals: number[]): void => {
+  currentTuning = tuning;
+  currentCustomIntervals = customIntervals;
+  noteGroups = null;
+};
+
+// MIDI output routing — mode and per-type channels (device selection lives in midi.ts)
+export const setMidiRouting = (midi: MidiSettings): void => {
+  midiRouting = midi;
+};
+
+// Transport — tempo, grid, swing, polyphony and metronome (see transport.ts)
+export const setTransport = (settings: TransportSettings): void => {
+  transportSettings = settings;
+  transport?.configure(settings);
+};
+
+// Voice budgets and steal policy for the effect chain pool (see effectChains.ts)
+export const setPolyphony = (settings: PolyphonySettings): void => {
+  setPoolPolyphony(settings);
+};
+
 // Global master volume control — directly manipulates the audio graph node
 export const setGlobalVolume = (volume: number): void => {
-  if (globalMaster && audioContext) {
+  if (masterBus && audioContext) {
     const clampedVolume = Math.max(0, Math.min(1.0, volume));
-    globalMaster.gain.setValueAtTime(clampedVolume, audioContext.currentTime);
+    masterBus.master.gain.setValueAtTime(clampedVolume, audioContext.currentTime);
+  }
+};
+
+// Master EQ and dynamics, now and for a bus built later
+export const setMasterBus = (settings: MasterSettings): void => {
+  masterSettings = settings;
+  if (masterBus && audioContext) applyMasterSettings(masterBus, settings, audioContext.currentTime);
+};
+
+// Effect routing and the shared reverb / delay buses, now and for a bus built later
+export const setSendBus = (settings: SendSettings): void => {
+  sendSettings = settings;
+  if (sendBus && audioContext) applySendSettings(sendBus, audioContext, settings, audioContext.currentTime);
+};
+
+// The analyser on the master output, for the spectrum and oscilloscope
+export const getMasterAnalyser = (): AnalyserNode | null => masterAnalyser;
+
+export interface MasterMeter {
+  /** Linear amplitude of the latest analyser block */
+  peak: number
+  rms: number
+  /** dB of gain reduction, ≤ 0 */
+  compressorReduction: number
+  limiterReduction: number
+}
+
+// Output levels and gain reduction right now, or null before audio starts
+export const getMasterMeter = (): MasterMeter | null => {
+  if (!masterBus || !masterAnalyser) return null;
+  if (!meterSamples || meterSamples.length !== masterAnalyser.fftSize) {
+    meterSamples = new Float32Array(masterAnalyser.fftSize);
   }
+  masterAnalyser.getFloatTimeDomainData(meterSamples);
+  return {
+    ...measureLevels(meterSamples),
+    compressorReduction: masterBus.compressor.reduction,
+    limiterReduction: masterBus.limiter.reduction,
+  };
+};
+
+// Current time on the live audio clock, creating the context if needed.
+// Note recordings are timestamped on this clock so offline renders line up.
+export const getAudioTime = (): number => {
+  initAudioContext();
+  return audioContext ? audioContext.currentTime : 0;
+};
+
+// Decode a user audio file into the sample library (see samples.ts)
+export const loadSample = (file: File): Promise<SampleRef> => {
+  initAudioContext();
+  if (!audioContext) return Promise.reject(new Error('Audio is not available'));
+  return loadSampleFile(audioContext, file);
+};
+
+// Record what the speakers play by tapping the master gain (see liveRecorder.ts)
+export const startMasterRecording = (onComplete: RecordingCompleteHandler): void => {
+  initAudioContext();
+  if (!audioContext || !masterBus) throw new Error('Audio is not available');
+  resumeAudioContext();
+  startLiveRecording(audioContext, masterBus.master, onComplete);
 };
 
 // Audio Memory Optimization Exports
 // cleanupAudio already exported above
-export { getAudioPoolStats, getEffectChainStats };
+export { getAudioPoolStats, getEffectChainStats, getVoiceStats };
 
 // Resume a suspended AudioContext — required on iOS Safari, which suspends the
 // context even when it is created during a user gesture.
@@ -412,16 +588,20 @@ export const resumeAudioContext = (): void => {
 export const getAudioMemoryStats = () => {
   const poolStats = getAudioPoolStats();
   const chainStats = getEffectChainStats();
+  const voiceStats = getVoiceStats();
 
   return {
     activeNodes: activeNodes.size,
     audioPool: poolStats,
     effectChains: chainStats,
+    voices: voiceStats,
     audioContextState: audioContext ? audioContext.state : 'not initialized',
     globalProcessing: {
-      compressor: !!globalCompressor,
-      limiter: !!globalLimiter,
-      master: !!globalMaster
+      eq: !!masterBus,
+      compressor: !!masterBus,
+      limiter: !!masterBus,
+      master: !!masterBus,
+      analyser: !!masterAnalyser
     },
     message: 'Audio optimizations fully enabled'
   };
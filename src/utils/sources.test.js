@@ -0,0 +1,115 @@
+// @ts-nocheck
+import { describe, it, expect, vi } from 'vitest'
+import {
+  DEFAULT_SOURCE,
+  buildNoteSource,
+  fillNoise,
+  fmDeviation,
+  samplePlaybackRate,
+  unisonDetunes,
+} from './sources'
+import { makeBuffer, makeNode, makeParam } from '../test/mockAudioGraph'
+
+function makeCtx() {
+  return {
+    sampleRate: 100,
+    createOscillator: vi.fn(() => makeNode('oscillator', {
+      type: 'sine', frequency: makeParam(440), detune: makeParam(), setPeriodicWave: vi.fn(),
+    })),
+    createGain: vi.fn(() => makeNode('gain', { gain: makeParam(1) })),
+    createBiquadFilter: vi.fn(() => makeNode('biquad', {
+      type: 'lowpass', frequency: makeParam(), detune: makeParam(), Q: makeParam(),
+    })),
+    createBufferSource: vi.fn(() => makeNode('buffer', { buffer: null, loop: false, playbackRate: makeParam(1), detune: makeParam() })),
+    createBuffer: vi.fn(makeBuffer),
+    createPeriodicWave: vi.fn((real, imag) => ({ real, imag })),
+  }
+}
+
+const settings = (source = {}) => ({ waveform: 'square', detune: 0, source: { ...DEFAULT_SOURCE, ...source } })
+
+describe('unisonDetunes', () => {
+  it('is a single centred voice when the stack is off', () => {
+    expect(unisonDetunes(1, 50)).toEqual([0])
+  })
+
+  it('spreads voices evenly around 0', () => {
+    expect(unisonDetunes(3, 20)).toEqual([-10, 0, 10])
+  })
+
+  it('clamps the voice count', () => {
+    expect(unisonDetunes(99, 10)).toHaveLength(7)
+    expect(unisonDetunes(0, 10)).toEqual([0])
+  })
+})
+
+describe('samplePlaybackRate / fmDeviation', () => {
+  it('plays at original speed on the root note and doubles an octave up', () => {
+    expect(samplePlaybackRate(261.6256, 60)).toBeCloseTo(1)
+    expect(samplePlaybackRate(523.2511, 60)).toBeCloseTo(2)
+  })
+
+  it('scales deviation with index and modulator frequency', () => {
+    expect(fmDeviation(100, 2, 3)).toBe(600)
+  })
+})
+
+describe('fillNoise', () => {
+  it.each(['white', 'pink', 'brown'])('normalises %s noise to a peak of 1', (color) => {
+    const data = new Float32Array(1000)
+    let seed = 1
+    fillNoise(data, color, () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 })
+    const peak = data.reduce((m, v) => Math.max(m, Math.abs(v)), 0)
+    expect(peak).toBeCloseTo(1)
+  })
+})
+
+describe('buildNoteSource', () => {
+  it('is a single oscillator for the default source', () => {
+    const ctx = makeCtx()
+    const { sources, output } = buildNoteSource(ctx, 440, settings(), 0)
+    expect(sources).toHaveLength(1)
+    expect(output).toBe(sources[0])
+    expect(output.type).toBe('square')
+  })
+
+  it('uses a cached PeriodicWave for partials', () => {
+    const ctx = makeCtx()
+    buildNoteSource(ctx, 440, settings({ type: 'partials', partials: [1, 0.5] }), 0)
+    buildNoteSource(ctx, 220, settings({ type: 'partials', partials: [1, 0.5] }), 0)
+    expect(ctx.createPeriodicWave).toHaveBeenCalledTimes(1)
+    const [, imag] = ctx.createPeriodicWave.mock.calls[0]
+    expect(Array.from(imag)).toEqual([0, 1, 0.5])
+  })
+
+  it('routes one FM modulator into every carrier of the stack', () => {
+    const ctx = makeCtx()
+    const { sources, output } = buildNoteSource(
+      ctx, 100, settings({ type: 'fm', fm: { ratio: 2, index: 3 }, unison: { voices: 3, spread: 20 } }), 0,
+    )
+    expect(sources).toHaveLength(4)
+    const [modulator, ...carriers] = sources
+    const modulation = modulator.connections[0]
+    expect(modulation.gain.setValueAtTime).toHaveBeenCalledWith(600, 0)
+    expect(modulation.connections).toEqual(carriers.map(c => c.frequency))
+    expect(carriers.every(c => c.connections[0] === output)).toBe(true)
+    expect(output.gain.setValueAtTime).toHaveBeenCalledWith(1 / Math.sqrt(3), 0)
+  })
+
+  it('band-passes looping noise at the note frequency', () => {
+    const ctx = makeCtx()
+    const { sources, output } = buildNoteSource(ctx, 300, settings({ type: 'noise', noise: { color: 'pink', q: 5 } }), 0)
+    expect(sources).toHaveLength(1)
+    expect(sources[0].loop).toBe(true)
+    expect(output.type).toBe('bandpass')
+    expect(output.frequency.setValueAtTime).toHaveBeenCalledWith(300, 0)
+    expect(output.Q.setValueAtTime).toHaveBeenCalledWith(5, 0)
+  })
+
+  it('falls back to the oscillator when the sample is not loaded', () => {
+    const ctx = makeCtx()
+    const { sources } = buildNoteSource(ctx, 440, settings({ type: 'sample', sample: { id: 'missing', name: 'x', rootNote: 60 } }), 0)
+    expect(sources).toHaveLength(1)
+    expect(sources[0].kind).toBe('oscillator')
+  })
+})
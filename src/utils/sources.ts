@@ -0,0 +1,223 @@
+import type { NoiseColor, SoundSettings, SourceSettings, SourceType } from '../types/audio'
+import { midiNoteToFrequency } from './midiMessages'
+import { getSampleBuffer } from './samples'
+import { forkRandom, getSeed } from './random'
+
+/**
+ * Note generators. buildNoteSource turns a SoundSettings' `source` into the
+ * nodes that feed an EffectChain's input, so every source type shares the
+ * same envelope, filter, effects and chain pool.
+ */
+
+export const WAVEFORMS: Array<{ id: OscillatorType; name: string }> = [
+  { id: 'sine',     name: 'Sine' },
+  { id: 'square',   name: 'Square' },
+  { id: 'sawtooth', name: 'Sawtooth' },
+  { id: 'triangle', name: 'Triangle' },
+]
+
+export const SOURCE_TYPES: Array<{ id: SourceType; name: string }> = [
+  { id: 'oscillator', name: 'Oscillator' },
+  { id: 'partials',   name: 'Partials' },
+  { id: 'fm',         name: 'FM' },
+  { id: 'noise',      name: 'Noise' },
+  { id: 'sample',     name: 'Sample' },
+]
+
+export const NOISE_COLORS: Array<{ id: NoiseColor; name: string }> = [
+  { id: 'white', name: 'White' },
+  { id: 'pink',  name: 'Pink' },
+  { id: 'brown', name: 'Brown' },
+]
+
+export const MAX_PARTIALS = 16
+export const MAX_UNISON_VOICES = 7
+
+export const DEFAULT_SOURCE: SourceSettings = {
+  type: 'oscillator',
+  partials: [1, 0.5, 0.33, 0.25],
+  fm: { ratio: 2, index: 3 },
+  unison: { voices: 1, spread: 20 },
+  noise: { color: 'white', q: 1 },
+  sample: { id: '', name: '', rootNote: 60 },
+}
+
+/** Seconds of noise generated per colour; the buffer loops for longer notes. */
+const NOISE_SECONDS = 2
+
+// ─── Pure helpers ─────────────────────────────────────────────────────────────
+
+/** Cent offsets for `voices` copies spread evenly across `spread`, centred on 0. */
+export const unisonDetunes = (voices: number, spread: number): number[] => {
+  const count = Math.max(1, Math.min(MAX_UNISON_VOICES, Math.round(voices)))
+  if (count === 1) return [0]
+  return Array.from({ length: count }, (_, i) => -spread / 2 + (spread * i) / (count - 1))
+}
+
+/**
+ * Playback rate that moves a sample recorded at `rootNote` to `frequency`.
+ * The root is a standard-pitch MIDI note, so tuning changes still reach samples
+ * through the note frequency itself.
+ */
+export const samplePlaybackRate = (frequency: number, rootNote: number): number =>
+  frequency / midiNoteToFrequency(rootNote)
+
+/** Peak frequency deviation (Hz) of the carrier: index × modulator frequency. */
+export const fmDeviation = (frequency: number, ratio: number, index: number): number =>
+  index * frequency * ratio
+
+/**
+ * Fill `data` with noise normalised to a peak of 1. Pink uses Paul Kellet's
+ * economy filter; brown is leaky-integrated white noise.
+ */
+export const fillNoise = (data: Float32Array, color: NoiseColor, random: () => number = Math.random): void => {
+  let b0 = 0, b1 = 0, b2 = 0, last = 0
+  for (let i = 0; i < data.length; i++) {
+    const white = random() * 2 - 1
+    if (color === 'pink') {
+      b0 = 0.99765 * b0 + white * 0.0990460
+      b1 = 0.96300 * b1 + white * 0.2965164
+      b2 = 0.57000 * b2 + white * 1.0526913
+      data[i] = b0 + b1 + b2 + white * 0.1848
+    } else if (color === 'brown') {
+      last = (last + 0.02 * white) / 1.02
+      data[i] = last
+    } else {
+      data[i] = white
+    }
+  }
+  let peak = 0
+  for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]))
+  if (peak > 0) for (let i = 0; i < data.length; i++) data[i] /= peak
+}
+
+// ─── Per-context caches ───────────────────────────────────────────────────────
+
+const periodicWaves = new WeakMap<BaseAudioContext, Map<string, PeriodicWave>>()
+const noiseBuffers = new WeakMap<BaseAudioContext, Map<string, AudioBuffer>>()
+
+const cacheFor = <K, V>(caches: WeakMap<BaseAudioContext, Map<K, V>>, ctx: BaseAudioContext): Map<K, V> => {
+  let cache = caches.get(ctx)
+  if (!cache) {
+    cache = new Map()
+    caches.set(ctx, cache)
+  }
+  return cache
+}
+
+const getPeriodicWave = (ctx: BaseAudioContext, partials: number[]): PeriodicWave => {
+  const cache = cacheFor(periodicWaves, ctx)
+  const key = partials.join(',')
+  let wave = cache.get(key)
+  if (!wave) {
+    // Sine partials: imag[n] is the nth harmonic, index 0 is the DC term
+    const real = new Float32Array(partials.length + 1)
+    const imag = new Float32Array(partials.length + 1)
+    partials.forEach((amp, i) => { imag[i + 1] = amp })
+    wave = ctx.createPeriodicWave(real, imag)
+    cache.set(key, wave)
+  }
+  return wave
+}
+
+const getNoiseBuffer = (ctx: BaseAudioContext, color: NoiseColor): AudioBuffer => {
+  const cache = cacheFor(noiseBuffers, ctx)
+  // Keyed by seed too, so a replay with another seed gets its own noise
+  const key = `${color}#${getSeed()}`
+  let buffer = cache.get(key)
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * NOISE_SECONDS), ctx.sampleRate)
+    fillNoise(buffer.getChannelData(0), color, forkRandom(`noise ${color}`))
+    cache.set(key, buffer)
+  }
+  return buffer
+}
+
+// ─── Graph ────────────────────────────────────────────────────────────────────
+
+export interface NoteSourceNodes {
+  /**
+   * Every scheduled node, to be started and stopped together. The last entry
+   * is the one whose `onended` marks the end of the note.
+   */
+  sources: AudioScheduledSourceNode[]
+  /** Node to connect into the effect chain's input */
+  output: AudioNode
+}
+
+/**
+ * Build (but don't start) the generator for one note at `frequency`. A
+ * sample source whose file isn't loaded plays the oscillator instead.
+ */
+export const buildNoteSource = (
+  ctx: BaseAudioContext,
+  frequency: number,
+  settings: SoundSettings | undefined,
+  when: number,
+): NoteSourceNodes => {
+  const source = settings?.source ?? DEFAULT_SOURCE
+  const detune = settings?.detune ?? 0
+
+  if (source.type === 'noise') {
+    const noise = ctx.createBufferSource()
+    noise.buffer = getNoiseBuffer(ctx, source.noise.color)
+    noise.loop = true
+    const band = ctx.createBiquadFilter()
+    band.type = 'bandpass'
+    band.frequency.setValueAtTime(frequency, when)
+    band.detune.setValueAtTime(detune, when)
+    band.Q.setValueAtTime(source.noise.q, when)
+    noise.connect(band)
+    return { sources: [noise], output: band }
+  }
+
+  const sample = source.type === 'sample' ? getSampleBuffer(source.sample.id) : null
+  const partials = source.type === 'partials' && source.partials.some(a => a > 0) ? source.partials : null
+  const sources: AudioScheduledSourceNode[] = []
+
+  // One modulator drives every carrier in the unison stack
+  let modulation: GainNode | null = null
+  if (source.type === 'fm') {
+    const modulator = ctx.createOscillator()
+    modulator.frequency.setValueAtTime(frequency * source.fm.ratio, when)
+    modulator.detune.setValueAtTime(detune, when)
+    modulation = ctx.createGain()
+    modulation.gain.setValueAtTime(fmDeviation(frequency, source.fm.ratio, source.fm.index), when)
+    modulator.connect(modulation)
+    sources.push(modulator)
+  }
+
+  const voices: AudioScheduledSourceNode[] = unisonDetunes(source.unison.voices, source.unison.spread).map(cents => {
+    if (sample) {
+      const player = ctx.createBufferSource()
+      player.buffer = sample
+      player.playbackRate.setValueAtTime(samplePlaybackRate(frequency, source.sample.rootNote), when)
+      player.detune.setValueAtTime(detune + cents, when)
+      return player
+    }
+    const osc = ctx.createOscillator()
+    if (partials) osc.setPeriodicWave(getPeriodicWave(ctx, partials))
+    else osc.type = settings?.waveform ?? 'sine'
+    osc.frequency.setValueAtTime(frequency, when)
+    osc.detune.setValueAtTime(detune + cents, when)
+    if (modulation) modulation.connect(osc.frequency)
+    return osc
+  })
+  sources.push(...voices)
+
+  if (voices.length === 1 && !sample) return { sources, output: voices[0] }
+
+  // Equal-power sum so a bigger stack isn't louder
+  const mix = ctx.createGain()
+  mix.gain.setValueAtTime(1 / Math.sqrt(voices.length), when)
+  voices.forEach(voice => voice.connect(mix))
+  if (sample) {
+    // A buffer source ends with its file, possibly before the release and the
+    // effect tails; a silent constant source carries the real end of the note.
+    const keeper = ctx.createConstantSource()
+    keeper.offset.setValueAtTime(0, when)
+    keeper.connect(mix)
+    sources.push(keeper)
+  }
+  return { sources, output: mix }
+}
@@ -0,0 +1,138 @@
+// @ts-nocheck
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  DEFAULT_TRANSPORT,
+  LOOKAHEAD,
+  SCHEDULER_INTERVAL,
+  TransportScheduler,
+  beatLength,
+  stepLength,
+  stepTime,
+  nextStepIndex,
+} from './transport'
+
+const transport = (overrides = {}) => ({ ...DEFAULT_TRANSPORT, ...overrides })
+
+describe('grid math', () => {
+  it('measures beats and steps from the tempo and beat unit', () => {
+    expect(beatLength(transport({ bpm: 120 }))).toBe(0.5)
+    expect(stepLength(transport({ bpm: 120, division: '1/4' }))).toBe(0.5)
+    expect(stepLength(transport({ bpm: 120, division: '1/16' }))).toBe(0.125)
+    expect(stepLength(transport({ bpm: 120, division: '1/8T' }))).toBeCloseTo(1 / 6)
+    // In 6/8 the beat is an eighth, so at 120 BPM a quarter lasts a second
+    expect(stepLength(transport({ bpm: 120, beatUnit: 8, division: '1/4' }))).toBe(1)
+  })
+
+  it('pushes every second straight step late by the swing amount', () => {
+    const swung = transport({ bpm: 120, division: '1/8', swing: 0.5 })
+    expect(stepTime(0, 10, swung)).toBe(10)
+    expect(stepTime(1, 10, swung)).toBe(10.375)
+    expect(stepTime(2, 10, swung)).toBe(10.5)
+  })
+
+  it('leaves triplets unswung', () => {
+    const triplets = transport({ bpm: 120, division: '1/8T', swing: 0.5 })
+    expect(stepTime(1, 0, triplets)).toBeCloseTo(1 / 6)
+  })
+
+  it('finds the first step at or after a time', () => {
+    const grid = transport({ bpm: 120, division: '1/8' })
+    expect(nextStepIndex(0, 0, grid)).toBe(0)
+    expect(nextStepIndex(0.25, 0, grid)).toBe(1)
+    expect(nextStepIndex(0.26, 0, grid)).toBe(2)
+    expect(nextStepIndex(-1, 0, grid)).toBe(0)
+  })
+
+  it('still lands on a swung step that is just ahead', () => {
+    const swung = transport({ bpm: 120, division: '1/8', swing: 0.5 })
+    // Step 1 sits at 0.375, so 0.3 snaps to it rather than to step 2
+    expect(nextStepIndex(0.3, 0, swung)).toBe(1)
+    expect(nextStepIndex(0.4, 0, swung)).toBe(2)
+  })
+})
+
+describe('TransportScheduler', () => {
+  afterEach(() => vi.useRealTimers())
+
+  const scheduler = (settings) => {
+    const clock = { now: 0 }
+    const clicks = []
+    const scheduler = new TransportScheduler(() => clock.now, (when, accent) => clicks.push({ when, accent }))
+    scheduler.configure(transport(settings))
+    return { clock, clicks, scheduler }
+  }
+
+  it('stays stopped until quantizing or the metronome is on', () => {
+    const { scheduler: idle } = scheduler({})
+    expect(idle.running).toBe(false)
+    const { scheduler: quantizing } = scheduler({ quantize: true })
+    expect(quantizing.running).toBe(true)
+    quantizing.stop()
+  })
+
+  it('quantizes onto the grid and holds notes until they are inside the lookahead', () => {
+    const { clock, scheduler: s } = scheduler({ quantize: true, bpm: 120, division: '1/4' })
+    clock.now = 0.2
+    const when = s.quantize(clock.now)
+    // The grid starts just after the transport does; step 1 is the next one after 0.2
+    expect(when).toBeCloseTo(0.55)
+    const played = []
+    s.schedule(when, at => played.push(at))
+    expect(played).toEqual([])
+    clock.now = when - LOOKAHEAD / 2
+    s.tick()
+    expect(played).toEqual([when])
+    s.stop()
+  })
+
+  it('drops notes past the per-step polyphony limit', () => {
+    const { scheduler: s } = scheduler({ quantize: true, maxNotesPerStep: 2 })
+    const first = s.quantize(0.1)
+    expect(s.quantize(0.1)).toBe(first)
+    expect(s.quantize(0.1)).toBeNull()
+    s.stop()
+  })
+
+  it('has no limit at zero', () => {
+    const { scheduler: s } = scheduler({ quantize: true, maxNotesPerStep: 0 })
+    for (let i = 0; i < 20; i++) expect(s.quantize(0.1)).not.toBeNull()
+    s.stop()
+  })
+
+  it('clicks each beat ahead of time, accenting the bar', () => {
+    const { clock, clicks, scheduler: s } = scheduler({ metronome: true, bpm: 120, beatsPerBar: 3 })
+    for (clock.now = 0; clock.now < 1.6; clock.now += SCHEDULER_INTERVAL / 1000) s.tick()
+    expect(clicks.map(c => c.accent)).toEqual([true, false, false, true])
+    expect(clicks[1].when).toBeCloseTo(0.55)
+    s.stop()
+  })
+
+  it('skips clicks a stalled timer missed', () => {
+    const { clock, clicks, scheduler: s } = scheduler({ metronome: true, bpm: 120 })
+    clock.now = 2
+    s.tick()
+    expect(clicks.every(c => c.when >= 2)).toBe(true)
+    s.stop()
+  })
+
+  it('ticks on its own timer while running', () => {
+    vi.useFakeTimers()
+    const { clock, scheduler: s } = scheduler({ quantize: true, bpm: 120, division: '1/4' })
+    const played = []
+    s.schedule(s.quantize(0.2), at => played.push(at))
+    clock.now = 0.5
+    vi.advanceTimersByTime(SCHEDULER_INTERVAL)
+    expect(played).toHaveLength(1)
+    s.stop()
+  })
+
+  it('plays queued notes at their times when quantizing is turned off', () => {
+    const { scheduler: s } = scheduler({ quantize: true, bpm: 60, division: '1/4' })
+    const played = []
+    const when = s.quantize(0.5)
+    s.schedule(when, at => played.push(at))
+    s.configure(transport({ quantize: false }))
+    expect(played).toEqual([when])
+    expect(s.running).toBe(false)
+  })
+})
@@ -0,0 +1,202 @@
+import type { GridDivision, TransportSettings } from '../types/audio'
+
+/**
+ * Tempo clock for quantized collision notes and the metronome. The grid
+ * math is pure; TransportScheduler is a lookahead scheduler ("a tale of two
+ * clocks"): a timer wakes every SCHEDULER_INTERVAL ms and hands the audio
+ * graph whatever is due in the next LOOKAHEAD seconds with exact start times
+ * on the audio clock. Timing rides on the audio clock, not the animation
+ * frame, so dropped frames only delay when a note is queued, never when it
+ * sounds.
+ */
+
+export const DEFAULT_TRANSPORT: TransportSettings = {
+  quantize: false,
+  bpm: 120,
+  beatsPerBar: 4,
+  beatUnit: 4,
+  division: '1/8',
+  swing: 0,
+  maxNotesPerStep: 4,
+  metronome: false,
+  metronomeVolume: 0.5,
+}
+
+export const GRID_DIVISIONS: Array<{ id: GridDivision; name: string }> = [
+  { id: '1/4',   name: '1/4' },
+  { id: '1/8',   name: '1/8' },
+  { id: '1/16',  name: '1/16' },
+  { id: '1/8T',  name: '1/8 triplet' },
+  { id: '1/16T', name: '1/16 triplet' },
+]
+
+export const TIME_SIGNATURES: Array<{ id: string; beatsPerBar: number; beatUnit: 4 | 8 }> = [
+  { id: '2/4', beatsPerBar: 2, beatUnit: 4 },
+  { id: '3/4', beatsPerBar: 3, beatUnit: 4 },
+  { id: '4/4', beatsPerBar: 4, beatUnit: 4 },
+  { id: '5/4', beatsPerBar: 5, beatUnit: 4 },
+  { id: '6/8', beatsPerBar: 6, beatUnit: 8 },
+  { id: '7/8', beatsPerBar: 7, beatUnit: 8 },
+]
+
+/** Fraction of a whole note each division lasts. */
+const DIVISION_LENGTH: Record<GridDivision, number> = {
+  '1/4':   1 / 4,
+  '1/8':   1 / 8,
+  '1/16':  1 / 16,
+  '1/8T':  1 / 12,
+  '1/16T': 1 / 24,
+}
+
+/** How far ahead of the audio clock notes and clicks are handed to the graph, in seconds */
+export const LOOKAHEAD = 0.1
+/** Scheduler wake-up period in ms; well under LOOKAHEAD so a late timer still covers the gap */
+export const SCHEDULER_INTERVAL = 25
+/** The grid starts this long after the transport does, so its first beat isn't already late */
+const START_DELAY = 0.05
+/** Float slack when comparing grid times */
+const EPSILON = 1e-9
+
+/** Seconds per beat. */
+export const beatLength = (transport: TransportSettings): number => 60 / transport.bpm
+
+/** Seconds per grid step. */
+export const stepLength = (transport: TransportSettings): number =>
+  beatLength(transport) * transport.beatUnit * DIVISION_LENGTH[transport.division]
+
+/** Swing only pairs up straight steps; triplets already have their own lilt. */
+const isSwung = (division: GridDivision): boolean => !division.endsWith('T')
+
+/** When grid step `index` starts, counted from the grid's `origin`. */
+export const stepTime = (index: number, origin: number, transport: TransportSettings): number => {
+  const step = stepLength(transport)
+  const swing = index % 2 === 1 && isSwung(transport.division) ? transport.swing * step : 0
+  return origin + index * step + swing
+}
+
+/**
+ * The first grid step starting at or after `time`: the nearest step a note
+ * can still make. Steps before the origin don't exist.
+ */
+export const nextStepIndex = (time: number, origin: number, transport: TransportSettings): number => {
+  // Start from the last unswung step at or before `time`; a swung odd step may still be ahead
+  let index = Math.max(0, Math.ceil((time - origin) / stepLength(transport) - EPSILON) - 1)
+  while (stepTime(index, origin, transport) < time - EPSILON) index++
+  return index
+}
+
+/** When beat `index` starts; every `beatsPerBar`-th beat opens a bar. */
+export const beatTime = (index: number, origin: number, transport: TransportSettings): number =>
+  origin + index * beatLength(transport)
+
+/** Settings that move the grid; changing any of them restarts it. */
+const gridKey = (t: TransportSettings): string =>
+  `${t.bpm}|${t.beatsPerBar}/${t.beatUnit}|${t.division}|${t.swing}`
+
+interface QueuedNote {
+  when: number
+  play: (when: number) => void
+}
+
+export class TransportScheduler {
+  private settings: TransportSettings = DEFAULT_TRANSPORT
+  private origin = 0
+  private nextBeat = 0
+  private queue: QueuedNote[] = []
+  /** Notes started per grid step, for the polyphony limit */
+  private stepCounts = new Map<number, number>()
+  private timer: ReturnType<typeof setInterval> | null = null
+
+  /**
+   * @param now   current audio-clock time in seconds
+   * @param click plays one metronome click at `when`; `accent` on a bar's first beat
+   */
+  constructor(
+    private readonly now: () => number,
+    private readonly click: (when: number, accent: boolean) => void,
+  ) {}
+
+  get running(): boolean {
+    return this.timer !== null
+  }
+
+  /** Apply new settings. The transport runs while quantizing or clicking; a tempo or grid change restarts it. */
+  configure(settings: TransportSettings): void {
+    const moved = gridKey(settings) !== gridKey(this.settings)
+    this.settings = settings
+    const shouldRun = settings.quantize || settings.metronome
+    if (!shouldRun) {
+      this.flush()
+      this.stop()
+    } else if (!this.running || moved) {
+      this.start()
+    }
+  }
+
+  /**
+   * Claim a slot for a note that wants to play at `time`: the time of the
+   * next grid step with room under the polyphony limit, or null to drop the
+   * note when that step is full.
+   */
+  quantize(time: number): number | null {
+    const index = nextStepIndex(time, this.origin, this.settings)
+    const count = this.stepCounts.get(index) ?? 0
+    const limit = this.settings.maxNotesPerStep
+    if (limit > 0 && count >= limit) return null
+    this.stepCounts.set(index, count + 1)
+    return stepTime(index, this.origin, this.settings)
+  }
+
+  /** Queue `play` to run once `when` is inside the lookahead window. */
+  schedule(when: number, play: (when: number) => void): void {
+    this.queue.push({ when, play })
+    this.tick()
+  }
+
+  /** Hand over everything due within the lookahead window. Runs on the timer; exposed for tests. */
+  tick(): void {
+    const now = this.now()
+    const horizon = now + LOOKAHEAD
+
+    if (this.queue.length) {
+      const due = this.queue.filter(note => note.when < horizon)
+      if (due.length) {
+        this.queue = this.queue.filter(note => note.when >= horizon)
+        due.sort((a, b) => a.when - b.when).forEach(note => note.play(note.when))
+      }
+    }
+
+    for (let t = beatTime(this.nextBeat, this.origin, this.settings); t < horizon;
+      t = beatTime(++this.nextBeat, this.origin, this.settings)) {
+      // Clicks a stalled timer missed stay missed rather than bunching up
+      if (this.settings.metronome && t >= now) this.click(t, this.nextBeat % this.settings.beatsPerBar === 0)
+    }
+
+    // Steps already past can't take more notes
+    const current = nextStepIndex(now, this.origin, this.settings)
+    this.stepCounts.forEach((_, index) => { if (index < current) this.stepCounts.delete(index) })
+  }
+
+  /** Start a fresh grid just ahead of now. Notes already queued keep their times. */
+  start(): void {
+    this.origin = this.now() + START_DELAY
+    this.nextBeat = 0
+    this.stepCounts.clear()
+    if (!this.timer) this.timer = setInterval(() => this.tick(), SCHEDULER_INTERVAL)
+  }
+
+  /** Stop the clock, dropping anything still queued. */
+  stop(): void {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+    this.queue = []
+    this.stepCounts.clear()
+  }
+
+  /** Hand over every queued note now, each still at its grid time, so quantize off loses none. */
+  private flush(): void {
+    const queued = this.queue
+    this.queue = []
+    queued.forEach(note => note.play(note.when))
+  }
+}
@@ -0,0 +1,74 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  EASE,
+  ballFill,
+  calculateSquishAmounts,
+  flashEffect,
+  glowEffect,
+  sampleSquish,
+  shockwaveEffect,
+  squishDuration,
+  squishEffect,
+  squishKeyframes,
+} from './visualEffects'
+
+describe('easing', () => {
+  it('runs from 0 to 1', () => {
+    Object.values(EASE).forEach(ease => {
+      expect(ease(0)).toBeCloseTo(0)
+      expect(ease(1)).toBeCloseTo(1)
+    })
+  })
+})
+
+describe('ballFill', () => {
+  it('converts hsl to a translucent rgba', () => {
+    expect(ballFill('hsl(0, 100%, 50%)')).toBe('rgba(255, 0, 0, 0.25)')
+  })
+})
+
+describe('squish', () => {
+  it('squishes harder and wobbles more with velocity', () => {
+    const soft = calculateSquishAmounts(5)
+    const hard = calculateSquishAmounts(30)
+    expect(hard.compress).toBeLessThan(soft.compress)
+    expect(hard.stretch).toBeGreaterThan(soft.stretch)
+    expect(squishEffect(5, 1, 1).wobbles).toBe(2)
+    expect(squishEffect(30, 1, 1).wobbles).toBe(10)
+  })
+
+  it('alternates damped wobbles and ends at rest', () => {
+    const poses = squishKeyframes(squishEffect(5, 0.8, 1.2, 1))
+    expect(poses).toHaveLength(3)
+    expect(poses[0]).toEqual({ scaleX: 0.8, scaleY: 1.2, rotation: 1 })
+    expect(poses[1].scaleX).toBeCloseTo(1.16)
+    expect(poses[1].rotation).toBe(0)
+    expect(poses[2]).toEqual({ scaleX: 1, scaleY: 1, rotation: 0 })
+  })
+
+  it('samples the timeline from rest through each keyframe back to rest', () => {
+    const squish = squishEffect(5, 0.8, 1.2)
+    expect(sampleSquish(squish, 0)).toEqual({ scaleX: 1, scaleY: 1, rotation: 0 })
+    expect(sampleSquish(squish, squish.segmentDuration - 1e-9).scaleX).toBeCloseTo(0.8)
+    expect(sampleSquish(squish, squish.segmentDuration * 0.5).scaleX).toBeLessThan(1)
+    expect(sampleSquish(squish, squishDuration(squish))).toEqual({ scaleX: 1, scaleY: 1, rotation: 0 })
+  })
+})
+
+describe('glow, flash and shockwave', () => {
+  it('grow with velocity', () => {
+    expect(glowEffect(20, 25).fade).toBeGreaterThan(glowEffect(20, 5).fade)
+    expect(flashEffect(25).peakBrightness).toBeCloseTo(3.5)
+    expect(flashEffect(0).peakBrightness).toBeCloseTo(1.5)
+    const soft = shockwaveEffect(3, 10)
+    const hard = shockwaveEffect(20, 10)
+    expect(soft).toMatchObject({ startDiameter: 20, maxDiameter: 70 })
+    expect(hard.maxDiameter).toBe(220)
+    expect(hard.duration).toBeGreaterThan(soft.duration)
+  })
+
+  it('keeps a minimum glow on small balls', () => {
+    expect(glowEffect(1, 0)).toMatchObject({ spread: 6, blur: 2 })
+  })
+})
@@ -0,0 +1,225 @@
+import type { RendererType } from '../types/visuals'
+
+/**
+ * Collision visuals as plain numbers: how far a ball squishes, how bright it
+ * glows and flashes, how big its shockwave gets, all from the impact speed.
+ * Both renderers read this model: the DOM renderer hands the values to GSAP,
+ * the canvas renderer samples them itself each frame (see canvasRenderer.ts).
+ * Durations are in seconds, sizes in px, speeds in px/frame.
+ */
+
+const clamp01 = (v: number): number => Math.min(Math.max(v, 0), 1)
+
+// ── Easing (GSAP's curves, for the canvas renderer) ─────────────────────────
+
+export const EASE = {
+  power2Out: (t: number): number => 1 - (1 - t) * (1 - t),
+  sineInOut: (t: number): number => -(Math.cos(Math.PI * t) - 1) / 2,
+  sineOut:   (t: number): number => Math.sin((t * Math.PI) / 2),
+}
+
+// ── Ball fill ───────────────────────────────────────────────────────────────
+
+const fillCache = new Map<string, string>()
+const FILL_CACHE_MAX = 200
+
+/** Translucent fill for a ball's `hsl(...)` colour (memoised, no DOM ops). */
+export const ballFill = (hslColor: string): string => {
+  const cached = fillCache.get(hslColor)
+  if (cached) return cached
+
+  const digits = hslColor.match(/[\d.]+/g) ?? ['0', '70', '50']
+  const [h, s, l] = digits.map(Number)
+  const sn = s / 100
+  const ln = l / 100
+  const c  = (1 - Math.abs(2 * ln - 1)) * sn
+  const x  = c * (1 - Math.abs(((h / 60) % 2) - 1))
+  const m  = ln - c / 2
+  let r = 0, g = 0, b = 0
+  if      (h < 60)  { r = c; g = x; b = 0 }
+  else if (h < 120) { r = x; g = c; b = 0 }
+  else if (h < 180) { r = 0; g = c; b = x }
+  else if (h < 240) { r = 0; g = x; b = c }
+  else if (h < 300) { r = x; g = 0; b = c }
+  else              { r = c; g = 0; b = x }
+  const ri = Math.round((r + m) * 255)
+  const gi = Math.round((g + m) * 255)
+  const bi = Math.round((b + m) * 255)
+  const result = `rgba(${ri}, ${gi}, ${bi}, 0.25)`
+
+  if (fillCache.size >= FILL_CACHE_MAX) {
+    fillCache.delete(fillCache.keys().next().value!)
+  }
+  fillCache.set(hslColor, result)
+  return result
+}
+
+// ── Squish ──────────────────────────────────────────────────────────────────
+
+export const SQUISH_LIMITS = {
+  MIN_VELOCITY: 5,
+  MAX_VELOCITY: 30,
+  MIN_COMPRESS: 0.90,
+  MAX_COMPRESS: 0.67,
+  MIN_STRETCH: 1.06,
+  MAX_STRETCH: 1.22,
+} as const
+
+const MIN_WOBBLES = 2
+const MAX_WOBBLES = 10
+/** Each wobble's amplitude relative to the one before, sign-flipped */
+const WOBBLE_DAMPING = 0.80
+/** The final settle to rest lasts this fraction of a wobble */
+const SETTLE_FRACTION = 0.8
+
+const mapVelocityToSquish = (velocity: number, minVal: number, maxVal: number): number => {
+  const absVelocity = Math.abs(velocity)
+  const clampedVelocity = Math.min(Math.max(absVelocity, SQUISH_LIMITS.MIN_VELOCITY), SQUISH_LIMITS.MAX_VELOCITY)
+  const velocityProgress =
+    (clampedVelocity - SQUISH_LIMITS.MIN_VELOCITY) /
+    (SQUISH_LIMITS.MAX_VELOCITY - SQUISH_LIMITS.MIN_VELOCITY)
+  return minVal + (maxVal - minVal) * velocityProgress
+}
+
+/** Scale along the impact axis (compress) and across it (stretch). */
+export const calculateSquishAmounts = (velocity: number): { compress: number; stretch: number } => ({
+  compress: mapVelocityToSquish(velocity, SQUISH_LIMITS.MIN_COMPRESS, SQUISH_LIMITS.MAX_COMPRESS),
+  stretch:  mapVelocityToSquish(velocity, SQUISH_LIMITS.MIN_STRETCH,  SQUISH_LIMITS.MAX_STRETCH),
+})
+
+/**
+ * A jello squish: the ball oscillates past its rest pose `wobbles` times,
+ * each wobble damped by WOBBLE_DAMPING, then settles to (1, 1, 0). The
+ * optional rotation aligns the squish with the impact for the first wobble.
+ */
+export interface SquishEffect {
+  scaleX: number
+  scaleY: number
+  rotation?: number
+  segmentDuration: number
+  wobbles: number
+}
+
+export interface SquishPose {
+  scaleX: number
+  scaleY: number
+  rotation: number
+}
+
+/** Wobble count scales 2 → 10 and wobbles quicken with velocity. */
+export const squishEffect = (velocity: number, scaleX: number, scaleY: number, rotation?: number): SquishEffect => {
+  const absV = Math.abs(velocity)
+  const velocityFactor = Math.min(Math.max(absV / SQUISH_LIMITS.MAX_VELOCITY, 0.5), 1)
+  const wobbleProgress = clamp01((absV - 5) / 25) // 5 → 30 → 0..1
+  return {
+    scaleX,
+    scaleY,
+    rotation,
+    segmentDuration: 0.06 * (1 / velocityFactor),
+    wobbles: Math.round(MIN_WOBBLES + (MAX_WOBBLES - MIN_WOBBLES) * wobbleProgress),
+  }
+}
+
+/** Target pose at the end of each wobble, then the final rest pose. */
+export const squishKeyframes = (squish: SquishEffect): SquishPose[] => {
+  const dx = squish.scaleX - 1
+  const dy = squish.scaleY - 1
+  const poses: SquishPose[] = []
+  for (let i = 0; i < squish.wobbles; i++) {
+    const amp = Math.pow(-WOBBLE_DAMPING, i)
+    poses.push({
+      scaleX: 1 + dx * amp,
+      scaleY: 1 + dy * amp,
+      rotation: i === 0 ? (squish.rotation ?? 0) : 0,
+    })
+  }
+  poses.push({ scaleX: 1, scaleY: 1, rotation: 0 })
+  return poses
+}
+
+export const squishDuration = (squish: SquishEffect): number =>
+  (squish.wobbles + SETTLE_FRACTION) * squish.segmentDuration
+
+/** Pose `elapsed` seconds into a squish; the rest pose once it has finished. */
+export const sampleSquish = (squish: SquishEffect, elapsed: number): SquishPose => {
+  const poses = squishKeyframes(squish)
+  let from: SquishPose = { scaleX: 1, scaleY: 1, rotation: 0 }
+  let t = Math.max(elapsed, 0)
+  for (let i = 0; i < poses.length; i++) {
+    const settle = i === poses.length - 1
+    const duration = settle ? squish.segmentDuration * SETTLE_FRACTION : squish.segmentDuration
+    if (t < duration) {
+      const ease = settle ? EASE.sineOut : i === 0 ? EASE.power2Out : EASE.sineInOut
+      const k = ease(t / duration)
+      const to = poses[i]
+      return {
+        scaleX: from.scaleX + (to.scaleX - from.scaleX) * k,
+        scaleY: from.scaleY + (to.scaleY - from.scaleY) * k,
+        rotation: from.rotation + (to.rotation - from.rotation) * k,
+      }
+    }
+    t -= duration
+    from = poses[i]
+  }
+  return { scaleX: 1, scaleY: 1, rotation: 0 }
+}
+
+// ── Glow, flash, shockwave ──────────────────────────────────────────────────
+
+/**
+ * Inset glow: held at full strength for `hold`, then faded out over `fade`.
+ * Velocity 5..25 maps to a 0.2..1.8 factor (saturating early so average hits
+ * feel punchy) that drives spread, blur and both timings.
+ */
+export const glowEffect = (radius: number, velocity: number) => {
+  const vf = 0.2 + clamp01((Math.abs(velocity) - 5) / 20) * 1.6
+  return {
+    spread: Math.max(6, radius * 1.0 * vf),
+    blur:   Math.max(2, radius * 0.3 * vf),
+    hold:   0.25 * vf,   // 0.05s soft → 0.45s hard
+    fade:   1.6 * vf,    // 0.32s soft → 2.88s hard
+  }
+}
+
+/** Brightness flash over the whole ball; hard hits ramp toward near-white. */
+export const flashEffect = (velocity: number) => {
+  const t = clamp01((Math.abs(velocity) - 5) / 20)
+  return {
+    peakBrightness: 1.5 + t * 2.0,   // 1.5× soft → 3.5× hard
+    fade:           0.25 + t * 0.45, // 0.25s soft → 0.70s hard
+  }
+}
+
+/**
+ * Expanding ring from the collision point: starts at the outer edge of the
+ * balls involved and fades as it grows. Velocity scales reach and opacity.
+ */
+export const shockwaveEffect = (velocity: number, startRadius: number) => {
+  const t = clamp01((Math.abs(velocity) - 3) / 17)
+  const startDiameter = startRadius * 2
+  const extraRadius   = 25 + t * 75        // 25→100px of travel beyond the balls
+  return {
+    startDiameter,
+    maxDiameter:  startDiameter + extraRadius * 2,
+    duration:     0.18 + t * 0.42,         // 0.18→0.60s
+    startOpacity: 0.35 + t * 0.65,         // 0.35→1.0
+    borderWidth:  1.0 + t * 3.0,           // 1.0→4px
+  }
+}
+
+/**
+ * What a renderer does when a collision lands; CircleCanvas calls these for
+ * world events without knowing which renderer is active.
+ */
+export interface BallEffects {
+  squish(id: string, velocity: number, scaleX: number, scaleY: number, rotation?: number): void
+  glow(id: string, color: string, radius: number, velocity: number): void
+  flash(id: string, velocity: number): void
+  shockwave(x: number, y: number, color: string, velocity: number, startRadius: number): void
+}
+
+/**
+ * Ball cap per renderer; the oldest ball is evicted past it. DOM balls cost a
+ * node, tweens and box-shadow repaints each, so they run out far sooner.
+ */
+export const MAX_BALLS: Record<RendererType, number> = { dom: 50, canvas: 500 }
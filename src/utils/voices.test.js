@@ -0,0 +1,86 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_VOICE, isInheritVoice, resolveVoiceSettings, pickVoiceNote, midiNoteName, transposeNote } from './voices'
+
+const settings = {
+  duration: 0.25, detune: 0, waveform: 'sine', volume: 0.15, pitchMapping: 'positionX',
+  delay:      { enabled: false, time: 0.3, feedback: 0.3, mix: 0.3 },
+  reverb:     { enabled: true,  roomSize: 0.7, damping: 0.3, mix: 0.4 },
+  distortion: { enabled: false, amount: 0.5, oversample: '2x', mix: 0.3 },
+  tremolo:    { enabled: false, rate: 4, depth: 0.5, mix: 0.5 },
+}
+
+const voice = (overrides = {}) => ({ ...structuredClone(DEFAULT_VOICE), ...overrides })
+
+describe('resolveVoiceSettings', () => {
+  it('returns the collision settings untouched without a voice', () => {
+    expect(resolveVoiceSettings(settings)).toBe(settings)
+    expect(resolveVoiceSettings(settings, DEFAULT_VOICE)).toEqual(settings)
+  })
+
+  it('lets the ball override the waveform', () => {
+    expect(resolveVoiceSettings(settings, voice({ waveform: 'sawtooth' })).waveform).toBe('sawtooth')
+  })
+
+  it('forces effects on or off but keeps their parameters from the collision type', () => {
+    const v = voice({ effects: { ...DEFAULT_VOICE.effects, reverb: 'off', delay: 'on' } })
+    const resolved = resolveVoiceSettings(settings, v)
+    expect(resolved.reverb).toEqual({ ...settings.reverb, enabled: false })
+    expect(resolved.delay).toEqual({ ...settings.delay, enabled: true })
+    expect(resolved.tremolo).toBe(settings.tremolo)
+    expect(resolved.volume).toBe(settings.volume)
+  })
+})
+
+describe('isInheritVoice', () => {
+  it('is true only when nothing is overridden', () => {
+    expect(isInheritVoice(DEFAULT_VOICE)).toBe(true)
+    expect(isInheritVoice(voice({ waveform: 'square' }))).toBe(false)
+    expect(isInheritVoice(voice({ pitch: { mode: 'fixed', low: 40, high: 40 } }))).toBe(false)
+    expect(isInheritVoice(voice({ transpose: 12 }))).toBe(false)
+    expect(isInheritVoice(voice({ transpose: 0 }))).toBe(true)
+  })
+})
+
+describe('transposeNote', () => {
+  it('moves a frequency by the voice\'s semitones', () => {
+    expect(transposeNote(440, voice({ transpose: 12 }))).toBeCloseTo(880)
+    expect(transposeNote(440, voice({ transpose: -12 }))).toBeCloseTo(220)
+    expect(transposeNote(440)).toBe(440)
+  })
+})
+
+describe('pickVoiceNote', () => {
+  // A2..A4 in octaves plus E3
+  const scale = [110, 164.81, 220, 440]
+
+  it('returns null when the pitch is inherited', () => {
+    expect(pickVoiceNote(DEFAULT_VOICE, scale, settings, {}, 5)).toBeNull()
+  })
+
+  it('plays a fixed note relative to A4', () => {
+    const v = voice({ pitch: { mode: 'fixed', low: 45, high: 45 } })
+    expect(pickVoiceNote(v, scale, settings, {}, 5)).toBeCloseTo(110)
+    expect(pickVoiceNote(v, scale, settings, {}, 5, 432)).toBeCloseTo(108)
+  })
+
+  it('keeps a range to scale notes and uses the collision pitch mapping', () => {
+    const v = voice({ pitch: { mode: 'range', low: 45, high: 57 } })   // A2..A3
+    expect(pickVoiceNote(v, scale, settings, { x: 0 }, 5)).toBe(110)
+    expect(pickVoiceNote(v, scale, settings, { x: 0.5 }, 5)).toBe(164.81)
+    expect(pickVoiceNote(v, scale, settings, { x: 1 }, 5)).toBe(220)
+  })
+
+  it('falls back to the low note when no scale note is in range', () => {
+    const v = voice({ pitch: { mode: 'range', low: 47, high: 50 } })   // B2..D3
+    expect(pickVoiceNote(v, scale, settings, {}, 5)).toBeCloseTo(123.47, 1)
+  })
+})
+
+describe('midiNoteName', () => {
+  it('names notes with octave numbers', () => {
+    expect(midiNoteName(60)).toBe('C4')
+    expect(midiNoteName(69)).toBe('A4')
+    expect(midiNoteName(25)).toBe('C#1')
+  })
+})
@@ -0,0 +1,81 @@
+import type { BallVoice, EffectName, EffectOverride, NoteSource, SoundSettings } from '../types/audio'
+import { pickNoteIndex } from './pitchMapping'
+import { midiNoteToFrequency } from './midiMessages'
+import { ROOTS } from './scales'
+import { randomFrom } from './random'
+
+export const EFFECT_NAMES: EffectName[] = ['tremolo', 'distortion', 'reverb', 'delay']
+
+/** A voice that changes nothing. */
+export const DEFAULT_VOICE: BallVoice = {
+  waveform: 'inherit',
+  pitch: { mode: 'inherit', low: 36, high: 60 },
+  effects: { delay: 'inherit', reverb: 'inherit', distortion: 'inherit', tremolo: 'inherit' },
+}
+
+/** Note range offered by the voice editor (C1–C7). */
+export const VOICE_NOTE_RANGE = { MIN: 24, MAX: 96 }
+
+/** True if the voice would sound exactly like the shared settings. */
+export const isInheritVoice = (voice: BallVoice): boolean =>
+  voice.waveform === 'inherit' && voice.pitch.mode === 'inherit' && !voice.transpose &&
+  EFFECT_NAMES.every(name => voice.effects[name] === 'inherit')
+
+export const midiNoteName = (note: number): string =>
+  `${ROOTS[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`
+
+const applyOverride = <T extends { enabled: boolean }>(effect: T, override: EffectOverride): T =>
+  override === 'inherit' ? effect : { ...effect, enabled: override === 'on' }
+
+/**
+ * Merge order, most specific first:
+ *   1. the ball's voice (waveform, effect on/off)
+ *   2. the collision type's settings (wallSettings / circleSettings) — every
+ *      parameter the voice leaves on `inherit`, plus all effect parameters
+ *   3. global state applied elsewhere — scale/tuning pick the pitch and
+ *      globalVolume scales the master bus
+ */
+export const resolveVoiceSettings = (settings: SoundSettings, voice?: BallVoice): SoundSettings => {
+  if (!voice) return settings
+  return {
+    ...settings,
+    waveform:   voice.waveform === 'inherit' ? settings.waveform : voice.waveform,
+    delay:      applyOverride(settings.delay, voice.effects.delay),
+    reverb:     applyOverride(settings.reverb, voice.effects.reverb),
+    distortion: applyOverride(settings.distortion, voice.effects.distortion),
+    tremolo:    applyOverride(settings.tremolo, voice.effects.tremolo),
+  }
+}
+
+/** A frequency moved by the voice's transpose, in semitones. */
+export const transposeNote = (frequency: number, voice?: BallVoice): number =>
+  voice?.transpose ? frequency * Math.pow(2, voice.transpose / 12) : frequency
+
+/**
+ * The voice's own pitch, or null when it inherits. `fixed` plays its low note
+ * as-is; `range` keeps to the scale, choosing among `scaleNotes` (ascending)
+ * inside the range by the collision type's pitch mapping. An empty range
+ * falls back to the low note so the ball still sounds where it was put.
+ */
+export const pickVoiceNote = (
+  voice: BallVoice,
+  scaleNotes: number[],
+  settings: SoundSettings | undefined,
+  source: NoteSource,
+  velocity: number,
+  a4 = 440,
+  random: () => number = randomFrom('notes'),
+): number | null => {
+  const { mode, low, high } = voice.pitch
+  if (mode === 'inherit') return null
+  const lowHz = midiNoteToFrequency(Math.min(low, high), a4)
+  if (mode === 'fixed') return midiNoteToFrequency(low, a4)
+
+  // Half a semitone of slack so non-12-TET tunings still land inside
+  const slack = Math.pow(2, 1 / 24)
+  const highHz = midiNoteToFrequency(Math.max(low, high), a4)
+  const candidates = scaleNotes.filter(f => f >= lowHz / slack && f <= highHz * slack)
+  if (candidates.length === 0) return lowHz
+  const index = pickNoteIndex(settings?.pitchMapping ?? 'random', candidates.length, source, velocity, random)
+  return candidates[index]
+}
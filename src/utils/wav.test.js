@@ -0,0 +1,58 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { encodeWav } from './wav'
+
+const source = (channels, sampleRate = 48000) => ({
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  sampleRate,
+  getChannelData: (i) => channels[i],
+})
+
+const text = (view, offset, length) =>
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)))
+
+describe('encodeWav', () => {
+  it('writes a stereo PCM RIFF header', () => {
+    const wav = encodeWav(source([new Float32Array(10), new Float32Array(10)], 48000), 16)
+    const view = new DataView(wav)
+    expect(text(view, 0, 4)).toBe('RIFF')
+    expect(text(view, 8, 4)).toBe('WAVE')
+    expect(text(view, 12, 4)).toBe('fmt ')
+    expect(view.getUint16(20, true)).toBe(1)        // PCM
+    expect(view.getUint16(22, true)).toBe(2)        // channels
+    expect(view.getUint32(24, true)).toBe(48000)
+    expect(view.getUint32(28, true)).toBe(48000 * 4)
+    expect(view.getUint16(32, true)).toBe(4)
+    expect(view.getUint16(34, true)).toBe(16)
+    expect(text(view, 36, 4)).toBe('data')
+    expect(view.getUint32(40, true)).toBe(40)
+    expect(view.getUint32(4, true)).toBe(wav.byteLength - 8)
+  })
+
+  it('interleaves and clips 16-bit samples', () => {
+    const wav = encodeWav(source([Float32Array.of(1, -2), Float32Array.of(-1, 0.5)]), 16)
+    const view = new DataView(wav)
+    expect(view.getInt16(44, true)).toBe(32767)
+    expect(view.getInt16(46, true)).toBe(-32767)
+    expect(view.getInt16(48, true)).toBe(-32767)
+    expect(view.getInt16(50, true)).toBe(16384)
+  })
+
+  it('writes 24-bit little-endian samples', () => {
+    const wav = encodeWav(source([Float32Array.of(-1), Float32Array.of(0.5)]), 24)
+    const view = new DataView(wav)
+    expect(view.getUint16(34, true)).toBe(24)
+    expect(wav.byteLength).toBe(44 + 6)
+    const read24 = (o) => (view.getInt8(o + 2) << 16) | (view.getUint8(o + 1) << 8) | view.getUint8(o)
+    expect(read24(44)).toBe(-8388607)
+    expect(read24(47)).toBe(4194304)
+  })
+
+  it('duplicates a mono buffer into both channels', () => {
+    const wav = encodeWav(source([Float32Array.of(0.25)]), 16)
+    const view = new DataView(wav)
+    expect(view.getUint16(22, true)).toBe(2)
+    expect(view.getInt16(44, true)).toBe(view.getInt16(46, true))
+  })
+})
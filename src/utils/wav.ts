@@ -0,0 +1,62 @@
+/**
+ * Minimal PCM WAV encoder for rendered AudioBuffers. Always writes stereo;
+ * a mono buffer is duplicated into both channels.
+ */
+
+export type WavBitDepth = 16 | 24
+
+/** The subset of AudioBuffer the encoder reads (lets tests pass plain objects). */
+export interface PcmSource {
+  numberOfChannels: number
+  length: number
+  sampleRate: number
+  getChannelData(channel: number): Float32Array
+}
+
+const writeString = (view: DataView, offset: number, text: string): void => {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i))
+}
+
+/** Encode `buffer` as a little-endian RIFF/WAVE file. */
+export const encodeWav = (buffer: PcmSource, bitDepth: WavBitDepth = 16): ArrayBuffer => {
+  const channels = 2
+  const bytesPerSample = bitDepth / 8
+  const blockAlign = channels * bytesPerSample
+  const dataSize = buffer.length * blockAlign
+  const out = new ArrayBuffer(44 + dataSize)
+  const view = new DataView(out)
+
+  writeString(view, 0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(view, 8, 'WAVE')
+  writeString(view, 12, 'fmt ')
+  view.setUint32(16, 16, true)                           // fmt chunk size
+  view.setUint16(20, 1, true)                            // PCM
+  view.setUint16(22, channels, true)
+  view.setUint32(24, buffer.sampleRate, true)
+  view.setUint32(28, buffer.sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, bitDepth, true)
+  writeString(view, 36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  const left = buffer.getChannelData(0)
+  const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left
+  const max = Math.pow(2, bitDepth - 1) - 1
+
+  let offset = 44
+  for (let i = 0; i < buffer.length; i++) {
+    for (const channel of [left, right]) {
+      const sample = Math.round(Math.max(-1, Math.min(1, channel[i])) * max)
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true)
+      } else {
+        view.setUint8(offset, sample & 0xff)
+        view.setUint8(offset + 1, (sample >> 8) & 0xff)
+        view.setInt8(offset + 2, sample >> 16)
+      }
+      offset += bytesPerSample
+    }
+  }
+  return out
+}
@@ -0,0 +1,215 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import { FIXED_STEP, MAX_STEPS_PER_ADVANCE, World, resolveWalls } from './world'
+import { DEFAULT_PHYSICS } from './fields'
+import { newPeg } from './obstacles'
+import { DEFAULT_LIFECYCLE } from './lifecycle'
+
+const bounds = { width: 1000, height: 1000 }
+const ball = (overrides = {}) => ({ x: 500, y: 500, vx: 0, vy: 0, radius: 10, color: 'red', ...overrides })
+const physics = (overrides = {}) => ({ ...DEFAULT_PHYSICS, substeps: 1, ...overrides })
+const restitution = { left: 1, right: 1, top: 1, bottom: 1 }
+
+const worldWith = (balls, settings = physics()) => {
+  const world = new World(bounds)
+  world.setPhysics(settings)
+  Object.entries(balls).forEach(([id, state]) => world.addBall(id, state))
+  return world
+}
+
+describe('resolveWalls', () => {
+  it('reflects motion into a wall and clamps the ball inside', () => {
+    const { state, hits } = resolveWalls(ball({ x: 1005, vx: 4 }), bounds, restitution)
+    expect(state.vx).toBe(-4)
+    expect(state.x).toBe(990)
+    expect(hits).toEqual([{ side: 'right', speed: 4 }])
+  })
+
+  it('reports both sides of a corner hit', () => {
+    const { hits } = resolveWalls(ball({ x: 5, y: 5, vx: -3, vy: -2 }), bounds, restitution)
+    expect(hits.map(hit => hit.side)).toEqual(['left', 'top'])
+  })
+
+  it('ignores a ball already moving away from the wall', () => {
+    const { state, hits } = resolveWalls(ball({ x: 5, vx: 3 }), bounds, restitution)
+    expect(state.vx).toBe(3)
+    expect(hits).toEqual([])
+  })
+})
+
+describe('World.advance', () => {
+  it('runs one step per fixed interval and carries the remainder', () => {
+    const world = worldWith({ a: ball({ vx: 1 }) })
+    world.advance(FIXED_STEP * 0.5)
+    expect(world.getBall('a').x).toBe(500)
+    world.advance(FIXED_STEP * 0.5)
+    expect(world.getBall('a').x).toBe(501)
+    world.advance(FIXED_STEP * 2)
+    expect(world.getBall('a').x).toBe(503)
+  })
+
+  it('moves the same distance whatever the frame rate', () => {
+    const at60  = worldWith({ a: ball({ vx: 2 }) })
+    const at120 = worldWith({ a: ball({ vx: 2 }) })
+    for (let i = 0; i < 6; i++) at60.advance(1 / 60)
+    for (let i = 0; i < 12; i++) at120.advance(1 / 120)
+    expect(at120.getBall('a').x).toBeCloseTo(at60.getBall('a').x)
+  })
+
+  it('caps the steps run after a long stall', () => {
+    const world = worldWith({ a: ball({ vx: 1 }) })
+    world.advance(10)
+    expect(world.getBall('a').x).toBe(500 + MAX_STEPS_PER_ADVANCE)
+  })
+
+  it('splits each step into substeps without changing the distance covered', () => {
+    const world = worldWith({ a: ball({ vx: 4 }) }, physics({ substeps: 4 }))
+    world.step()
+    expect(world.getBall('a').x).toBeCloseTo(504)
+  })
+
+  it('holds pinned balls still against forces and walls', () => {
+    const world = worldWith({ a: ball({ x: 5, vx: -3, pinned: true }) }, physics({ gravity: { x: 0, y: 1 } }))
+    expect(world.step()).toEqual([])
+    expect(world.getBall('a')).toMatchObject({ x: 5, y: 500, vx: -3, vy: 0 })
+  })
+
+  it('counts time in whole steps and restarts it on resetClock', () => {
+    const world = worldWith({ a: ball({ vx: 1 }) })
+    world.advance(FIXED_STEP * 2.5)
+    expect(world.time).toBeCloseTo(FIXED_STEP * 2)
+    world.resetClock()
+    expect(world.time).toBe(0)
+    // The half step carried over before the reset is dropped too
+    world.advance(FIXED_STEP * 0.5)
+    expect(world.time).toBe(0)
+  })
+})
+
+describe('World events', () => {
+  it('emits a wall event with the side and impact speed', () => {
+    const world = worldWith({ a: ball({ x: 988, vx: 5 }) })
+    const events = world.step()
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({ type: 'wall', id: 'a', side: 'right', speed: 5 })
+    expect(events[0].state.vx).toBeCloseTo(-5 * DEFAULT_PHYSICS.restitution.right)
+  })
+
+  it('emits one ball event for an approaching pair and sends the balls apart', () => {
+    const world = worldWith({ a: ball({ x: 490, vx: 2 }), b: ball({ x: 510, vx: -2 }) })
+    const events = world.step()
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({ type: 'ball', id1: 'a', id2: 'b', x: 500, y: 500 })
+    expect(world.getBall('a').vx).toBeLessThan(0)
+    expect(world.getBall('b').vx).toBeGreaterThan(0)
+  })
+
+  it('stays quiet for an overlapping pair already moving apart', () => {
+    const world = worldWith({ a: ball({ x: 495, vx: -2 }), b: ball({ x: 505, vx: 2 }) })
+    expect(world.step()).toEqual([])
+  })
+
+  it('emits obstacle events with the obstacle that was hit', () => {
+    const world = worldWith({ a: ball({ x: 470, vx: 5 }) })
+    const peg = { ...newPeg(0.5, 0.5, 20), bounce: 1 }
+    world.setObstacles([peg])
+    const [event] = world.step()
+    expect(event).toMatchObject({ type: 'obstacle', id: 'a', speed: 5 })
+    expect(event.obstacle.id).toBe(peg.id)
+    expect(world.getBall('a').vx).toBeCloseTo(-5)
+  })
+
+  it('bounces a ball off a pinned one with a ball event', () => {
+    const world = worldWith({ a: ball({ x: 490, vx: 2 }), pin: ball({ x: 510, pinned: true }) })
+    const [event] = world.step()
+    expect(event).toMatchObject({ type: 'ball', id1: 'a', id2: 'pin' })
+    expect(world.getBall('a').vx).toBeLessThan(0)
+    expect(world.getBall('pin')).toMatchObject({ x: 510, vx: 0 })
+  })
+
+  it('orders wall and obstacle events before ball events within a substep', () => {
+    const world = worldWith({
+      a: ball({ x: 988, vx: 5 }),
+      b: ball({ x: 490, vx: 2 }),
+      c: ball({ x: 510, vx: -2 }),
+    })
+    expect(world.step().map(event => event.type)).toEqual(['wall', 'ball'])
+  })
+})
+
+describe('World lifecycle', () => {
+  const lifecycle = (overrides = {}) => ({ ...DEFAULT_LIFECYCLE, ...overrides })
+  const run = (world, steps) => { for (let i = 0; i < steps; i++) world.step() }
+
+  it('changes nothing with the default rules', () => {
+    const world = worldWith({ a: ball({ vx: 5 }) })
+    run(world, 600)
+    expect(world.getBall('a')).not.toHaveProperty('fade')
+    expect(world.takeChanges()).toEqual({ changed: [], removed: [] })
+  })
+
+  it('fades a ball out after its lifetime, slowing it to a stop, then removes it', () => {
+    const world = worldWith({ a: ball({ vx: 2 }) })
+    world.setLifecycle(lifecycle({ lifetime: 0.5, fadeTime: 0.5 }))
+    run(world, 45)
+    const fading = world.getBall('a')
+    expect(fading.fade).toBeGreaterThan(0)
+    expect(fading.fade).toBeLessThan(1)
+    expect(fading.vx).toBeCloseTo(2 * fading.fade, 1)
+    run(world, 20)
+    expect(world.getBall('a')).toBeNull()
+    expect(world.takeChanges().removed).toEqual(['a'])
+  })
+
+  it('spends a ball once it has taken its hit budget', () => {
+    const world = new World({ width: 60, height: 1000 })
+    world.setPhysics(physics({ restitution }))
+    world.addBall('a', ball({ x: 30, vx: 10 }))
+    world.setLifecycle(lifecycle({ maxHits: 3, fadeTime: 0 }))
+    run(world, 8)
+    expect(world.getBall('a')).not.toBeNull()
+    run(world, 8)
+    expect(world.getBall('a')).toBeNull()
+  })
+
+  it('splits balls hit hard into smaller halves with transposed voices', () => {
+    const world = worldWith({ a: ball({ x: 200, vx: 15, radius: 20 }), b: ball({ x: 800, vx: -15, radius: 20 }) })
+    world.setLifecycle(lifecycle({ split: { enabled: true, minSpeed: 20, minRadius: 5, transpose: 12 } }))
+    run(world, 22)
+    expect([...world.balls.keys()].sort()).toEqual(['a', 'a.1', 'b', 'b.1'])
+    world.balls.forEach(state => {
+      expect(state.radius).toBeCloseTo(20 / Math.SQRT2)
+      expect(state.voice.transpose).toBe(12)
+    })
+    expect(world.takeChanges().changed.map(change => change.id).sort()).toEqual(['a', 'a.1', 'b', 'b.1'])
+  })
+
+  it('keeps balls whole when the halves would be too small', () => {
+    const world = worldWith({ a: ball({ x: 200, vx: 15 }), b: ball({ x: 800, vx: -15 }) })
+    world.setLifecycle(lifecycle({ split: { enabled: true, minSpeed: 20, minRadius: 10, transpose: 12 } }))
+    run(world, 22)
+    expect([...world.balls.keys()]).toEqual(['a', 'b'])
+  })
+
+  it('merges two balls after repeated slow contacts', () => {
+    const world = worldWith(
+      { a: ball({ x: 500, y: 980, radius: 20 }), b: ball({ x: 500, y: 941, radius: 20 }) },
+      physics({ gravity: { x: 0, y: 0.5 }, restitution: { left: 0, right: 0, top: 0, bottom: 0 } }),
+    )
+    world.setLifecycle(lifecycle({ merge: { enabled: true, maxSpeed: 2, contacts: 3 } }))
+    run(world, 30)
+    expect(world.balls.size).toBe(1)
+    const [[id, merged]] = world.balls
+    expect(merged.radius).toBeCloseTo(Math.hypot(20, 20))
+    const { changed, removed } = world.takeChanges()
+    expect(changed.map(change => change.id)).toEqual([id])
+    expect(removed).toEqual([id === 'a' ? 'b' : 'a'])
+  })
+
+  it('leaves pinned balls out of every rule', () => {
+    const world = worldWith({ pin: ball({ pinned: true }) })
+    world.setLifecycle(lifecycle({ lifetime: 0.1, fadeTime: 0 }))
+    run(world, 60)
+    expect(world.getBall('pin')).not.toBeNull()
+  })
+})
@@ -0,0 +1,353 @@
+import { checkCircleCollision, resolveCollision } from './physics'
+import { SpatialGrid } from './spatialGrid'
+import { DEFAULT_PHYSICS, RESTING_SPEED, applyFields, bounceVelocity } from './fields'
+import { collideWithObstacle, obstacleBoundingCircle } from './obstacles'
+import {
+  DEFAULT_LIFECYCLE,
+  MAX_MERGED_RADIUS,
+  SPLIT_GRACE,
+  isLifecycleActive,
+  isSpent,
+  mergeBalls,
+  mergedRadius,
+  newLife,
+  splitBall,
+  type BallLife,
+} from './lifecycle'
+import type {
+  Bounds,
+  CircleState,
+  GridDebugInfo,
+  LifecycleSettings,
+  Obstacle,
+  PhysicsSettings,
+  WallRestitution,
+  WallSide,
+  WorldEvent,
+} from '../types/physics'
+
+/** Length of one simulation step in seconds; velocities are per step. */
+export const FIXED_STEP = 1 / 60
+
+/**
+ * Most steps one advance() may run. After a long stall (background tab,
+ * debugger) the backlog is dropped rather than replayed in a burst.
+ */
+export const MAX_STEPS_PER_ADVANCE = 5
+
+export const SUBSTEP_RANGE = { MIN: 1, MAX: 8 }
+
+/**
+ * Bounce a ball off the viewport edges and clamp it inside. Only motion into
+ * a wall bounces; a rebound slower than RESTING_SPEED is resting contact and
+ * reports no side.
+ */
+export const resolveWalls = (
+  state: CircleState, bounds: Bounds, restitution: WallRestitution,
+): { state: CircleState; hits: Array<{ side: WallSide; speed: number }> } => {
+  const next: CircleState = { ...state }
+  const hits: Array<{ side: WallSide; speed: number }> = []
+
+  const sideX: WallSide | null =
+    state.x <= state.radius ? 'left' : state.x >= bounds.width - state.radius ? 'right' : null
+  const sideY: WallSide | null =
+    state.y <= state.radius ? 'top' : state.y >= bounds.height - state.radius ? 'bottom' : null
+
+  if (sideX && (sideX === 'left' ? state.vx < 0 : state.vx > 0)) {
+    next.vx = bounceVelocity(state.vx, restitution[sideX])
+    if (next.vx !== 0) hits.push({ side: sideX, speed: Math.abs(state.vx) })
+  }
+  if (sideY && (sideY === 'top' ? state.vy < 0 : state.vy > 0)) {
+    next.vy = bounceVelocity(state.vy, restitution[sideY])
+    if (next.vy !== 0) hits.push({ side: sideY, speed: Math.abs(state.vy) })
+  }
+
+  next.x = Math.max(next.radius, Math.min(next.x, bounds.width - next.radius))
+  next.y = Math.max(next.radius, Math.min(next.y, bounds.height - next.radius))
+  return { state: next, hits }
+}
+
+/**
+ * The whole simulation: balls, forces, walls, obstacles and ball-ball
+ * collisions, advanced on a fixed timestep. No React or DOM, so tests (and a
+ * worker) can drive it headlessly. Each step emits one ordered list of
+ * events for rendering and audio to consume. Balls the lifecycle rules add,
+ * reshape or remove are collected for takeChanges().
+ */
+export class World {
+  readonly balls = new Map<string, CircleState>()
+  private bounds: Bounds
+  private physics: PhysicsSettings = DEFAULT_PHYSICS
+  private lifecycle: LifecycleSettings = DEFAULT_LIFECYCLE
+  private lives = new Map<string, BallLife>()
+  /** Slow contacts per ball pair, keyed `id1|id2` in id order */
+  private contacts = new Map<string, number>()
+  /** Lifecycle results since the last takeChanges() */
+  private changed = new Map<string, CircleState>()
+  private removed: string[] = []
+  /** Device-tilt gravity; replaces physics.gravity while set */
+  private tiltGravity: { x: number; y: number } | null = null
+  private obstacles = new Map<string, Obstacle>()
+  private grid: SpatialGrid
+  /** Obstacles don't move, so their grid is only rebuilt when they or the bounds change */
+  private obstacleGrid: SpatialGrid
+  private accumulator = 0
+  private steps = 0
+
+  constructor(bounds: Bounds, cellSize = 100) {
+    this.bounds = bounds
+    this.grid = new SpatialGrid(bounds.width, bounds.height, cellSize)
+    this.obstacleGrid = new SpatialGrid(bounds.width, bounds.height, cellSize)
+  }
+
+  addBall(id: string, state: CircleState): void {
+    this.balls.set(id, state)
+    this.lives.set(id, newLife())
+  }
+
+  removeBall(id: string): void {
+    this.balls.delete(id)
+    this.lives.delete(id)
+    this.changed.delete(id)
+    this.contacts.forEach((_, key) => { if (key.split('|').includes(id)) this.contacts.delete(key) })
+  }
+
+  getBall(id: string): CircleState | null {
+    return this.balls.get(id) ?? null
+  }
+
+  setBall(id: string, state: CircleState): void {
+    if (this.balls.has(id)) this.balls.set(id, state)
+  }
+
+  setBounds(bounds: Bounds): void {
+    this.bounds = bounds
+    this.grid.updateDimensions(bounds.width, bounds.height)
+    this.obstacleGrid.updateDimensions(bounds.width, bounds.height)
+    this.rebuildObstacleGrid()
+  }
+
+  setPhysics(physics: PhysicsSettings): void {
+    this.physics = physics
+  }
+
+  setLifecycle(lifecycle: LifecycleSettings): void {
+    this.lifecycle = lifecycle
+  }
+
+  setTiltGravity(gravity: { x: number; y: number } | null): void {
+    this.tiltGravity = gravity
+  }
+
+  setObstacles(obstacles: Obstacle[]): void {
+    this.obstacles = new Map(obstacles.map(o => [o.id, o]))
+    this.rebuildObstacleGrid()
+  }
+
+  /** Simulated seconds: fixed steps run since creation or the last resetClock */
+  get time(): number {
+    return this.steps * FIXED_STEP
+  }
+
+  /** Restart simulated time at zero with nothing carried over, as at creation. */
+  resetClock(): void {
+    this.steps = 0
+    this.accumulator = 0
+  }
+
+  /**
+   * Run as many fixed steps as `elapsed` seconds (plus the carried-over
+   * remainder) cover, returning their events in order.
+   */
+  advance(elapsed: number): WorldEvent[] {
+    this.accumulator = Math.min(this.accumulator + Math.max(elapsed, 0), FIXED_STEP * MAX_STEPS_PER_ADVANCE)
+    const events: WorldEvent[] = []
+    // Small tolerance so 1/60 s of wall clock reliably yields one step
+    while (this.accumulator >= FIXED_STEP - 1e-9) {
+      this.accumulator -= FIXED_STEP
+      events.push(...this.step())
+    }
+    return events
+  }
+
+  /** One fixed step, split into `physics.substeps` equal passes. */
+  step(): WorldEvent[] {
+    const substeps = Math.max(SUBSTEP_RANGE.MIN, Math.min(SUBSTEP_RANGE.MAX, Math.round(this.physics.substeps)))
+    const events: WorldEvent[] = []
+    for (let i = 0; i < substeps; i++) this.substep(1 / substeps, events)
+    if (isLifecycleActive(this.lifecycle)) this.updateLives(events)
+    this.steps++
+    return events
+  }
+
+  /** Balls the lifecycle rules made, reshaped or removed since the last call, in full. */
+  takeChanges(): { changed: Array<{ id: string; state: CircleState }>; removed: string[] } {
+    const changed = [...this.changed].map(([id, state]) => ({ id, state }))
+    const removed = this.removed
+    this.changed = new Map()
+    this.removed = []
+    return { changed, removed }
+  }
+
+  getGridDebugInfo(): GridDebugInfo {
+    return this.grid.getDebugInfo()
+  }
+
+  private rebuildObstacleGrid(): void {
+    this.obstacleGrid.clear()
+    this.obstacles.forEach((obstacle, id) => {
+      const { x, y, radius } = obstacleBoundingCircle(obstacle, this.bounds)
+      this.obstacleGrid.insert(id, x, y, radius)
+    })
+  }
+
+  /**
+   * Integrate, then walls and obstacles per ball, then ball-ball pairs. `dt`
+   * is in frames. Pinned balls only take part in the pairs.
+   */
+  private substep(dt: number, events: WorldEvent[]): void {
+    this.balls.forEach((current, id) => {
+      if (current.pinned) return
+      const moved = applyFields(current, this.physics, this.bounds, this.tiltGravity, dt)
+      const walls = resolveWalls(moved, this.bounds, this.physics.restitution)
+      let state = walls.state
+      walls.hits.forEach(hit => events.push({ type: 'wall', id, side: hit.side, speed: hit.speed, state }))
+
+      if (this.obstacles.size > 0) {
+        this.obstacleGrid.getPotentialCollisions(state.x, state.y, state.radius).forEach(obstacleId => {
+          const obstacle = this.obstacles.get(obstacleId)
+          if (!obstacle) return
+          const result = collideWithObstacle(state, obstacle, this.bounds)
+          if (!result) return
+          state = result.state
+          if (result.hit) events.push({ type: 'obstacle', id, state, ...result.hit })
+        })
+      }
+      this.balls.set(id, state)
+    })
+
+    this.resolveBallCollisions(events)
+  }
+
+  /**
+   * Apply the lifecycle rules after a step: count hits, merge pairs that
+   * kept touching slowly, split balls hit hard, then age every ball and fade
+   * out the spent ones, slowing them to a stop before they go.
+   */
+  private updateLives(events: WorldEvent[]): void {
+    const { split, merge } = this.lifecycle
+    const toSplit = new Set<string>()
+    const toMerge: Array<[string, string]> = []
+
+    events.forEach(event => {
+      const ids = event.type === 'ball' ? [event.id1, event.id2] : [event.id]
+      if (event.speed >= RESTING_SPEED) {
+        ids.forEach(id => { const life = this.lives.get(id); if (life) life.hits++ })
+      }
+      if (split.enabled && event.speed >= split.minSpeed) ids.forEach(id => toSplit.add(id))
+      if (merge.enabled && event.type === 'ball' && event.speed < merge.maxSpeed) {
+        const key = event.id1 < event.id2 ? `${event.id1}|${event.id2}` : `${event.id2}|${event.id1}`
+        const count = (this.contacts.get(key) ?? 0) + 1
+        this.contacts.set(key, count)
+        if (count >= merge.contacts) toMerge.push([event.id1, event.id2])
+      }
+    })
+
+    const changeable = (id: string): CircleState | null => {
+      const state = this.balls.get(id)
+      return state && !state.pinned && this.lives.get(id)?.fadeLeft === null ? state : null
+    }
+
+    toMerge.forEach(([id1, id2]) => {
+      const a = changeable(id1)
+      const b = changeable(id2)
+      if (!a || !b || mergedRadius(a, b) > MAX_MERGED_RADIUS) return
+      const [keep, gone] = a.radius >= b.radius ? [id1, id2] : [id2, id1]
+      this.removeBall(gone)
+      this.removed.push(gone)
+      this.setChanged(keep, mergeBalls(a, b))
+    })
+
+    toSplit.forEach(id => {
+      const state = changeable(id)
+      const life = this.lives.get(id)
+      if (!state || !life || life.age < SPLIT_GRACE || state.radius / Math.SQRT2 < this.lifecycle.split.minRadius) return
+      const [first, second] = splitBall(state, split.transpose)
+      // The parent carries on as one half; the other takes an id derived from it
+      const halfId = `${id}.${++life.splits}`
+      life.age = 0
+      life.hits = 0
+      this.setChanged(id, first)
+      this.addBall(halfId, second)
+      this.setChanged(halfId, second)
+    })
+
+    this.balls.forEach((state, id) => {
+      const life = this.lives.get(id)
+      if (!life || state.pinned) return
+      life.age += FIXED_STEP
+      if (life.fadeLeft === null) {
+        if (!isSpent(life, this.lifecycle)) return
+        life.fadeLeft = this.lifecycle.fadeTime
+      }
+      life.fadeLeft -= FIXED_STEP
+      if (life.fadeLeft <= 0) {
+        this.removeBall(id)
+        this.removed.push(id)
+        return
+      }
+      // Speed falls in step with the fade, reaching zero as the ball disappears
+      const slow = life.fadeLeft / (life.fadeLeft + FIXED_STEP)
+      const fade = Math.min(life.fadeLeft / Math.max(this.lifecycle.fadeTime, FIXED_STEP), 1)
+      this.balls.set(id, { ...state, vx: state.vx * slow, vy: state.vy * slow, fade })
+    })
+  }
+
+  private setChanged(id: string, state: CircleState): void {
+    this.balls.set(id, state)
+    this.changed.set(id, state)
+  }
+
+  /** Broad phase via the spatial grid, then elastic resolution of each overlapping pair once. */
+  private resolveBallCollisions(events: WorldEvent[]): void {
+    this.grid.clear()
+    this.balls.forEach((state, id) => this.grid.insert(id, state.x, state.y, state.radius))
+
+    const processedPairs = new Set<string>()
+    this.balls.forEach((_, id1) => {
+      // Re-read each time: an earlier pair this pass may have moved the ball
+      const first = this.balls.get(id1)
+      if (!first) return
+      this.grid.getPotentialCollisions(first.x, first.y, first.radius).forEach(id2 => {
+        if (id1 === id2) return
+        const pairKey = id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`
+        if (processedPairs.has(pairKey)) return
+        processedPairs.add(pairKey)
+
+        const state1 = this.balls.get(id1)
+        const state2 = this.balls.get(id2)
+        if (!state1 || !state2) return
+        if (!checkCircleCollision(state1.x, state1.y, state1.radius, state2.x, state2.y, state2.radius)) return
+
+        // Overlapping pairs already moving apart need no impulse and make no event
+        const next1: CircleState = { ...state1 }
+        const next2: CircleState = { ...state2 }
+        if (!resolveCollision(next1, next2)) return
+        this.balls.set(id1, next1)
+        this.balls.set(id2, next2)
+
+        events.push({
+          type: 'ball',
+          id1,
+          id2,
+          state1: next1,
+          state2: next2,
+          x: (next1.x + next2.x) / 2,
+          y: (next1.y + next2.y) / 2,
+          angle: Math.atan2(next2.y - next1.y, next2.x - next1.x),
+          speed: Math.hypot(next2.vx - next1.vx, next2.vy - next1.vy),
+        })
+      })
+    })
+  }
+}
@@ -0,0 +1,12 @@
+import { createWorldServer } from './worldProtocol'
+import type { WorldCommand } from '../types/physics'
+
+// Runs the World off the main thread (see utils/worldHost.ts). Each frame's
+// typed arrays are transferred rather than copied.
+
+const handle = createWorldServer()
+
+self.onmessage = (e: MessageEvent<WorldCommand>) => {
+  const frame = handle(e.data)
+  if (frame) self.postMessage(frame, { transfer: [frame.states.buffer, frame.events.buffer] })
+}
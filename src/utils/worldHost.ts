@@ -0,0 +1,58 @@
+import { createWorldServer } from './worldProtocol'
+import type { Bounds, WorldCommand, WorldFrame } from '../types/physics'
+
+/**
+ * Main-thread handle on the World. Commands are posted in order; frames come
+ * back through `onFrame`, asynchronously from a worker or synchronously from
+ * the in-thread fallback.
+ */
+export interface WorldHost {
+  readonly inWorker: boolean
+  send(command: WorldCommand): void
+  dispose(): void
+}
+
+const createWorker = (): Worker | null => {
+  if (typeof Worker === 'undefined') return null
+  try {
+    return new Worker(new URL('./world.worker.ts', import.meta.url), { type: 'module' })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Start a World in a dedicated worker, or in-thread where workers are
+ * unavailable (or `preferWorker` is false).
+ */
+export const createWorldHost = (
+  bounds: Bounds,
+  cellSize: number,
+  onFrame: (frame: WorldFrame) => void,
+  preferWorker = true,
+): WorldHost => {
+  const init: WorldCommand = { type: 'init', bounds, cellSize }
+  const worker = preferWorker ? createWorker() : null
+
+  if (worker) {
+    worker.onmessage = (e: MessageEvent<WorldFrame>) => onFrame(e.data)
+    worker.onerror = (e) => console.warn('Physics worker error:', e.message)
+    worker.postMessage(init)
+    return {
+      inWorker: true,
+      send: (command) => worker.postMessage(command),
+      dispose: () => worker.terminate(),
+    }
+  }
+
+  const handle = createWorldServer()
+  handle(init)
+  return {
+    inWorker: false,
+    send: (command) => {
+      const frame = handle(command)
+      if (frame) onFrame(frame)
+    },
+    dispose: () => {},
+  }
+}
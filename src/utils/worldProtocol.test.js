@@ -0,0 +1,164 @@
+// @ts-nocheck
+import { describe, it, expect } from 'vitest'
+import {
+  EVENT_STRIDE,
+  STATE_STRIDE,
+  applyFrameChanges,
+  applyFrameStates,
+  createWorldServer,
+  decodeEvents,
+  encodeFrame,
+} from './worldProtocol'
+import { createWorldHost } from './worldHost'
+import { DEFAULT_PHYSICS } from './fields'
+import { newPeg } from './obstacles'
+import { World } from './world'
+import { DEFAULT_LIFECYCLE } from './lifecycle'
+
+const bounds = { width: 1000, height: 1000 }
+const ball = (overrides = {}) => ({ x: 500, y: 500, vx: 0, vy: 0, radius: 10, color: 'red', ...overrides })
+const peg = { ...newPeg(0.5, 0.5, 20), id: 'peg' }
+
+/** A short scene touching every command: walls, a ball pair, an obstacle, gravity */
+const script = [
+  { type: 'setPhysics', physics: { ...DEFAULT_PHYSICS, gravity: { x: 0, y: 0.2 } } },
+  { type: 'setObstacles', obstacles: [peg] },
+  { type: 'addBall', id: 'a', state: ball({ x: 985, y: 100, vx: 7, vy: 1 }) },
+  { type: 'addBall', id: 'b', state: ball({ x: 300, y: 300, vx: 3 }) },
+  { type: 'addBall', id: 'c', state: ball({ x: 340, y: 300, vx: -3 }) },
+  { type: 'addBall', id: 'd', state: ball({ x: 460, y: 500, vx: 4 }) },
+  ...Array.from({ length: 30 }, () => ({ type: 'advance', elapsed: 1 / 60 })),
+  { type: 'patchBall', id: 'b', changes: { vx: -10 } },
+  { type: 'removeBall', id: 'c' },
+  ...Array.from({ length: 30 }, () => ({ type: 'advance', elapsed: 1 / 60 })),
+]
+
+describe('encodeFrame / applyFrameStates', () => {
+  it('packs x, y, vx, vy, fade per ball in insertion order', () => {
+    const balls = new Map([['a', ball({ x: 1, y: 2, vx: 3, vy: 4 })], ['b', ball({ x: 5, fade: 0.5 })]])
+    const frame = encodeFrame(balls, [])
+    expect(frame.ids).toEqual(['a', 'b'])
+    expect(frame.states.length).toBe(2 * STATE_STRIDE)
+    expect([...frame.states.subarray(0, STATE_STRIDE)]).toEqual([1, 2, 3, 4, 1])
+    expect(frame.states[2 * STATE_STRIDE - 1]).toBe(0.5)
+  })
+
+  it('sets a fading ball\'s fade on the mirror and clears it once whole', () => {
+    const mirror = new Map([['a', ball()]])
+    applyFrameStates(encodeFrame(new Map([['a', ball({ fade: 0.25 })]]), []), mirror)
+    expect(mirror.get('a').fade).toBe(0.25)
+    applyFrameStates(encodeFrame(new Map([['a', ball()]]), []), mirror)
+    expect(mirror.get('a')).not.toHaveProperty('fade')
+  })
+
+  it('updates mirrored balls and skips ones removed since', () => {
+    const frame = encodeFrame(new Map([['a', ball({ x: 42 })], ['gone', ball()]]), [])
+    const mirror = new Map([['a', ball({ color: 'blue' })]])
+    applyFrameStates(frame, mirror)
+    expect(mirror.get('a')).toMatchObject({ x: 42, color: 'blue' })
+    expect(mirror.has('gone')).toBe(false)
+  })
+})
+
+describe('applyFrameChanges', () => {
+  it('replaces changed balls and retires removed ones', () => {
+    const frame = encodeFrame(new Map(), [], 0, 0, {
+      changed: [{ id: 'a', state: ball({ radius: 5 }) }, { id: 'a.1', state: ball({ radius: 5 }) }],
+      removed: ['b', 'missing'],
+    })
+    const mirror = new Map([['a', ball()], ['b', ball({ color: 'blue' })]])
+    const retired = []
+    applyFrameChanges(frame, mirror, (id, state) => retired.push([id, state.color]))
+    expect([...mirror.keys()]).toEqual(['a', 'a.1'])
+    expect(mirror.get('a').radius).toBe(5)
+    expect(retired).toEqual([['b', 'blue']])
+  })
+})
+
+describe('decodeEvents', () => {
+  const mirror = () => new Map([['a', ball({ color: 'blue' })], ['b', ball({ color: 'green' })]])
+  const states = new Map([['a', ball()], ['b', ball()]])
+
+  it('round-trips wall, ball and obstacle events', () => {
+    const events = [
+      { type: 'wall', id: 'a', side: 'bottom', speed: 3, state: ball({ x: 100, y: 990 }) },
+      { type: 'ball', id1: 'a', id2: 'b', state1: ball(), state2: ball(), x: 10, y: 20, angle: 1.5, speed: 4 },
+      { type: 'obstacle', id: 'b', state: ball(), obstacle: peg, x: 480, y: 500, speed: 2, nx: -1, ny: 0 },
+    ]
+    const frame = encodeFrame(states, events)
+    expect(frame.events.length).toBe(3 * EVENT_STRIDE)
+    expect(frame.obstacleIds).toEqual(['peg'])
+
+    const [wall, pair, hit] = decodeEvents(frame, mirror(), new Map([['peg', peg]]))
+    expect(wall).toMatchObject({ type: 'wall', id: 'a', side: 'bottom', speed: 3, state: { x: 100, y: 990, color: 'blue' } })
+    expect(pair).toMatchObject({ type: 'ball', id1: 'a', id2: 'b', x: 10, y: 20, speed: 4 })
+    expect(pair.angle).toBeCloseTo(1.5)
+    expect(pair.state2.color).toBe('green')
+    expect(hit).toMatchObject({ type: 'obstacle', id: 'b', obstacle: peg, x: 480, y: 500, speed: 2, nx: -1, ny: 0 })
+  })
+
+  it('drops events for balls or obstacles removed since', () => {
+    const events = [
+      { type: 'ball', id1: 'a', id2: 'b', state1: ball(), state2: ball(), x: 0, y: 0, angle: 0, speed: 1 },
+      { type: 'obstacle', id: 'a', state: ball(), obstacle: peg, x: 0, y: 0, speed: 1, nx: 0, ny: 1 },
+    ]
+    const onlyA = new Map([['a', ball()]])
+    expect(decodeEvents(encodeFrame(states, events), onlyA, new Map())).toEqual([])
+  })
+})
+
+describe('createWorldServer', () => {
+  it('ignores commands until initialised', () => {
+    const handle = createWorldServer()
+    expect(handle({ type: 'advance', elapsed: 1 })).toBeNull()
+  })
+
+  it('returns a frame per advance matching a World driven directly', () => {
+    const handle = createWorldServer()
+    handle({ type: 'init', bounds, cellSize: 100 })
+    handle({ type: 'addBall', id: 'a', state: ball({ vx: 2 }) })
+    const world = new World(bounds)
+    world.addBall('a', ball({ vx: 2 }))
+    const events = world.advance(1 / 60)
+    expect(handle({ type: 'advance', elapsed: 1 / 60 })).toEqual(encodeFrame(world.balls, events, world.time))
+  })
+
+  it('hands over the lifecycle changes of each advance once', () => {
+    const handle = createWorldServer()
+    handle({ type: 'init', bounds, cellSize: 100 })
+    handle({ type: 'setLifecycle', lifecycle: { ...DEFAULT_LIFECYCLE, lifetime: 1 / 60, fadeTime: 0 } })
+    handle({ type: 'addBall', id: 'a', state: ball() })
+    expect(handle({ type: 'advance', elapsed: 1 / 60 })).toMatchObject({ ids: [], changed: [], removed: ['a'] })
+    expect(handle({ type: 'advance', elapsed: 1 / 60 })).toMatchObject({ removed: [] })
+  })
+
+  it('stamps frames with World time and the epoch of the last clock reset', () => {
+    const handle = createWorldServer()
+    handle({ type: 'init', bounds, cellSize: 100 })
+    handle({ type: 'advance', elapsed: 0.5 })
+    expect(handle({ type: 'advance', elapsed: 1 / 60 })).toMatchObject({ time: 6 / 60, epoch: 0 })
+    handle({ type: 'resetClock', epoch: 3 })
+    expect(handle({ type: 'advance', elapsed: 1 / 60 })).toMatchObject({ time: 1 / 60, epoch: 3 })
+  })
+
+  it('produces identical frames across a worker-style message boundary', () => {
+    const direct = []
+    const host = createWorldHost(bounds, 100, frame => direct.push(frame), false)
+    expect(host.inWorker).toBe(false)
+    script.forEach(command => host.send(command))
+
+    // Commands and frames are structured-cloned as postMessage would
+    const remote = []
+    const handle = createWorldServer()
+    handle(structuredClone({ type: 'init', bounds, cellSize: 100 }))
+    script.forEach(command => {
+      const frame = handle(structuredClone(command))
+      if (frame) remote.push(structuredClone(frame))
+    })
+
+    expect(remote).toHaveLength(60)
+    expect(remote).toEqual(direct)
+    const types = new Set(direct.flatMap(frame => decodeEvents(frame, new Map(frame.ids.map(id => [id, ball()])), new Map([['peg', peg]])).map(e => e.type)))
+    expect(types).toEqual(new Set(['wall', 'ball', 'obstacle']))
+  })
+})
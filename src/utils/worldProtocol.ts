@@ -0,0 +1,198 @@
+import { World } from './world'
+import type {
+  CircleState,
+  Obstacle,
+  WallSide,
+  WorldCommand,
+  WorldEvent,
+  WorldFrame,
+} from '../types/physics'
+
+/**
+ * Wire format between the World and the main thread. The same server runs
+ * inside the worker and in-thread as the fallback, and both paths go through
+ * the same encode/decode, so they produce identical frames for the same
+ * commands.
+ */
+
+/** Floats per ball in WorldFrame.states: x, y, vx, vy, fade (1 while alive) */
+export const STATE_STRIDE = 5
+
+/**
+ * Floats per event in WorldFrame.events:
+ *   [code, ball, other, x, y, speed, a, b]
+ * wall:     other = side index, (x, y) = ball centre
+ * ball:     other = second ball, (x, y) = contact midpoint, a = angle
+ * obstacle: other = index into obstacleIds, (x, y) = contact point, (a, b) = normal
+ */
+export const EVENT_STRIDE = 8
+
+const EVENT_CODES = { wall: 0, ball: 1, obstacle: 2 } as const
+const WALL_SIDES: WallSide[] = ['left', 'right', 'top', 'bottom']
+
+/**
+ * Pack the balls' motion and one advance's events into a frame, along with
+ * the balls the lifecycle rules changed (see World.takeChanges).
+ */
+export const encodeFrame = (
+  balls: Map<string, CircleState>,
+  events: WorldEvent[],
+  time = 0,
+  epoch = 0,
+  changes: Pick<WorldFrame, 'changed' | 'removed'> = { changed: [], removed: [] },
+): WorldFrame => {
+  const ids: string[] = []
+  const index = new Map<string, number>()
+  const states = new Float32Array(balls.size * STATE_STRIDE)
+  balls.forEach((state, id) => {
+    states.set([state.x, state.y, state.vx, state.vy, state.fade ?? 1], ids.length * STATE_STRIDE)
+    index.set(id, ids.length)
+    ids.push(id)
+  })
+
+  const obstacleIds: string[] = []
+  const encoded = new Float32Array(events.length * EVENT_STRIDE)
+  events.forEach((event, i) => {
+    let record: number[]
+    if (event.type === 'wall') {
+      record = [index.get(event.id) ?? -1, WALL_SIDES.indexOf(event.side), event.state.x, event.state.y, event.speed, 0, 0]
+    } else if (event.type === 'ball') {
+      record = [index.get(event.id1) ?? -1, index.get(event.id2) ?? -1, event.x, event.y, event.speed, event.angle, 0]
+    } else {
+      let obstacleIndex = obstacleIds.indexOf(event.obstacle.id)
+      if (obstacleIndex === -1) obstacleIndex = obstacleIds.push(event.obstacle.id) - 1
+      record = [index.get(event.id) ?? -1, obstacleIndex, event.x, event.y, event.speed, event.nx, event.ny]
+    }
+    encoded.set([EVENT_CODES[event.type], ...record], i * EVENT_STRIDE)
+  })
+
+  return { ids, states, obstacleIds, events: encoded, time, epoch, ...changes }
+}
+
+/**
+ * Copy a frame's positions, velocities and fades onto the main thread's ball
+ * map. Balls removed since the frame was produced are skipped; balls added
+ * since keep the state they were added with.
+ */
+export const applyFrameStates = (frame: WorldFrame, balls: Map<string, CircleState>): void => {
+  frame.ids.forEach((id, i) => {
+    const state = balls.get(id)
+    if (!state) return
+    const offset = i * STATE_STRIDE
+    state.x = frame.states[offset]
+    state.y = frame.states[offset + 1]
+    state.vx = frame.states[offset + 2]
+    state.vy = frame.states[offset + 3]
+    const fade = frame.states[offset + 4]
+    if (fade < 1) state.fade = fade
+    else delete state.fade
+  })
+}
+
+/**
+ * Apply the frame's lifecycle changes to the main thread's ball map, after
+ * its states. Removed balls are handed to `retire` first, so events naming
+ * them in the same frame still decode.
+ */
+export const applyFrameChanges = (
+  frame: WorldFrame,
+  balls: Map<string, CircleState>,
+  retire: (id: string, state: CircleState) => void,
+): void => {
+  frame.changed.forEach(({ id, state }) => balls.set(id, { ...state }))
+  frame.removed.forEach(id => {
+    const state = balls.get(id)
+    if (!state) return
+    retire(id, state)
+    balls.delete(id)
+  })
+}
+
+/**
+ * Unpack a frame's events. Colour, radius and voice come from `balls`, and
+ * obstacles from `obstacles`; events naming a ball or obstacle that has
+ * since been removed are dropped.
+ */
+export const decodeEvents = (
+  frame: WorldFrame,
+  balls: Map<string, CircleState>,
+  obstacles: Map<string, Obstacle>,
+): WorldEvent[] => {
+  const events: WorldEvent[] = []
+  for (let offset = 0; offset < frame.events.length; offset += EVENT_STRIDE) {
+    const [code, ball, other, x, y, speed, a, b] = frame.events.subarray(offset, offset + EVENT_STRIDE)
+    const id = frame.ids[ball]
+    const state = balls.get(id)
+    if (!state) continue
+
+    if (code === EVENT_CODES.wall) {
+      events.push({ type: 'wall', id, side: WALL_SIDES[other], speed, state: { ...state, x, y } })
+    } else if (code === EVENT_CODES.ball) {
+      const id2 = frame.ids[other]
+      const state2 = balls.get(id2)
+      if (!state2) continue
+      events.push({ type: 'ball', id1: id, id2, state1: { ...state }, state2: { ...state2 }, x, y, angle: a, speed })
+    } else {
+      const obstacle = obstacles.get(frame.obstacleIds[other])
+      if (!obstacle) continue
+      events.push({ type: 'obstacle', id, state: { ...state }, obstacle, x, y, speed, nx: a, ny: b })
+    }
+  }
+  return events
+}
+
+/**
+ * The World behind the message boundary: applies each command and returns a
+ * frame for every `advance`. Commands before `init` are ignored.
+ */
+export const createWorldServer = (): ((command: WorldCommand) => WorldFrame | null) => {
+  let world: World | null = null
+  let epoch = 0
+
+  return (command) => {
+    if (command.type === 'init') {
+      world = new World(command.bounds, command.cellSize)
+      epoch = 0
+      return null
+    }
+    if (!world) return null
+
+    switch (command.type) {
+      case 'addBall':
+        world.addBall(command.id, command.state)
+        break
+      case 'removeBall':
+        world.removeBall(command.id)
+        break
+      case 'patchBall': {
+        const state = world.getBall(command.id)
+        if (state) world.setBall(command.id, { ...state, ...command.changes })
+        break
+      }
+      case 'setBounds':
+        world.setBounds(command.bounds)
+        break
+      case 'setPhysics':
+        world.setPhysics(command.physics)
+        break
+      case 'setLifecycle':
+        world.setLifecycle(command.lifecycle)
+        break
+      case 'setTiltGravity':
+        world.setTiltGravity(command.gravity)
+        break
+      case 'setObstacles':
+        world.setObstacles(command.obstacles)
+        break
+      case 'resetClock':
+        world.resetClock()
+        epoch = command.epoch
+        break
+      case 'advance': {
+        const events = world.advance(command.elapsed)
+        return encodeFrame(world.balls, events, world.time, epoch, world.takeChanges())
+      }
+    }
+    return null
+  }
+}